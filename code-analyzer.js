@@ -386,6 +386,175 @@ class CppCodeAnalyzer {
     return String(nodeOrName);
   }
 
+  /**
+   * The parser keeps the type of a field in its declarator (e.g. "Foo* bar").
+   * Move the type to fieldNode.type and leave the identifier as the name.
+   * Leading "static", "mutable" and "volatile" are moved to modifiers.
+   * @param {Object} fieldNode
+   * @return {boolean} false if the field has no type (e.g. a macro)
+   */
+  _splitFieldType(fieldNode) {
+    if (fieldNode.type) {
+      return true;
+    }
+    if (!Array.isArray(fieldNode.name)) {
+      return false;
+    }
+    fieldNode.name.forEach((variableNode) => {
+      var declarator = this._toName(variableNode.name).trim();
+      var match = declarator.match(/^(.*[\s*&>])\s*([A-Za-z_]\w*)$/);
+      if (match) {
+        variableNode.name = match[2];
+        if (!fieldNode.type) {
+          fieldNode.type = match[1].trim();
+        }
+      }
+    });
+    if (!fieldNode.type) {
+      return false;
+    }
+    var storage = fieldNode.type.match(/^((?:(?:static|mutable|volatile)\s+)+)/);
+    if (storage) {
+      fieldNode.modifiers = (fieldNode.modifiers || []).concat(
+        storage[1].trim().split(/\s+/),
+      );
+      fieldNode.type = fieldNode.type.substring(storage[1].length);
+    }
+    return true;
+  }
+
+  /**
+   * Collect specifiers of a method. The parser keeps the leading ones in the
+   * type and the name (e.g. "virtual void" or "constexpr" and "int max"), or
+   * in the name of constructors and destructors (e.g. "virtual ~Foo"),
+   * and the trailing ones (const, noexcept, override, final, "= 0",
+   * "= default", "= delete") in methodNode.specifiers and
+   * methodNode.initializer. The type and the name are fixed up in place.
+   * @param {Object} methodNode
+   * @return {Array.<string>} e.g. ["virtual", "const", "pure"]
+   */
+  _splitMethodSpecifiers(methodNode) {
+    var specifiers = (methodNode.specifiers || [])
+      .filter((specifier) => typeof specifier === "string")
+      .map((specifier) => specifier.trim());
+    if (methodNode.node === "method" && typeof methodNode.type === "string") {
+      var words = (methodNode.type + " " + this._toName(methodNode.name))
+        .trim()
+        .split(/\s+/);
+      while (
+        words.length > 2 &&
+        /^(virtual|inline|constexpr|static|explicit|\[\[nodiscard\]\])$/.test(
+          words[0],
+        )
+      ) {
+        specifiers.push(words.shift());
+      }
+      methodNode.name = words.pop();
+      methodNode.type = words.join(" ");
+    } else if (typeof methodNode.name === "string") {
+      var nameWords = methodNode.name.trim().split(/\s+/);
+      while (
+        nameWords.length > 1 &&
+        /^(virtual|inline|constexpr|explicit)$/.test(nameWords[0])
+      ) {
+        specifiers.push(nameWords.shift());
+      }
+      methodNode.name = nameWords.join(" ");
+    }
+    if (methodNode.initializer !== undefined) {
+      var _initializer = String(methodNode.initializer).match(
+        /^(0|default|delete)/,
+      );
+      if (_initializer) {
+        specifiers.push(_initializer[1] === "0" ? "pure" : _initializer[1]);
+      }
+    }
+    return specifiers.map((specifier) =>
+      specifier === "[[nodiscard]]" ? "nodiscard" : specifier,
+    );
+  }
+
+  /**
+   * Return aggregation of the whole end of an association for the type of
+   * a field, the inverse of the generator's "Composition Member",
+   * "Aggregation Member" and "Association Member" preferences. When none
+   * of them generates the type, the `ownership` tag to keep it is returned
+   * as well (e.g. `value` for `T` with the default preferences).
+   * @param {string} typeName
+   * @param {Object} options
+   * @return {{aggregation: number, ownership: ?string}}
+   */
+  _getOwnership(typeName, options) {
+    var ownership = "value";
+    if (typeName.includes("unique_ptr")) {
+      ownership = "unique_ptr";
+    } else if (typeName.includes("shared_ptr")) {
+      ownership = "shared_ptr";
+    } else if (typeName.includes("weak_ptr")) {
+      ownership = "weak_ptr";
+    } else if (typeName.includes("*")) {
+      ownership = "pointer";
+    } else if (typeName.includes("&")) {
+      ownership = "reference";
+    }
+    var mapping = [
+      [type.UMLAttribute.AK_COMPOSITE, options.compositeAs || "unique_ptr"],
+      [type.UMLAttribute.AK_SHARED, options.sharedAs || "shared_ptr"],
+      [type.UMLAttribute.AK_NONE, options.associationAs || "pointer"],
+    ].find((entry) => entry[1] === ownership);
+    if (mapping) {
+      return { aggregation: mapping[0], ownership: null };
+    }
+    var aggregations = {
+      value: type.UMLAttribute.AK_COMPOSITE,
+      unique_ptr: type.UMLAttribute.AK_COMPOSITE,
+      shared_ptr: type.UMLAttribute.AK_SHARED,
+      weak_ptr: type.UMLAttribute.AK_SHARED,
+      pointer: type.UMLAttribute.AK_NONE,
+      reference: type.UMLAttribute.AK_NONE,
+    };
+    return { aggregation: aggregations[ownership], ownership: ownership };
+  }
+
+  /**
+   * Return key and value types if a given type is a map (e.g. map<K, V>)
+   * @param {string} typeName
+   * @return {{container: string, key: string, value: string}} null if not a map
+   */
+  _getMapTypes(typeName) {
+    var name = this._normalizeTypeName(typeName);
+    if (!name) {
+      return null;
+    }
+    var match = name.match(
+      /^(?:const\s+)?((?:unordered_)?(?:multi)?map)\s*<([\s\S]*)>\s*[&]?$/,
+    );
+    if (!match) {
+      return null;
+    }
+    // split template arguments at the top level comma
+    var args = [];
+    var depth = 0;
+    var start = 0;
+    var i;
+    for (i = 0; i < match[2].length; i++) {
+      var ch = match[2][i];
+      if (ch === "<") {
+        depth++;
+      } else if (ch === ">") {
+        depth--;
+      } else if (ch === "," && depth === 0) {
+        args.push(match[2].substring(start, i).trim());
+        start = i + 1;
+      }
+    }
+    args.push(match[2].substring(start).trim());
+    if (args.length < 2) {
+      return null;
+    }
+    return { container: match[1], key: args[0], value: args[1] };
+  }
+
   /**
    * Perform Second Phase
    *   - Create Generalizations
@@ -436,12 +605,29 @@ class CppCodeAnalyzer {
     // Create Associations
     for (i = 0, len = this._associationPendings.length; i < len; i++) {
       var _asso = this._associationPendings[i];
-      _typeName = _asso.node;
+      // map<K, V> of a model type V is a qualified association
+      var _mapTypes = this._getMapTypes(_asso.node.type);
+      var _valueTypeName = _mapTypes ? _mapTypes.value : _asso.node.type;
+      // smart pointers refer to the pointee type
+      var _smartPointer = this._normalizeTypeName(_valueTypeName).match(
+        /^(?:const\s+)?(?:unique_ptr|shared_ptr|weak_ptr)\s*<([\s\S]*)>/,
+      );
+      _typeName = this._extractBaseTypeName(
+        _smartPointer ? _smartPointer[1] : _valueTypeName,
+      );
       _type = this._findType(
         _asso.classifier,
         _typeName,
         _asso.node.compilationUnitNode,
       );
+      if (_mapTypes && !_type) {
+        _mapTypes = null;
+        _type = this._findType(
+          _asso.classifier,
+          this._extractBaseTypeName(_asso.node.type),
+          _asso.node.compilationUnitNode,
+        );
+      }
       _itemTypeName = this._isGenericCollection(
         _asso.node.type,
         _asso.node.compilationUnitNode,
@@ -484,21 +670,45 @@ class CppCodeAnalyzer {
           );
           association.end2.navigable = true;
 
-          const typeStr = this._toName(_asso.node.type);
-          const uniquePtrAsComposition = options && options.uniquePtrAsComposition !== false;
-          const pointerAsAggregation = options && options.pointerAsAggregation !== false;
-          const referenceAsAssociation = options && options.referenceAsAssociation !== false;
-          let agg = 0;
-          if (typeStr.includes("unique_ptr")) {
-            agg = uniquePtrAsComposition ? 2 : (pointerAsAggregation ? 1 : 0);
-          } else if (typeStr.includes("*") || typeStr.includes("shared_ptr")) {
-            agg = pointerAsAggregation ? 1 : 0;
-          } else if (typeStr.includes("&")) {
-            agg = referenceAsAssociation ? 0 : 1;
-          } else {
-            agg = 2;
+          // Qualifier for the key of map
+          if (_mapTypes) {
+            var _qualifier = new type.UMLAttribute();
+            _qualifier._parent = association.end1;
+            _qualifier.name = "key";
+            var _keyType = this._findType(
+              _asso.classifier,
+              this._extractBaseTypeName(_mapTypes.key),
+              _asso.node.compilationUnitNode,
+            );
+            _qualifier.type = _keyType || this._normalizeTypeName(_mapTypes.key);
+            association.end1.qualifiers.push(_qualifier);
+            if (_mapTypes.container.indexOf("multi") >= 0) {
+              association.end2.multiplicity = "*";
+            }
+            if (_mapTypes.container.indexOf("unordered_") === 0) {
+              this._addTag(
+                association.end2,
+                type.Tag.TK_STRING,
+                "container",
+                _mapTypes.container.replace("multimap", "map"),
+              );
+            }
+          }
+
+          // the whole (end1) holds the diamond, as the generator expects
+          var _ownership = this._getOwnership(
+            this._toName(_valueTypeName),
+            options,
+          );
+          association.end1.aggregation = _ownership.aggregation;
+          if (_ownership.ownership !== null) {
+            this._addTag(
+              association.end2,
+              type.Tag.TK_STRING,
+              "ownership",
+              _ownership.ownership,
+            );
           }
-          association.end2.aggregation = agg;
 
           // Final Modifier
           if (_asso.node.modifiers && _asso.node.modifiers.includes("final")) {
@@ -710,7 +920,10 @@ class CppCodeAnalyzer {
     _enum = new type.UMLEnumeration();
     _enum._parent = namespace;
     _enum.name = this._toName(enumNode.name);
-    _enum.visibility = this._getVisibility(enumNode.modifiers);
+    _enum.visibility = this._getVisibility(
+      enumNode.modifiers,
+      this._getDefaultVisibility(namespace),
+    );
 
     // CppDoc
     //        if (enumNode.comment) {
@@ -718,11 +931,39 @@ class CppCodeAnalyzer {
     //        }
     namespace.ownedElements.push(_enum);
 
+    // Scoped Enum
+    if (/^enum\s+(class|struct)$/.test(enumNode.key)) {
+      this._addTag(_enum, type.Tag.TK_BOOLEAN, "scoped", true);
+    }
+
+    // Underlying Type
+    if (enumNode.base) {
+      this._addTag(
+        _enum,
+        type.Tag.TK_STRING,
+        "underlyingType",
+        this._toName(enumNode.base),
+      );
+    }
+
     // Translate Type Parameters
     //        this.translateTypeParameters(options, _enum, enumNode.typeParameters);
-    if (enumNode.body !== "{") {
-      // Translate Members
-      this.translateMembers(options, _enum, enumNode.body);
+    if (Array.isArray(enumNode.body)) {
+      // Translate Literals
+      enumNode.body.forEach((literalNode) => {
+        var _literal = new type.UMLEnumerationLiteral();
+        _literal._parent = _enum;
+        _literal.name = this._toName(literalNode.name);
+        if (literalNode.value !== undefined) {
+          this._addTag(
+            _literal,
+            type.Tag.TK_STRING,
+            "value",
+            this._toName(literalNode.value),
+          );
+        }
+        _enum.literals.push(_literal);
+      });
     }
   }
 
@@ -752,8 +993,16 @@ class CppCodeAnalyzer {
       namespace.ownedElements.push(_class);
     }
 
+    // Struct
+    if (classNode.node === "struct") {
+      _class.stereotype = "struct";
+    }
+
     // Access Modifiers（后出现的声明可以覆盖前面的可见性）
-    _class.visibility = this._getVisibility(classNode.modifiers);
+    _class.visibility = this._getVisibility(
+      classNode.modifiers,
+      this._getDefaultVisibility(namespace),
+    );
 
     // Abstract Class
     if (classNode.modifiers && classNode.modifiers.includes("abstract")) {
@@ -802,7 +1051,21 @@ class CppCodeAnalyzer {
     if (memberNodeArray.length > 0) {
       for (i = 0, len = memberNodeArray.length; i < len; i++) {
         var memberNode = memberNodeArray[i];
-        var visibility = this._getVisibility(memberNode.modifiers);
+        var visibility = this._getVisibility(
+          memberNode.modifiers,
+          this._getDefaultVisibility(namespace),
+        );
+        // members without access specifier get the default access
+        if (
+          !memberNode.modifiers ||
+          !["public", "protected", "private"].some((access) =>
+            memberNode.modifiers.includes(access),
+          )
+        ) {
+          memberNode.modifiers = (memberNode.modifiers || []).concat([
+            visibility,
+          ]);
+        }
 
         // Generate public members only if publicOnly == true
         if (
@@ -817,6 +1080,9 @@ class CppCodeAnalyzer {
         switch (memberNode.node) {
           case "field":
           case "property":
+            if (!this._splitFieldType(memberNode)) {
+              break;
+            }
             if (options.association) {
               this.translateFieldAsAssociation(options, namespace, memberNode);
             } else {
@@ -824,6 +1090,7 @@ class CppCodeAnalyzer {
             }
             break;
           case "constructor":
+          case "destructor":
             this.translateMethod(options, namespace, memberNode, true);
             break;
           case "method":
@@ -842,10 +1109,11 @@ class CppCodeAnalyzer {
    * @param {Object} options
    * @param {type.Model} namespace
    * @param {Object} methodNode
-   * @param {boolean} isConstructor
+   * @param {boolean} isConstructor constructor or destructor
    */
   translateMethod(options, namespace, methodNode, isConstructor) {
     var i, len;
+    var _specifiers = this._splitMethodSpecifiers(methodNode);
     var _operation = new type.UMLOperation();
     _operation._parent = namespace;
     _operation.name = this._toName(methodNode.name);
@@ -865,9 +1133,41 @@ class CppCodeAnalyzer {
       _operation.isAbstract = true;
     }
 
-    // Constructor
+    // Specifiers
+    if (_specifiers.includes("static")) {
+      _operation.isStatic = true;
+    }
+    if (_specifiers.includes("const")) {
+      _operation.isQuery = true;
+    }
+    if (_specifiers.includes("final")) {
+      _operation.isLeaf = true;
+    }
+    if (_specifiers.includes("pure")) {
+      _operation.isAbstract = true;
+    } else if (
+      _specifiers.includes("virtual") ||
+      (methodNode.modifiers && methodNode.modifiers.includes("virtual"))
+    ) {
+      this._addTag(_operation, type.Tag.TK_BOOLEAN, "virtual", true);
+    }
+    ["noexcept", "constexpr", "inline", "nodiscard", "default", "delete"]
+      .filter((specifier) => _specifiers.includes(specifier))
+      .forEach((specifier) => {
+        this._addTag(_operation, type.Tag.TK_BOOLEAN, specifier, true);
+      });
+
+    // Constructor, Destructor ("virtual ~Foo()" is parsed as a constructor)
     if (isConstructor) {
-      _operation.stereotype = "constructor";
+      var _destructorName = _operation.name.match(/~\s*(\w+)\s*$/);
+      if (methodNode.node === "destructor" || _destructorName) {
+        _operation.stereotype = "destructor";
+        if (_destructorName) {
+          _operation.name = "~" + _destructorName[1];
+        }
+      } else {
+        _operation.stereotype = "constructor";
+      }
     }
 
     // Formal Parameters
@@ -1106,9 +1406,10 @@ class CppCodeAnalyzer {
    * Return visiblity from modifiers
    *
    * @param {Array.<string>} modifiers
+   * @param {string} defaultVisibility visibility without access specifier
    * @return {string} Visibility constants for UML Elements
    */
-  _getVisibility(modifiers) {
+  _getVisibility(modifiers, defaultVisibility) {
     modifiers = modifiers || [];
     if (modifiers.includes("public")) {
       return type.UMLModelElement.VK_PUBLIC;
@@ -1117,9 +1418,27 @@ class CppCodeAnalyzer {
     } else if (modifiers.includes("private")) {
       return type.UMLModelElement.VK_PRIVATE;
     }
-    return type.UMLModelElement.VK_PACKAGE;
+    return defaultVisibility || type.UMLModelElement.VK_PUBLIC;
+  }
+
+  /**
+   * Return default access of members in namespace: private in a class,
+   * public in a struct and in namespaces
+   *
+   * @param {type.Model} namespace
+   * @return {string} Visibility constants for UML Elements
+   */
+  _getDefaultVisibility(namespace) {
+    if (
+      namespace instanceof type.UMLClass &&
+      namespace.stereotype !== "struct"
+    ) {
+      return type.UMLModelElement.VK_PRIVATE;
+    }
+    return type.UMLModelElement.VK_PUBLIC;
   }
 
+
   /**
    * Translate C++ Package Node.
    * @param {Object} options
@@ -25,12 +25,183 @@
 const _CPP_CODE_GEN_H = "h";
 const _CPP_CODE_GEN_CPP = "cpp";
 
+const _CPP_PACKAGE_NAMESPACE = "namespace";
+const _CPP_PACKAGE_BOTH = "both";
+
+const _CPP_GUARD_PATH = "path";
+const _CPP_GUARD_PRAGMA = "pragma";
+
+const _CPP_OUT_PARAM_POINTER = "pointer";
+const _CPP_MULTIPLE_RETURNS_WARN = "warn";
+
+const _CPP_ACCESSOR_SNAKE = "snake";
+const _CPP_ACCESSOR_PLAIN = "plain";
+
+const _CPP_TEMPLATE_TPP = "tpp";
+const _CPP_TEMPLATE_IPP = "ipp";
+
+const _CPP_STATIC_INLINE = "inline";
+const _CPP_STATIC_CONSTEXPR = "constexpr";
+
+const _CPP_STUB_TODO = "todo";
+const _CPP_STUB_THROW = "throw";
+
+const _CPP_TEST_FOLDER = "tests";
+const _CPP_TEST_CATCH2 = "catch2";
+
+const _CPP_MOCK_PREFIX = "Mock";
+
+const _CPP_STATE_PATTERN = "state";
+
+const _CPP_CMAKE_FILE = "CMakeLists.txt";
+const _CPP_CMAKE_VERSION = "3.16";
+
+// built-in types passed and returned by value
+const _CPP_PRIMITIVE_TYPES = [
+  "void",
+  "bool",
+  "boolean",
+  "byte",
+  "char",
+  "wchar_t",
+  "char8_t",
+  "char16_t",
+  "char32_t",
+  "short",
+  "int",
+  "long",
+  "signed",
+  "unsigned",
+  "float",
+  "double",
+  "size_t",
+  "ptrdiff_t",
+  "intptr_t",
+  "uintptr_t",
+  "int8_t",
+  "int16_t",
+  "int32_t",
+  "int64_t",
+  "uint8_t",
+  "uint16_t",
+  "uint32_t",
+  "uint64_t",
+];
+
+// values returned by method stubs, other class types return `{}`
+const _CPP_RETURN_VALUES = {
+  bool: "false",
+  boolean: "false",
+  char: "'\\0'",
+  float: "0.0f",
+  double: "0.0",
+};
+
+// standard library headers declaring types, keyed by name without "std::"
+const _CPP_STD_HEADERS = {
+  any: "any",
+  array: "array",
+  atomic: "atomic",
+  bitset: "bitset",
+  chrono: "chrono",
+  complex: "complex",
+  deque: "deque",
+  filesystem: "filesystem",
+  forward_list: "forward_list",
+  fstream: "fstream",
+  function: "functional",
+  ifstream: "fstream",
+  int8_t: "cstdint",
+  int16_t: "cstdint",
+  int32_t: "cstdint",
+  int64_t: "cstdint",
+  intptr_t: "cstdint",
+  istream: "istream",
+  list: "list",
+  map: "map",
+  multimap: "map",
+  multiset: "set",
+  mutex: "mutex",
+  ofstream: "fstream",
+  optional: "optional",
+  ostream: "ostream",
+  pair: "utility",
+  priority_queue: "queue",
+  ptrdiff_t: "cstddef",
+  queue: "queue",
+  regex: "regex",
+  set: "set",
+  shared_ptr: "memory",
+  size_t: "cstddef",
+  stack: "stack",
+  string: "string",
+  string_view: "string_view",
+  stringstream: "sstream",
+  thread: "thread",
+  tuple: "tuple",
+  uint8_t: "cstdint",
+  uint16_t: "cstdint",
+  uint32_t: "cstdint",
+  uint64_t: "cstdint",
+  uintptr_t: "cstdint",
+  unique_ptr: "memory",
+  unordered_map: "unordered_map",
+  unordered_multimap: "unordered_map",
+  unordered_multiset: "unordered_set",
+  unordered_set: "unordered_set",
+  variant: "variant",
+  vector: "vector",
+  weak_ptr: "memory",
+  wstring: "string",
+};
+
+// built-in code templates, see README for the view of each template
+const _CPP_TEMPLATES = {
+  "file-header": [
+    "${#license}",
+    "// SPDX-License-Identifier: ${license}",
+    "${/license}",
+    "${docs}",
+  ].join("\n"),
+  class: [
+    "${templateHead}${classKey} ${name}${#isFinal} final ${/isFinal}${inheritance} {",
+    "${members}",
+    "};",
+  ].join("\n"),
+  member: [
+    "${docs}${#modifiers}${modifiers} ${/modifiers}${type} ${name}",
+    "${#initializer} = ${initializer}${/initializer};",
+  ].join(""),
+  "method-declaration": [
+    "\n${docs}${templateHead}${specifiers}",
+    "${#returnType}${returnType} ${/returnType}",
+    "${name}(${parameters})${qualifiers}${virtSpecifier}${suffix};",
+  ].join(""),
+  "method-definition": [
+    "\n${docs}${templateHead}${specifiers}",
+    "${#returnType}${returnType} ${/returnType}",
+    "${scope}${name}(${parameters})${qualifiers}${virtSpecifier}",
+    "${initializerList} {\n${body}\n}",
+  ].join(""),
+  enum: [
+    "${#docLines}",
+    "${.}",
+    "${/docLines}",
+    "enum ${#scoped}class ${/scoped}${name}${#underlyingType} : ${underlyingType}${/underlyingType} {",
+    "${#literals}",
+    "${#docLines}",
+    "${indent}${.}",
+    "${/docLines}",
+    "${indent}${name}${#value} = ${value}${/value}${^last},${/last}",
+    "${/literals}",
+    "};",
+  ].join("\n"),
+};
+
 const path = require("path");
 const fs = require("fs");
 const codegen = require("./codegen-utils");
 
-var copyrightHeader =
-  "/* Test header @ toori67 \n * This is Test\n * also test\n * also test again\n */";
 var versionString = "v0.0.1";
 
 /**
@@ -42,35 +213,207 @@ class CppCodeGenerator {
    *
    * @param {type.UMLPackage} baseModel
    * @param {string} basePath generated files and directories to be placed
+   * @param {Object} fileSystem `fs` or a codegen.MemoryFileSystem
    *
    */
-  constructor(baseModel, basePath) {
+  constructor(baseModel, basePath, fileSystem) {
     /** @member {type.Model} */
     this.baseModel = baseModel;
 
     /** @member {string} */
     this.basePath = basePath;
 
+    /** @member {Object} */
+    this.fs = fileSystem || fs;
+
+    /** @member {Array.<string>} */
+    this.warnings = [];
+
+    /** @member {Object.<string, string>} templates by name, loaded lazily */
+    this.templates = null;
+
+    /** @member {Object.<string, string>} files of templates by name */
+    this.templateFiles = {};
+
+    /** @member {Map} state machines of classes, see getStateMachine */
+    this.stateMachines = new Map();
+
+    /** @member {Set.<string>} test files, see writeTestSkeleton */
+    this.testFiles = new Set();
+
+    /** @member {?Set.<string>} see getClassifierNames */
+    this.classifierNames = null;
+  }
+
+  /**
+   * Return code template by name. A `<name>.tpl` file in "Template Folder"
+   * overrides the built-in template.
+   *
+   * @param {string} name
+   * @return {string}
+   */
+  getTemplate(name) {
+    if (this.templates === null) {
+      this.templates = Object.assign({}, _CPP_TEMPLATES);
+      var folder = this.genOptions.templateFolder;
+      if (typeof folder === "string" && folder.trim().length > 0) {
+        folder = folder.trim();
+        if (!fs.existsSync(folder)) {
+          this.warn(
+            "Template folder " +
+              folder +
+              " not found, using built-in templates",
+          );
+        } else {
+          Object.keys(_CPP_TEMPLATES).forEach((key) => {
+            var file = path.join(folder, key + ".tpl");
+            if (fs.existsSync(file)) {
+              this.templateFiles[key] = file;
+              this.templates[key] = fs
+                .readFileSync(file, "utf8")
+                .replace(/\r\n/g, "\n")
+                .replace(/\n$/, "");
+            }
+          });
+        }
+      }
+    }
+    return this.templates[name];
+  }
+
+  /**
+   * Return errors of malformed code templates (e.g. an unclosed section),
+   * each naming the template file or preference it comes from
+   *
+   * @param {Object} options
+   * @return {Array.<string>}
+   */
+  getTemplateErrors(options) {
+    this.genOptions = options;
+    var errors = [];
+    var check = (template, source) => {
+      try {
+        codegen.renderTemplate(template, {});
+      } catch (err) {
+        errors.push(source + ": " + err.message);
+      }
+    };
+    Object.keys(_CPP_TEMPLATES).forEach((key) => {
+      check(
+        this.getTemplate(key),
+        this.templateFiles[key] || "Built-in template " + key,
+      );
+    });
+    if (typeof options.headerTemplate === "string") {
+      check(options.headerTemplate, "Header File Template");
+    }
+    if (typeof options.sourceTemplate === "string") {
+      check(options.sourceTemplate, "Source File Template");
+    }
+    return errors;
+  }
+
+  /**
+   * Render code template by name against view. `indent` (the indent
+   * string) is available in every template.
+   *
+   * @param {string} name
+   * @param {Object} view
+   * @return {string}
+   */
+  render(name, view) {
+    var data = Object.assign(
+      { indent: this.getIndentString(this.genOptions) },
+      view,
+    );
+    try {
+      return codegen.renderTemplate(this.getTemplate(name), data);
+    } catch (err) {
+      throw new Error("Template " + name + ": " + err.message);
+    }
+  }
+
+  /**
+   * Render code template by name, split into the lines before and after the
+   * line holding the placeholder given by key. Lines are written around
+   * content generated in between (e.g. the members of a class).
+   *
+   * @param {string} name
+   * @param {Object} view
+   * @param {string} key
+   * @return {{before: Array.<string>, after: Array.<string>}}
+   */
+  renderAround(name, view, key) {
+    var marker = "\u0000" + key + "\u0000";
+    var data = Object.assign({}, view);
+    data[key] = marker;
+    var lines = this.render(name, data).split("\n");
+    var index = lines.findIndex((line) => line.includes(marker));
+    if (index < 0) {
+      return { before: lines, after: [] };
+    }
+    return { before: lines.slice(0, index), after: lines.slice(index + 1) };
+  }
+
+  /**
+   * Return lines of doc comment, empty if there is none
+   *
+   * @param {string} docs result of getDocuments
+   * @return {Array.<string>}
+   */
+  getDocumentLines(docs) {
+    return docs.length > 0 ? docs.replace(/\n$/, "").split("\n") : [];
+  }
+
+  /**
+   * Return comment at the top of a generated file. "Header File Template"
+   * (or "Source File Template" for sources) may use the placeholders
+   * `${project}`, `${author}`, `${version}`, `${year}`, `${file}`,
+   * `${element}` and `${license}`, and `\n` for line breaks. Without
+   * them, the `file-header` template writes project, author and version as
+   * a doc comment, preceded by an SPDX identifier if "License" is set.
+   *
+   * @param {Object} elem
+   * @param {string} fileName
+   * @param {boolean} isHeader
+   * @return {string}
+   */
+  getFileHeader(elem, fileName, isHeader) {
+    var project = app.project.getProject();
     var doc = "";
-    if (
-      app.project.getProject().name &&
-      app.project.getProject().name.length > 0
-    ) {
-      doc += "\nProject " + app.project.getProject().name;
+    if (project.name && project.name.length > 0) {
+      doc += "\nProject " + project.name;
     }
-    if (
-      app.project.getProject().author &&
-      app.project.getProject().author.length > 0
-    ) {
-      doc += "\n@author " + app.project.getProject().author;
+    if (project.author && project.author.length > 0) {
+      doc += "\n@author " + project.author;
     }
-    if (
-      app.project.getProject().version &&
-      app.project.getProject().version.length > 0
-    ) {
-      doc += "\n@version " + app.project.getProject().version;
+    if (project.version && project.version.length > 0) {
+      doc += "\n@version " + project.version;
+    }
+    var docs = this.getDocuments(doc);
+    var view = {
+      project: project.name || "",
+      author: project.author || "",
+      version: project.version || "",
+      year: String(new Date().getFullYear()),
+      file: fileName,
+      element: elem.name,
+      license: this.genOptions.license || "",
+      isHeader: isHeader,
+      docs: docs,
+      docLines: this.getDocumentLines(docs),
+    };
+    var template = isHeader
+      ? this.genOptions.headerTemplate
+      : this.genOptions.sourceTemplate || this.genOptions.headerTemplate;
+    if (typeof template === "string" && template.length > 0) {
+      try {
+        return codegen.renderTemplate(template.replace(/\\n/g, "\n"), view);
+      } catch (err) {
+        throw new Error("File header template: " + err.message);
+      }
     }
-    copyrightHeader = this.getDocuments(doc);
+    return this.render("file-header", view);
   }
 
   /**
@@ -95,32 +438,28 @@ class CppCodeGenerator {
     this.genOptions = options;
 
     var getFilePath = (extenstions) => {
-      var absPath = basePath + "/" + elem.name + ".";
-      if (extenstions === _CPP_CODE_GEN_H) {
-        absPath += _CPP_CODE_GEN_H;
-      } else {
-        absPath += _CPP_CODE_GEN_CPP;
-      }
-      return absPath;
+      return path.join(
+        basePath,
+        this.getFileName(elem) + "." + this.getFileExtension(elem, extenstions),
+      );
     };
 
-    var writeEnumeration = (codeWriter, elem, cppCodeGen) => {
-      var i;
-      var modifierList = cppCodeGen.getModifiers(elem);
-      var modifierStr = "";
-      for (i = 0; i < modifierList.length; i++) {
-        modifierStr += modifierList[i] + " ";
-      }
-      codeWriter.writeLine(
-        modifierStr +
-          "enum " +
-          elem.name +
-          " { " +
-          elem.literals.map((lit) => lit.name).join(", ") +
-          " };",
+    var getMockFilePath = () => {
+      return path.join(
+        basePath,
+        this.getMockFileName(elem) +
+          "." +
+          this.getFileExtension(elem, _CPP_CODE_GEN_H),
       );
     };
 
+    var writeEnumeration = (codeWriter, elem, cppCodeGen) => {
+      cppCodeGen
+        .render("enum", cppCodeGen.getEnumerationView(elem))
+        .split("\n")
+        .forEach((line) => codeWriter.writeLine(line));
+    };
+
     var writeClassHeader = (codeWriter, elem, cppCodeGen) => {
       var i;
       var write = (items) => {
@@ -156,7 +495,9 @@ class CppCodeGenerator {
           var generalization = genList[i];
           // public AAA, private BBB
           term.push(
-            generalization.visibility + " " + generalization.target.name,
+            generalization.visibility +
+              " " +
+              cppCodeGen.getTypeName(generalization.target, elem),
           );
         }
         inheritString += term.join(", ");
@@ -164,29 +505,9 @@ class CppCodeGenerator {
       };
 
       // member variable
-      var memberAttr = elem.attributes.slice(0);
-      var associations = app.repository.getRelationshipsOf(
-        elem,
-        function (rel) {
-          return rel instanceof type.UMLAssociation;
-        },
+      var memberAttr = elem.attributes.concat(
+        cppCodeGen.getAssociationMembers(elem),
       );
-      for (i = 0; i < associations.length; i++) {
-        var asso = associations[i];
-        if (
-          asso.end1.reference === elem &&
-          asso.end2.navigable !== "notNavigable" &&
-          asso.end2.name.length !== 0
-        ) {
-          memberAttr.push(asso.end2);
-        } else if (
-          asso.end2.reference === elem &&
-          asso.end1.navigable !== "notNavigable" &&
-          asso.end1.name.length !== 0
-        ) {
-          memberAttr.push(asso.end1);
-        }
-      }
 
       // method
       var methodList = elem.operations.slice(0);
@@ -203,38 +524,73 @@ class CppCodeGenerator {
 
       var allMembers = memberAttr.concat(methodList).concat(innerElement);
       var classfiedAttributes = cppCodeGen.classifyVisibility(allMembers);
-      var finalModifier = "";
-      if (elem.isFinalSpecialization === true || elem.isLeaf === true) {
-        finalModifier = " final ";
-      }
       var templatePart = cppCodeGen.getTemplateParameter(elem);
-      if (templatePart.length > 0) {
-        codeWriter.writeLine(templatePart);
-      }
-
-      codeWriter.writeLine(
-        "class " + elem.name + finalModifier + writeInheritance(elem) + " {",
+      var docs = cppCodeGen.getDocuments(elem.documentation);
+      var declaration = cppCodeGen.renderAround(
+        "class",
+        {
+          docs: docs,
+          docLines: cppCodeGen.getDocumentLines(docs),
+          templateHead: templatePart.length > 0 ? templatePart + "\n" : "",
+          classKey: cppCodeGen.getClassKey(elem),
+          name: elem.name,
+          isFinal: elem.isFinalSpecialization === true || elem.isLeaf === true,
+          isStruct: cppCodeGen.isStruct(elem),
+          isInterface: elem instanceof type.UMLInterface,
+          inheritance: writeInheritance(elem),
+        },
+        "members",
       );
-      if (classfiedAttributes._public.length > 0) {
-        codeWriter.writeLine("public: ");
+      declaration.before.forEach((line) => codeWriter.writeLine(line));
+      var specialMembers = cppCodeGen.getSpecialMembers(elem);
+      var accessors = cppCodeGen.getAccessors(elem, false);
+      var stateMachine = cppCodeGen.getStateMachineDeclarations(elem);
+      if (
+        specialMembers.length > 0 ||
+        accessors.length > 0 ||
+        stateMachine._public.length > 0 ||
+        classfiedAttributes._public.length > 0
+      ) {
+        // public is the default access of a struct
+        if (!cppCodeGen.isStruct(elem)) {
+          codeWriter.writeLine("public: ");
+        }
         codeWriter.indent();
+        specialMembers.forEach((line) => codeWriter.writeLine(line));
         write(classfiedAttributes._public);
+        accessors.forEach((line) => codeWriter.writeLine(line));
+        stateMachine._public.forEach((line) => codeWriter.writeLine(line));
         codeWriter.outdent();
       }
-      if (classfiedAttributes._protected.length > 0) {
+      if (
+        classfiedAttributes._protected.length > 0 ||
+        stateMachine._protected.length > 0
+      ) {
         codeWriter.writeLine("protected: ");
         codeWriter.indent();
         write(classfiedAttributes._protected);
+        stateMachine._protected.forEach((line) => codeWriter.writeLine(line));
         codeWriter.outdent();
       }
-      if (classfiedAttributes._private.length > 0) {
+      if (
+        classfiedAttributes._private.length > 0 ||
+        stateMachine._private.length > 0
+      ) {
         codeWriter.writeLine("private: ");
         codeWriter.indent();
         write(classfiedAttributes._private);
+        stateMachine._private.forEach((line) => codeWriter.writeLine(line));
         codeWriter.outdent();
       }
+      codeWriter.indent();
+      cppCodeGen.writeUserCodeRegion(
+        codeWriter,
+        elem._id + ":members",
+        elem.name + " members",
+      );
+      codeWriter.outdent();
 
-      codeWriter.writeLine("};");
+      declaration.after.forEach((line) => codeWriter.writeLine(line));
     };
 
     var writeClassBody = (codeWriter, elem, cppCodeGen) => {
@@ -272,14 +628,29 @@ class CppCodeGenerator {
         }
       };
 
-      // parsing class
-      var methodList = cppCodeGen.classifyVisibility(elem.operations.slice(0));
+      // parsing class, only operations defined in *.cpp
+      var methodList = cppCodeGen.classifyVisibility(
+        elem.operations.filter((op) => cppCodeGen.hasCppBody(op)),
+      );
       var docs = elem.name + " implementation\n\n";
       if (typeof elem.documentation === "string") {
         docs += elem.documentation;
       }
       codeWriter.writeLine(cppCodeGen.getDocuments(docs));
+      cppCodeGen
+        .getStaticDefinitions(elem)
+        .forEach((line) => codeWriter.writeLine(line));
+      var constructor = cppCodeGen.getConstructorDefinition(elem);
+      if (constructor !== null) {
+        codeWriter.writeLine(constructor);
+      }
       writeClassMethod(methodList);
+      cppCodeGen
+        .getAccessors(elem, true)
+        .forEach((line) => codeWriter.writeLine(line));
+      cppCodeGen
+        .getStateMachineDefinitions(elem)
+        .forEach((line) => codeWriter.writeLine(line));
 
       // parsing nested class
       var innerClass = [];
@@ -293,48 +664,122 @@ class CppCodeGenerator {
         innerClass = cppCodeGen.classifyVisibility(innerClass);
         writeClassMethod(innerClass);
       }
+
+      if (
+        !(elem._parent instanceof type.UMLClass) &&
+        cppCodeGen.getDefinitionExtension(elem) === _CPP_CODE_GEN_CPP
+      ) {
+        var instantiations = cppCodeGen.getExplicitInstantiations(elem);
+        if (instantiations.length > 0) {
+          codeWriter.writeLine();
+          instantiations.forEach((args) => {
+            codeWriter.writeLine(
+              "template " +
+                cppCodeGen.getClassKey(elem) +
+                " " +
+                elem.name +
+                "<" +
+                args +
+                ">;",
+            );
+          });
+        }
+      }
+    };
+
+    // class without *.cpp file, generated definitions inline after the class
+    var writeClassInline = (codeWriter, elem, cppCodeGen) => {
+      var writeDefinitions = (elem) => {
+        cppCodeGen
+          .getStateMachineDefinitions(elem, true)
+          .forEach((line) => codeWriter.writeLine(line));
+        elem.ownedElements
+          .filter((child) => child instanceof type.UMLClass)
+          .forEach((child) => writeDefinitions(child));
+      };
+      writeClassHeader(codeWriter, elem, cppCodeGen);
+      writeDefinitions(elem);
     };
 
     var fullPath, file;
 
-    // Package -> as namespace or not
+    // Package -> as folder, namespace or both
     if (elem instanceof type.UMLPackage) {
-      fullPath = path.join(basePath, elem.name);
-      fs.mkdirSync(fullPath);
+      fullPath = basePath;
+      if (options.packageMode !== _CPP_PACKAGE_NAMESPACE) {
+        fullPath = path.join(basePath, elem.name);
+        if (!this.fs.existsSync(fullPath)) {
+          this.fs.mkdirSync(fullPath);
+        }
+      }
       if (Array.isArray(elem.ownedElements)) {
         elem.ownedElements.forEach((child) => {
           return this.generate(child, fullPath, options);
         });
       }
     } else if (elem instanceof type.UMLClass) {
+      // class templates are defined even if no *.cpp file is generated
+      var definitions = this.getDefinitionExtension(elem);
+      if (definitions === _CPP_CODE_GEN_CPP && !options.genCpp) {
+        definitions = null;
+      }
       // generate class header elem_name.h
       file = getFilePath(_CPP_CODE_GEN_H);
-      fs.writeFileSync(
+      this.writeFile(
         file,
-        this.writeHeaderSkeletonCode(elem, options, writeClassHeader),
+        this.writeHeaderSkeletonCode(
+          elem,
+          options,
+          definitions === null ? writeClassInline : writeClassHeader,
+          definitions === _CPP_CODE_GEN_H ? writeClassBody : null,
+        ),
       );
-      // generate class cpp elem_name.cpp
-      if (options.genCpp) {
+      // generate class cpp elem_name.cpp, or elem_name.tpp for templates
+      if (definitions === _CPP_CODE_GEN_CPP) {
         file = getFilePath(_CPP_CODE_GEN_CPP);
-        fs.writeFileSync(
+      } else if (definitions !== null && definitions !== _CPP_CODE_GEN_H) {
+        file = path.join(basePath, this.getFileName(elem) + "." + definitions);
+      } else {
+        file = null;
+      }
+      if (file !== null) {
+        this.writeFile(
           file,
           this.writeBodySkeletonCode(elem, options, writeClassBody),
         );
       }
+      // generate test skeleton tests/<folders>/elem_nameTest.cpp
+      if (options.testSkeletons) {
+        this.writeTestSkeleton(elem, getFilePath(_CPP_CODE_GEN_H));
+      }
+      // generate mock MockElem_name.h
+      if (options.gmock && this.isMockable(elem)) {
+        this.writeFile(
+          getMockFilePath(),
+          this.writeMockHeaderCode(elem, options),
+        );
+      }
     } else if (elem instanceof type.UMLInterface) {
       /*
        * interface will convert to class which only contains virtual method and member variable.
        */
       // generate interface header ONLY elem_name.h
       file = getFilePath(_CPP_CODE_GEN_H);
-      fs.writeFileSync(
+      this.writeFile(
         file,
         this.writeHeaderSkeletonCode(elem, options, writeClassHeader),
       );
+      // generate mock MockElem_name.h
+      if (options.gmock && this.isMockable(elem)) {
+        this.writeFile(
+          getMockFilePath(),
+          this.writeMockHeaderCode(elem, options),
+        );
+      }
     } else if (elem instanceof type.UMLEnumeration) {
       // generate enumeration header ONLY elem_name.h
       file = getFilePath(_CPP_CODE_GEN_H);
-      fs.writeFileSync(
+      this.writeFile(
         file,
         this.writeHeaderSkeletonCode(elem, options, writeEnumeration),
       );
@@ -348,26 +793,77 @@ class CppCodeGenerator {
    * @param {Object} elem
    * @param {Object} options
    * @param {Object} funct
+   * @param {?Object} definitionFunct writes definitions of a class template
+   *     after the class, if any
    * @return {string}
    */
-  writeHeaderSkeletonCode(elem, options, funct) {
-    var headerString = "_" + elem.name.toUpperCase() + "_H";
+  writeHeaderSkeletonCode(elem, options, funct, definitionFunct = null) {
+    var headerString = this.getIncludeGuard(elem);
     var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
     var includePart = this.getIncludePart(elem);
-    codeWriter.writeLine(copyrightHeader);
+    codeWriter.writeLine(
+      this.getFileHeader(
+        elem,
+        this.getFileName(elem) +
+          "." +
+          this.getFileExtension(elem, _CPP_CODE_GEN_H),
+        true,
+      ),
+    );
     codeWriter.writeLine();
-    codeWriter.writeLine("#ifndef " + headerString);
-    codeWriter.writeLine("#define " + headerString);
+    if (headerString === null) {
+      codeWriter.writeLine("#pragma once");
+    } else {
+      codeWriter.writeLine("#ifndef " + headerString);
+      codeWriter.writeLine("#define " + headerString);
+    }
     codeWriter.writeLine();
 
     if (includePart.length > 0) {
       codeWriter.writeLine(includePart);
       codeWriter.writeLine();
     }
+    if (options.mergeUserCode) {
+      this.writeUserCodeRegion(codeWriter, elem._id + ":includes", "includes");
+      codeWriter.writeLine();
+    }
+    this.writeForwardDeclarations(codeWriter, elem);
+    this.writeNamespaceBegin(codeWriter, elem, options);
     funct(codeWriter, elem, this);
+    if (definitionFunct !== null) {
+      // the definitions use forward declared elements, so their headers are
+      // included after the class
+      if (this.getIncludes(elem).forwards.length > 0) {
+        this.writeNamespaceEnd(codeWriter, elem, options);
+        codeWriter.writeLine();
+        this.writeForwardIncludes(codeWriter, elem);
+        codeWriter.writeLine();
+        this.writeNamespaceBegin(codeWriter, elem, options);
+      } else {
+        codeWriter.writeLine();
+      }
+      definitionFunct(codeWriter, elem, this);
+    }
+    this.writeNamespaceEnd(codeWriter, elem, options);
 
-    codeWriter.writeLine();
-    codeWriter.writeLine("#endif //" + headerString);
+    // definitions of class template in a separate file
+    if (elem instanceof type.UMLClass) {
+      var definitions = this.getDefinitionExtension(elem);
+      if (
+        definitions !== _CPP_CODE_GEN_H &&
+        definitions !== _CPP_CODE_GEN_CPP
+      ) {
+        codeWriter.writeLine();
+        codeWriter.writeLine(
+          '#include "' + this.getFileName(elem) + "." + definitions + '"',
+        );
+      }
+    }
+
+    if (headerString !== null) {
+      codeWriter.writeLine();
+      codeWriter.writeLine("#endif //" + headerString);
+    }
     return codeWriter.getData();
   }
 
@@ -382,304 +878,3355 @@ class CppCodeGenerator {
    */
   writeBodySkeletonCode(elem, options, funct) {
     var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
-    codeWriter.writeLine(copyrightHeader);
+    var extension = this.getDefinitionExtension(elem);
+    if (extension === _CPP_CODE_GEN_CPP) {
+      extension = this.getFileExtension(elem, _CPP_CODE_GEN_CPP);
+    }
+    codeWriter.writeLine(
+      this.getFileHeader(elem, this.getFileName(elem) + "." + extension, false),
+    );
     codeWriter.writeLine();
-    codeWriter.writeLine('#include "' + elem.name + '.h"');
+    codeWriter.writeLine(
+      '#include "' +
+        this.getFileName(elem) +
+        "." +
+        this.getFileExtension(elem, _CPP_CODE_GEN_H) +
+        '"',
+    );
+    this.writeForwardIncludes(codeWriter, elem);
+    // std::logic_error thrown by method stubs
+    if (
+      options.methodStubs === _CPP_STUB_THROW &&
+      options.includeHeader !== false
+    ) {
+      codeWriter.writeLine("#include <stdexcept>");
+    }
     codeWriter.writeLine();
+    if (options.mergeUserCode) {
+      this.writeUserCodeRegion(codeWriter, elem._id + ":includes", "includes");
+      codeWriter.writeLine();
+    }
+    this.writeNamespaceBegin(codeWriter, elem, options);
     funct(codeWriter, elem, this);
+    if (options.mergeUserCode) {
+      codeWriter.writeLine();
+      this.writeUserCodeRegion(
+        codeWriter,
+        elem._id + ":definitions",
+        "definitions",
+      );
+    }
+    this.writeNamespaceEnd(codeWriter, elem, options);
     return codeWriter.getData();
   }
 
   /**
-   * Parsing template parameter
+   * Return state machine owned by class, prepared for code generation, or
+   * null if there is none. States of composite states are states of the
+   * machine knowing their parent state and their own initial state. Only the
+   * first region of a state having orthogonal regions is generated, with a
+   * warning. Transitions without trigger, or from or to pseudostates other
+   * than initial ones, are ignored with a warning.
    *
-   * @param {Object} elem
-   * @return {Object} string
+   * @param {type.UMLClass} elem
+   * @return {?{states: Array.<Object>, events: Array.<string>, initial: Object, initialEffect: ?Object, transitions: Array.<Object>}}
    */
-  getTemplateParameter(elem) {
-    var i;
-    var returnTemplateString = "";
-    if (elem.templateParameters.length <= 0) {
-      return returnTemplateString;
-    }
-    var term = [];
-    returnTemplateString = "template<";
-    for (i = 0; i < elem.templateParameters.length; i++) {
-      var template = elem.templateParameters[i];
-      var templateStr = template.parameterType + " ";
-      templateStr += template.name + " ";
-      if (template.defaultValue.length !== 0) {
-        templateStr += " = " + template.defaultValue;
-      }
-      term.push(templateStr);
+  getStateMachine(elem) {
+    if (this.stateMachines.has(elem)) {
+      return this.stateMachines.get(elem);
+    }
+    var machines = (elem.ownedElements || []).filter(
+      (child) => child instanceof type.UMLStateMachine,
+    );
+    var result = null;
+    if (machines.length > 1) {
+      this.warn(
+        "Class " +
+          elem.name +
+          " has " +
+          machines.length +
+          " state machines, only " +
+          machines[0].name +
+          " is generated",
+      );
+    }
+    if (machines.length > 0) {
+      result = this.buildStateMachine(machines[0]);
     }
-    returnTemplateString += term.join(", ");
-    returnTemplateString += ">";
-    return returnTemplateString;
+    this.stateMachines.set(elem, result);
+    return result;
   }
 
   /**
-   * Parsing include header
+   * Build view of state machine used by getStateMachine
    *
-   * @param {Object} elem
-   * @return {Object} string
+   * @param {type.UMLStateMachine} machine
+   * @return {?Object} null if the machine has no states
    */
-  getIncludePart(elem) {
-    var i;
-    var trackingHeader = (elem, target) => {
-      var header = "";
-      var elementString = "";
-      var targetString = "";
+  buildStateMachine(machine) {
+    // "fast mode" -> "FastMode"
+    var identifier = (name) => {
+      var id = (name || "")
+        .split(/[^A-Za-z0-9_]+/)
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join("");
+      return /^[0-9]/.test(id) ? "_" + id : id;
+    };
+    var uniqueName = (name, names) => {
+      var unique = name;
       var i;
-
-      while (elem._parent._parent !== null) {
-        elementString =
-          elementString.length !== 0
-            ? elem.name + "/" + elementString
-            : elem.name;
-        elem = elem._parent;
-      }
-      while (target._parent._parent !== null) {
-        targetString =
-          targetString.length !== 0
-            ? target.name + "/" + targetString
-            : target.name;
-        target = target._parent;
-      }
-
-      var idx;
-      for (
-        i = 0;
-        i < (elementString.length < targetString.length)
-          ? elementString.length
-          : targetString.length;
-        i++
-      ) {
-        if (elementString[i] === targetString[i]) {
-          if (elementString[i] === "/" && targetString[i] === "/") {
-            idx = i + 1;
-          }
-        } else {
-          break;
-        }
+      for (i = 2; names.includes(unique); i++) {
+        unique = name + i;
       }
+      names.push(unique);
+      return unique;
+    };
+    var getNames = (behaviors) =>
+      (behaviors || [])
+        .map((behavior) => behavior.name)
+        .filter((name) => name && name.length > 0)
+        .join(", ");
+    var label = (vertex) => vertex.name || "(unnamed)";
 
-      // remove common path
-      elementString = elementString.substring(idx, elementString.length);
-      targetString = targetString.substring(idx, targetString.length);
-      for (i = 0; i < elementString.split("/").length - 1; i++) {
-        header += "../";
+    var vertices = [];
+    var transitions = [];
+    var parents = new Map();
+    var collect = (owner, parent) => {
+      var regions = owner.regions || [];
+      if (regions.length > 1) {
+        this.warn(
+          (parent === null ? "State machine " : "State ") +
+            label(owner) +
+            " has orthogonal regions, only its first region is generated",
+        );
       }
-      header += targetString;
-      return header;
+      regions.slice(0, 1).forEach((region) => {
+        (region.vertices || []).forEach((vertex) => {
+          vertices.push(vertex);
+          parents.set(vertex, parent);
+          if (vertex instanceof type.UMLState) {
+            collect(vertex, vertex);
+          }
+        });
+        transitions = transitions.concat(region.transitions || []);
+      });
     };
+    collect(machine, null);
 
-    var headerString = "";
-    if (app.repository.getRelationshipsOf(elem).length <= 0) {
-      return "";
+    var stateNames = [];
+    var states = vertices
+      .filter((vertex) => vertex instanceof type.UMLState)
+      .map((vertex) => {
+        var name = identifier(vertex.name);
+        if (name.length === 0) {
+          name = vertex instanceof type.UMLFinalState ? "Final" : "State";
+        }
+        name = uniqueName(name, stateNames);
+        return {
+          elem: vertex,
+          name: name,
+          parent: null,
+          initial: null,
+          initialEffect: null,
+          entry: getNames(vertex.entryActivities),
+          exit: getNames(vertex.exitActivities),
+          hasEntry: (vertex.entryActivities || []).length > 0,
+          hasExit: (vertex.exitActivities || []).length > 0,
+        };
+      });
+    if (states.length === 0) {
+      return null;
     }
-    var associations = app.repository.getRelationshipsOf(elem, function (rel) {
-      return rel instanceof type.UMLAssociation;
+    var stateOf = (vertex) =>
+      states.find((state) => state.elem === vertex) || null;
+    states.forEach((state) => {
+      state.parent = stateOf(parents.get(state.elem));
     });
-    var realizations = app.repository.getRelationshipsOf(elem, function (rel) {
-      return (
-        rel instanceof type.UMLInterfaceRealization ||
-        rel instanceof type.UMLGeneralization
+
+    // initial state of the machine (parent null) or of a composite state
+    var initialVertices = vertices.filter(
+      (vertex) =>
+        vertex instanceof type.UMLPseudostate && vertex.kind === "initial",
+    );
+    var initialTransitions = [];
+    var getInitial = (parent) => {
+      var initialVertex = initialVertices.find(
+        (vertex) => stateOf(parents.get(vertex)) === parent,
+      );
+      var initialTransition = transitions.find(
+        (t) =>
+          initialVertex !== undefined &&
+          t.source === initialVertex &&
+          stateOf(t.target) !== null,
       );
+      if (initialTransition) {
+        initialTransitions.push(initialTransition);
+        return {
+          state: stateOf(initialTransition.target),
+          effect:
+            (initialTransition.effects || []).length > 0
+              ? {
+                  elem: initialTransition,
+                  effect: getNames(initialTransition.effects),
+                }
+              : null,
+        };
+      }
+      var first = states.find((state) => state.parent === parent);
+      return first ? { state: first, effect: null } : null;
+    };
+    states.forEach((state) => {
+      var stateInitial = getInitial(state);
+      if (stateInitial !== null) {
+        state.initial = stateInitial.state;
+        state.initialEffect = stateInitial.effect;
+      }
     });
+    var initial = getInitial(null);
 
-    // check for interface or class
-    for (i = 0; i < realizations.length; i++) {
-      var realize = realizations[i];
-      if (realize.target === elem) {
-        continue;
+    var events = [];
+    var transitionNames = [];
+    var items = [];
+    transitions.forEach((t) => {
+      if (initialTransitions.includes(t)) {
+        return;
       }
-      headerString +=
-        '#include "' + trackingHeader(elem, realize.target) + '.h"\n';
-    }
-
-    // check for member variable
-    for (i = 0; i < associations.length; i++) {
-      var asso = associations[i];
-      var target;
-      if (
-        asso.end1.reference === elem &&
-        asso.end2.navigable !== "notNavigable" &&
-        asso.end2.name.length !== 0
-      ) {
-        target = asso.end2.reference;
-      } else if (
-        asso.end2.reference === elem &&
-        asso.end1.navigable !== "notNavigable" &&
-        asso.end1.name.length !== 0
-      ) {
-        target = asso.end1.reference;
-      } else {
-        continue;
+      var source = stateOf(t.source);
+      var target = stateOf(t.target);
+      var description = label(t.source || {}) + " -> " + label(t.target || {});
+      if (source === null || target === null) {
+        if (!initialVertices.includes(t.source)) {
+          this.warn(
+            "Transition " +
+              description +
+              " of state machine " +
+              machine.name +
+              " connects a pseudostate and is ignored",
+          );
+        }
+        return;
       }
-      if (target === elem) {
-        continue;
+      var triggers = (t.triggers || [])
+        .map((event) => identifier(event.name))
+        .filter((name) => name.length > 0);
+      if (triggers.length === 0) {
+        this.warn(
+          "Transition " +
+            description +
+            " of state machine " +
+            machine.name +
+            " has no trigger and is ignored",
+        );
+        return;
       }
-      headerString += '#include "' + trackingHeader(elem, target) + '.h"\n';
-    }
-    return headerString;
+      triggers.forEach((name) => {
+        if (!events.includes(name)) {
+          events.push(name);
+        }
+      });
+      var name = identifier(t.name);
+      name = uniqueName(
+        name.length > 0 ? name : source.name + triggers.join("") + target.name,
+        transitionNames,
+      );
+      items.push({
+        elem: t,
+        name: name,
+        description: description,
+        source: source,
+        target: target,
+        events: triggers,
+        guard: (t.guard || "").trim(),
+        effect: getNames(t.effects),
+        hasEffect: (t.effects || []).length > 0,
+        isInternal: t.kind === "internal",
+      });
+    });
+
+    return {
+      states: states,
+      events: events,
+      initial: initial.state,
+      initialEffect: initial.effect,
+      transitions: items,
+    };
   }
 
   /**
-   * Classfy method and attribute by accessor.(public, private, protected)
+   * Return declarations of the state machine of class by access: `State`
+   * and `Event` enums, `start()`, `dispatch()` and `getState()` (public),
+   * guard, effect, entry and exit hooks (protected virtual), and the current
+   * state (private), plus a class and an object per state if "State Machine
+   * Style" is the state pattern.
    *
-   * @param {Object} items
-   * @return {Object} list
+   * @param {type.UMLClass} elem
+   * @return {{_public: Array.<string>, _protected: Array.<string>, _private: Array.<string>}}
    */
-  classifyVisibility(items) {
-    var publicList = [];
-    var protectedList = [];
-    var privateList = [];
-    var i;
-    for (i = 0; i < items.length; i++) {
-      var item = items[i];
-      var visib = this.getVisibility(item);
+  getStateMachineDeclarations(elem) {
+    var lines = { _public: [], _protected: [], _private: [] };
+    var sm = elem instanceof type.UMLClass ? this.getStateMachine(elem) : null;
+    if (sm === null) {
+      return lines;
+    }
+    var indent = this.getIndentString(this.genOptions);
+    var writeDocs = (list, text) => {
+      this.getDocumentLines(this.getDocuments(text)).forEach((line) =>
+        list.push(line),
+      );
+    };
 
-      if (visib === "public") {
-        publicList.push(item);
-      } else if (visib === "private") {
-        privateList.push(item);
+    lines._public.push(
+      "enum class State { " +
+        sm.states.map((state) => state.name).join(", ") +
+        " };",
+    );
+    lines._public.push("enum class Event { " + sm.events.join(", ") + " };");
+    lines._public.push("");
+    writeDocs(lines._public, "Enter initial state " + sm.initial.name);
+    lines._public.push("void start();");
+    writeDocs(
+      lines._public,
+      "Dispatch event to current state\n@param event\n@return whether a transition was taken",
+    );
+    lines._public.push("bool dispatch(Event event);");
+    lines._public.push("State getState() const;");
+
+    this.getStateMachineHooks(sm).forEach((hook, index) => {
+      if (index > 0) {
+        lines._protected.push("");
+      }
+      writeDocs(lines._protected, hook.docs);
+      lines._protected.push(
+        "virtual " + hook.returnType + " " + hook.name + "();",
+      );
+    });
+
+    if (this.genOptions.stateMachine === _CPP_STATE_PATTERN) {
+      lines._private.push("class StateBase {");
+      lines._private.push("public:");
+      lines._private.push(indent + "virtual ~StateBase() = default;");
+      lines._private.push(
+        indent +
+          "virtual bool dispatch(" +
+          elem.name +
+          "& machine, Event event) = 0;",
+      );
+      lines._private.push("};");
+      sm.states.forEach((state) => {
+        lines._private.push(
+          "class " + state.name + "State : public StateBase {",
+        );
+        lines._private.push("public:");
+        lines._private.push(
+          indent +
+            "bool dispatch(" +
+            elem.name +
+            "& machine, Event event) override;",
+        );
+        lines._private.push("};");
+      });
+      lines._private.push("");
+      lines._private.push("StateBase& getStateObject(State state);");
+    }
+    lines._private.push("void enterState(State state);");
+    if (this.genOptions.stateMachine === _CPP_STATE_PATTERN) {
+      sm.states.forEach((state) => {
+        lines._private.push(
+          state.name + "State " + this.getStateObjectName(state) + ";",
+        );
+      });
+    }
+    // the state objects are looked up by the current state rather than
+    // pointed to, so that copies of the class keep their own state
+    lines._private.push("State currentState = State::" + sm.initial.name + ";");
+    return lines;
+  }
+
+  /**
+   * Return member name of the object of state in the state pattern
+   *
+   * @param {Object} state
+   * @return {string}
+   */
+  getStateObjectName(state) {
+    return state.name.replace(/^./, (c) => c.toLowerCase()) + "State";
+  }
+
+  /**
+   * Return hooks of state machine: guards and effects of transitions, entry
+   * and exit actions of states
+   *
+   * @param {Object} sm result of getStateMachine
+   * @return {Array.<{name: string, returnType: string, docs: string, key: string, body: string}>}
+   */
+  getStateMachineHooks(sm) {
+    var hooks = [];
+    if (sm.initialEffect !== null) {
+      hooks.push({
+        name: "effectInitial",
+        returnType: "void",
+        docs: "Effect of initial transition: " + sm.initialEffect.effect,
+        key: sm.initialEffect.elem._id + ":effect",
+        body: "",
+      });
+    }
+    sm.states.forEach((state) => {
+      if (state.initialEffect !== null) {
+        hooks.push({
+          name: "effectInitial" + state.name,
+          returnType: "void",
+          docs:
+            "Effect of initial transition of state " +
+            state.name +
+            ": " +
+            state.initialEffect.effect,
+          key: state.initialEffect.elem._id + ":effect",
+          body: "",
+        });
+      }
+    });
+    sm.transitions.forEach((t) => {
+      if (t.guard.length > 0) {
+        hooks.push({
+          name: "guard" + t.name,
+          returnType: "bool",
+          docs: "Guard [" + t.guard + "] of transition " + t.description,
+          key: t.elem._id + ":guard",
+          body: "return true;",
+        });
+      }
+      if (t.hasEffect) {
+        hooks.push({
+          name: "effect" + t.name,
+          returnType: "void",
+          docs:
+            "Effect of transition " +
+            t.description +
+            (t.effect.length > 0 ? ": " + t.effect : ""),
+          key: t.elem._id + ":effect",
+          body: "",
+        });
+      }
+    });
+    sm.states.forEach((state) => {
+      if (state.hasEntry) {
+        hooks.push({
+          name: "onEnter" + state.name,
+          returnType: "void",
+          docs:
+            "Entry action of state " +
+            state.name +
+            (state.entry.length > 0 ? ": " + state.entry : ""),
+          key: state.elem._id + ":entry",
+          body: "",
+        });
+      }
+      if (state.hasExit) {
+        hooks.push({
+          name: "onExit" + state.name,
+          returnType: "void",
+          docs:
+            "Exit action of state " +
+            state.name +
+            (state.exit.length > 0 ? ": " + state.exit : ""),
+          key: state.elem._id + ":exit",
+          body: "",
+        });
+      }
+    });
+    return hooks;
+  }
+
+  /**
+   * Return definitions of the state machine of class: `start()`,
+   * `dispatch()`, `getState()`, `enterState()`, default hooks and the
+   * classes of states. An event not handled by the current state is handled
+   * by its enclosing states, and entering a composite state enters its
+   * initial state.
+   *
+   * @param {type.UMLClass} elem
+   * @param {boolean} isInline defined in the header after the class
+   * @return {Array.<string>}
+   */
+  getStateMachineDefinitions(elem, isInline) {
+    var sm = this.getStateMachine(elem);
+    if (sm === null) {
+      return [];
+    }
+    var isStatePattern = this.genOptions.stateMachine === _CPP_STATE_PATTERN;
+    var indent = this.getIndentString(this.genOptions);
+    var templatePrefix =
+      this.getClassTemplatePrefix(elem) + (isInline ? "inline " : "");
+    var specifier = this.getScopeSpecifier(elem);
+    var definitions = [];
+    var define = (head, body) => {
+      definitions.push(
+        "\n" +
+          templatePrefix +
+          head +
+          " {\n" +
+          body
+            .map((line) => (line.length > 0 ? indent + line : line))
+            .join("\n") +
+          (body.length > 0 ? "\n" : "") +
+          "}",
+      );
+    };
+    var indented = (lines) => lines.map((line) => indent + line);
+    // state, its parent, ..., up to but not including the state until
+    var getAncestors = (state, until) => {
+      var ancestors = [];
+      for (; state !== null && state !== until; state = state.parent) {
+        ancestors.push(state);
+      }
+      return ancestors;
+    };
+    // enter parents of state below the state until, then state itself
+    var getEntryCode = (state, until, prefix) =>
+      getAncestors(state.parent, until)
+        .reverse()
+        .filter((parent) => parent.hasEntry)
+        .map((parent) => prefix + "onEnter" + parent.name + "();")
+        .concat([prefix + "enterState(State::" + state.name + ");"]);
+    // transitions of state, then of its enclosing states
+    var getHandledTransitions = (state) =>
+      getAncestors(state, null).reduce(
+        (handled, ancestor) =>
+          handled.concat(sm.transitions.filter((t) => t.source === ancestor)),
+        [],
+      );
+
+    // if (event == ...) { exit, effect, enter } in the current state
+    var getTransitionCode = (t, prefix, current) => {
+      var condition = t.events
+        .map((name) => "event == Event::" + name)
+        .join(" || ");
+      if (t.guard.length > 0) {
+        if (t.events.length > 1) {
+          condition = "(" + condition + ")";
+        }
+        condition += " && " + prefix + "guard" + t.name + "()";
+      }
+      // innermost state enclosing both source and target, which is left
+      var targetParents = getAncestors(t.target.parent, null);
+      var common =
+        getAncestors(t.source.parent, null).find((state) =>
+          targetParents.includes(state),
+        ) || null;
+      var body = [];
+      if (!t.isInternal) {
+        getAncestors(current, common)
+          .filter((state) => state.hasExit)
+          .forEach((state) => {
+            body.push(prefix + "onExit" + state.name + "();");
+          });
+      }
+      if (t.hasEffect) {
+        body.push(prefix + "effect" + t.name + "();");
+      }
+      if (!t.isInternal) {
+        body = body.concat(getEntryCode(t.target, common, prefix));
+      }
+      body.push("return true;");
+      return ["if (" + condition + ") {"].concat(indented(body), ["}"]);
+    };
+
+    var start = [];
+    if (sm.initialEffect !== null) {
+      start.push("effectInitial();");
+    }
+    define(
+      "void " + specifier + "start()",
+      start.concat(getEntryCode(sm.initial, null, "")),
+    );
+
+    var dispatch = [];
+    if (isStatePattern) {
+      dispatch.push(
+        "return getStateObject(currentState).dispatch(*this, event);",
+      );
+    } else {
+      dispatch.push("switch (currentState) {");
+      sm.states.forEach((state) => {
+        var handled = getHandledTransitions(state);
+        if (handled.length > 0) {
+          dispatch.push("case State::" + state.name + ":");
+          handled.forEach((t) => {
+            dispatch = dispatch.concat(
+              indented(getTransitionCode(t, "", state)),
+            );
+          });
+          dispatch.push(indent + "break;");
+        }
+      });
+      dispatch.push("default:");
+      dispatch.push(indent + "break;");
+      dispatch.push("}");
+      dispatch.push("return false;");
+    }
+    define("bool " + specifier + "dispatch(Event event)", dispatch);
+
+    define("auto " + specifier + "getState() const -> State", [
+      "return currentState;",
+    ]);
+
+    if (isStatePattern) {
+      var lookup = ["switch (state) {"];
+      sm.states.forEach((state) => {
+        lookup.push("case State::" + state.name + ":");
+        lookup.push(indent + "return " + this.getStateObjectName(state) + ";");
+      });
+      lookup.push("}");
+      lookup.push("return " + this.getStateObjectName(sm.initial) + ";");
+      define(
+        "auto " + specifier + "getStateObject(State state) -> StateBase&",
+        lookup,
+      );
+    }
+
+    var enter = ["currentState = state;", "switch (state) {"];
+    sm.states.forEach((state) => {
+      if (state.hasEntry || state.initial !== null) {
+        enter.push("case State::" + state.name + ":");
+        if (state.hasEntry) {
+          enter.push(indent + "onEnter" + state.name + "();");
+        }
+        if (state.initialEffect !== null) {
+          enter.push(indent + "effectInitial" + state.name + "();");
+        }
+        if (state.initial !== null) {
+          enter = enter.concat(
+            indented(getEntryCode(state.initial, state, "")),
+          );
+        }
+        enter.push(indent + "break;");
+      }
+    });
+    enter.push("default:");
+    enter.push(indent + "break;");
+    enter.push("}");
+    define("void " + specifier + "enterState(State state)", enter);
+
+    this.getStateMachineHooks(sm).forEach((hook) => {
+      var body = hook.body.length > 0 ? [hook.body] : [];
+      if (this.genOptions.mergeUserCode) {
+        body = [
+          codegen.getUserCodeBegin(hook.key, specifier + hook.name + "()"),
+        ].concat(body, [codegen.getUserCodeEnd(hook.key)]);
+      }
+      definitions.push(
+        "\n" +
+          this.getDocuments(hook.docs) +
+          templatePrefix +
+          hook.returnType +
+          " " +
+          specifier +
+          hook.name +
+          "() {\n" +
+          body.map((line) => indent + line + "\n").join("") +
+          "}",
+      );
+    });
+
+    if (isStatePattern) {
+      sm.states.forEach((state) => {
+        var stateSpecifier = specifier + state.name + "State::";
+        var body = [];
+        getHandledTransitions(state).forEach((t) => {
+          body = body.concat(getTransitionCode(t, "machine.", state));
+        });
+        body.push("return false;");
+        if (body.length === 1) {
+          body.unshift("(void)machine;", "(void)event;");
+        }
+        define(
+          "bool " +
+            stateSpecifier +
+            "dispatch(" +
+            elem.name +
+            "& machine, Event event)",
+          body,
+        );
+      });
+    }
+    return definitions;
+  }
+
+  /**
+   * Whether gMock mock is generated for elem: interfaces and classes having
+   * pure virtual operations. Final classes can not be derived from by the
+   * mock and are reported instead.
+   *
+   * @param {type.UMLClassifier} elem
+   * @return {boolean}
+   */
+  isMockable(elem) {
+    var isMockable =
+      elem instanceof type.UMLInterface ||
+      (elem instanceof type.UMLClass &&
+        elem.operations.some((op) => this.isPureVirtual(op)));
+    if (
+      isMockable &&
+      (elem.isFinalSpecialization === true || elem.isLeaf === true)
+    ) {
+      this.warn("No mock is generated for " + elem.name + ", it is final");
+      return false;
+    }
+    return isMockable;
+  }
+
+  /**
+   * Return file name (without extension) of the mock of elem
+   *
+   * @param {type.UMLClassifier} elem
+   * @return {string}
+   */
+  getMockFileName(elem) {
+    return this.formatFileName(_CPP_MOCK_PREFIX + elem.name);
+  }
+
+  /**
+   * Return virtual operations of elem and its superclasses to be mocked,
+   * the most derived one of each signature unless it is `final` (`isLeaf`)
+   *
+   * @param {type.UMLClassifier} elem
+   * @return {Array.<type.UMLOperation>}
+   */
+  getMockedOperations(elem) {
+    var operations = [];
+    var signatures = [];
+    var visited = [];
+    var collect = (classifier) => {
+      if (!classifier || visited.includes(classifier)) {
+        return;
+      }
+      visited.push(classifier);
+      (classifier.operations || []).forEach((op) => {
+        var signature = this.getOperationSignature(op);
+        if (
+          op.name.length > 0 &&
+          this.getOperationKind(op) === null &&
+          op.isStatic !== true &&
+          this.isVirtual(op) &&
+          !signatures.includes(signature)
+        ) {
+          signatures.push(signature);
+          if (op.isLeaf !== true) {
+            operations.push(op);
+          }
+        }
+      });
+      this.getSuperClasses(classifier).forEach((generalization) =>
+        collect(generalization.target),
+      );
+    };
+    collect(elem);
+    return operations;
+  }
+
+  /**
+   * Return `MOCK_METHOD` declaration of operation. Types having commas are
+   * parenthesized.
+   *
+   * @param {type.UMLOperation} elem
+   * @return {string}
+   */
+  getMockMethod(elem) {
+    var wrap = (_type) => (_type.includes(",") ? "(" + _type + ")" : _type);
+    var parameterTypes = elem.parameters
+      .filter((param) => param.direction !== "return")
+      .map((param) => wrap(this.getParameterType(param)));
+    var specs = [];
+    if (elem.isQuery === true) {
+      specs.push("const");
+    }
+    if (this.hasSpecifier(elem, "noexcept")) {
+      specs.push("noexcept");
+    }
+    specs.push("override");
+    return (
+      "MOCK_METHOD(" +
+      wrap(this.getReturnType(elem)) +
+      ", " +
+      elem.name +
+      ", (" +
+      parameterTypes.join(", ") +
+      "), (" +
+      specs.join(", ") +
+      "));"
+    );
+  }
+
+  /**
+   * Write gMock mock header of interface or abstract class, inheriting the
+   * constructors of a class. Returns text
+   *
+   * @param {type.UMLClassifier} elem
+   * @param {Object} options
+   * @return {string}
+   */
+  writeMockHeaderCode(elem, options) {
+    var mockName = _CPP_MOCK_PREFIX + elem.name;
+    var fileName = this.getMockFileName(elem);
+    var headerString = this.getIncludeGuard(elem, fileName);
+    var codeWriter = new codegen.CodeWriter(this.getIndentString(options));
+    codeWriter.writeLine(
+      this.getFileHeader(
+        elem,
+        fileName + "." + this.getFileExtension(elem, _CPP_CODE_GEN_H),
+        true,
+      ),
+    );
+    codeWriter.writeLine();
+    if (headerString === null) {
+      codeWriter.writeLine("#pragma once");
+    } else {
+      codeWriter.writeLine("#ifndef " + headerString);
+      codeWriter.writeLine("#define " + headerString);
+    }
+    codeWriter.writeLine();
+    codeWriter.writeLine("#include <gmock/gmock.h>");
+    codeWriter.writeLine();
+    codeWriter.writeLine(
+      '#include "' +
+        this.getFileName(elem) +
+        "." +
+        this.getFileExtension(elem, _CPP_CODE_GEN_H) +
+        '"',
+    );
+    codeWriter.writeLine();
+    this.writeNamespaceBegin(codeWriter, elem, options);
+
+    var templatePart = this.getTemplateParameter(elem);
+    if (templatePart.length > 0) {
+      codeWriter.writeLine(templatePart);
+    }
+    codeWriter.writeLine(
+      "class " +
+        mockName +
+        " : public " +
+        elem.name +
+        this.getTemplateArguments(elem) +
+        " {",
+    );
+    codeWriter.writeLine("public:");
+    codeWriter.indent();
+    if (elem instanceof type.UMLClass) {
+      // modelled constructors with parameters construct the mock too
+      codeWriter.writeLine(
+        "using " +
+          elem.name +
+          this.getTemplateArguments(elem) +
+          "::" +
+          elem.name +
+          ";",
+      );
+      codeWriter.writeLine();
+    }
+    this.getMockedOperations(elem).forEach((op) => {
+      codeWriter.writeLine(this.getMockMethod(op));
+    });
+    codeWriter.outdent();
+    codeWriter.writeLine("};");
+    this.writeNamespaceEnd(codeWriter, elem, options);
+
+    if (headerString !== null) {
+      codeWriter.writeLine();
+      codeWriter.writeLine("#endif //" + headerString);
+    }
+    return codeWriter.getData();
+  }
+
+  /**
+   * Write test skeleton of class to `tests/<folders>/<Class>Test.cpp` in
+   * the base path, where folders are those of the header and the file name
+   * follows "File Name Case": a fixture and a placeholder test for each
+   * public operation, in GoogleTest or Catch2 as selected by "Test
+   * Framework". Existing test files are never overwritten.
+   *
+   * @param {type.UMLClass} elem
+   * @param {string} headerFile path of the generated header of elem
+   */
+  writeTestSkeleton(elem, headerFile) {
+    var folders = path
+      .relative(this.basePath, path.dirname(headerFile))
+      .split(path.sep)
+      .filter((folder) => folder.length > 0);
+    var testsPath = path.join(this.basePath, _CPP_TEST_FOLDER, ...folders);
+    var fileName =
+      this.formatFileName(elem.name + "Test") +
+      "." +
+      this.getFileExtension(elem, _CPP_CODE_GEN_CPP);
+    var file = path.join(testsPath, fileName);
+    if (this.testFiles.has(file)) {
+      this.warn(
+        "Test of " +
+          elem.name +
+          " is not generated, " +
+          path.relative(this.basePath, file) +
+          " is the test of another class",
+      );
+      return;
+    }
+    this.testFiles.add(file);
+    if (this.fs.existsSync(file)) {
+      return;
+    }
+    var folderPath = this.basePath;
+    [_CPP_TEST_FOLDER].concat(folders).forEach((folder) => {
+      folderPath = path.join(folderPath, folder);
+      if (!this.fs.existsSync(folderPath)) {
+        this.fs.mkdirSync(folderPath);
+      }
+    });
+    var isCatch2 = this.genOptions.testFramework === _CPP_TEST_CATCH2;
+    var fixture = elem.name + "Test";
+    var namespaces =
+      this.genOptions.packageMode === _CPP_PACKAGE_NAMESPACE ||
+      this.genOptions.packageMode === _CPP_PACKAGE_BOTH
+        ? this.getNamespaces(elem)
+        : [];
+    var qualifiedName = namespaces.concat([elem.name]).join("::");
+
+    var codeWriter = new codegen.CodeWriter(
+      this.getIndentString(this.genOptions),
+    );
+    codeWriter.writeLine(this.getFileHeader(elem, fileName, false));
+    codeWriter.writeLine();
+    codeWriter.writeLine(
+      isCatch2
+        ? "#include <catch2/catch_test_macros.hpp>"
+        : "#include <gtest/gtest.h>",
+    );
+    codeWriter.writeLine();
+    codeWriter.writeLine(
+      '#include "' +
+        path.relative(testsPath, headerFile).split(path.sep).join("/") +
+        '"',
+    );
+    codeWriter.writeLine();
+
+    // fixture
+    if (isCatch2) {
+      codeWriter.writeLine("class " + fixture + " {");
+      codeWriter.writeLine("public:");
+      codeWriter.indent();
+      codeWriter.writeLine(fixture + "() {");
+      codeWriter.writeLine("}");
+      codeWriter.writeLine();
+      codeWriter.writeLine("~" + fixture + "() {");
+      codeWriter.writeLine("}");
+    } else {
+      codeWriter.writeLine("class " + fixture + " : public ::testing::Test {");
+      codeWriter.writeLine("protected:");
+      codeWriter.indent();
+      codeWriter.writeLine("void SetUp() override {");
+      codeWriter.writeLine("}");
+      codeWriter.writeLine();
+      codeWriter.writeLine("void TearDown() override {");
+      codeWriter.writeLine("}");
+    }
+    codeWriter.outdent();
+    codeWriter.writeLine("};");
+
+    // a test for each public operation, overloads are numbered
+    var testNames = [];
+    this.classifyVisibility(elem.operations)
+      ._public.filter(
+        (op) => op.name.length > 0 && this.getOperationKind(op) === null,
+      )
+      .forEach((op) => {
+        var baseName = isCatch2
+          ? elem.name + "::" + op.name
+          : op.name.replace(/\W/g, "").replace(/^./, (c) => c.toUpperCase());
+        var testName = baseName;
+        var i;
+        for (i = 2; testNames.includes(testName); i++) {
+          testName = isCatch2 ? baseName + " (" + i + ")" : baseName + i;
+        }
+        testNames.push(testName);
+        codeWriter.writeLine();
+        if (isCatch2) {
+          codeWriter.writeLine(
+            "TEST_CASE_METHOD(" +
+              fixture +
+              ', "' +
+              testName +
+              '", "[' +
+              elem.name +
+              ']") {',
+          );
+        } else {
+          codeWriter.writeLine("TEST_F(" + fixture + ", " + testName + ") {");
+        }
+        codeWriter.indent();
+        codeWriter.writeLine("// TODO: test " + qualifiedName + "::" + op.name);
+        codeWriter.writeLine(
+          isCatch2
+            ? 'SKIP("Not implemented");'
+            : 'GTEST_SKIP() << "Not implemented";',
+        );
+        codeWriter.outdent();
+        codeWriter.writeLine("}");
+      });
+    this.fs.writeFileSync(file, codeWriter.getData() + "\n");
+  }
+
+  /**
+   * Write generated text to file.
+   * In merge mode, user code regions of the existing file are carried over.
+   *
+   * @param {string} file
+   * @param {string} data
+   */
+  writeFile(file, data) {
+    if (this.genOptions.mergeUserCode && this.fs.existsSync(file)) {
+      data = codegen.mergeUserCode(data, this.fs.readFileSync(file, "utf8"));
+    }
+    this.fs.writeFileSync(file, data);
+  }
+
+  /**
+   * Write an empty user code region (merge mode only)
+   *
+   * @param {Object} codeWriter
+   * @param {string} key
+   * @param {string} label
+   */
+  writeUserCodeRegion(codeWriter, key, label) {
+    if (!this.genOptions.mergeUserCode) {
+      return;
+    }
+    codeWriter.writeLine(codegen.getUserCodeBegin(key, label));
+    codeWriter.writeLine(codegen.getUserCodeEnd(key));
+  }
+
+  /**
+   * Collect names of enclosing packages, outermost first.
+   * The model itself is not a namespace.
+   *
+   * @param {Object} elem
+   * @return {Array.<string>}
+   */
+  getNamespaces(elem) {
+    var namespaces = [];
+    var parent = elem._parent;
+    while (parent) {
+      if (
+        parent instanceof type.UMLPackage &&
+        !(parent instanceof type.UMLModel) &&
+        parent.name.length > 0
+      ) {
+        namespaces.unshift(parent.name);
+      }
+      parent = parent._parent;
+    }
+    return namespaces;
+  }
+
+  /**
+   * Return name of a model type, qualified by namespaces when the type is
+   * not visible from the namespace of the element using it
+   *
+   * @param {Object} target type
+   * @param {Object} elem element using the type
+   * @return {string}
+   */
+  getTypeName(target, elem) {
+    if (
+      !elem ||
+      (this.genOptions.packageMode !== _CPP_PACKAGE_NAMESPACE &&
+        this.genOptions.packageMode !== _CPP_PACKAGE_BOTH)
+    ) {
+      return target.name;
+    }
+    var targetNamespaces = this.getNamespaces(target);
+    var namespaces = this.getNamespaces(elem);
+    var i = 0;
+    while (
+      i < targetNamespaces.length &&
+      i < namespaces.length &&
+      targetNamespaces[i] === namespaces[i]
+    ) {
+      i++;
+    }
+    return targetNamespaces.slice(i).concat([target.name]).join("::");
+  }
+
+  /**
+   * Open namespaces of enclosing packages
+   *
+   * @param {Object} codeWriter
+   * @param {Object} elem
+   * @param {Object} options
+   */
+  writeNamespaceBegin(codeWriter, elem, options) {
+    if (
+      options.packageMode !== _CPP_PACKAGE_NAMESPACE &&
+      options.packageMode !== _CPP_PACKAGE_BOTH
+    ) {
+      return;
+    }
+    var namespaces = this.getNamespaces(elem);
+    if (namespaces.length === 0) {
+      return;
+    }
+    if (options.nestedNamespace) {
+      codeWriter.writeLine("namespace " + namespaces.join("::") + " {");
+    } else {
+      namespaces.forEach((name) => {
+        codeWriter.writeLine("namespace " + name + " {");
+      });
+    }
+    codeWriter.writeLine();
+  }
+
+  /**
+   * Close namespaces of enclosing packages
+   *
+   * @param {Object} codeWriter
+   * @param {Object} elem
+   * @param {Object} options
+   */
+  writeNamespaceEnd(codeWriter, elem, options) {
+    if (
+      options.packageMode !== _CPP_PACKAGE_NAMESPACE &&
+      options.packageMode !== _CPP_PACKAGE_BOTH
+    ) {
+      return;
+    }
+    var namespaces = this.getNamespaces(elem);
+    if (namespaces.length === 0) {
+      return;
+    }
+    codeWriter.writeLine();
+    if (options.nestedNamespace) {
+      codeWriter.writeLine("} // namespace " + namespaces.join("::"));
+    } else {
+      namespaces.reverse().forEach((name) => {
+        codeWriter.writeLine("} // namespace " + name);
+      });
+    }
+  }
+
+  /**
+   * Parsing template parameter. Default arguments are given in the
+   * declaration only.
+   *
+   * @param {Object} elem
+   * @param {boolean} withDefaults
+   * @return {Object} string
+   */
+  getTemplateParameter(elem, withDefaults = true) {
+    if (!this.hasTemplateParameters(elem)) {
+      return "";
+    }
+    var term = elem.templateParameters.map((template) => {
+      var templateStr =
+        (template.parameterType || "typename") + " " + template.name;
+      if (withDefaults && template.defaultValue) {
+        templateStr += " = " + template.defaultValue;
+      }
+      return templateStr;
+    });
+    return "template<" + term.join(", ") + ">";
+  }
+
+  /**
+   * Whether class or operation has template parameters
+   *
+   * @param {Object} elem
+   * @return {boolean}
+   */
+  hasTemplateParameters(elem) {
+    return (
+      Array.isArray(elem.templateParameters) &&
+      elem.templateParameters.length > 0
+    );
+  }
+
+  /**
+   * Return template arguments naming the class inside its own definitions,
+   * e.g. `<T, N>`
+   *
+   * @param {Object} elem
+   * @return {string}
+   */
+  getTemplateArguments(elem) {
+    if (!this.hasTemplateParameters(elem)) {
+      return "";
+    }
+    return "<" + elem.templateParameters.map((t) => t.name).join(", ") + ">";
+  }
+
+  /**
+   * Return `template<...>` lines to put before an out-of-class definition of
+   * a member of class, one for each enclosing class template
+   *
+   * @param {Object} elem
+   * @return {string}
+   */
+  getClassTemplatePrefix(elem) {
+    var prefix = "";
+    while (elem instanceof type.UMLClass) {
+      if (this.hasTemplateParameters(elem)) {
+        prefix = this.getTemplateParameter(elem, false) + "\n" + prefix;
+      }
+      elem = elem._parent;
+    }
+    return prefix;
+  }
+
+  /**
+   * Return nested name specifier of class members, e.g. `Outer<T>::Inner::`
+   *
+   * @param {Object} elem
+   * @return {string}
+   */
+  getScopeSpecifier(elem) {
+    var specifier = "";
+    while (elem instanceof type.UMLClass) {
+      specifier =
+        elem.name + this.getTemplateArguments(elem) + "::" + specifier;
+      elem = elem._parent;
+    }
+    return specifier;
+  }
+
+  /**
+   * Return template argument lists to instantiate explicitly, given by the
+   * `explicitInstantiations` tag separated by semicolons (e.g. `int; double`)
+   *
+   * @param {type.UMLClass} elem
+   * @return {Array.<string>}
+   */
+  getExplicitInstantiations(elem) {
+    var value = this.getTagValue(elem, "explicitInstantiations");
+    if (!this.hasTemplateParameters(elem) || typeof value !== "string") {
+      return [];
+    }
+    return value
+      .split(";")
+      .map((args) => args.trim())
+      .filter((args) => args.length > 0);
+  }
+
+  /**
+   * Return extension of the file holding member definitions of class:
+   * `cpp`, or for class templates `h` (after the class) or the `tpp`/`ipp`
+   * file included from the header. Explicitly instantiated class templates
+   * are defined in the *.cpp file, if it is generated.
+   *
+   * @param {type.UMLClass} elem
+   * @return {string}
+   */
+  getDefinitionExtension(elem) {
+    while (elem._parent instanceof type.UMLClass) {
+      elem = elem._parent;
+    }
+    if (
+      !this.hasTemplateParameters(elem) ||
+      (this.genOptions.genCpp !== false &&
+        this.getExplicitInstantiations(elem).length > 0)
+    ) {
+      return _CPP_CODE_GEN_CPP;
+    }
+    if (
+      this.genOptions.templateDefinitions === _CPP_TEMPLATE_TPP ||
+      this.genOptions.templateDefinitions === _CPP_TEMPLATE_IPP
+    ) {
+      return this.genOptions.templateDefinitions;
+    }
+    return _CPP_CODE_GEN_H;
+  }
+
+  /**
+   * Parsing include header. Library headers come first, followed by
+   * project headers, each group sorted.
+   *
+   * @param {Object} elem
+   * @return {Object} string
+   */
+  getIncludePart(elem) {
+    var groups = [
+      this.getLibraryIncludes(elem).map(
+        (header) => "#include <" + header + ">",
+      ),
+      this.getIncludes(elem)
+        .headers.map((target) => this.getHeaderPath(elem, target))
+        .sort()
+        .map((header) => '#include "' + header + '"'),
+    ];
+    return groups
+      .filter((group) => group.length > 0)
+      .map((group) => group.join("\n") + "\n")
+      .join("\n");
+  }
+
+  /**
+   * Return type-to-header table, built-in standard library headers extended
+   * by "Type Headers" preference ("Type=header" separated by commas)
+   *
+   * @return {Object.<string, string>}
+   */
+  getTypeHeaders() {
+    var table = Object.assign({}, _CPP_STD_HEADERS);
+    var custom = this.genOptions.typeHeaders;
+    if (typeof custom === "string") {
+      custom.split(/[,;\n]/).forEach((entry) => {
+        var pair = entry.split("=");
+        if (pair.length === 2 && pair[0].trim() && pair[1].trim()) {
+          table[pair[0].trim()] = pair[1].trim().replace(/^[<"]|[>"]$/g, "");
+        }
+      });
+    }
+    return table;
+  }
+
+  /**
+   * Collect library headers needed by the types of members, parameters and
+   * return values in elem's header. Besides "Type Headers" entries matching
+   * a whole name, only unqualified and `std::` names are looked up by their
+   * last identifier, so that e.g. a package `map` does not include `<map>`.
+   * Unqualified names of model classifiers (e.g. a class `list`) are not
+   * looked up.
+   *
+   * @param {Object} elem
+   * @return {Array.<string>} sorted header names
+   */
+  getLibraryIncludes(elem) {
+    if (this.genOptions.includeHeader === false) {
+      return [];
+    }
+    var table = this.getTypeHeaders();
+    var classifierNames = this.getClassifierNames(elem);
+    var headers = [];
+    var lookup = (name) => {
+      if (Object.prototype.hasOwnProperty.call(table, name)) {
+        return table[name];
+      }
+      return null;
+    };
+    this.getUsedTypes(elem).forEach((typeName) => {
+      var names = typeName.match(/(?:\w+\s*::\s*)*\w+/g) || [];
+      names.forEach((name) => {
+        name = name.replace(/\s+/g, "");
+        var parts = name.split("::");
+        if (parts.length === 1 && classifierNames.has(name)) {
+          return;
+        }
+        var header = lookup(name);
+        if (!header && (parts.length === 1 || parts[0] === "std")) {
+          header = lookup(parts[parts.length - 1]);
+          if (!header && parts.length > 2) {
+            // std::chrono::seconds -> chrono
+            header = lookup(parts[1]);
+          }
+        }
+        if (header && !headers.includes(header)) {
+          headers.push(header);
+        }
+      });
+    });
+    if (
+      this.genOptions.methodStubs === _CPP_STUB_THROW &&
+      !headers.includes("stdexcept") &&
+      this.hasHeaderDefinitions(elem)
+    ) {
+      headers.push("stdexcept");
+    }
+    return headers.sort();
+  }
+
+  /**
+   * Return names of all classifiers in the project of elem
+   *
+   * @param {Object} elem
+   * @return {Set.<string>}
+   */
+  getClassifierNames(elem) {
+    if (this.classifierNames === null) {
+      var root = elem;
+      while (root._parent) {
+        root = root._parent;
+      }
+      var names = new Set();
+      var collect = (child) => {
+        if (child instanceof type.UMLClassifier) {
+          names.add(child.name);
+        }
+        (child.ownedElements || []).forEach(collect);
+      };
+      collect(root);
+      this.classifierNames = names;
+    }
+    return this.classifierNames;
+  }
+
+  /**
+   * Return type strings written in elem's header, including those of
+   * nested elements
+   *
+   * @param {Object} elem
+   * @return {Array.<string>}
+   */
+  getUsedTypes(elem) {
+    var types = [];
+    if (!(elem instanceof type.UMLClassifier)) {
+      return types;
+    }
+    if (elem instanceof type.UMLEnumeration) {
+      types.push(String(this.getTagValue(elem, "underlyingType") || ""));
+    } else {
+      elem.attributes
+        .concat(this.getAssociationMembers(elem))
+        .forEach((member) => types.push(this.getType(member)));
+      elem.operations.forEach((operation) => {
+        types.push(this.getReturnType(operation));
+        operation.parameters
+          .filter((param) => param.direction !== "return")
+          .forEach((param) => types.push(this.getParameterType(param)));
+      });
+    }
+    elem.ownedElements.forEach((child) => {
+      types = types.concat(this.getUsedTypes(child));
+    });
+    return types;
+  }
+
+  /**
+   * Return navigable association ends which become member variables of elem
+   *
+   * @param {Object} elem
+   * @return {Array.<type.UMLAssociationEnd>}
+   */
+  getAssociationMembers(elem) {
+    var ends = [];
+    var associations = app.repository.getRelationshipsOf(elem, function (rel) {
+      return rel instanceof type.UMLAssociation;
+    });
+    associations.forEach((asso) => {
+      if (
+        asso.end1.reference === elem &&
+        asso.end2.navigable !== "notNavigable" &&
+        asso.end2.name.length !== 0
+      ) {
+        ends.push(asso.end2);
+      } else if (
+        asso.end2.reference === elem &&
+        asso.end1.navigable !== "notNavigable" &&
+        asso.end1.name.length !== 0
+      ) {
+        ends.push(asso.end1);
+      }
+    });
+    return ends;
+  }
+
+  /**
+   * Collect elements whose headers are needed by elem's header.
+   * Associated elements referred through pointers, references or smart
+   * pointers are forward declared instead and included by the *.cpp file.
+   *
+   * @param {Object} elem
+   * @return {{headers: Array.<Object>, forwards: Array.<Object>}}
+   */
+  getIncludes(elem) {
+    var i;
+    var headers = [];
+    var forwards = [];
+    var add = (list, target) => {
+      if (target && target !== elem && !list.includes(target)) {
+        list.push(target);
+      }
+    };
+    if (app.repository.getRelationshipsOf(elem).length <= 0) {
+      return { headers: headers, forwards: forwards };
+    }
+    var realizations = app.repository.getRelationshipsOf(elem, function (rel) {
+      return (
+        rel instanceof type.UMLInterfaceRealization ||
+        rel instanceof type.UMLGeneralization
+      );
+    });
+
+    // check for interface or class
+    for (i = 0; i < realizations.length; i++) {
+      var realize = realizations[i];
+      if (realize.target === elem) {
+        continue;
+      }
+      add(headers, realize.target);
+    }
+
+    // check for member variable
+    this.getAssociationMembers(elem).forEach((end) => {
+      if (this.genOptions.forwardDeclaration && this.canForwardDeclare(end)) {
+        add(forwards, end.reference);
+      } else {
+        add(headers, end.reference);
+      }
+    });
+    return {
+      headers: headers,
+      forwards: forwards.filter((target) => !headers.includes(target)),
+    };
+  }
+
+  /**
+   * Whether the type of association end is complete without the
+   * definition of referenced element (pointer, reference or smart pointer)
+   *
+   * @param {Object} end
+   * @return {boolean}
+   */
+  canForwardDeclare(end) {
+    var target = end.reference;
+    if (
+      !(target instanceof type.UMLClassifier) ||
+      target instanceof type.UMLEnumeration
+    ) {
+      return false;
+    }
+    var _type = this.getType(end);
+    var name = target.name.replace(/[^\w]/g, "\\$&");
+    var smartPointer = new RegExp(
+      "\\b(unique_ptr|shared_ptr|weak_ptr)\\s*<\\s*" + name + "\\s*>",
+    );
+    var pointer = new RegExp("\\b" + name + "\\s*(const\\s*)?[*&]");
+    return smartPointer.test(_type) || pointer.test(_type);
+  }
+
+  /**
+   * Write forward declarations of elements not included by elem's header
+   *
+   * @param {Object} codeWriter
+   * @param {Object} elem
+   */
+  writeForwardDeclarations(codeWriter, elem) {
+    var forwards = this.getIncludes(elem).forwards;
+    if (forwards.length === 0) {
+      return;
+    }
+    forwards.forEach((target) => {
+      var declaration = this.getClassKey(target) + " " + target.name + ";";
+      if (target.templateParameters && target.templateParameters.length > 0) {
+        // default arguments must not be repeated in forward declarations
+        declaration =
+          "template<" +
+          target.templateParameters
+            .map((param) => param.parameterType + " " + param.name)
+            .join(", ") +
+          "> " +
+          declaration;
+      }
+      var namespaces =
+        this.genOptions.packageMode === _CPP_PACKAGE_NAMESPACE ||
+        this.genOptions.packageMode === _CPP_PACKAGE_BOTH
+          ? this.getNamespaces(target)
+          : [];
+      if (namespaces.length === 0) {
+        codeWriter.writeLine(declaration);
+      } else if (this.genOptions.nestedNamespace) {
+        codeWriter.writeLine(
+          "namespace " + namespaces.join("::") + " { " + declaration + " }",
+        );
+      } else {
+        codeWriter.writeLine(
+          namespaces.map((name) => "namespace " + name + " { ").join("") +
+            declaration +
+            namespaces.map(() => " }").join(""),
+        );
+      }
+    });
+    codeWriter.writeLine();
+  }
+
+  /**
+   * Write includes of the headers of elements forward declared by elem's
+   * header, for the file defining elem's members
+   *
+   * @param {Object} codeWriter
+   * @param {Object} elem
+   */
+  writeForwardIncludes(codeWriter, elem) {
+    this.getIncludes(elem).forwards.forEach((target) => {
+      codeWriter.writeLine(
+        '#include "' + this.getHeaderPath(elem, target) + '"',
+      );
+    });
+  }
+
+  /**
+   * Write CMakeLists.txt files for the generated tree: a top-level one in
+   * basePath, and one in each package folder defining a library of the
+   * sources and headers of the package. Libraries are linked to those of
+   * packages they depend on by generalizations, realizations, associations
+   * and dependencies. With "Namespace only", one library holds all files.
+   *
+   * @param {type.UMLPackage} baseModel
+   * @param {string} basePath
+   */
+  writeCMakeFiles(baseModel, basePath) {
+    if (!(baseModel instanceof type.UMLPackage)) {
+      return;
+    }
+    var flat = this.genOptions.packageMode === _CPP_PACKAGE_NAMESPACE;
+    var entries = [];
+    var entryOf = new Map();
+    var sanitize = (name) => name.replace(/[^A-Za-z0-9_]/g, "_");
+
+    var visit = (pkg, parent) => {
+      var entry = parent;
+      if (!flat || parent === null) {
+        var folders =
+          parent === null ? [pkg.name] : parent.folders.concat([pkg.name]);
+        entry = {
+          folders: folders,
+          dir: flat ? basePath : path.join(basePath, ...folders),
+          target: sanitize(folders.join("_")),
+          files: [],
+          hasSources: false,
+          elements: [],
+          subdirs: [],
+          links: [],
+        };
+        entries.push(entry);
+        if (parent !== null) {
+          parent.subdirs.push(pkg.name);
+        }
+      }
+      entryOf.set(pkg, entry);
+      pkg.ownedElements.forEach((child) => {
+        if (child instanceof type.UMLPackage) {
+          visit(child, entry);
+        } else if (
+          child instanceof type.UMLClass ||
+          child instanceof type.UMLInterface ||
+          child instanceof type.UMLEnumeration
+        ) {
+          var fileName = this.getFileName(child);
+          entry.elements.push(child);
+          entry.files.push(
+            fileName + "." + this.getFileExtension(child, _CPP_CODE_GEN_H),
+          );
+          if (child instanceof type.UMLClass) {
+            var definitions = this.getDefinitionExtension(child);
+            if (definitions === _CPP_CODE_GEN_CPP) {
+              if (this.genOptions.genCpp) {
+                entry.hasSources = true;
+                entry.files.push(
+                  fileName +
+                    "." +
+                    this.getFileExtension(child, _CPP_CODE_GEN_CPP),
+                );
+              }
+            } else if (definitions !== _CPP_CODE_GEN_H) {
+              entry.files.push(fileName + "." + definitions);
+            }
+          }
+        }
+      });
+    };
+    // base model is a folder itself unless in namespace mode
+    visit(baseModel, null);
+
+    // package entry of element, null if outside base model
+    var findEntry = (elem) => {
+      while (elem) {
+        if (entryOf.has(elem)) {
+          return entryOf.get(elem);
+        }
+        elem = elem._parent;
+      }
+      return null;
+    };
+    var isLibrary = (entry) => entry.files.length > 0;
+    var addLinks = (entry, elem) => {
+      var includes = this.getIncludes(elem);
+      var dependencies = app.repository
+        .getRelationshipsOf(
+          elem,
+          (rel) => rel instanceof type.UMLDependency && rel.source === elem,
+        )
+        .map((rel) => rel.target);
+      includes.headers
+        .concat(includes.forwards, dependencies)
+        .forEach((target) => {
+          var other = findEntry(target);
+          if (
+            other !== null &&
+            other !== entry &&
+            isLibrary(other) &&
+            !entry.links.includes(other.target)
+          ) {
+            entry.links.push(other.target);
+          }
+        });
+      (elem.ownedElements || []).forEach((child) => {
+        if (child instanceof type.UMLClassifier) {
+          addLinks(entry, child);
+        }
+      });
+    };
+    // a package and, recursively, its classifiers
+    entryOf.forEach((entry, pkg) => {
+      addLinks(entry, pkg);
+    });
+
+    // libraries linking each other, which only static libraries can
+    var found = [];
+    var visited = [];
+    var stack = [];
+    var visitLinks = (entry) => {
+      if (stack.includes(entry)) {
+        var cycle = stack.slice(stack.indexOf(entry));
+        var key = cycle
+          .map((e) => e.target)
+          .sort()
+          .join(",");
+        if (!found.includes(key)) {
+          found.push(key);
+          this.warn(
+            "Library dependency cycle between packages: " +
+              cycle
+                .concat([cycle[0]])
+                .map((e) => e.target)
+                .join(" -> "),
+          );
+        }
+        return;
+      }
+      if (visited.includes(entry)) {
+        return;
+      }
+      visited.push(entry);
+      stack.push(entry);
+      entry.links.forEach((target) => {
+        visitLinks(entries.find((other) => other.target === target));
+      });
+      stack.pop();
+    };
+    entries.forEach(visitLinks);
+
+    var standard = String(this.genOptions.cppStandard || "17");
+    var projectName = app.project.getProject().name || baseModel.name;
+    var writeLibrary = (codeWriter, entry) => {
+      // header-only libraries are interface libraries
+      var isInterface = !entry.hasSources;
+      var scope = isInterface ? "INTERFACE" : "PUBLIC";
+      codeWriter.writeLine(
+        "add_library(" + entry.target + (isInterface ? " INTERFACE)" : ""),
+      );
+      if (!isInterface) {
+        codeWriter.indent();
+        entry.files.sort().forEach((file) => codeWriter.writeLine(file));
+        codeWriter.outdent();
+        codeWriter.writeLine(")");
+      }
+      codeWriter.writeLine(
+        "target_include_directories(" +
+          entry.target +
+          " " +
+          scope +
+          " ${CMAKE_CURRENT_SOURCE_DIR})",
+      );
+      codeWriter.writeLine(
+        "target_compile_features(" +
+          entry.target +
+          " " +
+          scope +
+          " cxx_std_" +
+          standard +
+          ")",
+      );
+      if (entry.links.length > 0) {
+        codeWriter.writeLine(
+          "target_link_libraries(" +
+            entry.target +
+            " " +
+            scope +
+            " " +
+            entry.links.sort().join(" ") +
+            ")",
+        );
+      }
+    };
+
+    // top-level CMakeLists.txt
+    var codeWriter = new codegen.CodeWriter(
+      this.getIndentString(this.genOptions),
+    );
+    codeWriter.writeLine(
+      "cmake_minimum_required(VERSION " + _CPP_CMAKE_VERSION + ")",
+    );
+    codeWriter.writeLine(
+      "project(" + sanitize(projectName) + " LANGUAGES CXX)",
+    );
+    codeWriter.writeLine();
+    codeWriter.writeLine("set(CMAKE_CXX_STANDARD " + standard + ")");
+    codeWriter.writeLine("set(CMAKE_CXX_STANDARD_REQUIRED ON)");
+    codeWriter.writeLine("set(CMAKE_CXX_EXTENSIONS OFF)");
+    codeWriter.writeLine();
+    if (flat) {
+      if (isLibrary(entries[0])) {
+        writeLibrary(codeWriter, entries[0]);
+      }
+      this.fs.writeFileSync(
+        path.join(basePath, _CPP_CMAKE_FILE),
+        codeWriter.getData() + "\n",
+      );
+      return;
+    }
+    codeWriter.writeLine('add_subdirectory("' + baseModel.name + '")');
+    this.fs.writeFileSync(
+      path.join(basePath, _CPP_CMAKE_FILE),
+      codeWriter.getData() + "\n",
+    );
+
+    // CMakeLists.txt of each package folder
+    entries.forEach((entry) => {
+      var codeWriter = new codegen.CodeWriter(
+        this.getIndentString(this.genOptions),
+      );
+      if (isLibrary(entry)) {
+        writeLibrary(codeWriter, entry);
+        if (entry.subdirs.length > 0) {
+          codeWriter.writeLine();
+        }
+      }
+      entry.subdirs.forEach((subdir) => {
+        codeWriter.writeLine('add_subdirectory("' + subdir + '")');
+      });
+      this.fs.writeFileSync(
+        path.join(entry.dir, _CPP_CMAKE_FILE),
+        codeWriter.getData() + "\n",
+      );
+    });
+  }
+
+  /**
+   * Report include cycles among headers of elements in base model which
+   * could not be broken by forward declarations
+   *
+   * @param {Object} baseModel
+   * @return {Array.<Array.<Object>>} cycles
+   */
+  checkIncludeCycles(baseModel) {
+    var elements = [];
+    var collect = (elem) => {
+      if (
+        elem instanceof type.UMLClass ||
+        elem instanceof type.UMLInterface ||
+        elem instanceof type.UMLEnumeration
+      ) {
+        elements.push(elem);
+      } else if (elem instanceof type.UMLPackage) {
+        elem.ownedElements.forEach(collect);
+      }
+    };
+    collect(baseModel);
+
+    var cycles = [];
+    var found = [];
+    var visited = [];
+    var stack = [];
+    var visit = (elem) => {
+      if (stack.includes(elem)) {
+        var cycle = stack.slice(stack.indexOf(elem));
+        var key = cycle
+          .map((e) => e._id)
+          .sort()
+          .join(",");
+        if (!found.includes(key)) {
+          found.push(key);
+          cycles.push(cycle);
+        }
+        return;
+      }
+      if (visited.includes(elem)) {
+        return;
+      }
+      visited.push(elem);
+      stack.push(elem);
+      this.getIncludes(elem)
+        .headers.filter((target) => elements.includes(target))
+        .forEach(visit);
+      stack.pop();
+    };
+    elements.forEach(visit);
+
+    cycles.forEach((cycle) => {
+      this.warn(
+        "Include cycle cannot be broken: " +
+          cycle
+            .concat([cycle[0]])
+            .map((e) => e.name)
+            .join(" -> "),
+      );
+    });
+    return cycles;
+  }
+
+  /**
+   * Record a warning found while generating
+   *
+   * @param {string} message
+   */
+  warn(message) {
+    this.warnings.push(message);
+    console.warn("[C++] " + message);
+  }
+
+  /**
+   * Return path of target's header file relative to elem's file
+   *
+   * @param {Object} elem
+   * @param {Object} target
+   * @return {string}
+   */
+  getHeaderPath(elem, target) {
+    var header = "";
+    var elementString = "";
+    var targetString = "";
+    var fileName =
+      this.getFileName(target) +
+      "." +
+      this.getFileExtension(target, _CPP_CODE_GEN_H);
+    var i;
+
+    // every file is placed in the same folder
+    if (this.genOptions.packageMode === _CPP_PACKAGE_NAMESPACE) {
+      return fileName;
+    }
+
+    while (elem._parent._parent !== null) {
+      elementString =
+        elementString.length !== 0
+          ? elem.name + "/" + elementString
+          : this.getFileName(elem);
+      elem = elem._parent;
+    }
+    while (target._parent._parent !== null) {
+      targetString =
+        targetString.length !== 0 ? target.name + "/" + targetString : fileName;
+      target = target._parent;
+    }
+
+    var idx;
+    for (
+      i = 0;
+      i < (elementString.length < targetString.length)
+        ? elementString.length
+        : targetString.length;
+      i++
+    ) {
+      if (elementString[i] === targetString[i]) {
+        if (elementString[i] === "/" && targetString[i] === "/") {
+          idx = i + 1;
+        }
+      } else {
+        break;
+      }
+    }
+
+    // remove common path
+    elementString = elementString.substring(idx, elementString.length);
+    targetString = targetString.substring(idx, targetString.length);
+    for (i = 0; i < elementString.split("/").length - 1; i++) {
+      header += "../";
+    }
+    header += targetString;
+    return header;
+  }
+
+  /**
+   * Return value of a tag of element
+   *
+   * @param {Object} elem
+   * @param {string} name
+   * @return {?} value by kind of tag, undefined if there is no such tag
+   */
+  getTagValue(elem, name) {
+    var tag = (elem.tags || []).find((t) => t.name === name);
+    if (!tag) {
+      return undefined;
+    }
+    switch (tag.kind) {
+      case type.Tag.TK_BOOLEAN:
+        return tag.checked;
+      case type.Tag.TK_NUMBER:
+        return tag.number;
+      case type.Tag.TK_REFERENCE:
+        return tag.reference;
+    }
+    return tag.value;
+  }
+
+  /**
+   * Return file name (without extension) of element.
+   * `fileName` tag overrides the naming convention.
+   *
+   * @param {Object} elem
+   * @return {string}
+   */
+  getFileName(elem) {
+    var fileName = this.getTagValue(elem, "fileName");
+    if (typeof fileName === "string" && fileName.length > 0) {
+      return fileName;
+    }
+    return this.formatFileName(elem.name);
+  }
+
+  /**
+   * Return file name for name following "File Name Case"
+   *
+   * @param {string} name
+   * @return {string}
+   */
+  formatFileName(name) {
+    var words = () =>
+      name
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+        .split(/[\s_-]+/)
+        .filter((word) => word.length > 0)
+        .map((word) => word.toLowerCase());
+    switch (this.genOptions.fileNameCase) {
+      case "snake":
+        return words().join("_");
+      case "kebab":
+        return words().join("-");
+      case "lower":
+        return name.toLowerCase();
+    }
+    return name;
+  }
+
+  /**
+   * Return file extension of element.
+   * `headerExtension` and `sourceExtension` tags override preferences.
+   *
+   * @param {Object} elem
+   * @param {string} kind _CPP_CODE_GEN_H or _CPP_CODE_GEN_CPP
+   * @return {string}
+   */
+  getFileExtension(elem, kind) {
+    var ext;
+    if (kind === _CPP_CODE_GEN_H) {
+      ext =
+        this.getTagValue(elem, "headerExtension") ||
+        this.genOptions.headerExtension ||
+        _CPP_CODE_GEN_H;
+    } else {
+      ext =
+        this.getTagValue(elem, "sourceExtension") ||
+        this.genOptions.sourceExtension ||
+        _CPP_CODE_GEN_CPP;
+    }
+    return ext.replace(/^\./, "");
+  }
+
+  /**
+   * Return folders of element relative to the base path
+   *
+   * @param {Object} elem
+   * @return {Array.<string>}
+   */
+  getFolders(elem) {
+    var folders = [];
+    if (this.genOptions.packageMode === _CPP_PACKAGE_NAMESPACE) {
+      return folders;
+    }
+    var parent = elem._parent;
+    while (parent instanceof type.UMLPackage) {
+      folders.unshift(parent.name);
+      if (parent === this.baseModel) {
+        break;
+      }
+      parent = parent._parent;
+    }
+    return folders;
+  }
+
+  /**
+   * Return include guard macro of element's header.
+   * `includeGuard` tag overrides the style in preferences.
+   *
+   * @param {Object} elem
+   * @return {?string} null if `#pragma once` is used
+   */
+  getIncludeGuard(elem, fileName = this.getFileName(elem)) {
+    var style =
+      this.getTagValue(elem, "includeGuard") || this.genOptions.includeGuard;
+    var toMacro = (str) => str.replace(/[^A-Za-z0-9]/g, "_").toUpperCase();
+    fileName = toMacro(fileName);
+    var ext = toMacro(this.getFileExtension(elem, _CPP_CODE_GEN_H));
+    if (style === _CPP_GUARD_PRAGMA) {
+      return null;
+    } else if (style === _CPP_GUARD_PATH) {
+      var terms = [];
+      if (this.genOptions.includeGuardPrefix) {
+        terms.push(toMacro(this.genOptions.includeGuardPrefix));
+      }
+      terms = terms.concat(this.getFolders(elem).map(toMacro));
+      terms.push(fileName, ext);
+      return terms.join("_") + "_";
+    }
+    return "_" + fileName + "_" + ext;
+  }
+
+  /**
+   * Classfy method and attribute by accessor.(public, private, protected)
+   *
+   * @param {Object} items
+   * @return {Object} list
+   */
+  classifyVisibility(items) {
+    var publicList = [];
+    var protectedList = [];
+    var privateList = [];
+    var i;
+    for (i = 0; i < items.length; i++) {
+      var item = items[i];
+      var visib = this.getVisibility(item);
+
+      if (visib === "public") {
+        publicList.push(item);
+      } else if (visib === "private") {
+        privateList.push(item);
       } else {
-        // if modifier not setted, consider it as protected
         protectedList.push(item);
       }
     }
     return {
-      _public: publicList,
-      _protected: protectedList,
-      _private: privateList,
+      _public: publicList,
+      _protected: protectedList,
+      _private: privateList,
+    };
+  }
+
+  /**
+   * generate variables from attributes[i]
+   *
+   * @param {Object} elem
+   * @return {Object} string
+   */
+  getMemberVariable(elem) {
+    if (elem.name.length > 0) {
+      // doc
+      var docs = this.getDocuments(elem.documentation);
+      var hasDefault = !!elem.defaultValue && elem.defaultValue.length > 0;
+      var isStatic = elem.isStatic === true;
+      var staticMode = this.getStaticMemberMode(elem);
+      // modifiers
+      var _modifiers = this.getModifiers(elem);
+      if (staticMode === _CPP_STATIC_CONSTEXPR) {
+        _modifiers = _modifiers.map((m) => (m === "const" ? "constexpr" : m));
+      } else if (staticMode === _CPP_STATIC_INLINE) {
+        _modifiers.unshift("inline");
+      }
+      // initial value, unless given in the definition or constructors
+      var owner = this.getMemberOwner(elem);
+      var initializer = "";
+      if (
+        hasDefault &&
+        (isStatic
+          ? staticMode !== null
+          : !this.hasConstructorInitializers(owner))
+      ) {
+        initializer = elem.defaultValue;
+      }
+      return this.render("member", {
+        docs: docs,
+        docLines: this.getDocumentLines(docs),
+        modifiers: _modifiers.join(" "),
+        type: this.getType(elem),
+        name: elem.name,
+        initializer: initializer,
+        isStatic: isStatic,
+      });
+    }
+  }
+
+  /**
+   * Return classifier having member as variable: the owner of an attribute,
+   * or the class at the opposite end of an association end
+   *
+   * @param {Object} elem UMLAttribute or UMLAssociationEnd
+   * @return {?type.UMLClassifier}
+   */
+  getMemberOwner(elem) {
+    var parent = elem._parent;
+    if (parent instanceof type.UMLAssociation) {
+      return parent.end1 === elem
+        ? parent.end2.reference
+        : parent.end1.reference;
+    }
+    return parent instanceof type.UMLClassifier ? parent : null;
+  }
+
+  /**
+   * Return how static member is defined: `inline` or `constexpr` in the
+   * class as selected by "Static Members", or null if it is defined out of
+   * the class. Only read-only members with initial value are `constexpr`.
+   * Members of interfaces, and of classes without *.cpp file, have no
+   * out-of-class definition and are `inline`.
+   *
+   * @param {Object} elem UMLAttribute or UMLAssociationEnd
+   * @return {?string}
+   */
+  getStaticMemberMode(elem) {
+    var mode = this.genOptions.staticMembers;
+    if (elem.isStatic !== true) {
+      return null;
+    }
+    if (mode !== _CPP_STATIC_INLINE && mode !== _CPP_STATIC_CONSTEXPR) {
+      var owner = this.getMemberOwner(elem);
+      var isDefined =
+        owner instanceof type.UMLClass && this.genOptions.genCpp !== false;
+      return isDefined ? null : _CPP_STATIC_INLINE;
+    }
+    if (
+      mode === _CPP_STATIC_CONSTEXPR &&
+      elem.isReadOnly === true &&
+      !!elem.defaultValue &&
+      elem.defaultValue.length > 0
+    ) {
+      return _CPP_STATIC_CONSTEXPR;
+    }
+    return _CPP_STATIC_INLINE;
+  }
+
+  /**
+   * Return out-of-class definitions of static members of class
+   * (`int Foo::count = 0;`)
+   *
+   * @param {type.UMLClass} elem
+   * @return {Array.<string>}
+   */
+  getStaticDefinitions(elem) {
+    var templatePrefix = this.getClassTemplatePrefix(elem);
+    var specifier = this.getScopeSpecifier(elem);
+    return elem.attributes
+      .concat(this.getAssociationMembers(elem))
+      .filter(
+        (member) =>
+          member.isStatic === true &&
+          member.name.length > 0 &&
+          this.getStaticMemberMode(member) === null,
+      )
+      .map((member) => {
+        var definition =
+          templatePrefix +
+          (member.isReadOnly === true ? "const " : "") +
+          this.getType(member) +
+          " " +
+          specifier +
+          member.name;
+        if (member.defaultValue && member.defaultValue.length > 0) {
+          definition += " = " + member.defaultValue;
+        }
+        return definition + ";";
+      });
+  }
+
+  /**
+   * Whether initial values of members of class are given in member
+   * initializer lists of constructors: "Initialize Members in Constructors"
+   * is on and no constructor is modelled as `= default`, which has no list
+   * (default member initializers are used then)
+   *
+   * @param {Object} elem
+   * @return {boolean}
+   */
+  hasConstructorInitializers(elem) {
+    return (
+      this.genOptions.memberInitializers === true &&
+      elem instanceof type.UMLClass &&
+      !elem.operations.some(
+        (op) =>
+          this.getOperationKind(op) === "constructor" &&
+          this.hasSpecifier(op, "default"),
+      )
+    );
+  }
+
+  /**
+   * Return member initializers of constructors from initial values of
+   * non-static members (`count(0)`), in declaration order. Empty unless
+   * initial values are given in constructors, see hasConstructorInitializers.
+   *
+   * @param {Object} elem
+   * @return {Array.<string>}
+   */
+  getMemberInitializers(elem) {
+    if (!this.hasConstructorInitializers(elem)) {
+      return [];
+    }
+    var members = this.classifyVisibility(
+      elem.attributes.concat(this.getAssociationMembers(elem)),
+    );
+    return members._public
+      .concat(members._protected, members._private)
+      .filter(
+        (member) =>
+          member.isStatic !== true &&
+          member.name.length > 0 &&
+          !!member.defaultValue &&
+          member.defaultValue.length > 0,
+      )
+      .map((member) => member.name + "(" + member.defaultValue + ")");
+  }
+
+  /**
+   * Return member initializer list of constructors, e.g. ` : count(0)`
+   *
+   * @param {Object} elem
+   * @return {string}
+   */
+  getInitializerList(elem) {
+    var initializers = this.getMemberInitializers(elem);
+    return initializers.length > 0 ? " : " + initializers.join(", ") : "";
+  }
+
+  /**
+   * Return definition of the generated default constructor initializing
+   * members, or null if it is defaulted, modelled or defined in the class
+   *
+   * @param {type.UMLClass} elem
+   * @return {?string}
+   */
+  getConstructorDefinition(elem) {
+    var hasConstructor = elem.operations.some(
+      (op) => this.getOperationKind(op) === "constructor",
+    );
+    var initializerList = this.getInitializerList(elem);
+    if (
+      hasConstructor ||
+      initializerList.length === 0 ||
+      this.genOptions.genCpp === false
+    ) {
+      return null;
+    }
+    var indent = this.getIndentString(this.genOptions);
+    var specifier = this.getScopeSpecifier(elem);
+    var body = "";
+    if (this.genOptions.mergeUserCode) {
+      body =
+        indent +
+        codegen.getUserCodeBegin(
+          elem._id + ":constructor",
+          specifier + elem.name + "()",
+        ) +
+        "\n" +
+        indent +
+        codegen.getUserCodeEnd(elem._id + ":constructor") +
+        "\n";
+    }
+    return (
+      "\n" +
+      this.getClassTemplatePrefix(elem) +
+      specifier +
+      elem.name +
+      "()" +
+      initializerList +
+      " {\n" +
+      body +
+      "}"
+    );
+  }
+
+  /**
+   * Whether getter and setter are generated for member. The `accessors`
+   * tag of the member overrides the preference.
+   *
+   * @param {Object} member UMLAttribute or UMLAssociationEnd
+   * @return {boolean}
+   */
+  hasAccessors(member) {
+    var flag = this.getTagFlag(member, "accessors");
+    if (flag !== undefined) {
+      return flag;
+    }
+    return this.genOptions.accessors === true;
+  }
+
+  /**
+   * Return getter and setter names of member as set by "Accessor Naming".
+   * Member prefix `m_`, `_` and suffix `_` are not part of the names. A plain
+   * getter named like a member without affix would clash with it, so the
+   * `get` prefix is used instead, with a warning.
+   *
+   * @param {Object} member
+   * @return {{getter: string, setter: string}}
+   */
+  getAccessorNames(member) {
+    var base = member.name.replace(/^m_|^_+|_+$/g, "") || member.name;
+    var capitalized = base.charAt(0).toUpperCase() + base.slice(1);
+    switch (this.genOptions.accessorNaming) {
+      case _CPP_ACCESSOR_SNAKE:
+        return { getter: "get_" + base, setter: "set_" + base };
+      case _CPP_ACCESSOR_PLAIN:
+        if (base !== member.name) {
+          return { getter: base, setter: "set" + capitalized };
+        }
+        var message =
+          "Getter of " +
+          member.name +
+          " would clash with the member, add an affix (e.g. m_" +
+          member.name +
+          ") for plain accessor naming; get" +
+          capitalized +
+          "() is generated";
+        // accessors of a class are built for both header and source
+        if (!this.warnings.includes(message)) {
+          this.warn(message);
+        }
+    }
+    return { getter: "get" + capitalized, setter: "set" + capitalized };
+  }
+
+  /**
+   * Whether values of the type are passed by (const) reference rather than
+   * by value: any type except built-in types, pointers and enumerations
+   *
+   * @param {Object} elem typed element
+   * @param {string} typeName generated type of elem
+   * @return {boolean}
+   */
+  isClassType(elem, typeName) {
+    var typeElem = elem instanceof type.UMLAssociationEnd ? null : elem.type;
+    if (typeElem instanceof type.UMLEnumeration) {
+      return false;
+    }
+    if (/[*&]\s*$/.test(typeName)) {
+      return false;
+    }
+    var words = typeName
+      .replace(/\bconst\b|\bstd::/g, " ")
+      .trim()
+      .split(/\s+/);
+    return !words.every((word) => _CPP_PRIMITIVE_TYPES.includes(word));
+  }
+
+  /**
+   * Generate getters and setters of attributes and association ends.
+   * Returns declarations (or inline definitions) for the header and
+   * out-of-line definitions for the *.cpp file. Accessors modelled as
+   * operations (same name and parameter types) are not generated, nor are
+   * setters of reference members, which can not be rebound.
+   *
+   * @param {type.UMLClassifier} elem
+   * @param {boolean} isCppBody
+   * @return {Array.<string>}
+   */
+  getAccessors(elem, isCppBody) {
+    var lines = [];
+    // interfaces and classes without *.cpp have inline accessors only
+    var isInline =
+      this.genOptions.accessorInline === true ||
+      this.genOptions.genCpp === false ||
+      !(elem instanceof type.UMLClass);
+    if (isCppBody && isInline) {
+      return lines;
+    }
+    var indent = this.getIndentString(this.genOptions);
+    var specifier = this.getScopeSpecifier(elem);
+    var templatePrefix = this.getClassTemplatePrefix(elem);
+    var modelled = elem.operations.map((op) =>
+      this.getOperationSignature(op).replace(/ const$/, ""),
+    );
+
+    var members = elem.attributes
+      .concat(this.getAssociationMembers(elem))
+      .filter((member) => member.name.length > 0 && this.hasAccessors(member));
+    members.forEach((member) => {
+      var names = this.getAccessorNames(member);
+      var _type = this.getType(member);
+      var isStatic = member.isStatic === true;
+      var isUnique = /^std::unique_ptr\s*</.test(_type);
+      var byRef =
+        this.genOptions.accessorConstRef !== false &&
+        this.isClassType(member, _type);
+      var returnType = byRef ? "const " + _type + "&" : _type;
+      var paramType = byRef && !isUnique ? "const " + _type + "&" : _type;
+      var value = isUnique ? "std::move(value)" : "value";
+      var target = isStatic ? member.name : "this->" + member.name;
+
+      var accessors = [
+        {
+          signature: names.getter + "()",
+          head:
+            returnType +
+            " " +
+            (isCppBody ? specifier : "") +
+            names.getter +
+            "()" +
+            (isStatic ? "" : " const"),
+          body: "return " + target + ";",
+        },
+      ];
+      if (member.isReadOnly !== true && !/&$/.test(_type)) {
+        accessors.push({
+          signature: names.setter + "(" + paramType + ")",
+          head:
+            "void " +
+            (isCppBody ? specifier : "") +
+            names.setter +
+            "(" +
+            paramType +
+            " value)",
+          body: target + " = " + value + ";",
+        });
+      }
+      accessors = accessors.filter(
+        (accessor) => !modelled.includes(accessor.signature),
+      );
+      accessors.forEach((accessor) => {
+        var prefix = isStatic && !isCppBody ? "static " : "";
+        if (isCppBody) {
+          lines.push(
+            "\n" +
+              templatePrefix +
+              accessor.head +
+              " {\n" +
+              indent +
+              accessor.body +
+              "\n}",
+          );
+        } else if (isInline) {
+          lines.push(prefix + accessor.head + " { " + accessor.body + " }");
+        } else {
+          lines.push(prefix + accessor.head + ";");
+        }
+      });
+    });
+    return lines;
+  }
+
+  /**
+   * generate methods from operations[i]
+   *
+   * @param {Object} elem
+   * @param {boolean} isCppBody
+   * @return {Object} string
+   */
+  getMethod(elem, isCppBody) {
+    if (elem.name.length > 0) {
+      var docs = elem.documentation;
+      var i;
+      var methodStr = "";
+      var kind = this.getOperationKind(elem);
+      var methodName = elem.name;
+      if (kind === "constructor") {
+        methodName = elem._parent.name;
+      } else if (kind === "destructor") {
+        methodName = "~" + elem._parent.name;
+      }
+      var isOverride = !isCppBody && this.isOverride(elem);
+      var isStatic = kind === null && elem.isStatic === true;
+      var isConst = kind === null && !isStatic && elem.isQuery === true;
+      // constexpr and inline operations are defined in the header
+      var isInline = !isCppBody && this.isInlineOperation(elem);
+      // template heads of enclosing class templates, then of operation
+      var templatePrefix = isCppBody
+        ? this.getClassTemplatePrefix(elem._parent)
+        : "";
+      if (this.hasTemplateParameters(elem)) {
+        templatePrefix += this.getTemplateParameter(elem, !isCppBody) + "\n";
+      }
+      if (!isCppBody && kind === null && this.hasSpecifier(elem, "nodiscard")) {
+        methodStr += "[[nodiscard]] ";
+      }
+      if (kind === "destructor") {
+        if (
+          !isCppBody &&
+          (this.needsVirtualDestructor(elem._parent) ||
+            this.getTagFlag(elem, "virtual") === true)
+        ) {
+          methodStr += "virtual ";
+        }
+      } else if (kind === "constructor" || isCppBody) {
+        // constructors are neither static nor virtual
+      } else if (isStatic) {
+        methodStr += "static ";
+      } else if (this.isVirtual(elem) && !isOverride) {
+        // overriding functions have override or final instead
+        methodStr += "virtual ";
+      }
+      if (!isCppBody) {
+        if (this.hasSpecifier(elem, "constexpr")) {
+          methodStr += "constexpr ";
+        } else if (this.hasSpecifier(elem, "inline")) {
+          methodStr += "inline ";
+        }
+      }
+
+      var returnTypeParam = elem.parameters.filter(function (params) {
+        return params.direction === "return" && kind === null;
+      });
+      var inputParams = elem.parameters.filter(function (params) {
+        return params.direction !== "return";
+      });
+      var inputParamStrings = [];
+      var parameterList = [];
+      for (i = 0; i < inputParams.length; i++) {
+        var inputParam = inputParams[i];
+        var param = {
+          type: this.getParameterType(inputParam),
+          name: inputParam.name,
+          defaultValue: "",
+          direction: inputParam.direction,
+          last: i === inputParams.length - 1,
+        };
+        var paramStr = param.type + " " + param.name;
+        // default arguments are given in the declaration only
+        if (
+          !isCppBody &&
+          inputParam.defaultValue &&
+          inputParam.defaultValue.length > 0
+        ) {
+          param.defaultValue = inputParam.defaultValue;
+          paramStr += " = " + inputParam.defaultValue;
+        }
+        inputParamStrings.push(paramStr);
+        parameterList.push(param);
+        docs += "\n@param " + inputParam.name;
+      }
+
+      var returnType = "";
+      if (kind === null) {
+        if (
+          !isCppBody &&
+          returnTypeParam.length > 1 &&
+          this.genOptions.multipleReturns === _CPP_MULTIPLE_RETURNS_WARN
+        ) {
+          this.warn(
+            "Operation " +
+              elem._parent.name +
+              "::" +
+              elem.name +
+              " has " +
+              returnTypeParam.length +
+              " return parameters, only the first one is used",
+          );
+        }
+        returnType = this.getReturnType(elem);
+      }
+
+      // cv-qualifier, noexcept and virt-specifiers following parameters
+      var qualifiers = isConst ? " const" : "";
+      if (this.hasSpecifier(elem, "noexcept")) {
+        qualifiers += " noexcept";
+      }
+      var virtSpecifier = "";
+      if (isCppBody || kind !== null || isStatic) {
+        // no virt-specifiers for constructors, destructors and statics
+      } else if (elem.isLeaf === true && this.isVirtual(elem)) {
+        virtSpecifier = " final";
+      } else if (isOverride) {
+        virtSpecifier = " override";
+      }
+
+      var view = {
+        templateHead: templatePrefix,
+        specifiers: methodStr,
+        returnType: returnType,
+        name: methodName,
+        parameters: inputParamStrings.join(", "),
+        parameterList: parameterList,
+        qualifiers: qualifiers,
+        virtSpecifier: virtSpecifier,
+        kind: kind || "method",
+        isStatic: isStatic,
+        isConst: isConst,
+        isVirtual: kind === null && this.isVirtual(elem),
+      };
+
+      if (isCppBody || isInline) {
+        var specifier = isCppBody ? this.getScopeSpecifier(elem._parent) : "";
+
+        var indentLine = this.getIndentString(this.genOptions);
+
+        var bodyStr = this.getStubStatements(elem)
+          .map((statement) => indentLine + statement)
+          .join("\n");
+        if (returnTypeParam.length > 0) {
+          docs += "\n@return " + this.getReturnType(elem);
+        }
+        if (this.genOptions.mergeUserCode) {
+          // keyed on _id, signature is used when _id has changed
+          var signature =
+            specifier +
+            methodName +
+            "(" +
+            inputParams
+              .map((param) => this.getParameterType(param))
+              .join(", ") +
+            ")" +
+            (isConst ? " const" : "");
+          bodyStr =
+            indentLine +
+            codegen.getUserCodeBegin(elem._id, signature) +
+            "\n" +
+            (bodyStr.length > 0 ? bodyStr + "\n" : "") +
+            indentLine +
+            codegen.getUserCodeEnd(elem._id);
+        }
+        view.scope = specifier;
+        view.initializerList =
+          kind === "constructor" ? this.getInitializerList(elem._parent) : "";
+        view.body = bodyStr;
+        view.docs = this.getDocuments(docs);
+        view.docLines = this.getDocumentLines(view.docs);
+        return this.render("method-definition", view);
+      }
+      view.suffix = "";
+      if (kind === null && this.isPureVirtual(elem)) {
+        view.suffix = " = 0";
+      } else if (this.hasSpecifier(elem, "delete")) {
+        view.suffix = " = delete";
+      } else if (this.hasSpecifier(elem, "default")) {
+        view.suffix = " = default";
+      }
+      view.docs = this.getDocuments(docs);
+      view.docLines = this.getDocumentLines(view.docs);
+      return this.render("method-declaration", view);
+    }
+  }
+
+  /**
+   * Return statements of the generated body of operation, as selected by
+   * "Method Stubs": a return statement (none for `void`, constructors and
+   * destructors), optionally preceded by a TODO comment, or a throw of
+   * `std::logic_error`. A `constexpr` operation, which may not throw in
+   * constant evaluation, gets the return statement instead of the throw.
+   *
+   * @param {type.UMLOperation} elem
+   * @return {Array.<string>}
+   */
+  getStubStatements(elem) {
+    var kind = this.getOperationKind(elem);
+    var statements = [];
+    if (
+      this.genOptions.methodStubs === _CPP_STUB_THROW &&
+      !this.hasSpecifier(elem, "constexpr")
+    ) {
+      // destructors are noexcept
+      if (kind !== "destructor") {
+        statements.push('throw std::logic_error("not implemented");');
+      }
+      return statements;
+    }
+    if (this.genOptions.methodStubs === _CPP_STUB_TODO) {
+      statements.push("// TODO: implement " + elem.name);
+    }
+    // references can not be bound to {}, return a function-local object
+    var referred = kind === null ? this.getReferredStubType(elem) : null;
+    if (referred !== null) {
+      statements.push("static " + referred + " value{};");
+      statements.push(
+        /&&$/.test(this.getReturnType(elem).trim())
+          ? "return static_cast<" + referred + "&&>(value);"
+          : "return value;",
+      );
+      return statements;
+    }
+    var value = kind === null ? this.getReturnValue(elem) : null;
+    if (value !== null) {
+      statements.push("return " + value + ";");
+    }
+    return statements;
+  }
+
+  /**
+   * Return type referred by the reference returned by operation, if its
+   * stub returns a function-local static object of the type: a reference
+   * to a type other than the owner of operation, without `returnValue` tag
+   *
+   * @param {type.UMLOperation} elem
+   * @return {?string} e.g. `std::string` for `const std::string&`
+   */
+  getReferredStubType(elem) {
+    var value = this.getTagValue(elem, "returnValue");
+    var returnType = this.getReturnType(elem).trim();
+    if (
+      (typeof value === "string" && value.trim().length > 0) ||
+      !/&$/.test(returnType) ||
+      this.isOwnerReference(elem, returnType)
+    ) {
+      return null;
+    }
+    return returnType
+      .replace(/&+$/, "")
+      .replace(/^const\s+/, "")
+      .trim();
+  }
+
+  /**
+   * Whether type is a reference to the owner of operation (`Foo&`,
+   * `const ns::Foo<T>&`)
+   *
+   * @param {type.UMLOperation} elem
+   * @param {string} typeName
+   * @return {boolean}
+   */
+  isOwnerReference(elem, typeName) {
+    var name = typeName
+      .replace(/&+$/, "")
+      .replace(/^const\s+/, "")
+      .replace(/<[\s\S]*>$/, "")
+      .split("::")
+      .pop()
+      .trim();
+    return (
+      /[^&]&$/.test(typeName) &&
+      elem._parent instanceof type.UMLClassifier &&
+      name === elem._parent.name
+    );
+  }
+
+  /**
+   * Return value returned by the stub of operation, or null for `void`.
+   * The `returnValue` tag of operation overrides the defaults: `*this` for
+   * assignment operators and references to the owner, `nullptr` for
+   * pointers, values in "Return Values" or built-in ones by type, otherwise
+   * `{}`. Other references are returned by getReferredStubType.
+   *
+   * @param {type.UMLOperation} elem
+   * @return {?string}
+   */
+  getReturnValue(elem) {
+    var value = this.getTagValue(elem, "returnValue");
+    if (typeof value === "string" && value.trim().length > 0) {
+      return value.trim();
+    }
+    var returnType = this.getReturnType(elem).trim();
+    if (returnType === "void") {
+      return null;
+    }
+    if (
+      (/^operator\s*([-+*/%^&|]|<<|>>)?=$/.test(elem.name) &&
+        /&$/.test(returnType)) ||
+      this.isOwnerReference(elem, returnType)
+    ) {
+      return "*this";
+    }
+    if (/\*$/.test(returnType)) {
+      return "nullptr";
+    }
+    var table = this.getReturnValues();
+    var name = returnType.replace(/^const\s+/, "");
+    if (Object.prototype.hasOwnProperty.call(table, name)) {
+      return table[name];
+    }
+    if (_CPP_PRIMITIVE_TYPES.includes(name)) {
+      return "0";
+    }
+    return "{}";
+  }
+
+  /**
+   * Return table of values returned by stubs, keyed by type name. Built-in
+   * values are overridden by "Return Values" (`Type=value`, separated by
+   * commas).
+   *
+   * @return {Object.<string, string>}
+   */
+  getReturnValues() {
+    var table = Object.assign({}, _CPP_RETURN_VALUES);
+    var custom = this.genOptions.returnValues;
+    if (typeof custom === "string") {
+      custom.split(/[,;\n]/).forEach((entry) => {
+        var index = entry.indexOf("=");
+        if (index > 0 && entry.slice(index + 1).trim()) {
+          table[entry.slice(0, index).trim()] = entry.slice(index + 1).trim();
+        }
+      });
+    }
+    return table;
+  }
+
+  /**
+   * Whether header of elem contains method bodies: inline operations, or
+   * definitions of a class template
+   *
+   * @param {Object} elem
+   * @return {boolean}
+   */
+  hasHeaderDefinitions(elem) {
+    if (
+      elem instanceof type.UMLClass &&
+      this.getDefinitionExtension(elem) !== _CPP_CODE_GEN_CPP
+    ) {
+      return true;
+    }
+    return (
+      (elem.operations || []).some((op) => this.isInlineOperation(op)) ||
+      (elem.ownedElements || []).some(
+        (child) =>
+          child instanceof type.UMLClassifier &&
+          this.hasHeaderDefinitions(child),
+      )
+    );
+  }
+
+  /**
+   * Return type of parameter as passed: `inout` and `out` parameters by
+   * reference (or pointer), `in` parameters of class types by const
+   * reference. `isReadOnly` adds `const`.
+   *
+   * @param {type.UMLParameter} elem
+   * @return {string}
+   */
+  getParameterType(elem) {
+    var _type = this.getType(elem);
+    var isConst = /^const\s/.test(_type);
+    if (elem.direction === "inout" || elem.direction === "out") {
+      if (!/[*&]\s*$/.test(_type)) {
+        _type +=
+          this.genOptions.outParameterAs === _CPP_OUT_PARAM_POINTER ? "*" : "&";
+      }
+      return _type;
+    }
+    if (
+      this.genOptions.constRefParameters !== false &&
+      this.isClassType(elem, _type)
+    ) {
+      return (isConst ? "" : "const ") + _type + "&";
+    }
+    if (elem.isReadOnly === true && !isConst) {
+      _type = "const " + _type;
+    }
+    return _type;
+  }
+
+  /**
+   * Return type of operation. Multiple return parameters are returned as
+   * `std::tuple` unless "Multiple Return Parameters" is set to warn, in
+   * which case the first one is used.
+   *
+   * @param {type.UMLOperation} elem
+   * @return {string}
+   */
+  getReturnType(elem) {
+    var returnParams = elem.parameters.filter(
+      (param) => param.direction === "return",
+    );
+    if (returnParams.length === 0) {
+      return "void";
+    }
+    if (
+      returnParams.length === 1 ||
+      this.genOptions.multipleReturns === _CPP_MULTIPLE_RETURNS_WARN
+    ) {
+      return this.getType(returnParams[0]);
+    }
+    return (
+      "std::tuple<" +
+      returnParams.map((param) => this.getType(param)).join(", ") +
+      ">"
+    );
+  }
+
+  /**
+   * Whether operation has a specifier given by a boolean tag or stereotype
+   * of the same name: `noexcept`, `default`, `delete`, `constexpr`,
+   * `inline` or `nodiscard`
+   *
+   * @param {type.UMLOperation} elem
+   * @param {string} name
+   * @return {boolean}
+   */
+  hasSpecifier(elem, name) {
+    return (
+      this.getTagFlag(elem, name) === true || this.getStereotype(elem) === name
+    );
+  }
+
+  /**
+   * Whether operation is defined inside the class (`constexpr`, `inline`, or
+   * member template of a class defined in the *.cpp file)
+   *
+   * @param {type.UMLOperation} elem
+   * @return {boolean}
+   */
+  isInlineOperation(elem) {
+    var isMemberTemplate =
+      this.hasTemplateParameters(elem) &&
+      (!(elem._parent instanceof type.UMLClass) ||
+        this.getDefinitionExtension(elem._parent) === _CPP_CODE_GEN_CPP);
+    return (
+      (this.hasSpecifier(elem, "constexpr") ||
+        this.hasSpecifier(elem, "inline") ||
+        isMemberTemplate) &&
+      !this.isPureVirtual(elem) &&
+      !this.hasSpecifier(elem, "default") &&
+      !this.hasSpecifier(elem, "delete")
+    );
+  }
+
+  /**
+   * Whether operation is defined in the *.cpp file. Pure virtual, defaulted,
+   * deleted and inline operations are not.
+   *
+   * @param {type.UMLOperation} elem
+   * @return {boolean}
+   */
+  hasCppBody(elem) {
+    return (
+      !this.isPureVirtual(elem) &&
+      !this.isInlineOperation(elem) &&
+      !this.hasSpecifier(elem, "default") &&
+      !this.hasSpecifier(elem, "delete")
+    );
+  }
+
+  /**
+   * Return view of enumeration for the `enum` template
+   *
+   * @param {type.UMLEnumeration} elem
+   * @return {Object}
+   */
+  getEnumerationView(elem) {
+    var docs = this.getDocuments(elem.documentation);
+    return {
+      docs: docs,
+      docLines: this.getDocumentLines(docs),
+      name: elem.name,
+      scoped: this.isScopedEnum(elem),
+      underlyingType: this.getTagValue(elem, "underlyingType") || "",
+      literals: elem.literals.map((literal, index) => {
+        var literalDocs = this.getDocuments(literal.documentation);
+        return {
+          docs: literalDocs,
+          docLines: this.getDocumentLines(literalDocs),
+          name: literal.name,
+          value: this.getLiteralValue(literal) || "",
+          last: index === elem.literals.length - 1,
+        };
+      }),
     };
   }
 
   /**
-   * generate variables from attributes[i]
+   * Whether enumeration is generated as `enum class`: `scoped` tag or
+   * `enum class` (or `scoped`) stereotype
+   *
+   * @param {type.UMLEnumeration} elem
+   * @return {boolean}
+   */
+  isScopedEnum(elem) {
+    var stereotype = this.getStereotype(elem);
+    return (
+      this.getTagFlag(elem, "scoped") === true ||
+      stereotype === "enum class" ||
+      stereotype === "scoped"
+    );
+  }
+
+  /**
+   * Return explicit value of enumeration literal from `value` tag or
+   * `defaultValue` property
+   *
+   * @param {type.UMLEnumerationLiteral} literal
+   * @return {string} "" if not given
+   */
+  getLiteralValue(literal) {
+    var value = this.getTagValue(literal, "value");
+    if (value === undefined || value === null || String(value).length === 0) {
+      value = literal.defaultValue;
+    }
+    return value === undefined || value === null ? "" : String(value).trim();
+  }
+
+  /**
+   * Return stereotype name of elem in lower case, or "" if none
    *
    * @param {Object} elem
-   * @return {Object} string
+   * @return {string}
    */
-  getMemberVariable(elem) {
-    if (elem.name.length > 0) {
-      var terms = [];
-      // doc
-      var docs = this.getDocuments(elem.documentation);
-      // modifiers
-      var _modifiers = this.getModifiers(elem);
-      if (_modifiers.length > 0) {
-        terms.push(_modifiers.join(" "));
-      }
-      // type
-      terms.push(this.getType(elem));
-      // name
-      terms.push(elem.name);
-      // initial value
-      if (elem.defaultValue && elem.defaultValue.length > 0) {
-        terms.push("= " + elem.defaultValue);
-      }
-      return docs + terms.join(" ") + ";";
+  getStereotype(elem) {
+    var stereotype = elem.stereotype;
+    if (stereotype && typeof stereotype === "object") {
+      stereotype = stereotype.name;
     }
+    return typeof stereotype === "string"
+      ? stereotype.trim().toLowerCase()
+      : "";
   }
 
   /**
-   * generate methods from operations[i]
+   * Return whether operation is a constructor or destructor, recognized by
+   * stereotype (`constructor`/`create`, `destructor`/`destroy`) or by name
+   *
+   * @param {type.UMLOperation} elem
+   * @return {?string} "constructor", "destructor" or null
+   */
+  getOperationKind(elem) {
+    var owner = elem._parent;
+    var stereotype = this.getStereotype(elem);
+    var ownerName = owner instanceof type.UMLClassifier ? owner.name : null;
+    if (
+      stereotype === "destructor" ||
+      stereotype === "destroy" ||
+      (ownerName && elem.name === "~" + ownerName)
+    ) {
+      return "destructor";
+    }
+    if (
+      stereotype === "constructor" ||
+      stereotype === "create" ||
+      (ownerName && elem.name === ownerName)
+    ) {
+      return "constructor";
+    }
+    return null;
+  }
+
+  /**
+   * Return value of a boolean tag, which may also be a string tag of
+   * `true` or `false`
    *
    * @param {Object} elem
-   * @param {boolean} isCppBody
-   * @return {Object} string
+   * @param {string} name
+   * @return {boolean|undefined} undefined if elem has no such tag
    */
-  getMethod(elem, isCppBody) {
-    if (elem.name.length > 0) {
-      var docs = elem.documentation;
-      var i;
-      var methodStr = "";
-      // var isVirtaul = false
-      // TODO virtual fianl static 키워드는 섞어 쓸수가 없다
-      if (elem.isStatic === true) {
-        methodStr += "static ";
-      } else if (elem.isAbstract === true) {
-        methodStr += "virtual ";
-      }
+  getTagFlag(elem, name) {
+    var value = this.getTagValue(elem, name);
+    if (value === undefined) {
+      return undefined;
+    }
+    return value === true || String(value).trim().toLowerCase() === "true";
+  }
 
-      var returnTypeParam = elem.parameters.filter(function (params) {
-        return params.direction === "return";
-      });
-      var inputParams = elem.parameters.filter(function (params) {
-        return params.direction === "in";
-      });
-      var inputParamStrings = [];
-      for (i = 0; i < inputParams.length; i++) {
-        var inputParam = inputParams[i];
-        inputParamStrings.push(
-          this.getType(inputParam) + " " + inputParam.name,
-        );
-        docs += "\n@param " + inputParam.name;
-      }
+  /**
+   * Whether operation is pure virtual: `isAbstract` or operation of an
+   * interface
+   *
+   * @param {type.UMLOperation} elem
+   * @return {boolean}
+   */
+  isPureVirtual(elem) {
+    if (elem.isStatic === true || this.getOperationKind(elem) !== null) {
+      return false;
+    }
+    return (
+      elem.isAbstract === true || elem._parent instanceof type.UMLInterface
+    );
+  }
 
-      methodStr +=
-        (returnTypeParam.length > 0
-          ? this.getType(returnTypeParam[0])
-          : "void") + " ";
+  /**
+   * Whether operation is virtual: pure virtual, `virtual` tag or stereotype,
+   * or overriding a virtual operation of a superclass
+   *
+   * @param {type.UMLOperation} elem
+   * @return {boolean}
+   */
+  isVirtual(elem) {
+    if (elem.isStatic === true || this.getOperationKind(elem) !== null) {
+      return false;
+    }
+    return (
+      this.isPureVirtual(elem) ||
+      this.getTagFlag(elem, "virtual") === true ||
+      this.getStereotype(elem) === "virtual" ||
+      this.isOverride(elem)
+    );
+  }
 
-      if (isCppBody) {
-        var telem = elem;
-        var specifier = "";
+  /**
+   * Return signature of operation identifying it among overloads and
+   * overriders: name, parameter types and `const`
+   *
+   * @param {type.UMLOperation} elem
+   * @return {string}
+   */
+  getOperationSignature(elem) {
+    return (
+      elem.name +
+      "(" +
+      elem.parameters
+        .filter((param) => param.direction !== "return")
+        .map((param) => this.getParameterType(param))
+        .join(", ") +
+      ")" +
+      (elem.isQuery === true ? " const" : "")
+    );
+  }
 
-        while (telem._parent instanceof type.UMLClass) {
-          specifier = telem._parent.name + "::" + specifier;
-          telem = telem._parent;
+  /**
+   * Whether a virtual operation with the same name and parameter types is
+   * found in the superclasses of operation's owner
+   *
+   * @param {type.UMLOperation} elem
+   * @return {boolean}
+   */
+  isOverride(elem) {
+    if (elem.isStatic === true || this.getOperationKind(elem) !== null) {
+      return false;
+    }
+    var signature = this.getOperationSignature(elem);
+    var visited = [];
+    var find = (classifier) => {
+      return this.getSuperClasses(classifier).some((generalization) => {
+        var superClass = generalization.target;
+        if (!superClass || visited.includes(superClass)) {
+          return false;
         }
+        visited.push(superClass);
+        var found = (superClass.operations || []).some(
+          (op) =>
+            this.getOperationSignature(op) === signature &&
+            (this.isPureVirtual(op) ||
+              this.getTagFlag(op, "virtual") === true ||
+              this.getStereotype(op) === "virtual"),
+        );
+        return found || find(superClass);
+      });
+    };
+    return find(elem._parent);
+  }
 
-        var indentLine = "";
+  /**
+   * Whether destructor of elem should be virtual: interfaces, classes having
+   * virtual operations and classes being specialized or realized
+   *
+   * @param {type.UMLClassifier} elem
+   * @return {boolean}
+   */
+  needsVirtualDestructor(elem) {
+    if (elem instanceof type.UMLInterface) {
+      return true;
+    }
+    if (
+      elem.operations.some(
+        (op) => this.getOperationKind(op) === null && this.isVirtual(op),
+      )
+    ) {
+      return true;
+    }
+    var subclasses = app.repository.getRelationshipsOf(elem, function (rel) {
+      return (
+        (rel instanceof type.UMLGeneralization ||
+          rel instanceof type.UMLInterfaceRealization) &&
+        rel.target === elem
+      );
+    });
+    return subclasses.length > 0;
+  }
 
-        for (i = 0; i < this.genOptions.indentSpaces; i++) {
-          indentLine += " ";
-        }
+  /**
+   * Return which copy or move operation of its class the operation is: a
+   * constructor or `operator=` taking the class by (rvalue) reference
+   *
+   * @param {type.UMLOperation} elem
+   * @return {?string} "copyConstructor", "copyAssignment", "moveConstructor",
+   *     "moveAssignment" or null
+   */
+  getCopyMoveKind(elem) {
+    var owner = elem._parent;
+    var params = elem.parameters.filter(
+      (param) => param.direction !== "return",
+    );
+    var isConstructor = this.getOperationKind(elem) === "constructor";
+    var isAssignment = elem.name.replace(/\s+/g, "") === "operator=";
+    if (
+      !(owner instanceof type.UMLClassifier) ||
+      params.length !== 1 ||
+      !(isConstructor || isAssignment)
+    ) {
+      return null;
+    }
+    var _type = this.getParameterType(params[0]);
+    var typeName = _type
+      .replace(/\bconst\b|&/g, "")
+      .trim()
+      .split("::")
+      .pop();
+    if (typeName !== owner.name || !/&\s*$/.test(_type)) {
+      return null;
+    }
+    return (
+      (/&&\s*$/.test(_type) ? "move" : "copy") +
+      (isConstructor ? "Constructor" : "Assignment")
+    );
+  }
 
-        methodStr += specifier;
-        methodStr += elem.name;
-        methodStr += "(" + inputParamStrings.join(", ") + ")" + " {\n";
-        if (returnTypeParam.length > 0) {
-          var returnType = this.getType(returnTypeParam[0]);
-          if (returnType === "boolean" || returnType === "bool") {
-            methodStr += indentLine + "return false;";
-          } else if (
-            returnType === "int" ||
-            returnType === "long" ||
-            returnType === "short" ||
-            returnType === "byte"
-          ) {
-            methodStr += indentLine + "return 0;";
-          } else if (returnType === "double" || returnType === "float") {
-            methodStr += indentLine + "return 0.0;";
-          } else if (returnType === "char") {
-            methodStr += indentLine + "return '0';";
-          } else if (returnType === "string" || returnType === "String") {
-            methodStr += indentLine + 'return "";';
-          } else if (returnType === "void") {
-            methodStr += indentLine + "return;";
-          } else {
-            methodStr += indentLine + "return null;";
-          }
-          docs += "\n@return " + returnType;
-        }
-        methodStr += "\n}";
+  /**
+   * Return declarations of special member functions not modelled as
+   * operations: default constructor (not for structs, which would no longer
+   * be aggregates), virtual destructor, and copy and move operations as set
+   * by `copy` and `move` tags (`default` or `delete`)
+   *
+   * @param {type.UMLClassifier} elem
+   * @return {Array.<string>}
+   */
+  getSpecialMembers(elem) {
+    var lines = [];
+    var name = elem.name;
+    var kinds = elem.operations.map((op) => this.getOperationKind(op));
+    var copyMoveKinds = elem.operations.map((op) => this.getCopyMoveKind(op));
+    var initializerList =
+      elem instanceof type.UMLClass ? this.getInitializerList(elem) : "";
+    if (
+      elem instanceof type.UMLClass &&
+      !kinds.includes("constructor") &&
+      (!this.isStruct(elem) || initializerList.length > 0)
+    ) {
+      if (initializerList.length === 0) {
+        lines.push(name + "() = default;");
+      } else if (this.genOptions.genCpp === false) {
+        lines.push(name + "()" + initializerList + " {}");
       } else {
-        methodStr += elem.name;
-        methodStr += "(" + inputParamStrings.join(", ") + ")";
-        if (elem.isLeaf === true) {
-          methodStr += " final";
-        } else if (elem.isAbstract === true) {
-          // TODO 만약 virtual 이면 모두 pure virtual? 체크 할것
-          methodStr += " = 0";
+        lines.push(name + "();");
+      }
+    }
+    if (!kinds.includes("destructor") && this.needsVirtualDestructor(elem)) {
+      lines.push("virtual ~" + name + "() = default;");
+    }
+    if (elem instanceof type.UMLClass) {
+      var copy = String(this.getTagValue(elem, "copy") || "")
+        .trim()
+        .toLowerCase();
+      var move = String(this.getTagValue(elem, "move") || "")
+        .trim()
+        .toLowerCase();
+      // modelled copy and move operations are generated as operations
+      var isModelled = (kind) => copyMoveKinds.includes(kind);
+      if (copy === "default" || copy === "delete") {
+        if (!isModelled("copyConstructor")) {
+          lines.push(name + "(const " + name + "& other) = " + copy + ";");
+        }
+        if (!isModelled("copyAssignment")) {
+          lines.push(
+            name + "& operator=(const " + name + "& other) = " + copy + ";",
+          );
+        }
+      }
+      if (move === "default" || move === "delete") {
+        var noexcept = move === "default" ? " noexcept" : "";
+        if (!isModelled("moveConstructor")) {
+          lines.push(
+            name + "(" + name + "&& other)" + noexcept + " = " + move + ";",
+          );
+        }
+        if (!isModelled("moveAssignment")) {
+          lines.push(
+            name +
+              "& operator=(" +
+              name +
+              "&& other)" +
+              noexcept +
+              " = " +
+              move +
+              ";",
+          );
         }
-        methodStr += ";";
       }
-      return "\n" + this.getDocuments(docs) + methodStr;
     }
+    return lines;
   }
 
   /**
@@ -717,7 +4264,37 @@ class CppCodeGenerator {
       case type.UMLModelElement.VK_PRIVATE:
         return "private";
     }
-    return null;
+    // package or not set: default access of the owner
+    var owner = elem._parent;
+    if (elem instanceof type.UMLAssociationEnd && owner) {
+      owner = owner.end1 === elem ? owner.end2.reference : owner.end1.reference;
+    }
+    if (owner instanceof type.UMLClass && !this.isStruct(owner)) {
+      return "private";
+    }
+    return "public";
+  }
+
+  /**
+   * Whether class is generated as struct (`struct` stereotype)
+   *
+   * @param {Object} elem
+   * @return {boolean}
+   */
+  isStruct(elem) {
+    return (
+      elem instanceof type.UMLClass && this.getStereotype(elem) === "struct"
+    );
+  }
+
+  /**
+   * Return class-key of classifier: `struct` or `class`
+   *
+   * @param {Object} elem
+   * @return {string}
+   */
+  getClassKey(elem) {
+    return this.isStruct(elem) ? "struct" : "class";
   }
 
   /**
@@ -754,7 +4331,19 @@ class CppCodeGenerator {
         elem.reference instanceof type.UMLModelElement &&
         elem.reference.name.length > 0
       ) {
-        _type = elem.reference.name;
+        var asso = elem._parent;
+        var owner =
+          asso instanceof type.UMLAssociation
+            ? asso.end1 === elem
+              ? asso.end2.reference
+              : asso.end1.reference
+            : null;
+        _type = this.getTypeName(elem.reference, owner);
+        var qualifiers = this.getQualifiers(elem);
+        if (qualifiers.length > 0) {
+          return this.getQualifiedType(elem, qualifiers, _type);
+        }
+        _type = this.getOwnershipType(elem, _type);
       }
     } else {
       // member variable inside class
@@ -762,7 +4351,7 @@ class CppCodeGenerator {
         elem.type instanceof type.UMLModelElement &&
         elem.type.name.length > 0
       ) {
-        _type = elem.type.name;
+        _type = this.getTypeName(elem.type, elem);
       } else if (typeof elem.type === "string" && elem.type.length > 0) {
         _type = elem.type;
       }
@@ -770,24 +4359,214 @@ class CppCodeGenerator {
 
     // multiplicity
     if (elem.multiplicity) {
-      if (["0..*", "1..*", "*"].includes(elem.multiplicity.trim())) {
-        if (elem.isOrdered === true) {
-          _type = "vector<" + _type + ">";
+      var range = this.getMultiplicityRange(elem.multiplicity);
+      if (range.upper === "1") {
+        // 0..1 of association end is already nullable by ownership
+        if (
+          range.lower === "0" &&
+          !(elem instanceof type.UMLAssociationEnd) &&
+          !/[*&]$|_ptr\s*<|^std::optional\s*</.test(_type)
+        ) {
+          _type = "std::optional<" + _type + ">";
+        }
+      } else if (range.upper.match(/^\d+$/) && range.lower === range.upper) {
+        // fixed size
+        _type = "std::array<" + _type + ", " + range.upper + ">";
+      } else if (range.upper === "*" || range.upper.match(/^\d+$/)) {
+        if (this.genOptions.useVector === false) {
+          _type += "*";
         } else {
-          _type = "vector<" + _type + ">";
+          _type = "std::" + this.getContainer(elem) + "<" + _type + ">";
         }
-      } else if (
-        elem.multiplicity !== "1" &&
-        elem.multiplicity.match(/^\d+$/)
-      ) {
-        // number
-        // TODO check here
-        _type += "[]";
       }
     }
     return _type;
   }
 
+  /**
+   * Return qualifiers for the lookup through association end. Qualifiers are
+   * placed on the opposite end (owner side) in UML, but ones on the end
+   * itself are also accepted.
+   *
+   * @param {Object} end
+   * @return {Array.<Object>}
+   */
+  getQualifiers(end) {
+    var asso = end._parent;
+    if (asso instanceof type.UMLAssociation) {
+      var opposite = asso.end1 === end ? asso.end2 : asso.end1;
+      if (opposite.qualifiers && opposite.qualifiers.length > 0) {
+        return opposite.qualifiers;
+      }
+    }
+    return end.qualifiers || [];
+  }
+
+  /**
+   * Return map type for qualified association end.
+   * Map kind is set in preferences, `container` tag overrides it.
+   *
+   * @param {Object} end
+   * @param {Array.<Object>} qualifiers
+   * @param {string} typeName
+   * @return {string} e.g. std::map<std::string, Account*>
+   */
+  getQualifiedType(end, qualifiers, typeName) {
+    var keyTypes = qualifiers.map((qualifier) => this.getType(qualifier));
+    var keyType =
+      keyTypes.length > 1
+        ? "std::tuple<" + keyTypes.join(", ") + ">"
+        : keyTypes[0];
+    // values are stored in the map, so as in collections
+    var valueType = this.getOwnershipType(end, typeName, "*");
+    var map = this.getTagValue(end, "container");
+    if (typeof map === "string" && map.length > 0) {
+      map = map.replace(/^std::/, "");
+    } else {
+      map = this.genOptions.qualifiedMap || "map";
+    }
+    // more than one value for a key
+    if (this.isMultiValued(end.multiplicity) && map.indexOf("multi") < 0) {
+      map = map.replace(/map$/, "multimap");
+    }
+    return "std::" + map + "<" + keyType + ", " + valueType + ">";
+  }
+
+  /**
+   * Return lower and upper bounds of multiplicity
+   *
+   * @param {string} multiplicity e.g. "1", "0..1", "*", "1..*"
+   * @return {{lower: string, upper: string}}
+   */
+  getMultiplicityRange(multiplicity) {
+    var bounds = multiplicity.split("..").map((bound) => bound.trim());
+    return {
+      lower: bounds[0],
+      upper: bounds.length > 1 ? bounds[1] : bounds[0],
+    };
+  }
+
+  /**
+   * Whether multiplicity allows more than one value
+   *
+   * @param {string} multiplicity
+   * @return {boolean}
+   */
+  isMultiValued(multiplicity) {
+    if (!multiplicity || multiplicity.trim().length === 0) {
+      return false;
+    }
+    var range = this.getMultiplicityRange(multiplicity);
+    return range.upper === "*" || parseInt(range.upper, 10) > 1;
+  }
+
+  /**
+   * Return container for a multi-valued element by isOrdered and isUnique.
+   * `container` tag overrides the containers set in preferences.
+   *
+   * @param {Object} elem
+   * @return {string} e.g. "vector", "list", "set"
+   */
+  getContainer(elem) {
+    var container = this.getTagValue(elem, "container");
+    if (typeof container === "string" && container.length > 0) {
+      return container.replace(/^std::/, "");
+    }
+    if (elem.isOrdered === true && elem.isUnique === true) {
+      container = this.genOptions.orderedUniqueContainer || "set";
+    } else if (elem.isOrdered === true) {
+      container = this.genOptions.orderedContainer || "vector";
+    } else if (elem.isUnique === true) {
+      container = this.genOptions.uniqueContainer || "unordered_set";
+    } else {
+      container = this.genOptions.bagContainer || "vector";
+    }
+    return container;
+  }
+
+  /**
+   * Return aggregation kind deciding how the member of association end
+   * holds its reference: the kind of the opposite (whole) end, where UML
+   * puts the diamond. The end's own kind concerns the other member.
+   *
+   * @param {Object} end
+   * @return {string} one of "none", "shared", "composite"
+   */
+  getAggregation(end) {
+    var normalize = (kind) => {
+      if (kind === type.UMLAttribute.AK_COMPOSITE || kind === 2) {
+        return type.UMLAttribute.AK_COMPOSITE;
+      } else if (kind === type.UMLAttribute.AK_SHARED || kind === 1) {
+        return type.UMLAttribute.AK_SHARED;
+      }
+      return type.UMLAttribute.AK_NONE;
+    };
+    var asso = end._parent;
+    if (!(asso instanceof type.UMLAssociation)) {
+      return type.UMLAttribute.AK_NONE;
+    }
+    return normalize(
+      asso.end1 === end ? asso.end2.aggregation : asso.end1.aggregation,
+    );
+  }
+
+  /**
+   * Wrap type name of association end by ownership.
+   * Composite, shared aggregation and plain association are mapped as set
+   * in preferences. `ownership` tag of the end overrides it.
+   *
+   * @param {Object} end
+   * @param {string} typeName
+   * @param {string} multiplicity multiplicity of end if omitted
+   * @return {string}
+   */
+  getOwnershipType(end, typeName, multiplicity) {
+    if (typeof multiplicity !== "string") {
+      multiplicity = end.multiplicity ? end.multiplicity.trim() : "";
+    }
+    var aggregation = this.getAggregation(end);
+    var ownership = this.getTagValue(end, "ownership");
+    if (typeof ownership !== "string" || ownership.length === 0) {
+      if (aggregation === type.UMLAttribute.AK_COMPOSITE) {
+        ownership = this.genOptions.compositeAs;
+      } else if (aggregation === type.UMLAttribute.AK_SHARED) {
+        ownership = this.genOptions.sharedAs;
+      } else {
+        ownership = this.genOptions.associationAs;
+      }
+    }
+
+    // references can not be stored in collections nor be null
+    if (
+      ownership === "reference" &&
+      (multiplicity === "0..1" || this.isMultiValued(multiplicity))
+    ) {
+      ownership = "pointer";
+    }
+    if (multiplicity === "0..1" && (!ownership || ownership === "value")) {
+      if (this.genOptions.optionalAs === "optional") {
+        ownership = "optional";
+      } else if (aggregation === type.UMLAttribute.AK_COMPOSITE) {
+        ownership = "unique_ptr";
+      } else {
+        ownership = "pointer";
+      }
+    }
+
+    switch (ownership) {
+      case "unique_ptr":
+      case "shared_ptr":
+      case "weak_ptr":
+      case "optional":
+        return "std::" + ownership + "<" + typeName + ">";
+      case "pointer":
+        return typeName + "*";
+      case "reference":
+        return typeName + "&";
+    }
+    return typeName;
+  }
+
   /**
    * get all super class / interface from element
    *
@@ -809,9 +4588,99 @@ class CppCodeGenerator {
   }
 }
 
+/**
+ * Show warnings found while generating
+ *
+ * @param {Array.<string>} warnings
+ */
+function showWarnings(warnings) {
+  if (warnings.length > 0) {
+    app.toast.warning(
+      "C++ code generation: " +
+        warnings.length +
+        " warning(s). See console for details.",
+    );
+  }
+}
+
+/**
+ * Report malformed code templates, before anything is generated
+ *
+ * @param {CppCodeGenerator} cppCodeGenerator
+ * @param {Object} options
+ * @return {boolean} whether all templates can be rendered
+ */
+function checkTemplates(cppCodeGenerator, options) {
+  var errors = cppCodeGenerator.getTemplateErrors(options);
+  if (errors.length === 0) {
+    return true;
+  }
+  errors.forEach((error) => console.error("[C++] " + error));
+  app.toast.error("C++ code generation failed: " + errors.join("; "));
+  return false;
+}
+
 function generate(baseModel, basePath, options) {
   var cppCodeGenerator = new CppCodeGenerator(baseModel, basePath);
+  if (!checkTemplates(cppCodeGenerator, options)) {
+    return;
+  }
+  cppCodeGenerator.generate(baseModel, basePath, options);
+  if (options.cmake) {
+    cppCodeGenerator.writeCMakeFiles(baseModel, basePath);
+  }
+  cppCodeGenerator.checkIncludeCycles(baseModel);
+  showWarnings(cppCodeGenerator.warnings);
+}
+
+/**
+ * Generate codes in memory without writing to disk
+ *
+ * @param {type.UMLPackage} baseModel
+ * @param {string} basePath
+ * @param {Object} options
+ * @return {Object.<string, string>} generated contents by relative path,
+ *     empty if a template is malformed
+ */
+function dryRun(baseModel, basePath, options) {
+  var memoryFs = new codegen.MemoryFileSystem(basePath);
+  var cppCodeGenerator = new CppCodeGenerator(baseModel, basePath, memoryFs);
+  if (!checkTemplates(cppCodeGenerator, options)) {
+    return memoryFs.files;
+  }
   cppCodeGenerator.generate(baseModel, basePath, options);
+  if (options.cmake) {
+    cppCodeGenerator.writeCMakeFiles(baseModel, basePath);
+  }
+  cppCodeGenerator.checkIncludeCycles(baseModel);
+  showWarnings(cppCodeGenerator.warnings);
+  return memoryFs.files;
+}
+
+/**
+ * Return unified diff of generated files against files in basePath
+ *
+ * @param {Object.<string, string>} files result of dryRun
+ * @param {string} basePath
+ * @return {string}
+ */
+function getDiff(files, basePath) {
+  var diffs = [];
+  Object.keys(files)
+    .sort()
+    .forEach((relativePath) => {
+      var file = path.join(basePath, relativePath);
+      var oldText = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+      var diff = codegen.unifiedDiff(
+        oldText,
+        files[relativePath],
+        relativePath,
+      );
+      if (diff.length > 0) {
+        diffs.push(diff);
+      }
+    });
+  return diffs.join("\n");
 }
 
 function getVersion() {
@@ -819,4 +4688,6 @@ function getVersion() {
 }
 
 exports.generate = generate;
+exports.dryRun = dryRun;
+exports.getDiff = getDiff;
 exports.getVersion = getVersion;
@@ -21,6 +21,9 @@
  *
  */
 
+const fs = require("fs");
+const path = require("path");
+
 /**
  * CodeWriter
  */
@@ -74,4 +77,474 @@ class CodeWriter {
   }
 }
 
+const USER_CODE_BEGIN = "// @user-code-begin";
+const USER_CODE_END = "// @user-code-end";
+const USER_CODE_ORPHANED =
+  "// @user-code-orphaned (user code of elements removed from the model)";
+
+/**
+ * Return the begin marker line of a user code region
+ * @param {string} key stable key of the region (e.g. element _id)
+ * @param {string} label readable label used when the key is not found
+ * @return {string}
+ */
+function getUserCodeBegin(key, label) {
+  return USER_CODE_BEGIN + " " + key + (label ? " " + label : "");
+}
+
+/**
+ * Return the end marker line of a user code region
+ * @param {string} key
+ * @return {string}
+ */
+function getUserCodeEnd(key) {
+  return USER_CODE_END + " " + key;
+}
+
+/**
+ * Parse a marker line
+ * @param {string} line
+ * @param {string} marker
+ * @return {{key: string, label: string}} null if the line is not a marker
+ */
+function parseMarker(line, marker) {
+  var trimmed = line.trim();
+  if (trimmed.indexOf(marker + " ") !== 0) {
+    return null;
+  }
+  var rest = trimmed.substring(marker.length + 1).trim();
+  var idx = rest.indexOf(" ");
+  return {
+    key: idx < 0 ? rest : rest.substring(0, idx),
+    label: idx < 0 ? "" : rest.substring(idx + 1).trim(),
+  };
+}
+
+/**
+ * Extract all user code regions from text
+ * @param {string} text
+ * @return {Array.<{key: string, label: string, lines: Array.<string>}>}
+ */
+function extractUserCode(text) {
+  var regions = [];
+  var lines = text.split(/\r?\n/);
+  var current = null;
+  lines.forEach((line) => {
+    if (current) {
+      var end = parseMarker(line, USER_CODE_END);
+      if (end && end.key === current.key) {
+        regions.push(current);
+        current = null;
+      } else {
+        current.lines.push(line);
+      }
+    } else {
+      var begin = parseMarker(line, USER_CODE_BEGIN);
+      if (begin) {
+        current = { key: begin.key, label: begin.label, lines: [] };
+      }
+    }
+  });
+  return regions;
+}
+
+/**
+ * Carry user code regions of an existing file over to newly generated text.
+ * Regions are matched by key first and then by label. Regions whose element
+ * no longer exists are kept in a disabled block at the end of the file.
+ *
+ * @param {string} generated newly generated text
+ * @param {string} existing text of the file on disk
+ * @return {string}
+ */
+function mergeUserCode(generated, existing) {
+  var regions = extractUserCode(existing);
+  var used = [];
+  var find = (begin) => {
+    var found = regions.find((r) => used.indexOf(r) < 0 && r.key === begin.key);
+    if (!found && begin.label) {
+      var candidates = regions.filter(
+        (r) => used.indexOf(r) < 0 && r.label === begin.label,
+      );
+      found = candidates.length === 1 ? candidates[0] : null;
+    }
+    return found;
+  };
+
+  var output = [];
+  var skipping = null;
+  generated.split("\n").forEach((line) => {
+    if (skipping) {
+      var end = parseMarker(line, USER_CODE_END);
+      if (end && end.key === skipping.key) {
+        output.push(line);
+        skipping = null;
+      }
+      return;
+    }
+    output.push(line);
+    var begin = parseMarker(line, USER_CODE_BEGIN);
+    var region = begin ? find(begin) : null;
+    if (region) {
+      used.push(region);
+      output = output.concat(region.lines);
+      skipping = begin;
+    }
+  });
+
+  var orphaned = regions.filter(
+    (r) => used.indexOf(r) < 0 && r.lines.join("").trim().length > 0,
+  );
+  if (orphaned.length > 0) {
+    output.push("");
+    output.push(USER_CODE_ORPHANED);
+    output.push("#if 0");
+    orphaned.forEach((r) => {
+      output.push(getUserCodeBegin(r.key, r.label));
+      output = output.concat(r.lines);
+      output.push(getUserCodeEnd(r.key));
+    });
+    output.push("#endif");
+  }
+  return output.join("\n");
+}
+
+/**
+ * MemoryFileSystem
+ *
+ * Provides the subset of `fs` used by the code generator. Written files are
+ * kept in memory; reads and existence checks fall through to the disk for
+ * files which have not been written.
+ */
+class MemoryFileSystem {
+  /**
+   * @constructor
+   * @param {string} basePath files are keyed relative to this path
+   */
+  constructor(basePath) {
+    /** @member {string} basePath */
+    this.basePath = basePath;
+
+    /** @member {Object.<string, string>} files */
+    this.files = {};
+
+    /** @member {Array.<string>} folders */
+    this.folders = [];
+  }
+
+  /**
+   * Return a path relative to basePath, separated by "/"
+   * @param {string} file
+   * @return {string}
+   */
+  getRelativePath(file) {
+    return path.relative(this.basePath, file).split(path.sep).join("/");
+  }
+
+  existsSync(file) {
+    var relativePath = this.getRelativePath(file);
+    return (
+      Object.prototype.hasOwnProperty.call(this.files, relativePath) ||
+      this.folders.includes(relativePath) ||
+      fs.existsSync(file)
+    );
+  }
+
+  mkdirSync(folder) {
+    this.folders.push(this.getRelativePath(folder));
+  }
+
+  readFileSync(file, encoding) {
+    var relativePath = this.getRelativePath(file);
+    if (Object.prototype.hasOwnProperty.call(this.files, relativePath)) {
+      return this.files[relativePath];
+    }
+    return fs.readFileSync(file, encoding);
+  }
+
+  writeFileSync(file, data) {
+    this.files[this.getRelativePath(file)] = data;
+  }
+}
+
+/**
+ * Compute line differences (Myers' algorithm)
+ * @param {Array.<string>} a old lines
+ * @param {Array.<string>} b new lines
+ * @return {Array.<{op: string, line: string}>} op is one of " ", "-", "+"
+ */
+function diffLines(a, b) {
+  var n = a.length;
+  var m = b.length;
+  var max = n + m;
+  var offset = max + 1;
+  var v = new Array(2 * max + 3).fill(0);
+  var trace = [];
+  var d, k, x, y;
+
+  search: for (d = 0; d <= max; d++) {
+    trace.push(v.slice(0));
+    for (k = -d; k <= d; k += 2) {
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        break search;
+      }
+    }
+  }
+
+  var result = [];
+  x = n;
+  y = m;
+  for (d = trace.length - 1; d >= 0; d--) {
+    v = trace[d];
+    k = x - y;
+    var prevK =
+      k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? k + 1
+        : k - 1;
+    var prevX = v[offset + prevK];
+    var prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      result.unshift({ op: " ", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        result.unshift({ op: "+", line: b[y - 1] });
+      } else {
+        result.unshift({ op: "-", line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return result;
+}
+
+/**
+ * Return unified diff of two texts
+ * @param {?string} oldText null if the file does not exist
+ * @param {?string} newText null if the file is removed
+ * @param {string} fileName
+ * @param {number} context number of context lines
+ * @return {string} empty string if there are no differences
+ */
+function unifiedDiff(oldText, newText, fileName, context) {
+  context = typeof context === "number" ? context : 3;
+  var a = oldText === null ? [] : oldText.split(/\r?\n/);
+  var b = newText === null ? [] : newText.split(/\r?\n/);
+  var lines = diffLines(a, b);
+  var changes = [];
+  lines.forEach((item, idx) => {
+    if (item.op !== " ") {
+      changes.push(idx);
+    }
+  });
+  if (changes.length === 0) {
+    return "";
+  }
+
+  var output = [];
+  output.push("--- " + (oldText === null ? "/dev/null" : "a/" + fileName));
+  output.push("+++ " + (newText === null ? "/dev/null" : "b/" + fileName));
+
+  // group changes into hunks
+  var hunks = [];
+  changes.forEach((idx) => {
+    var last = hunks[hunks.length - 1];
+    if (last && idx - last.end <= context * 2 + 1) {
+      last.end = idx;
+    } else {
+      hunks.push({ start: idx, end: idx });
+    }
+  });
+
+  hunks.forEach((hunk) => {
+    var start = Math.max(0, hunk.start - context);
+    var end = Math.min(lines.length - 1, hunk.end + context);
+    var oldStart = 0;
+    var newStart = 0;
+    var i;
+    for (i = 0; i < start; i++) {
+      if (lines[i].op !== "+") {
+        oldStart++;
+      }
+      if (lines[i].op !== "-") {
+        newStart++;
+      }
+    }
+    var oldCount = 0;
+    var newCount = 0;
+    var body = [];
+    for (i = start; i <= end; i++) {
+      if (lines[i].op !== "+") {
+        oldCount++;
+      }
+      if (lines[i].op !== "-") {
+        newCount++;
+      }
+      body.push(lines[i].op + lines[i].line);
+    }
+    output.push(
+      "@@ -" +
+        (oldCount > 0 ? oldStart + 1 : oldStart) +
+        "," +
+        oldCount +
+        " +" +
+        (newCount > 0 ? newStart + 1 : newStart) +
+        "," +
+        newCount +
+        " @@",
+    );
+    output = output.concat(body);
+  });
+  return output.join("\n");
+}
+
+const TEMPLATE_TAG = /\$\{\s*([#^/]?)\s*([\w.]+)\s*\}/g;
+const TEMPLATE_STANDALONE_SECTION =
+  /^[ \t]*(\$\{\s*[#^/]\s*[\w.]+\s*\})[ \t]*\r?\n/gm;
+
+/**
+ * Parse template into a tree of text, variable and section nodes
+ * @param {string} template
+ * @return {Array.<Object>}
+ */
+function parseTemplate(template) {
+  var source = template.replace(TEMPLATE_STANDALONE_SECTION, "$1");
+  var root = { name: null, children: [] };
+  var stack = [root];
+  var tag = new RegExp(TEMPLATE_TAG.source, "g");
+  var last = 0;
+  var match;
+  while ((match = tag.exec(source)) !== null) {
+    var top = stack[stack.length - 1];
+    if (match.index > last) {
+      top.children.push(source.substring(last, match.index));
+    }
+    last = tag.lastIndex;
+    if (match[1] === "#" || match[1] === "^") {
+      var section = {
+        name: match[2],
+        inverted: match[1] === "^",
+        children: [],
+      };
+      top.children.push(section);
+      stack.push(section);
+    } else if (match[1] === "/") {
+      if (top.name !== match[2]) {
+        throw new Error("Unmatched ${/" + match[2] + "} in template");
+      }
+      stack.pop();
+    } else {
+      top.children.push({ name: match[2], raw: match[0] });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(
+      "Unclosed ${#" + stack[stack.length - 1].name + "} in template",
+    );
+  }
+  if (last < source.length) {
+    root.children.push(source.substring(last));
+  }
+  return root.children;
+}
+
+/**
+ * Look up name (or dotted path) in the context stack, innermost first
+ * @param {Array.<Object>} contexts
+ * @param {string} name
+ * @return {?} undefined if not found
+ */
+function lookupTemplateValue(contexts, name) {
+  if (name === ".") {
+    return contexts[contexts.length - 1];
+  }
+  var keys = name.split(".");
+  var i;
+  for (i = contexts.length - 1; i >= 0; i--) {
+    var context = contexts[i];
+    if (context !== null && typeof context === "object" && keys[0] in context) {
+      return keys.slice(1).reduce((value, key) => {
+        return value !== null && value !== undefined ? value[key] : undefined;
+      }, context[keys[0]]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Render parsed template nodes in the context stack
+ * @param {Array.<Object>} nodes
+ * @param {Array.<Object>} contexts
+ * @return {string}
+ */
+function renderTemplateNodes(nodes, contexts) {
+  return nodes
+    .map((node) => {
+      if (typeof node === "string") {
+        return node;
+      }
+      var value = lookupTemplateValue(contexts, node.name);
+      if (!node.children) {
+        if (value === undefined) {
+          return node.raw;
+        }
+        return value === null ? "" : String(value);
+      }
+      var isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+      if (node.inverted) {
+        return isEmpty ? renderTemplateNodes(node.children, contexts) : "";
+      }
+      if (isEmpty) {
+        return "";
+      }
+      var items = Array.isArray(value) ? value : [value];
+      return items
+        .map((item) =>
+          renderTemplateNodes(node.children, contexts.concat([item])),
+        )
+        .join("");
+    })
+    .join("");
+}
+
+/**
+ * Render template against view.
+ *
+ * - `${name}` (or `${a.b}`) is replaced by the value of name in the current
+ *   section item or enclosing ones, `${.}` by the current item. Unknown
+ *   names are left as is.
+ * - `${#name}...${/name}` is rendered for each item of an array, or once
+ *   for any other truthy value.
+ * - `${^name}...${/name}` is rendered if the value is falsy or empty.
+ * - Lines holding only a section tag are dropped.
+ *
+ * @param {string} template
+ * @param {Object} view
+ * @return {string}
+ */
+function renderTemplate(template, view) {
+  return renderTemplateNodes(parseTemplate(template), [view]);
+}
+
 exports.CodeWriter = CodeWriter;
+exports.MemoryFileSystem = MemoryFileSystem;
+exports.unifiedDiff = unifiedDiff;
+exports.getUserCodeBegin = getUserCodeBegin;
+exports.getUserCodeEnd = getUserCodeEnd;
+exports.extractUserCode = extractUserCode;
+exports.mergeUserCode = mergeUserCode;
+exports.renderTemplate = renderTemplate;
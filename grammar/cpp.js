@@ -72,14 +72,14 @@
   }
 */
 var cpp = (function(){
-var o=function(k,v,o,l){for(o=o||{},l=k.length;l--;o[k[l]]=v);return o},$V0=[1,109],$V1=[1,110],$V2=[1,106],$V3=[1,104],$V4=[1,105],$V5=[1,107],$V6=[1,108],$V7=[1,56],$V8=[1,33],$V9=[1,65],$Va=[1,66],$Vb=[1,27],$Vc=[1,15],$Vd=[1,51],$Ve=[1,53],$Vf=[1,54],$Vg=[1,24],$Vh=[1,32],$Vi=[1,68],$Vj=[1,69],$Vk=[1,70],$Vl=[1,71],$Vm=[1,72],$Vn=[1,73],$Vo=[1,74],$Vp=[1,75],$Vq=[1,76],$Vr=[1,77],$Vs=[1,78],$Vt=[1,79],$Vu=[1,80],$Vv=[1,81],$Vw=[1,82],$Vx=[1,100],$Vy=[1,98],$Vz=[1,31],$VA=[1,41],$VB=[1,12],$VC=[1,45],$VD=[1,44],$VE=[1,90],$VF=[1,62],$VG=[1,29],$VH=[1,26],$VI=[1,48],$VJ=[1,30],$VK=[1,46],$VL=[1,47],$VM=[1,49],$VN=[1,50],$VO=[1,52],$VP=[1,55],$VQ=[1,57],$VR=[1,58],$VS=[1,34],$VT=[1,86],$VU=[1,87],$VV=[1,88],$VW=[1,89],$VX=[1,91],$VY=[1,92],$VZ=[1,93],$V_=[1,94],$V$=[1,95],$V01=[1,96],$V11=[1,97],$V21=[1,99],$V31=[1,101],$V41=[10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V51=[10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V61=[1,126],$V71=[1,118],$V81=[1,119],$V91=[1,120],$Va1=[1,121],$Vb1=[1,122],$Vc1=[1,123],$Vd1=[1,125],$Ve1=[1,117],$Vf1=[1,124],$Vg1=[1,129],$Vh1=[1,140],$Vi1=[1,151],$Vj1=[1,153],$Vk1=[1,152],$Vl1=[1,154],$Vm1=[1,159],$Vn1=[1,162],$Vo1=[1,166],$Vp1=[1,170],$Vq1=[1,173],$Vr1=[1,182],$Vs1=[1,183],$Vt1=[2,633],$Vu1=[1,184],$Vv1=[2,870],$Vw1=[1,185],$Vx1=[10,11,13,15,16,17,18,26,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,125,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vy1=[2,645],$Vz1=[1,186],$VA1=[10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,204,205,215,235,296,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VB1=[2,810],$VC1=[1,192],$VD1=[1,193],$VE1=[1,202],$VF1=[1,206],$VG1=[1,207],$VH1=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VI1=[1,218],$VJ1=[1,215],$VK1=[1,217],$VL1=[1,216],$VM1=[2,632],$VN1=[38,44,204,205,215,296,298,303,304,305,306,307,308,309,310,311,312],$VO1=[2,639],$VP1=[2,641],$VQ1=[2,642],$VR1=[2,24],$VS1=[1,223],$VT1=[1,222],$VU1=[10,11,13,15,16,17,18,26,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$VV1=[7,38,44,67,104,125,126,192,205,215,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VW1=[2,838],$VX1=[1,229],$VY1=[1,227],$VZ1=[1,226],$V_1=[1,228],$V$1=[1,232],$V02=[1,225],$V12=[67,107,192],$V22=[1,233],$V32=[7,10,11,13,15,16,17,18,22,25,26,27,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V42=[2,36],$V52=[1,241],$V62=[1,237],$V72=[1,239],$V82=[1,240],$V92=[2,37],$Va2=[1,242],$Vb2=[1,244],$Vc2=[1,245],$Vd2=[1,250],$Ve2=[1,249],$Vf2=[1,248],$Vg2=[1,247],$Vh2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vi2=[2,55],$Vj2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vk2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,51,52,53,55,56,57,58,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vl2=[1,255],$Vm2=[1,261],$Vn2=[1,262],$Vo2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vp2=[2,851],$Vq2=[2,855],$Vr2=[2,856],$Vs2=[2,864],$Vt2=[2,867],$Vu2=[2,869],$Vv2=[1,272],$Vw2=[1,273],$Vx2=[1,274],$Vy2=[1,277],$Vz2=[1,279],$VA2=[1,286],$VB2=[1,297],$VC2=[1,298],$VD2=[1,266],$VE2=[1,267],$VF2=[1,271],$VG2=[1,268],$VH2=[1,269],$VI2=[1,270],$VJ2=[1,275],$VK2=[1,276],$VL2=[1,280],$VM2=[1,281],$VN2=[1,296],$VO2=[1,295],$VP2=[1,285],$VQ2=[1,284],$VR2=[1,282],$VS2=[1,283],$VT2=[1,278],$VU2=[1,287],$VV2=[1,288],$VW2=[1,289],$VX2=[1,290],$VY2=[1,291],$VZ2=[1,292],$V_2=[1,293],$V$2=[1,294],$V03=[2,871],$V13=[2,14],$V23=[10,11,13,15,16,17,18,22,23,25,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V33=[1,305],$V43=[7,67,107,125,192],$V53=[1,320],$V63=[1,321],$V73=[1,315],$V83=[1,314],$V93=[1,313],$Va3=[1,312],$Vb3=[2,39],$Vc3=[2,865],$Vd3=[1,328],$Ve3=[1,340],$Vf3=[10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,120,141,192,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vg3=[67,104,192],$Vh3=[2,54],$Vi3=[1,346],$Vj3=[2,751],$Vk3=[125,192],$Vl3=[7,10,11,13,15,16,17,18,25,26,31,33,34,35,36,37,38,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vm3=[1,348],$Vn3=[1,354],$Vo3=[1,350],$Vp3=[1,351],$Vq3=[1,352],$Vr3=[1,353],$Vs3=[7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,125,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vt3=[25,31,33,67,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vu3=[2,241],$Vv3=[1,461],$Vw3=[1,469],$Vx3=[1,470],$Vy3=[1,427],$Vz3=[1,394],$VA3=[1,395],$VB3=[1,393],$VC3=[1,479],$VD3=[1,390],$VE3=[1,389],$VF3=[1,474],$VG3=[1,431],$VH3=[1,432],$VI3=[1,464],$VJ3=[1,391],$VK3=[1,463],$VL3=[1,475],$VM3=[1,476],$VN3=[1,420],$VO3=[1,421],$VP3=[1,465],$VQ3=[1,466],$VR3=[1,467],$VS3=[1,468],$VT3=[1,387],$VU3=[1,477],$VV3=[1,401],$VW3=[1,424],$VX3=[1,423],$VY3=[1,396],$VZ3=[1,435],$V_3=[1,436],$V$3=[1,437],$V04=[1,438],$V14=[1,439],$V24=[1,440],$V34=[1,441],$V44=[1,442],$V54=[1,443],$V64=[1,444],$V74=[1,445],$V84=[1,446],$V94=[1,419],$Va4=[1,422],$Vb4=[7,38,44,125,126,192,205,215,265,289,296,297,298,303,304,305,306,307,308,310,311,312],$Vc4=[2,792],$Vd4=[1,484],$Ve4=[2,650],$Vf4=[7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,107,120,125,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vg4=[1,495],$Vh4=[1,494],$Vi4=[1,498],$Vj4=[1,496],$Vk4=[1,492],$Vl4=[10,11,13,15,16,17,18,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vm4=[1,511],$Vn4=[1,527],$Vo4=[1,526],$Vp4=[1,518],$Vq4=[35,36,37,38,39,40,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,126,205,215,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vr4=[1,535],$Vs4=[7,38,44,104,125,126,192,205,215,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vt4=[1,544],$Vu4=[7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,104,106,107,109,120,125,126,141,192,205,215,235,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vv4=[1,571],$Vw4=[1,559],$Vx4=[1,569],$Vy4=[1,570],$Vz4=[7,10,11,13,15,16,17,18,22,23,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,104,106,107,109,120,125,126,141,192,205,215,235,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VA4=[7,25,31,33,38,44,99,104,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,205,215,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VB4=[1,584],$VC4=[1,596],$VD4=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VE4=[2,425],$VF4=[1,597],$VG4=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,120,125,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VH4=[2,850],$VI4=[2,49],$VJ4=[2,831],$VK4=[1,603],$VL4=[2,45],$VM4=[1,604],$VN4=[25,31,33,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$VO4=[1,611],$VP4=[1,613],$VQ4=[22,25,192],$VR4=[7,10,11,13,15,16,17,18,22,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VS4=[1,618],$VT4=[2,26],$VU4=[2,83],$VV4=[2,84],$VW4=[2,85],$VX4=[2,86],$VY4=[2,868],$VZ4=[1,639],$V_4=[1,645],$V$4=[1,644],$V05=[1,643],$V15=[1,642],$V25=[7,125],$V35=[10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,192,205,215,235,265,296,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V45=[7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,205,215,235,296,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V55=[2,707],$V65=[2,708],$V75=[1,653],$V85=[2,709],$V95=[2,710],$Va5=[7,38,44,67,104,125,126,192,205,215,265,296,298,303,304,305,306,307,308,309,310,311,312],$Vb5=[2,712],$Vc5=[10,11,13,15,16,17,18,22,23,25,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vd5=[7,67,125,192],$Ve5=[10,11,13,15,16,17,18,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vf5=[7,67,125,277],$Vg5=[26,35,38,39,40,41,42,43,44,120,204,205,298,303,304,305,306,307,308,309,310,311,312],$Vh5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,263,264,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vi5=[2,129],$Vj5=[1,694],$Vk5=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vl5=[2,293],$Vm5=[1,704],$Vn5=[1,705],$Vo5=[7,25,31,33,38,44,66,67,99,104,109,125,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vp5=[1,712],$Vq5=[1,714],$Vr5=[1,713],$Vs5=[1,717],$Vt5=[1,719],$Vu5=[2,412],$Vv5=[1,725],$Vw5=[1,727],$Vx5=[1,736],$Vy5=[1,735],$Vz5=[1,737],$VA5=[1,732],$VB5=[1,730],$VC5=[1,742],$VD5=[1,744],$VE5=[2,270],$VF5=[1,743],$VG5=[1,740],$VH5=[1,741],$VI5=[1,747],$VJ5=[1,748],$VK5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VL5=[7,23,31,33,34,64,67,99,104,109,125,137,138,139,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192],$VM5=[1,749],$VN5=[1,753],$VO5=[1,755],$VP5=[1,756],$VQ5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VR5=[1,760],$VS5=[1,759],$VT5=[1,761],$VU5=[1,762],$VV5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VW5=[1,772],$VX5=[1,773],$VY5=[1,776],$VZ5=[1,771],$V_5=[1,775],$V$5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V06=[2,281],$V16=[1,780],$V26=[1,781],$V36=[1,782],$V46=[1,783],$V56=[1,784],$V66=[1,785],$V76=[1,786],$V86=[1,787],$V96=[1,788],$Va6=[1,789],$Vb6=[1,790],$Vc6=[7,10,11,13,15,16,17,18,22,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vd6=[1,812],$Ve6=[1,813],$Vf6=[1,814],$Vg6=[7,10,11,13,15,16,17,18,22,23,25,26,31,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vh6=[1,815],$Vi6=[25,99,115,116],$Vj6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vk6=[1,833],$Vl6=[25,31,33,67,99,104,109,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vm6=[1,837],$Vn6=[1,848],$Vo6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vp6=[1,849],$Vq6=[25,33,99,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vr6=[1,856],$Vs6=[1,857],$Vt6=[1,859],$Vu6=[7,10,11,13,15,16,17,18,22,23,25,26,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vv6=[1,861],$Vw6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vx6=[1,862],$Vy6=[1,863],$Vz6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,139,140,141,143,146,147,150,151,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VA6=[1,868],$VB6=[1,864],$VC6=[1,865],$VD6=[1,866],$VE6=[1,867],$VF6=[1,869],$VG6=[7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,125,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VH6=[67,109],$VI6=[22,23,25,27,31,33,34,64,67,107,109],$VJ6=[64,67,109],$VK6=[10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,192,205,215,235,298,303,304,305,306,307,308,309,310,311,345,346,347,348,349,350,351,352,353,354,355,356,357],$VL6=[67,126],$VM6=[1,913],$VN6=[7,38,44,104,125,126,192,215,265,289,296,297,312],$VO6=[7,10,11,13,15,16,17,18,23,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,104,106,109,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VP6=[2,114],$VQ6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VR6=[7,25,31,33,67,99,104,109,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$VS6=[1,936],$VT6=[1,935],$VU6=[7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,104,106,120,125,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VV6=[1,946],$VW6=[1,945],$VX6=[107,125,192],$VY6=[1,963],$VZ6=[1,965],$V_6=[66,67],$V$6=[2,193],$V07=[2,88],$V17=[2,89],$V27=[2,87],$V37=[1,972],$V47=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V57=[1,979],$V67=[67,125],$V77=[10,11,13,15,16,17,18,26,35,36,37,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,106,120,125,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$V87=[7,10,11,13,15,16,17,18,26,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$V97=[7,125,277],$Va7=[7,25,31,33,67,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vb7=[25,31,33,67,99,104,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vc7=[1,1039],$Vd7=[1,1040],$Ve7=[7,25,31,33,38,44,66,67,99,104,109,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vf7=[7,23,25,31,33,34,38,44,66,67,99,104,109,115,116,125,126,137,138,139,140,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vg7=[10,11,13,15,16,17,18,23,26,36,41,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,91,106,107,120,125,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vh7=[7,25,35,36,37,38,40,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,99,104,107,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],$Vi7=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vj7=[1,1063],$Vk7=[10,11,13,15,16,17,18,26,41,91,106,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vl7=[2,411],$Vm7=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vn7=[1,1091],$Vo7=[1,1089],$Vp7=[25,31,33,99,104,109,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vq7=[1,1098],$Vr7=[1,1097],$Vs7=[2,201],$Vt7=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,99,104,106,107,109,115,116,119,120,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vu7=[1,1134],$Vv7=[25,31,33,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192],$Vw7=[22,27,39,64],$Vx7=[2,268],$Vy7=[2,145],$Vz7=[1,1193],$VA7=[2,153],$VB7=[2,155],$VC7=[1,1229],$VD7=[7,39,125,309],$VE7=[1,1240],$VF7=[1,1249],$VG7=[1,1250],$VH7=[7,66,67,109,126],$VI7=[7,25,31,33,66,67,99,104,109,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$VJ7=[7,64,66,67,109,126],$VK7=[2,106],$VL7=[10,11,13,15,16,17,18,23,26,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,106,109,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$VM7=[1,1265],$VN7=[2,192],$VO7=[1,1287],$VP7=[22,26,64],$VQ7=[2,696],$VR7=[67,125,192],$VS7=[7,64,67,109],$VT7=[1,1320],$VU7=[7,25,31,33,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$VV7=[1,1322],$VW7=[7,22,25,35,36,37,38,39,40,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,99,104,107,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],$VX7=[7,25,31,33,38,44,67,99,104,109,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],$VY7=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,106,107,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$VZ7=[7,67],$V_7=[2,170],$V$7=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,264,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V08=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,263,264,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V18=[67,104,109],$V28=[7,192],$V38=[1,1389],$V48=[7,67,109,192],$V58=[99,125],$V68=[1,1415],$V78=[1,1414],$V88=[1,1437],$V98=[22,26,64,192],$Va8=[25,31,33,67,99,104,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,234],$Vb8=[25,67,99,104,174,175,176,177,178,179,180,181,182,183],$Vc8=[7,25,67,99,104,109,174,175,176,177,178,179,180,181,182,183,192],$Vd8=[1,1535],$Ve8=[7,10,11,13,15,16,17,18,23,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,104,106,109,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vf8=[2,233],$Vg8=[1,1540],$Vh8=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vi8=[126,234,235],$Vj8=[2,443];
+var o=function(k,v,o,l){for(o=o||{},l=k.length;l--;o[k[l]]=v);return o},$V0=[1,111],$V1=[1,112],$V2=[1,108],$V3=[1,106],$V4=[1,107],$V5=[1,109],$V6=[1,110],$V7=[1,56],$V8=[1,33],$V9=[1,65],$Va=[1,66],$Vb=[1,27],$Vc=[1,15],$Vd=[1,51],$Ve=[1,53],$Vf=[1,54],$Vg=[1,24],$Vh=[1,32],$Vi=[1,84],$Vj=[1,69],$Vk=[1,70],$Vl=[1,71],$Vm=[1,72],$Vn=[1,73],$Vo=[1,74],$Vp=[1,75],$Vq=[1,76],$Vr=[1,77],$Vs=[1,78],$Vt=[1,79],$Vu=[1,80],$Vv=[1,81],$Vw=[1,82],$Vx=[1,83],$Vy=[1,102],$Vz=[1,100],$VA=[1,31],$VB=[1,41],$VC=[1,12],$VD=[1,45],$VE=[1,44],$VF=[1,92],$VG=[1,62],$VH=[1,29],$VI=[1,26],$VJ=[1,48],$VK=[1,30],$VL=[1,46],$VM=[1,47],$VN=[1,49],$VO=[1,50],$VP=[1,52],$VQ=[1,55],$VR=[1,57],$VS=[1,58],$VT=[1,34],$VU=[1,88],$VV=[1,89],$VW=[1,90],$VX=[1,91],$VY=[1,93],$VZ=[1,94],$V_=[1,95],$V$=[1,96],$V01=[1,97],$V11=[1,98],$V21=[1,99],$V31=[1,101],$V41=[1,103],$V51=[10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V61=[10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V71=[1,128],$V81=[1,120],$V91=[1,121],$Va1=[1,122],$Vb1=[1,123],$Vc1=[1,124],$Vd1=[1,125],$Ve1=[1,127],$Vf1=[1,119],$Vg1=[1,126],$Vh1=[1,131],$Vi1=[1,142],$Vj1=[1,153],$Vk1=[1,155],$Vl1=[1,154],$Vm1=[1,156],$Vn1=[1,157],$Vo1=[1,162],$Vp1=[1,165],$Vq1=[1,169],$Vr1=[1,173],$Vs1=[1,176],$Vt1=[1,185],$Vu1=[1,186],$Vv1=[2,636],$Vw1=[1,187],$Vx1=[2,875],$Vy1=[1,188],$Vz1=[10,11,13,15,16,17,18,26,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,127,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$VA1=[2,648],$VB1=[1,189],$VC1=[10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,206,207,217,237,298,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VD1=[2,815],$VE1=[1,195],$VF1=[1,196],$VG1=[1,205],$VH1=[1,208],$VI1=[1,209],$VJ1=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VK1=[1,221],$VL1=[1,218],$VM1=[1,220],$VN1=[1,219],$VO1=[2,635],$VP1=[38,45,206,207,217,298,300,305,306,307,308,309,310,311,312,313,314],$VQ1=[2,642],$VR1=[2,644],$VS1=[2,645],$VT1=[2,24],$VU1=[1,226],$VV1=[1,225],$VW1=[10,11,13,15,16,17,18,26,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$VX1=[7,38,45,69,106,127,128,194,207,217,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VY1=[2,843],$VZ1=[1,232],$V_1=[1,230],$V$1=[1,229],$V02=[1,231],$V12=[1,235],$V22=[1,228],$V32=[69,109,194],$V42=[1,236],$V52=[7,10,11,13,15,16,17,18,22,25,26,27,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$V62=[2,36],$V72=[1,244],$V82=[1,240],$V92=[1,242],$Va2=[1,243],$Vb2=[2,37],$Vc2=[1,245],$Vd2=[1,247],$Ve2=[1,248],$Vf2=[1,253],$Vg2=[1,252],$Vh2=[1,251],$Vi2=[1,250],$Vj2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vk2=[2,57],$Vl2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vm2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,53,54,55,57,58,59,60,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vn2=[1,259],$Vo2=[1,265],$Vp2=[1,266],$Vq2=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vr2=[2,856],$Vs2=[2,860],$Vt2=[2,861],$Vu2=[2,869],$Vv2=[2,872],$Vw2=[2,874],$Vx2=[1,276],$Vy2=[1,277],$Vz2=[1,278],$VA2=[1,281],$VB2=[1,283],$VC2=[1,290],$VD2=[1,301],$VE2=[1,302],$VF2=[1,270],$VG2=[1,271],$VH2=[1,275],$VI2=[1,272],$VJ2=[1,273],$VK2=[1,274],$VL2=[1,279],$VM2=[1,280],$VN2=[1,284],$VO2=[1,285],$VP2=[1,300],$VQ2=[1,299],$VR2=[1,289],$VS2=[1,288],$VT2=[1,286],$VU2=[1,287],$VV2=[1,282],$VW2=[1,291],$VX2=[1,292],$VY2=[1,293],$VZ2=[1,294],$V_2=[1,295],$V$2=[1,296],$V03=[1,297],$V13=[1,298],$V23=[2,876],$V33=[2,14],$V43=[10,11,13,15,16,17,18,22,23,25,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V53=[1,309],$V63=[7,69,109,127,194],$V73=[1,324],$V83=[1,325],$V93=[1,319],$Va3=[1,318],$Vb3=[1,317],$Vc3=[1,316],$Vd3=[2,39],$Ve3=[2,870],$Vf3=[1,332],$Vg3=[1,344],$Vh3=[10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,122,143,194,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vi3=[69,106,194],$Vj3=[2,55],$Vk3=[1,350],$Vl3=[2,754],$Vm3=[127,194],$Vn3=[7,10,11,13,15,16,17,18,25,26,31,33,34,35,36,37,38,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vo3=[1,352],$Vp3=[1,358],$Vq3=[1,354],$Vr3=[1,355],$Vs3=[1,356],$Vt3=[1,357],$Vu3=[7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,106,108,122,127,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vv3=[25,31,33,69,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vw3=[2,243],$Vx3=[1,465],$Vy3=[1,473],$Vz3=[1,474],$VA3=[1,431],$VB3=[1,398],$VC3=[1,399],$VD3=[1,397],$VE3=[1,483],$VF3=[1,394],$VG3=[1,393],$VH3=[1,478],$VI3=[1,435],$VJ3=[1,436],$VK3=[1,468],$VL3=[1,395],$VM3=[1,467],$VN3=[1,479],$VO3=[1,480],$VP3=[1,424],$VQ3=[1,425],$VR3=[1,469],$VS3=[1,470],$VT3=[1,471],$VU3=[1,472],$VV3=[1,391],$VW3=[1,481],$VX3=[1,405],$VY3=[1,428],$VZ3=[1,427],$V_3=[1,400],$V$3=[1,439],$V04=[1,440],$V14=[1,441],$V24=[1,442],$V34=[1,443],$V44=[1,444],$V54=[1,445],$V64=[1,446],$V74=[1,447],$V84=[1,448],$V94=[1,449],$Va4=[1,450],$Vb4=[1,423],$Vc4=[1,426],$Vd4=[2,653],$Ve4=[7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,109,122,127,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vf4=[1,500],$Vg4=[1,499],$Vh4=[1,503],$Vi4=[1,501],$Vj4=[1,497],$Vk4=[10,11,13,15,16,17,18,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vl4=[1,516],$Vm4=[1,532],$Vn4=[1,531],$Vo4=[1,523],$Vp4=[35,36,37,38,40,41,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,128,207,217,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314],$Vq4=[1,540],$Vr4=[7,38,45,106,127,128,194,207,217,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Vs4=[1,549],$Vt4=[7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,106,108,109,111,122,127,128,143,194,207,217,237,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vu4=[1,576],$Vv4=[1,564],$Vw4=[1,574],$Vx4=[1,575],$Vy4=[7,10,11,13,15,16,17,18,22,23,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,106,108,109,111,122,127,128,143,194,207,217,237,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vz4=[1,583],$VA4=[7,25,31,33,38,45,101,106,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,207,217,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VB4=[1,601],$VC4=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VD4=[2,427],$VE4=[1,602],$VF4=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,122,127,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VG4=[2,855],$VH4=[2,50],$VI4=[2,836],$VJ4=[1,608],$VK4=[2,46],$VL4=[1,609],$VM4=[25,31,33,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$VN4=[1,616],$VO4=[1,618],$VP4=[22,25,194],$VQ4=[7,10,11,13,15,16,17,18,22,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VR4=[1,623],$VS4=[2,26],$VT4=[2,85],$VU4=[2,86],$VV4=[2,87],$VW4=[2,88],$VX4=[2,873],$VY4=[1,644],$VZ4=[1,650],$V_4=[1,649],$V$4=[1,648],$V05=[1,647],$V15=[7,127],$V25=[10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,194,207,217,237,267,298,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V35=[7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,207,217,237,298,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V45=[2,710],$V55=[2,711],$V65=[1,658],$V75=[2,712],$V85=[2,713],$V95=[7,38,45,69,106,127,128,194,207,217,267,298,300,305,306,307,308,309,310,311,312,313,314,340],$Va5=[2,715],$Vb5=[10,11,13,15,16,17,18,22,23,25,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vc5=[7,69,127,194],$Vd5=[10,11,13,15,16,17,18,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Ve5=[7,69,127,279],$Vf5=[26,35,38,40,41,42,43,44,45,122,206,207,300,305,306,307,308,309,310,311,312,313,314],$Vg5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,265,266,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vh5=[2,131],$Vi5=[1,699],$Vj5=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vk5=[2,295],$Vl5=[1,709],$Vm5=[1,710],$Vn5=[7,25,31,33,38,45,68,69,101,106,111,127,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Vo5=[1,717],$Vp5=[1,719],$Vq5=[1,718],$Vr5=[1,722],$Vs5=[1,724],$Vt5=[2,414],$Vu5=[1,730],$Vv5=[1,732],$Vw5=[1,741],$Vx5=[1,740],$Vy5=[1,742],$Vz5=[1,737],$VA5=[1,735],$VB5=[1,747],$VC5=[1,749],$VD5=[2,272],$VE5=[1,748],$VF5=[1,745],$VG5=[1,746],$VH5=[1,752],$VI5=[1,753],$VJ5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VK5=[7,23,31,33,34,66,69,101,106,111,127,139,140,141,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194],$VL5=[1,754],$VM5=[1,758],$VN5=[1,760],$VO5=[1,761],$VP5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VQ5=[1,765],$VR5=[1,764],$VS5=[1,766],$VT5=[1,767],$VU5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VV5=[1,777],$VW5=[1,778],$VX5=[1,781],$VY5=[1,776],$VZ5=[1,780],$V_5=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$V$5=[2,283],$V06=[1,785],$V16=[1,786],$V26=[1,787],$V36=[1,788],$V46=[1,789],$V56=[1,790],$V66=[1,791],$V76=[1,792],$V86=[1,793],$V96=[1,794],$Va6=[1,795],$Vb6=[7,10,11,13,15,16,17,18,22,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vc6=[1,817],$Vd6=[1,818],$Ve6=[1,819],$Vf6=[7,10,11,13,15,16,17,18,22,23,25,26,31,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vg6=[1,820],$Vh6=[25,101,117,118],$Vi6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vj6=[1,838],$Vk6=[25,31,33,69,101,106,111,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vl6=[1,842],$Vm6=[1,853],$Vn6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vo6=[1,854],$Vp6=[25,33,101,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vq6=[1,861],$Vr6=[1,862],$Vs6=[1,864],$Vt6=[7,10,11,13,15,16,17,18,22,23,25,26,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vu6=[1,866],$Vv6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vw6=[1,867],$Vx6=[1,868],$Vy6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,141,142,143,145,148,149,152,153,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vz6=[1,873],$VA6=[1,869],$VB6=[1,870],$VC6=[1,871],$VD6=[1,872],$VE6=[1,874],$VF6=[7,25,31,33,69,101,106,111,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$VG6=[1,878],$VH6=[1,877],$VI6=[69,111],$VJ6=[22,23,25,27,31,33,34,66,69,109,111],$VK6=[66,69,111],$VL6=[10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,194,207,217,237,300,305,306,307,308,309,310,311,312,313,348,349,350,351,352,353,354,355,356,357,358,359,360],$VM6=[69,128],$VN6=[1,924],$VO6=[7,38,45,106,127,128,194,217,267,291,298,299,314,340],$VP6=[7,10,11,13,15,16,17,18,23,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,106,108,111,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VQ6=[2,116],$VR6=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VS6=[1,952],$VT6=[1,951],$VU6=[109,127,194],$VV6=[1,969],$VW6=[1,971],$VX6=[68,69],$VY6=[2,195],$VZ6=[2,90],$V_6=[2,91],$V$6=[2,89],$V07=[1,978],$V17=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V27=[1,985],$V37=[69,127],$V47=[10,11,13,15,16,17,18,26,35,36,37,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,108,122,127,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$V57=[7,10,11,13,15,16,17,18,26,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$V67=[7,127,279],$V77=[7,25,31,33,69,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$V87=[25,31,33,69,101,106,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$V97=[1,1045],$Va7=[1,1046],$Vb7=[7,25,31,33,38,45,68,69,101,106,111,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Vc7=[7,23,25,31,33,34,38,45,68,69,101,106,111,117,118,127,128,139,140,141,142,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Vd7=[10,11,13,15,16,17,18,23,26,36,42,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,93,108,109,122,127,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Ve7=[7,25,35,36,37,38,41,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,101,106,109,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],$Vf7=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vg7=[1,1069],$Vh7=[10,11,13,15,16,17,18,26,42,93,108,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vi7=[2,413],$Vj7=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vk7=[1,1097],$Vl7=[1,1095],$Vm7=[25,31,33,101,106,111,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vn7=[1,1104],$Vo7=[1,1103],$Vp7=[2,203],$Vq7=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,101,106,108,109,111,117,118,121,122,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vr7=[1,1140],$Vs7=[25,31,33,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194],$Vt7=[22,27,40,66],$Vu7=[2,270],$Vv7=[2,147],$Vw7=[1,1199],$Vx7=[2,155],$Vy7=[2,157],$Vz7=[1,1211],$VA7=[1,1212],$VB7=[7,68,69,111,128],$VC7=[7,25,31,33,68,69,101,106,111,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$VD7=[7,66,68,69,111,128],$VE7=[2,108],$VF7=[1,1241],$VG7=[7,40,127,311,340],$VH7=[7,10,11,13,15,16,17,18,26,35,36,37,38,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,127,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VI7=[10,11,13,15,16,17,18,23,26,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,108,111,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$VJ7=[1,1272],$VK7=[2,194],$VL7=[1,1295],$VM7=[22,26,66],$VN7=[2,699],$VO7=[69,127,194],$VP7=[7,66,69,111],$VQ7=[1,1328],$VR7=[7,25,31,33,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$VS7=[1,1330],$VT7=[7,22,25,35,36,37,38,40,41,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,101,106,109,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],$VU7=[7,25,31,33,38,45,69,101,106,111,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],$VV7=[7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,108,109,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$VW7=[7,69],$VX7=[2,172],$VY7=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,266,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VZ7=[10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,265,266,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V_7=[69,106,111],$V$7=[7,194],$V08=[1,1397],$V18=[7,69,111,194],$V28=[101,127],$V38=[1,1423],$V48=[1,1422],$V58=[1,1427],$V68=[22,26,66,194],$V78=[25,31,33,69,101,106,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,236],$V88=[25,69,101,106,176,177,178,179,180,181,182,183,184,185],$V98=[7,25,69,101,106,111,176,177,178,179,180,181,182,183,184,185,194],$Va8=[1,1546],$Vb8=[7,10,11,13,15,16,17,18,23,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,106,108,111,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vc8=[2,235],$Vd8=[1,1551],$Ve8=[7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vf8=[128,236,237],$Vg8=[2,445];
 var parser = {trace: function trace () {
         Jison.print.apply(null, arguments);
     },
 yy: {},
-symbols_: {"error":2,"es":3,"e":4,"declaration-statement":5,"COLON_IDENTIFIER":6,"COLON":7,"IDENTIFIER_WITH_TEMPLATE":8,"BOOLEAN_LITERAL":9,"TRUE":10,"FALSE":11,"string-list":12,"STRING_LITERAL":13,"literal":14,"REAL_LITERAL":15,"INTEGER_LITERAL":16,"CHARACTER_LITERAL":17,"NULL":18,"namespace-name":19,"namespace-or-type-name":20,"type-name":21,"DOUBLE_COLON":22,"STAR":23,"IDENTIFIER_WITH_KEYWORD":24,"DOT":25,"IDENTIFIER":26,"TEMPLATE":27,"STARS":28,"type":29,"non-array-type":30,"AMP":31,"array-type":32,"OP_AND":33,"CARET":34,"TYPEDEF":35,"UNSIGNED":36,"INLINE":37,"STRUCT":38,"CONST":39,"STATIC":40,"VOLATILE":41,"VIRTUAL":42,"FRIEND":43,"CLASS":44,"type-with-interr":45,"SBYTE":46,"SHORT":47,"USHORT":48,"UINT":49,"LONG":50,"ULONG":51,"CHAR":52,"FLOAT":53,"DOUBLE":54,"DECIMAL":55,"BOOL":56,"VOID":57,"AUTO":58,"INT":59,"SIGNED":60,"local-rank-specifiers":61,"rank-specifiers":62,"rank-specifier":63,"OPEN_BRACKET":64,"dim-separators":65,"CLOSE_BRACKET":66,"COMMA":67,"variable-reference":68,"expression":69,"argument-list":70,"argument":71,"primary-expression":72,"primary-no-array-creation-expression":73,"array-creation-expression":74,"lambda-expression":75,"cast-expression":76,"parenthesized-expression":77,"double-colon-access":78,"member-access":79,"invocation-expressions":80,"this-access":81,"post-increment-expression":82,"post-decrement-expression":83,"object-creation-expression":84,"typeof-expression":85,"sizeof-expression":86,"checked-expression":87,"unchecked-expression":88,"OP_DBLPTR":89,"block":90,"DELEGATE":91,"delegate-expression":92,"deallocation-expression":93,"element-access":94,"type-expression-list":95,"dbl-expression-list":96,"lambda-introducer":97,"lambda-declarator":98,"OP_PTR":99,"lambda-capture":100,"expression-list":101,"capture-default":102,"capture-list":103,"ASSIGN":104,"capture":105,"THIS":106,"OPEN_PARENS":107,"formal-parameter-list":108,"CLOSE_PARENS":109,"ptr-with-star":110,"invocation-expression":111,"member-name-with-double-colon":112,"assignment-operator":113,"variable-initializer":114,"OP_INC":115,"OP_DEC":116,"type-with-identifier":117,"new-unsigned":118,"NEW":119,"REF":120,"IDENTIFIER_WITH_DOT":121,"block-expression-with-brace":122,"argument-list-with-braces":123,"argument-list-with-brace":124,"OPEN_BRACE":125,"CLOSE_BRACE":126,"STACKALLOC":127,"array-initializer":128,"delegate-creation-expression":129,"TYPEOF":130,"SIZEOF":131,"CHECKED":132,"UNCHECKED":133,"unary-expression":134,"pre-increment-expression":135,"pre-decrement-expression":136,"PLUS":137,"OP_COALESCING":138,"MINUS":139,"BANG":140,"TILDE":141,"unary-or-cast-expression":142,"DELETE":143,"expression-with-comma":144,"multiplicative-expression":145,"DIV":146,"PERCENT":147,"additive-expression":148,"shift-expression":149,"OP_LEFT_SHIFT":150,"RIGHT_SHIFT":151,"relational-expression":152,"LT":153,"GT":154,"OP_LE":155,"OP_GE":156,"AS":157,"equality-expression":158,"OP_EQ":159,"OP_NE":160,"and-expression":161,"exclusive-or-expression":162,"inclusive-or-expression":163,"BITWISE_OR":164,"conditional-and-expression":165,"conditional-or-expression":166,"OP_OR":167,"conditional-expression":168,"INTERR":169,"assignment":170,"block-expression":171,"block-expression-list-unit":172,"block-expression-list":173,"OP_ADD_ASSIGNMENT":174,"OP_SUB_ASSIGNMENT":175,"OP_MULT_ASSIGNMENT":176,"OP_DIV_ASSIGNMENT":177,"OP_MOD_ASSIGNMENT":178,"OP_AND_ASSIGNMENT":179,"OP_OR_ASSIGNMENT":180,"OP_XOR_ASSIGNMENT":181,"OP_LEFT_SHIFT_ASSIGNMENT":182,"RIGHT_SHIFT_ASSIGNMENT":183,"constant-expression":184,"boolean-expression":185,"statement":186,"labeled-statement":187,"embedded-statement":188,"using-directive":189,"empty-statement":190,"statement-expression":191,"SEMICOLON":192,"local-variable-declarators":193,"selection-statement":194,"iteration-statement":195,"jump-statement":196,"try-statement":197,"checked-statement":198,"unchecked-statement":199,"using-statement":200,"unsafe-statement":201,"fixed-statement":202,"modifiers":203,"FIXED":204,"UNSAFE":205,"statement-list":206,"switch-labels":207,"local-variable-declaration":208,"local-constant-declaration":209,"class-declaration":210,"struct-body":211,"identifier-list":212,"struct-bracket":213,"struct-member-list":214,"ENUM":215,"enum-member-declarations":216,"fixed-parameter-prefix":217,"local-variable-declarator":218,"local-rank-specifier":219,"local-variable":220,"local-variable-initializer":221,"constant-declarators":222,"constant-declarator":223,"if-statement":224,"switch-statement":225,"IF":226,"embedded-or-statement":227,"ELSE":228,"SWITCH":229,"switch-block":230,"switch-sections":231,"switch-section":232,"switch-label":233,"CASE":234,"DEFAULT":235,"while-statement":236,"do-statement":237,"for-statement":238,"WHILE":239,"DO":240,"FOR":241,"for-initializer":242,"for-condition":243,"for-iterator":244,"statement-expression-list":245,"break-statement":246,"continue-statement":247,"goto-statement":248,"return-statement":249,"throw-statement":250,"YIELD":251,"BREAK":252,"CONTINUE":253,"GOTO":254,"RETURN":255,"THROW":256,"TRY":257,"catch-clauses":258,"finally-clause":259,"specific-catch-clauses":260,"general-catch-clause":261,"specific-catch-clause":262,"CATCH":263,"FINALLY":264,"USING":265,"resource-acquisition":266,"variable-initializer-list":267,"enum-declaration":268,"enum-class":269,"enum-body":270,"enum-base":271,"class-key":272,"enum-member-declaration":273,"struct-declaration":274,"struct-method-body":275,"struct-interfaces":276,"SEIMCOLON":277,"base-list":278,"struct-with-access-specifier":279,"access-specifier":280,"struct-member-declaration":281,"struct-member-declarations":282,"field-declaration":283,"class-method-declaration":284,"property-declaration":285,"operator-declaration":286,"static-constructor-declaration":287,"compilationUnit":288,"EOF":289,"block_or_statement_list":290,"block_or_statement":291,"method-declaration":292,"class-member-declaration":293,"namespace-declaration":294,"extern-declaration":295,"EXTERN":296,"NAMESPACE":297,"INTERNAL":298,"using-directives":299,"using-alias-directive":300,"using-namespace-directive":301,"modifier":302,"PUBLIC":303,"PARTIAL":304,"PROTECTED":305,"PRIVATE":306,"ABSTRACT":307,"READONLY":308,"OVERRIDE":309,"EXPLICIT":310,"IMPLICIT":311,"UNION":312,"class-body":313,"class-base":314,"class-suffix":315,"base-specifier":316,"member-list":317,"class-with-access-specifier":318,"class-member-declarations":319,"destructor-declaration":320,"constant-declaration":321,"field-variable-declarators":322,"function-pointer":323,"static-constructor-parameter":324,"member-name-with-double-colon-star":325,"field-variable-declarator":326,"variable-declarators":327,"variable-declarator":328,"method-header":329,"method-prefixs":330,"ctor-initializer":331,"mem-initializer-list":332,"mem-initializer":333,"member-name-with-double-colon-list":334,"member-name-with-double-colon-literal":335,"class-method-header":336,"method-prefix":337,"method-types":338,"method-type":339,"member-name":340,"method-body":341,"fixed-parameters":342,"parameter-array":343,"fixed-parameter":344,"ADD":345,"REMOVE":346,"SET":347,"PARAMS":348,"METHOD":349,"PARAM":350,"ASSEMBLY":351,"PROPERTY":352,"MODULE":353,"FIELD":354,"TYPE":355,"DOTS":356,"OPERATOR":357,"overloadable-operator":358,"accessor-declarations":359,"operator-declarator":360,"unary-operator-declarator":361,"binary-operator-declarator":362,"overloadable-unary-operator":363,"overloadable-binary-operator":364,"constructor-declaration":365,"constructor-declarator":366,"destructor-method-body":367,"$accept":0,"$end":1},
-terminals_: {2:"error",7:"COLON",10:"TRUE",11:"FALSE",13:"STRING_LITERAL",15:"REAL_LITERAL",16:"INTEGER_LITERAL",17:"CHARACTER_LITERAL",18:"NULL",22:"DOUBLE_COLON",23:"STAR",25:"DOT",26:"IDENTIFIER",27:"TEMPLATE",31:"AMP",33:"OP_AND",34:"CARET",35:"TYPEDEF",36:"UNSIGNED",37:"INLINE",38:"STRUCT",39:"CONST",40:"STATIC",41:"VOLATILE",42:"VIRTUAL",43:"FRIEND",44:"CLASS",46:"SBYTE",47:"SHORT",48:"USHORT",49:"UINT",50:"LONG",51:"ULONG",52:"CHAR",53:"FLOAT",54:"DOUBLE",55:"DECIMAL",56:"BOOL",57:"VOID",58:"AUTO",59:"INT",60:"SIGNED",64:"OPEN_BRACKET",66:"CLOSE_BRACKET",67:"COMMA",89:"OP_DBLPTR",91:"DELEGATE",99:"OP_PTR",104:"ASSIGN",106:"THIS",107:"OPEN_PARENS",109:"CLOSE_PARENS",115:"OP_INC",116:"OP_DEC",119:"NEW",120:"REF",125:"OPEN_BRACE",126:"CLOSE_BRACE",127:"STACKALLOC",130:"TYPEOF",131:"SIZEOF",132:"CHECKED",133:"UNCHECKED",137:"PLUS",138:"OP_COALESCING",139:"MINUS",140:"BANG",141:"TILDE",143:"DELETE",146:"DIV",147:"PERCENT",150:"OP_LEFT_SHIFT",151:"RIGHT_SHIFT",153:"LT",154:"GT",155:"OP_LE",156:"OP_GE",157:"AS",159:"OP_EQ",160:"OP_NE",164:"BITWISE_OR",167:"OP_OR",169:"INTERR",174:"OP_ADD_ASSIGNMENT",175:"OP_SUB_ASSIGNMENT",176:"OP_MULT_ASSIGNMENT",177:"OP_DIV_ASSIGNMENT",178:"OP_MOD_ASSIGNMENT",179:"OP_AND_ASSIGNMENT",180:"OP_OR_ASSIGNMENT",181:"OP_XOR_ASSIGNMENT",182:"OP_LEFT_SHIFT_ASSIGNMENT",183:"RIGHT_SHIFT_ASSIGNMENT",192:"SEMICOLON",204:"FIXED",205:"UNSAFE",215:"ENUM",226:"IF",228:"ELSE",229:"SWITCH",234:"CASE",235:"DEFAULT",239:"WHILE",240:"DO",241:"FOR",251:"YIELD",252:"BREAK",253:"CONTINUE",254:"GOTO",255:"RETURN",256:"THROW",257:"TRY",263:"CATCH",264:"FINALLY",265:"USING",277:"SEIMCOLON",289:"EOF",296:"EXTERN",297:"NAMESPACE",298:"INTERNAL",303:"PUBLIC",304:"PARTIAL",305:"PROTECTED",306:"PRIVATE",307:"ABSTRACT",308:"READONLY",309:"OVERRIDE",310:"EXPLICIT",311:"IMPLICIT",312:"UNION",345:"ADD",346:"REMOVE",347:"SET",348:"PARAMS",349:"METHOD",350:"PARAM",351:"ASSEMBLY",352:"PROPERTY",353:"MODULE",354:"FIELD",355:"TYPE",356:"DOTS",357:"OPERATOR",359:"accessor-declarations"},
-productions_: [0,[3,2],[3,1],[4,1],[4,0],[6,3],[6,1],[9,1],[9,1],[12,2],[12,1],[14,1],[14,1],[14,1],[14,1],[14,1],[14,1],[19,1],[21,1],[20,4],[20,3],[20,3],[20,1],[8,2],[8,1],[28,2],[28,1],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,1],[29,1],[29,3],[29,1],[29,2],[29,1],[29,1],[29,3],[29,3],[29,2],[29,2],[29,2],[29,2],[29,2],[29,4],[29,3],[29,2],[29,2],[45,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,2],[30,2],[30,2],[30,2],[30,2],[30,2],[30,2],[30,2],[30,3],[30,3],[30,3],[30,2],[30,1],[30,2],[30,2],[30,2],[30,2],[30,3],[30,3],[30,3],[32,2],[62,2],[62,1],[63,3],[63,2],[65,2],[65,1],[68,1],[70,3],[70,4],[70,3],[70,1],[71,3],[71,2],[71,1],[71,2],[71,1],[72,1],[72,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,1],[73,3],[73,3],[73,2],[73,1],[73,1],[73,1],[73,1],[73,3],[73,2],[73,1],[95,4],[95,2],[96,4],[96,2],[75,5],[75,4],[75,3],[75,2],[75,1],[97,3],[97,3],[97,3],[97,2],[100,1],[100,1],[100,3],[102,1],[102,1],[103,3],[103,1],[105,1],[105,2],[105,1],[98,3],[98,2],[92,5],[92,4],[76,5],[76,5],[76,4],[76,4],[76,4],[76,3],[76,2],[77,3],[78,3],[78,3],[79,3],[79,3],[79,3],[79,3],[79,3],[79,3],[110,2],[110,1],[111,2],[111,3],[111,4],[111,4],[111,4],[111,3],[111,4],[111,4],[111,4],[111,3],[111,3],[94,4],[94,4],[94,3],[101,2],[101,1],[101,3],[81,1],[82,2],[83,2],[117,4],[117,3],[117,2],[117,1],[118,2],[118,2],[118,2],[118,1],[84,8],[84,7],[84,7],[84,6],[84,5],[84,3],[84,4],[84,5],[84,3],[84,4],[84,7],[84,6],[84,6],[84,5],[84,5],[84,7],[84,6],[84,4],[84,6],[84,5],[84,2],[84,4],[84,3],[84,3],[84,2],[84,2],[121,2],[121,0],[123,3],[123,1],[124,4],[124,3],[124,2],[80,3],[80,1],[80,0],[74,5],[74,5],[74,6],[74,6],[74,7],[74,3],[129,6],[129,5],[129,5],[129,4],[129,3],[129,2],[85,4],[86,5],[86,5],[86,4],[86,2],[87,4],[88,4],[134,1],[134,1],[134,2],[134,2],[134,2],[134,2],[134,2],[134,2],[134,2],[134,1],[142,1],[142,4],[93,3],[93,2],[93,5],[93,4],[135,2],[136,2],[144,3],[144,1],[145,1],[145,3],[145,3],[145,3],[148,1],[148,3],[148,3],[148,3],[148,3],[149,1],[149,3],[149,3],[152,1],[152,3],[152,3],[152,3],[152,3],[152,3],[152,3],[158,1],[158,3],[158,3],[161,1],[161,3],[162,1],[162,3],[163,1],[163,3],[165,1],[165,3],[166,1],[166,3],[168,1],[168,3],[168,5],[168,5],[168,7],[168,9],[170,3],[170,3],[171,1],[171,3],[172,1],[172,1],[173,3],[173,1],[122,3],[113,1],[113,1],[113,1],[113,1],[113,1],[113,1],[113,1],[113,1],[113,1],[113,1],[113,1],[69,1],[69,1],[184,1],[185,1],[185,1],[186,1],[186,1],[186,1],[186,1],[188,1],[188,1],[188,2],[188,2],[188,6],[188,4],[188,6],[188,5],[188,3],[188,5],[188,1],[188,1],[188,1],[188,1],[188,1],[188,1],[188,1],[188,1],[188,1],[188,2],[188,2],[202,7],[202,6],[201,2],[90,2],[90,3],[206,1],[206,2],[190,1],[187,3],[187,3],[5,2],[5,2],[5,2],[5,2],[5,1],[5,1],[5,1],[208,6],[208,4],[208,6],[208,5],[208,3],[208,4],[208,5],[208,4],[208,3],[208,3],[208,2],[208,2],[193,4],[193,3],[193,1],[61,2],[61,1],[219,3],[219,3],[219,2],[220,2],[220,2],[220,2],[220,2],[220,2],[220,1],[220,0],[218,3],[218,1],[221,1],[221,1],[209,2],[222,1],[222,3],[222,1],[222,4],[222,3],[223,3],[223,3],[223,1],[191,1],[191,1],[191,1],[191,1],[191,1],[191,1],[191,1],[194,1],[194,1],[224,5],[224,7],[224,2],[225,5],[230,2],[230,3],[231,2],[231,1],[232,2],[207,2],[207,1],[233,3],[233,2],[195,1],[195,1],[195,1],[227,1],[227,1],[236,5],[237,7],[238,6],[238,7],[238,7],[238,7],[238,8],[238,8],[238,8],[238,9],[238,7],[242,1],[242,1],[243,1],[244,1],[245,1],[245,4],[245,3],[196,1],[196,1],[196,1],[196,1],[196,1],[246,3],[246,2],[247,2],[248,3],[248,4],[248,3],[249,4],[249,4],[249,3],[249,3],[249,2],[249,3],[250,2],[250,3],[197,3],[197,3],[197,4],[258,1],[258,1],[258,2],[260,1],[260,2],[262,5],[262,6],[261,2],[259,2],[198,2],[199,2],[200,5],[266,1],[266,1],[128,2],[128,3],[128,4],[267,1],[267,4],[267,3],[114,1],[114,1],[114,1],[114,1],[268,2],[268,3],[268,3],[268,4],[268,3],[268,3],[268,4],[268,4],[268,4],[268,5],[268,5],[268,5],[268,6],[269,2],[269,1],[271,2],[270,2],[270,3],[270,4],[270,2],[216,1],[216,3],[273,1],[273,3],[213,3],[213,1],[274,3],[274,2],[274,5],[274,6],[274,6],[274,7],[274,3],[274,4],[274,3],[274,4],[274,6],[274,5],[274,4],[274,5],[274,3],[274,6],[274,5],[274,6],[274,4],[274,5],[274,4],[274,5],[274,5],[274,6],[274,5],[274,4],[274,7],[274,6],[274,7],[274,5],[274,6],[274,5],[274,6],[274,6],[274,7],[274,6],[274,2],[274,4],[275,2],[275,1],[276,2],[211,3],[211,2],[214,2],[214,1],[279,3],[279,2],[279,1],[282,1],[282,2],[281,1],[281,1],[281,1],[281,1],[281,1],[281,1],[281,1],[281,1],[288,1],[288,2],[290,2],[290,1],[291,1],[291,1],[291,1],[291,1],[291,1],[291,1],[291,1],[291,1],[295,5],[295,4],[295,3],[295,2],[294,5],[294,4],[294,5],[294,4],[294,4],[294,3],[294,2],[299,1],[299,2],[189,1],[189,1],[300,6],[300,5],[301,4],[301,3],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,1],[302,2],[302,1],[302,1],[302,1],[203,1],[203,2],[272,2],[272,3],[272,2],[272,1],[272,2],[272,1],[210,3],[210,2],[210,5],[210,6],[210,6],[210,7],[210,3],[210,4],[210,3],[210,4],[210,6],[210,5],[210,4],[210,5],[210,3],[210,6],[210,5],[210,6],[210,4],[210,5],[210,4],[210,5],[210,5],[210,6],[210,5],[210,4],[210,7],[210,6],[210,7],[210,5],[210,6],[210,5],[210,6],[210,6],[210,7],[210,6],[210,2],[210,4],[212,3],[212,2],[212,1],[315,1],[315,0],[314,2],[278,3],[278,1],[316,1],[316,3],[316,2],[316,3],[316,2],[280,1],[280,1],[280,1],[280,1],[280,2],[280,1],[313,2],[313,3],[317,2],[317,1],[318,4],[318,3],[318,2],[318,1],[319,1],[319,2],[293,1],[293,1],[293,1],[293,1],[293,1],[293,1],[293,1],[293,4],[293,1],[293,1],[293,1],[293,1],[293,1],[321,3],[321,4],[283,2],[283,3],[283,3],[283,4],[283,3],[283,4],[323,4],[323,3],[323,2],[322,4],[322,3],[322,1],[326,3],[326,1],[327,4],[327,3],[327,1],[328,3],[328,1],[292,4],[292,3],[292,3],[292,2],[331,2],[332,3],[332,1],[333,4],[333,4],[333,3],[334,3],[334,1],[335,2],[335,1],[335,2],[284,4],[284,5],[284,4],[284,3],[284,3],[284,2],[284,4],[284,3],[284,4],[284,3],[284,3],[284,2],[284,6],[284,3],[284,2],[284,1],[330,2],[330,1],[337,2],[337,2],[337,1],[337,1],[336,5],[336,4],[336,4],[336,3],[336,5],[336,4],[336,5],[336,4],[336,4],[336,3],[336,6],[336,5],[336,6],[336,5],[336,5],[336,4],[336,1],[336,3],[336,4],[329,5],[329,4],[329,4],[329,3],[338,2],[338,1],[339,1],[325,3],[325,2],[325,5],[325,5],[325,4],[325,4],[325,3],[325,3],[325,2],[325,2],[325,1],[112,2],[112,5],[112,5],[112,4],[112,4],[112,3],[112,2],[112,1],[340,1],[341,2],[341,1],[341,1],[108,1],[108,4],[108,3],[108,1],[342,4],[342,3],[342,1],[24,2],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,2],[24,1],[24,1],[24,1],[344,5],[344,4],[344,4],[344,4],[344,3],[344,2],[344,4],[344,3],[344,2],[344,3],[344,2],[344,1],[344,5],[344,3],[344,3],[344,2],[217,1],[343,3],[285,5],[285,6],[286,3],[360,1],[360,1],[361,7],[358,1],[358,1],[363,1],[363,1],[363,1],[363,1],[363,1],[363,1],[363,1],[363,1],[362,10],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,1],[364,2],[365,2],[365,2],[365,3],[366,5],[366,4],[366,5],[366,4],[366,4],[366,3],[287,6],[287,5],[287,4],[287,2],[287,3],[324,4],[324,3],[324,1],[320,7],[320,8],[320,6],[320,7],[320,6],[320,7],[320,5],[320,6],[367,1],[367,3]],
+symbols_: {"error":2,"es":3,"e":4,"declaration-statement":5,"COLON_IDENTIFIER":6,"COLON":7,"IDENTIFIER_WITH_TEMPLATE":8,"BOOLEAN_LITERAL":9,"TRUE":10,"FALSE":11,"string-list":12,"STRING_LITERAL":13,"literal":14,"REAL_LITERAL":15,"INTEGER_LITERAL":16,"CHARACTER_LITERAL":17,"NULL":18,"namespace-name":19,"namespace-or-type-name":20,"type-name":21,"DOUBLE_COLON":22,"STAR":23,"IDENTIFIER_WITH_KEYWORD":24,"DOT":25,"IDENTIFIER":26,"TEMPLATE":27,"STARS":28,"type":29,"non-array-type":30,"AMP":31,"array-type":32,"OP_AND":33,"CARET":34,"TYPEDEF":35,"UNSIGNED":36,"INLINE":37,"STRUCT":38,"attribute-specifier":39,"CONST":40,"STATIC":41,"VOLATILE":42,"VIRTUAL":43,"FRIEND":44,"CLASS":45,"type-with-interr":46,"ATTRIBUTE":47,"SBYTE":48,"SHORT":49,"USHORT":50,"UINT":51,"LONG":52,"ULONG":53,"CHAR":54,"FLOAT":55,"DOUBLE":56,"DECIMAL":57,"BOOL":58,"VOID":59,"AUTO":60,"INT":61,"SIGNED":62,"local-rank-specifiers":63,"rank-specifiers":64,"rank-specifier":65,"OPEN_BRACKET":66,"dim-separators":67,"CLOSE_BRACKET":68,"COMMA":69,"variable-reference":70,"expression":71,"argument-list":72,"argument":73,"primary-expression":74,"primary-no-array-creation-expression":75,"array-creation-expression":76,"lambda-expression":77,"cast-expression":78,"parenthesized-expression":79,"double-colon-access":80,"member-access":81,"invocation-expressions":82,"this-access":83,"post-increment-expression":84,"post-decrement-expression":85,"object-creation-expression":86,"typeof-expression":87,"sizeof-expression":88,"checked-expression":89,"unchecked-expression":90,"OP_DBLPTR":91,"block":92,"DELEGATE":93,"delegate-expression":94,"deallocation-expression":95,"element-access":96,"type-expression-list":97,"dbl-expression-list":98,"lambda-introducer":99,"lambda-declarator":100,"OP_PTR":101,"lambda-capture":102,"expression-list":103,"capture-default":104,"capture-list":105,"ASSIGN":106,"capture":107,"THIS":108,"OPEN_PARENS":109,"formal-parameter-list":110,"CLOSE_PARENS":111,"ptr-with-star":112,"invocation-expression":113,"member-name-with-double-colon":114,"assignment-operator":115,"variable-initializer":116,"OP_INC":117,"OP_DEC":118,"type-with-identifier":119,"new-unsigned":120,"NEW":121,"REF":122,"IDENTIFIER_WITH_DOT":123,"block-expression-with-brace":124,"argument-list-with-braces":125,"argument-list-with-brace":126,"OPEN_BRACE":127,"CLOSE_BRACE":128,"STACKALLOC":129,"array-initializer":130,"delegate-creation-expression":131,"TYPEOF":132,"SIZEOF":133,"CHECKED":134,"UNCHECKED":135,"unary-expression":136,"pre-increment-expression":137,"pre-decrement-expression":138,"PLUS":139,"OP_COALESCING":140,"MINUS":141,"BANG":142,"TILDE":143,"unary-or-cast-expression":144,"DELETE":145,"expression-with-comma":146,"multiplicative-expression":147,"DIV":148,"PERCENT":149,"additive-expression":150,"shift-expression":151,"OP_LEFT_SHIFT":152,"RIGHT_SHIFT":153,"relational-expression":154,"LT":155,"GT":156,"OP_LE":157,"OP_GE":158,"AS":159,"equality-expression":160,"OP_EQ":161,"OP_NE":162,"and-expression":163,"exclusive-or-expression":164,"inclusive-or-expression":165,"BITWISE_OR":166,"conditional-and-expression":167,"conditional-or-expression":168,"OP_OR":169,"conditional-expression":170,"INTERR":171,"assignment":172,"block-expression":173,"block-expression-list-unit":174,"block-expression-list":175,"OP_ADD_ASSIGNMENT":176,"OP_SUB_ASSIGNMENT":177,"OP_MULT_ASSIGNMENT":178,"OP_DIV_ASSIGNMENT":179,"OP_MOD_ASSIGNMENT":180,"OP_AND_ASSIGNMENT":181,"OP_OR_ASSIGNMENT":182,"OP_XOR_ASSIGNMENT":183,"OP_LEFT_SHIFT_ASSIGNMENT":184,"RIGHT_SHIFT_ASSIGNMENT":185,"constant-expression":186,"boolean-expression":187,"statement":188,"labeled-statement":189,"embedded-statement":190,"using-directive":191,"empty-statement":192,"statement-expression":193,"SEMICOLON":194,"local-variable-declarators":195,"selection-statement":196,"iteration-statement":197,"jump-statement":198,"try-statement":199,"checked-statement":200,"unchecked-statement":201,"using-statement":202,"unsafe-statement":203,"fixed-statement":204,"modifiers":205,"FIXED":206,"UNSAFE":207,"statement-list":208,"switch-labels":209,"local-variable-declaration":210,"local-constant-declaration":211,"class-declaration":212,"struct-body":213,"identifier-list":214,"struct-bracket":215,"struct-member-list":216,"ENUM":217,"enum-member-declarations":218,"fixed-parameter-prefix":219,"local-variable-declarator":220,"local-rank-specifier":221,"local-variable":222,"local-variable-initializer":223,"constant-declarators":224,"constant-declarator":225,"if-statement":226,"switch-statement":227,"IF":228,"embedded-or-statement":229,"ELSE":230,"SWITCH":231,"switch-block":232,"switch-sections":233,"switch-section":234,"switch-label":235,"CASE":236,"DEFAULT":237,"while-statement":238,"do-statement":239,"for-statement":240,"WHILE":241,"DO":242,"FOR":243,"for-initializer":244,"for-condition":245,"for-iterator":246,"statement-expression-list":247,"break-statement":248,"continue-statement":249,"goto-statement":250,"return-statement":251,"throw-statement":252,"YIELD":253,"BREAK":254,"CONTINUE":255,"GOTO":256,"RETURN":257,"THROW":258,"TRY":259,"catch-clauses":260,"finally-clause":261,"specific-catch-clauses":262,"general-catch-clause":263,"specific-catch-clause":264,"CATCH":265,"FINALLY":266,"USING":267,"resource-acquisition":268,"variable-initializer-list":269,"enum-declaration":270,"enum-class":271,"enum-body":272,"enum-base":273,"class-key":274,"enum-member-declaration":275,"struct-declaration":276,"struct-method-body":277,"struct-interfaces":278,"SEIMCOLON":279,"base-list":280,"struct-with-access-specifier":281,"access-specifier":282,"struct-member-declaration":283,"struct-member-declarations":284,"field-declaration":285,"class-method-declaration":286,"property-declaration":287,"operator-declaration":288,"static-constructor-declaration":289,"compilationUnit":290,"EOF":291,"block_or_statement_list":292,"block_or_statement":293,"method-declaration":294,"class-member-declaration":295,"namespace-declaration":296,"extern-declaration":297,"EXTERN":298,"NAMESPACE":299,"INTERNAL":300,"using-directives":301,"using-alias-directive":302,"using-namespace-directive":303,"modifier":304,"PUBLIC":305,"PARTIAL":306,"PROTECTED":307,"PRIVATE":308,"ABSTRACT":309,"READONLY":310,"OVERRIDE":311,"EXPLICIT":312,"IMPLICIT":313,"UNION":314,"class-body":315,"class-base":316,"class-suffix":317,"base-specifier":318,"member-list":319,"class-with-access-specifier":320,"class-member-declarations":321,"destructor-declaration":322,"constant-declaration":323,"field-variable-declarators":324,"function-pointer":325,"static-constructor-parameter":326,"member-name-with-double-colon-star":327,"field-variable-declarator":328,"variable-declarators":329,"variable-declarator":330,"method-header":331,"method-prefixs":332,"ctor-initializer":333,"mem-initializer-list":334,"mem-initializer":335,"member-name-with-double-colon-list":336,"member-name-with-double-colon-literal":337,"class-method-header":338,"method-prefix":339,"NOEXCEPT":340,"method-types":341,"method-type":342,"member-name":343,"method-body":344,"fixed-parameters":345,"parameter-array":346,"fixed-parameter":347,"ADD":348,"REMOVE":349,"SET":350,"PARAMS":351,"METHOD":352,"PARAM":353,"ASSEMBLY":354,"PROPERTY":355,"MODULE":356,"FIELD":357,"TYPE":358,"DOTS":359,"OPERATOR":360,"overloadable-operator":361,"accessor-declarations":362,"operator-declarator":363,"unary-operator-declarator":364,"binary-operator-declarator":365,"overloadable-unary-operator":366,"overloadable-binary-operator":367,"constructor-declaration":368,"constructor-declarator":369,"destructor-method-body":370,"$accept":0,"$end":1},
+terminals_: {2:"error",7:"COLON",10:"TRUE",11:"FALSE",13:"STRING_LITERAL",15:"REAL_LITERAL",16:"INTEGER_LITERAL",17:"CHARACTER_LITERAL",18:"NULL",22:"DOUBLE_COLON",23:"STAR",25:"DOT",26:"IDENTIFIER",27:"TEMPLATE",31:"AMP",33:"OP_AND",34:"CARET",35:"TYPEDEF",36:"UNSIGNED",37:"INLINE",38:"STRUCT",40:"CONST",41:"STATIC",42:"VOLATILE",43:"VIRTUAL",44:"FRIEND",45:"CLASS",47:"ATTRIBUTE",48:"SBYTE",49:"SHORT",50:"USHORT",51:"UINT",52:"LONG",53:"ULONG",54:"CHAR",55:"FLOAT",56:"DOUBLE",57:"DECIMAL",58:"BOOL",59:"VOID",60:"AUTO",61:"INT",62:"SIGNED",66:"OPEN_BRACKET",68:"CLOSE_BRACKET",69:"COMMA",91:"OP_DBLPTR",93:"DELEGATE",101:"OP_PTR",106:"ASSIGN",108:"THIS",109:"OPEN_PARENS",111:"CLOSE_PARENS",117:"OP_INC",118:"OP_DEC",121:"NEW",122:"REF",127:"OPEN_BRACE",128:"CLOSE_BRACE",129:"STACKALLOC",132:"TYPEOF",133:"SIZEOF",134:"CHECKED",135:"UNCHECKED",139:"PLUS",140:"OP_COALESCING",141:"MINUS",142:"BANG",143:"TILDE",145:"DELETE",148:"DIV",149:"PERCENT",152:"OP_LEFT_SHIFT",153:"RIGHT_SHIFT",155:"LT",156:"GT",157:"OP_LE",158:"OP_GE",159:"AS",161:"OP_EQ",162:"OP_NE",166:"BITWISE_OR",169:"OP_OR",171:"INTERR",176:"OP_ADD_ASSIGNMENT",177:"OP_SUB_ASSIGNMENT",178:"OP_MULT_ASSIGNMENT",179:"OP_DIV_ASSIGNMENT",180:"OP_MOD_ASSIGNMENT",181:"OP_AND_ASSIGNMENT",182:"OP_OR_ASSIGNMENT",183:"OP_XOR_ASSIGNMENT",184:"OP_LEFT_SHIFT_ASSIGNMENT",185:"RIGHT_SHIFT_ASSIGNMENT",194:"SEMICOLON",206:"FIXED",207:"UNSAFE",217:"ENUM",228:"IF",230:"ELSE",231:"SWITCH",236:"CASE",237:"DEFAULT",241:"WHILE",242:"DO",243:"FOR",253:"YIELD",254:"BREAK",255:"CONTINUE",256:"GOTO",257:"RETURN",258:"THROW",259:"TRY",265:"CATCH",266:"FINALLY",267:"USING",279:"SEIMCOLON",291:"EOF",298:"EXTERN",299:"NAMESPACE",300:"INTERNAL",305:"PUBLIC",306:"PARTIAL",307:"PROTECTED",308:"PRIVATE",309:"ABSTRACT",310:"READONLY",311:"OVERRIDE",312:"EXPLICIT",313:"IMPLICIT",314:"UNION",340:"NOEXCEPT",348:"ADD",349:"REMOVE",350:"SET",351:"PARAMS",352:"METHOD",353:"PARAM",354:"ASSEMBLY",355:"PROPERTY",356:"MODULE",357:"FIELD",358:"TYPE",359:"DOTS",360:"OPERATOR",362:"accessor-declarations"},
+productions_: [0,[3,2],[3,1],[4,1],[4,0],[6,3],[6,1],[9,1],[9,1],[12,2],[12,1],[14,1],[14,1],[14,1],[14,1],[14,1],[14,1],[19,1],[21,1],[20,4],[20,3],[20,3],[20,1],[8,2],[8,1],[28,2],[28,1],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,2],[29,1],[29,1],[29,3],[29,1],[29,2],[29,1],[29,1],[29,3],[29,2],[29,3],[29,2],[29,2],[29,2],[29,2],[29,2],[29,4],[29,3],[29,2],[29,2],[46,1],[39,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,1],[30,2],[30,2],[30,2],[30,2],[30,2],[30,2],[30,2],[30,2],[30,3],[30,3],[30,3],[30,2],[30,1],[30,2],[30,2],[30,2],[30,2],[30,3],[30,3],[30,3],[32,2],[64,2],[64,1],[65,3],[65,2],[67,2],[67,1],[70,1],[72,3],[72,4],[72,3],[72,1],[73,3],[73,2],[73,1],[73,2],[73,1],[74,1],[74,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,1],[75,3],[75,3],[75,2],[75,1],[75,1],[75,1],[75,1],[75,3],[75,2],[75,1],[97,4],[97,2],[98,4],[98,2],[77,5],[77,4],[77,3],[77,2],[77,1],[99,3],[99,3],[99,3],[99,2],[102,1],[102,1],[102,3],[104,1],[104,1],[105,3],[105,1],[107,1],[107,2],[107,1],[100,3],[100,2],[94,5],[94,4],[78,5],[78,5],[78,4],[78,4],[78,4],[78,3],[78,2],[79,3],[80,3],[80,3],[81,3],[81,3],[81,3],[81,3],[81,3],[81,3],[112,2],[112,1],[113,2],[113,3],[113,4],[113,4],[113,4],[113,3],[113,4],[113,4],[113,4],[113,3],[113,3],[96,4],[96,4],[96,3],[103,2],[103,1],[103,3],[83,1],[84,2],[85,2],[119,4],[119,3],[119,2],[119,1],[120,2],[120,2],[120,2],[120,1],[86,8],[86,7],[86,7],[86,6],[86,5],[86,3],[86,4],[86,5],[86,3],[86,4],[86,7],[86,6],[86,6],[86,5],[86,5],[86,7],[86,6],[86,4],[86,6],[86,5],[86,2],[86,4],[86,3],[86,3],[86,2],[86,2],[123,2],[123,0],[125,3],[125,1],[126,4],[126,3],[126,2],[82,3],[82,1],[82,0],[76,5],[76,5],[76,6],[76,6],[76,7],[76,3],[131,6],[131,5],[131,5],[131,4],[131,3],[131,2],[87,4],[88,5],[88,5],[88,4],[88,2],[89,4],[90,4],[136,1],[136,1],[136,2],[136,2],[136,2],[136,2],[136,2],[136,2],[136,2],[136,1],[144,1],[144,4],[95,3],[95,2],[95,5],[95,4],[137,2],[138,2],[146,3],[146,1],[147,1],[147,3],[147,3],[147,3],[150,1],[150,3],[150,3],[150,3],[150,3],[151,1],[151,3],[151,3],[154,1],[154,3],[154,3],[154,3],[154,3],[154,3],[154,3],[160,1],[160,3],[160,3],[163,1],[163,3],[164,1],[164,3],[165,1],[165,3],[167,1],[167,3],[168,1],[168,3],[170,1],[170,3],[170,5],[170,5],[170,7],[170,9],[172,3],[172,3],[173,1],[173,3],[174,1],[174,1],[175,3],[175,1],[124,3],[115,1],[115,1],[115,1],[115,1],[115,1],[115,1],[115,1],[115,1],[115,1],[115,1],[115,1],[71,1],[71,1],[186,1],[187,1],[187,1],[188,1],[188,1],[188,1],[188,1],[190,1],[190,1],[190,2],[190,2],[190,6],[190,4],[190,6],[190,5],[190,3],[190,5],[190,1],[190,1],[190,1],[190,1],[190,1],[190,1],[190,1],[190,1],[190,1],[190,2],[190,2],[204,7],[204,6],[203,2],[92,2],[92,3],[208,1],[208,2],[192,1],[189,3],[189,3],[5,2],[5,2],[5,2],[5,2],[5,1],[5,1],[5,1],[210,6],[210,4],[210,6],[210,5],[210,3],[210,4],[210,5],[210,4],[210,3],[210,3],[210,2],[210,2],[195,4],[195,3],[195,1],[63,2],[63,1],[221,3],[221,3],[221,2],[222,2],[222,2],[222,2],[222,2],[222,2],[222,1],[222,0],[220,3],[220,1],[223,1],[223,1],[211,2],[224,1],[224,3],[224,1],[224,4],[224,3],[225,3],[225,3],[225,1],[193,1],[193,1],[193,1],[193,1],[193,1],[193,1],[193,1],[196,1],[196,1],[226,5],[226,7],[226,2],[227,5],[232,2],[232,3],[233,2],[233,1],[234,2],[209,2],[209,1],[235,3],[235,2],[197,1],[197,1],[197,1],[229,1],[229,1],[238,5],[239,7],[240,6],[240,7],[240,7],[240,7],[240,8],[240,8],[240,8],[240,9],[240,7],[244,1],[244,1],[245,1],[246,1],[247,1],[247,4],[247,3],[198,1],[198,1],[198,1],[198,1],[198,1],[248,3],[248,2],[249,2],[250,3],[250,4],[250,3],[251,4],[251,4],[251,3],[251,3],[251,2],[251,3],[252,2],[252,3],[199,3],[199,3],[199,4],[260,1],[260,1],[260,2],[262,1],[262,2],[264,5],[264,6],[263,2],[261,2],[200,2],[201,2],[202,5],[268,1],[268,1],[130,2],[130,3],[130,4],[269,1],[269,4],[269,3],[116,1],[116,1],[116,1],[116,1],[270,2],[270,3],[270,3],[270,4],[270,3],[270,3],[270,4],[270,4],[270,4],[270,5],[270,5],[270,5],[270,6],[271,2],[271,2],[271,1],[273,2],[272,2],[272,3],[272,4],[272,2],[218,1],[218,3],[275,1],[275,3],[215,3],[215,1],[276,3],[276,2],[276,5],[276,6],[276,6],[276,7],[276,3],[276,4],[276,3],[276,4],[276,6],[276,5],[276,4],[276,5],[276,3],[276,6],[276,5],[276,6],[276,4],[276,5],[276,4],[276,5],[276,5],[276,6],[276,5],[276,4],[276,7],[276,6],[276,7],[276,5],[276,6],[276,5],[276,6],[276,6],[276,7],[276,6],[276,2],[276,4],[277,2],[277,1],[278,2],[213,3],[213,2],[216,2],[216,1],[281,3],[281,2],[281,1],[284,1],[284,2],[283,1],[283,1],[283,1],[283,1],[283,1],[283,1],[283,1],[283,1],[290,1],[290,2],[292,2],[292,1],[293,1],[293,1],[293,1],[293,1],[293,1],[293,1],[293,1],[293,1],[297,5],[297,4],[297,3],[297,2],[296,5],[296,4],[296,5],[296,4],[296,4],[296,3],[296,2],[301,1],[301,2],[191,1],[191,1],[302,6],[302,5],[303,4],[303,3],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,1],[304,2],[304,1],[304,1],[304,1],[205,1],[205,2],[274,2],[274,3],[274,2],[274,1],[274,2],[274,1],[212,3],[212,2],[212,5],[212,6],[212,6],[212,7],[212,3],[212,4],[212,3],[212,4],[212,6],[212,5],[212,4],[212,5],[212,3],[212,6],[212,5],[212,6],[212,4],[212,5],[212,4],[212,5],[212,5],[212,6],[212,5],[212,4],[212,7],[212,6],[212,7],[212,5],[212,6],[212,5],[212,6],[212,6],[212,7],[212,6],[212,2],[212,4],[214,3],[214,2],[214,1],[317,1],[317,0],[316,2],[280,3],[280,1],[318,1],[318,3],[318,2],[318,3],[318,2],[282,1],[282,1],[282,1],[282,1],[282,2],[282,1],[315,2],[315,3],[319,2],[319,1],[320,4],[320,3],[320,2],[320,1],[321,1],[321,2],[295,1],[295,1],[295,1],[295,1],[295,1],[295,1],[295,1],[295,4],[295,1],[295,1],[295,1],[295,1],[295,1],[323,3],[323,4],[285,2],[285,3],[285,3],[285,4],[285,3],[285,4],[325,4],[325,3],[325,2],[324,4],[324,3],[324,1],[328,3],[328,1],[329,4],[329,3],[329,1],[330,3],[330,1],[294,4],[294,3],[294,3],[294,2],[333,2],[334,3],[334,1],[335,4],[335,4],[335,3],[336,3],[336,1],[337,2],[337,1],[337,2],[286,4],[286,5],[286,4],[286,3],[286,3],[286,2],[286,4],[286,3],[286,4],[286,3],[286,3],[286,2],[286,6],[286,3],[286,2],[286,1],[332,2],[332,1],[339,2],[339,2],[339,1],[339,1],[339,1],[339,4],[338,5],[338,4],[338,4],[338,3],[338,5],[338,4],[338,5],[338,4],[338,4],[338,3],[338,6],[338,5],[338,6],[338,5],[338,5],[338,4],[338,1],[338,3],[338,4],[331,5],[331,4],[331,4],[331,3],[341,2],[341,1],[342,1],[327,3],[327,2],[327,5],[327,5],[327,4],[327,4],[327,3],[327,3],[327,2],[327,2],[327,1],[114,2],[114,5],[114,5],[114,4],[114,4],[114,3],[114,2],[114,1],[343,1],[344,2],[344,1],[344,1],[110,1],[110,4],[110,3],[110,1],[345,4],[345,3],[345,1],[24,2],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,1],[24,2],[24,1],[24,1],[24,1],[347,5],[347,4],[347,4],[347,4],[347,3],[347,2],[347,4],[347,3],[347,2],[347,3],[347,2],[347,1],[347,5],[347,3],[347,3],[347,2],[219,1],[346,3],[287,5],[287,6],[288,3],[363,1],[363,1],[364,7],[361,1],[361,1],[366,1],[366,1],[366,1],[366,1],[366,1],[366,1],[366,1],[366,1],[365,10],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,1],[367,2],[368,2],[368,2],[368,3],[369,5],[369,4],[369,5],[369,4],[369,4],[369,3],[289,6],[289,5],[289,4],[289,2],[289,3],[326,4],[326,3],[326,1],[322,7],[322,8],[322,6],[322,7],[322,6],[322,7],[322,5],[322,6],[370,1],[370,3],[370,2],[370,4]],
 performAction: function anonymous(yytext, yyleng, yylineno, yy, yystate /* action[1] */, $$ /* vstack */, _$ /* lstack */) {
 /* this == yyval */
 
@@ -95,7 +95,7 @@ case 4:
             console.log('EMPTY');
         
 break;
-case 11: case 12: case 13: case 14: case 15: case 16: case 17: case 18: case 22: case 24: case 26: case 36: case 37: case 39: case 41: case 42: case 54: case 55: case 56: case 57: case 58: case 59: case 60: case 61: case 62: case 63: case 64: case 65: case 66: case 67: case 68: case 69: case 82: case 92: case 96: case 97: case 101: case 104: case 106: case 107: case 108: case 109: case 110: case 111: case 112: case 113: case 114: case 115: case 116: case 117: case 118: case 119: case 120: case 121: case 122: case 126: case 127: case 128: case 129: case 132: case 177: case 193: case 195: case 201: case 205: case 235: case 240: case 261: case 262: case 270: case 271: case 280: case 281: case 285: case 290: case 293: case 300: case 303: case 305: case 307: case 309: case 311: case 313: case 321: case 323: case 324: case 326: case 339: case 341: case 342: case 402: case 516: case 532: case 579: case 583: case 593: case 594: case 595: case 596: case 597: case 598: case 599: case 600: case 605: case 608: case 609: case 610: case 626: case 627: case 692: case 699: case 702: case 703: case 704: case 705: case 706: case 720: case 723: case 724: case 725: case 726: case 727: case 728: case 729: case 731: case 732: case 733: case 734: case 787: case 818: case 830: case 838: case 839: case 843: case 893: case 894: case 896: case 897:
+case 11: case 12: case 13: case 14: case 15: case 16: case 17: case 18: case 22: case 24: case 26: case 36: case 37: case 39: case 41: case 42: case 55: case 57: case 58: case 59: case 60: case 61: case 62: case 63: case 64: case 65: case 66: case 67: case 68: case 69: case 70: case 71: case 84: case 94: case 98: case 99: case 103: case 106: case 108: case 109: case 110: case 111: case 112: case 113: case 114: case 115: case 116: case 117: case 118: case 119: case 120: case 121: case 122: case 123: case 124: case 128: case 129: case 130: case 131: case 134: case 179: case 195: case 197: case 203: case 207: case 237: case 242: case 263: case 264: case 272: case 273: case 282: case 283: case 287: case 292: case 295: case 302: case 305: case 307: case 309: case 311: case 313: case 315: case 323: case 325: case 326: case 328: case 341: case 343: case 344: case 404: case 518: case 534: case 535: case 582: case 586: case 596: case 597: case 598: case 599: case 600: case 601: case 602: case 603: case 608: case 611: case 612: case 613: case 629: case 630: case 695: case 702: case 705: case 706: case 707: case 708: case 709: case 723: case 726: case 727: case 728: case 729: case 730: case 731: case 732: case 734: case 735: case 736: case 737: case 790: case 792: case 823: case 835: case 843: case 844: case 848: case 898: case 899: case 901: case 902:
 
         this.$ = $$[$0];
     
@@ -105,7 +105,7 @@ case 19:
         this.$ = $$[$0-3] + "::*" + $$[$0-1];
     
 break;
-case 20: case 51:
+case 20: case 52:
 
         this.$ = $$[$0-2] + "::" + $$[$0];
     
@@ -124,7 +124,7 @@ case 23:
         this.$ = $$[$0-1] + "" + $$[$0];
     
 break;
-case 25: case 27: case 28: case 29: case 30: case 31: case 32: case 33: case 34: case 35: case 90: case 91: case 94: case 95: case 125: case 134: case 136: case 166: case 192: case 196: case 197: case 200: case 232: case 238: case 263: case 264: case 265: case 266: case 267: case 268: case 269: case 274: case 277: case 278: case 401: case 828: case 829:
+case 25: case 27: case 28: case 29: case 30: case 31: case 32: case 33: case 34: case 35: case 92: case 93: case 96: case 97: case 127: case 136: case 138: case 168: case 194: case 198: case 199: case 202: case 234: case 240: case 265: case 266: case 267: case 268: case 269: case 270: case 271: case 276: case 279: case 280: case 403: case 833: case 834:
 
         this.$ = $$[$0-1] + "" + $$[$0];
     
@@ -134,7 +134,7 @@ case 38:
         this.$ = $$[$0-2] + "*&"; 
     
 break;
-case 40: case 253:
+case 40: case 255:
 
         this.$ = $$[$0-1] + " "+ $$[$0];
     
@@ -146,237 +146,247 @@ case 43:
 break;
 case 44:
 
-        this.$ = $$[$0-2] + " const*";
+        this.$ = $$[$0-1] ? $$[$0-1] + " " + $$[$0] : $$[$0];
     
 break;
 case 45:
 
-        this.$ + $$[$0-1] + " const";
+        this.$ = $$[$0-2] + " const*";
     
 break;
 case 46:
 
-        this.$ = "const "+$$[$0];
+        this.$ + $$[$0-1] + " const";
     
 break;
 case 47:
 
-        this.$ = "static "+$$[$0];
+        this.$ = "const "+$$[$0];
     
 break;
 case 48:
 
-        this.$ = "volatile "+ $$[$0];
+        this.$ = "static "+$$[$0];
     
 break;
 case 49:
 
-        this.$ = "virtual "+ $$[$0];
+        this.$ = "volatile "+ $$[$0];
     
 break;
 case 50:
 
+        this.$ = "virtual "+ $$[$0];
+    
+break;
+case 51:
+
         this.$ = $$[$0-3] + "::*"+$$[$0];
     
 break;
-case 52:
+case 53:
 
         this.$ = "friend class";
     
 break;
-case 53:
+case 54:
 
         this.$ = "friend "+ $$[$0];
     
 break;
-case 70: case 71: case 72: case 73: case 74: case 75: case 76: case 77: case 81: case 83: case 84: case 85: case 86:
+case 56:
+
+        this.$ = /^\[\[\s*nodiscard\b/.test($$[$0]) ? "[[nodiscard]]" : "";
+    
+break;
+case 72: case 73: case 74: case 75: case 76: case 77: case 78: case 79: case 83: case 85: case 86: case 87: case 88:
 
         this.$ = $$[$0-1] + " "+$$[$0];
     
 break;
-case 78: case 80: case 87: case 88: case 89:
+case 80: case 82: case 89: case 90: case 91:
 
         this.$ = $$[$0-2] + " "+$$[$0-1]+ " "+$$[$0];;
     
 break;
-case 79:
+case 81:
 
         this.$ = $$[$0-2] + " "+$$[$0-1]+ " "+$$[$0];
     
 break;
-case 93: case 98: case 100: case 123: case 124: case 167: case 168: case 169: case 170: case 171: case 172: case 173: case 174: case 175: case 179: case 183: case 187: case 188: case 191: case 194: case 199: case 234: case 237: case 239: case 273: case 282: case 283: case 284: case 286: case 287: case 288: case 289: case 291: case 292: case 294: case 295: case 296: case 297: case 298: case 299: case 301: case 302: case 304: case 306: case 308: case 310: case 312: case 314: case 319: case 320: case 322: case 325: case 327: case 826: case 827:
+case 95: case 100: case 102: case 125: case 126: case 169: case 170: case 171: case 172: case 173: case 174: case 175: case 176: case 177: case 181: case 185: case 189: case 190: case 193: case 196: case 201: case 236: case 239: case 241: case 275: case 284: case 285: case 286: case 288: case 289: case 290: case 291: case 293: case 294: case 296: case 297: case 298: case 299: case 300: case 301: case 303: case 304: case 306: case 308: case 310: case 312: case 314: case 316: case 321: case 322: case 324: case 327: case 329: case 831: case 832:
 
         this.$ = $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 99:
+case 101:
 
         this.$ = $$[$0-3] + ", *" + $$[$0];
     
 break;
-case 102:
+case 104:
 
         this.$ = "const struct "+$$[$0];
     
 break;
-case 103:
+case 105:
 
         this.$ = "struct "+$$[$0];
     
 break;
-case 105: case 746: case 850: case 935:
+case 107: case 749: case 855: case 940:
 
         this.$ = $$[$0-1] + $$[$0];
     
 break;
-case 130:
+case 132:
 
         this.$ = "::*" + $$[$0];
     
 break;
-case 131:
+case 133:
 
         this.$ = "::" + $$[$0];
     
 break;
-case 133: case 135: case 159: case 162: case 163: case 164: case 180: case 181: case 182: case 184: case 185: case 186: case 189: case 190: case 198: case 236: case 254: case 257: case 259: case 260: case 272: case 276: case 824: case 825:
+case 135: case 137: case 161: case 164: case 165: case 166: case 182: case 183: case 184: case 186: case 187: case 188: case 191: case 192: case 200: case 238: case 256: case 259: case 261: case 262: case 274: case 278: case 829: case 830:
 
         this.$ = $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 158: case 255: case 256: case 275: case 315: case 822: case 823:
+case 160: case 257: case 258: case 277: case 317: case 827: case 828:
 
         this.$ = $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 160: case 161:
+case 162: case 163:
 
         this.$ = $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1];
     
 break;
-case 165:
+case 167:
 
         this.$ = $$[$0-2] + "" + $$[$0-1] + "" +$$[$0] ;
     
 break;
-case 176:
+case 178:
 
         this.$ = $$[$0-1] + ""+ $$[$0];
     
 break;
-case 178:
+case 180:
 
         this.$ = $$[$0-1] + "" +$$[$0];
     
 break;
-case 202: case 203: case 204: case 226: case 230: case 231: case 644: case 711: case 817:
+case 204: case 205: case 206: case 228: case 232: case 233: case 532: case 533: case 647: case 714: case 822:
 
         this.$ = $$[$0-1] + " " + $$[$0];
     
 break;
-case 206:
+case 208:
 
         this.$ = $$[$0-7] + " " + $$[$0-6] + "" + $$[$0-5] + "" + $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 207: case 208: case 216: case 221: case 246:
+case 209: case 210: case 218: case 223: case 248:
 
         this.$ = $$[$0-6] + " " + $$[$0-5] + "" + $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 209: case 217: case 218: case 222: case 224: case 244: case 245: case 248:
+case 211: case 219: case 220: case 224: case 226: case 246: case 247: case 250:
 
         this.$ = $$[$0-5] + " " + $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 210:
+case 212:
  
         this.$ = $$[$0-4] + " " + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 211: case 229: case 247: case 252:
+case 213: case 231: case 249: case 254:
 
         this.$ = $$[$0-2] + " " + $$[$0-1] + "" + $$[$0];
     
 break;
-case 212: case 215: case 223: case 251:
+case 214: case 217: case 225: case 253:
 
         this.$ = $$[$0-3] + " " + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 213: case 219: case 220: case 225: case 243: case 249: case 250:
+case 215: case 221: case 222: case 227: case 245: case 251: case 252:
 
         this.$ = $$[$0-4] + " " + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 214:
+case 216:
 
         this.$ = $$[$0-2] + " " + $$[$0-1] + "" + $$[$0] ;
     
 break;
-case 227:
+case 229:
 
         this.$ = $$[$0-3] + " " + $$[$0-2] + "" + $$[$0-1];
     
 break;
-case 228:
+case 230:
 
         this.$ = $$[$0-2] + " " + $$[$0-1];
     
 break;
-case 242:
+case 244:
 
         this.$ = $$[$0-4] + " " + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0] + "" + $$[$01];
     
 break;
-case 258: case 821:
+case 260: case 826:
 
         this.$ = $$[$0-1] + "" + $$[$0] ;
     
 break;
-case 279:
+case 281:
 
         this.$ = $$[$0-2] + "" + $$[$0] + "" + $$[$0-1];
     
 break;
-case 316:
+case 318:
 
         this.$ = $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1]+ "" + $$[$0];
     
 break;
-case 317:
+case 319:
 
         this.$ = $$[$0-6] + "" + $$[$0-5] + "" + $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 318:
+case 320:
 
         this.$ = $$[$0-8] + "" + $$[$0-7] + "" + $$[$0-6] + "" + $$[$0-5] + "" + $$[$0-4] + "" + $$[$0-3] + "" + $$[$0-2] + "" + $$[$0-1] + "" + $$[$0];
     
 break;
-case 328: case 329: case 330: case 331: case 332: case 333: case 334: case 335: case 336: case 337: case 338: case 340: case 344: case 345: case 346: case 347:
+case 330: case 331: case 332: case 333: case 334: case 335: case 336: case 337: case 338: case 339: case 340: case 342: case 346: case 347: case 348: case 349:
 
          this.$ = $$[$0];
     
 break;
-case 420: case 537: case 587: case 591: case 604: case 624: case 648: case 701: case 716: case 721: case 749: case 754: case 846: case 849:
+case 422: case 540: case 590: case 594: case 607: case 627: case 651: case 704: case 719: case 724: case 752: case 757: case 795: case 796: case 797: case 851: case 854:
 
         this.$ = [ $$[$0] ];
     
 break;
-case 421: case 747: case 752: case 844: case 847:
+case 423: case 750: case 755: case 849: case 852:
 
         $$[$0-3].push($$[$0]);
         this.$ = $$[$0-3];
     
 break;
-case 422: case 538: case 700: case 748: case 753: case 845: case 848:
+case 424: case 541: case 703: case 751: case 756: case 850: case 853:
 
         $$[$0-2].push($$[$0]);
         this.$ = $$[$0-2];
     
 break;
-case 424:
+case 426:
 
         this.$ = {
             "node":"variable",
@@ -391,7 +401,7 @@ case 424:
         }
     
 break;
-case 425:
+case 427:
 
         this.$ = {
             "node":"variable"
@@ -405,95 +415,105 @@ case 425:
         }
     
 break;
-case 515:
+case 517:
 
         this.$ =$$[$0];
     
 break;
-case 517:
+case 519:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-1],
             "body": $$[$0]
         };
     
 break;
-case 518:
+case 520:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-2],
             "body": $$[$0-1]
         };
     
 break;
-case 519:
+case 521:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-1],
             "modifiers": $$[$0-2],
             "body": $$[$0]
         };
     
 break;
-case 520:
+case 522:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-2],
             "modifiers": $$[$0-3],
             "body": $$[$0-1]
         };
     
 break;
-case 521:
+case 523:
 
         this.$ = {
-            "node": "enum", 
+            "node": "enum",
+            "key": $$[$0-2],
             "name": $$[$0-1]
         };
     
 break;
-case 522:
+case 524:
 
         this.$ = {
-            "node": "enum", 
+            "node": "enum",
+            "key": $$[$0-2],
             "name": $$[$0-1],
             "body": $$[$0]
         };
     
 break;
-case 523:
+case 525:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-2],
             "modifiers": $$[$0-3],
             "name": $$[$0-1],
             "body": $$[$0]
         };
     
 break;
-case 524:
+case 526:
 
         this.$ = {
-            "node": "enum", 
+            "node": "enum",
+            "key": $$[$0-3],
             "name": $$[$0-2],
             "base": $$[$0-1],
             "body": $$[$0]
         };
     
 break;
-case 525:
+case 527:
 
         this.$ = {
-            "node": "enum", 
+            "node": "enum",
+            "key": $$[$0-3],
             "name": $$[$0-2],
             "body": $$[$0-1]
         };
     
 break;
-case 526:
+case 528:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-3],
             "modifiers": $$[$0-4],
             "name": $$[$0-2],
             "base": $$[$0-1],
@@ -501,30 +521,33 @@ case 526:
         };
     
 break;
-case 527:
+case 529:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-3],
             "modifiers": $$[$0-4],
             "name": $$[$0-2],
             "body": $$[$0-1]
         };
     
 break;
-case 528:
+case 530:
 
         this.$ = {
-            "node": "enum", 
+            "node": "enum",
+            "key": $$[$0-4],
             "name": $$[$0-3],
             "base": $$[$0-2],
             "body": $$[$0-1]
         };
     
 break;
-case 529:
+case 531:
 
         this.$ = {
             "node": "enum",
+            "key": $$[$0-4],
             "modifiers": $$[$0-5],
             "name": $$[$0-3],
             "base": $$[$0-2],
@@ -532,24 +555,24 @@ case 529:
         };
     
 break;
-case 534: case 584: case 623: case 714: case 777: case 783: case 786: case 936: case 937: case 948:
+case 537: case 587: case 626: case 717: case 786: case 789: case 941: case 942: case 953:
 
         this.$ = $$[$0-1];
     
 break;
-case 535: case 775: case 776: case 779: case 781: case 782: case 785: case 811: case 949:
+case 538: case 782: case 784: case 954:
 
         this.$ = $$[$0-2];
     
 break;
-case 539:
+case 542:
 
         this.$ = {
             "name": $$[$0]
         };
     
 break;
-case 540:
+case 543:
 
         this.$ = {
             "name": $$[$0-2],
@@ -557,7 +580,7 @@ case 540:
         };
     
 break;
-case 543:
+case 546:
 
         this.$ = {
             "node": "struct",
@@ -565,7 +588,7 @@ case 543:
         };
     
 break;
-case 544:
+case 547:
 
         this.$ = {
             "node": "struct",
@@ -573,7 +596,7 @@ case 544:
         };
     
 break;
-case 545: case 547:
+case 548: case 550:
 
         this.$ = {
             "node": "struct",
@@ -581,7 +604,7 @@ case 545: case 547:
         };
     
 break;
-case 546: case 548:
+case 549: case 551:
 
         this.$ = {
             "node": "struct",
@@ -590,7 +613,7 @@ case 546: case 548:
         };
     
 break;
-case 549: case 550:
+case 552: case 553:
 
         this.$ = {
             "node": "struct",
@@ -598,7 +621,7 @@ case 549: case 550:
         };
     
 break;
-case 551:
+case 554:
 
         this.$ = {
             "node": "struct",
@@ -607,7 +630,7 @@ case 551:
         };
     
 break;
-case 552:
+case 555:
 
         this.$ = {
             "node": "struct",
@@ -616,7 +639,7 @@ case 552:
         };
     
 break;
-case 553:
+case 556:
 
         this.$ = {
             "node": "struct",
@@ -625,7 +648,7 @@ case 553:
         };
     
 break;
-case 554:
+case 557:
 
         this.$ = {
             "node": "struct",
@@ -634,7 +657,7 @@ case 554:
         };
     
 break;
-case 555:
+case 558:
 
         this.$ = {
             "node": "struct",
@@ -644,7 +667,7 @@ case 555:
         };
     
 break;
-case 556:
+case 559:
 
         this.$ = {
             "node": "struct",
@@ -654,7 +677,7 @@ case 556:
         };
     
 break;
-case 557:
+case 560:
 
         this.$ = {
             "node": "struct", 
@@ -663,7 +686,7 @@ case 557:
         };
     
 break;
-case 558:
+case 561:
 
         this.$ = {
             "node": "struct",
@@ -673,7 +696,7 @@ case 558:
         };
     
 break;
-case 559:
+case 562:
 
         this.$ = {
             "node": "struct",
@@ -683,7 +706,7 @@ case 559:
         };
     
 break;
-case 560:
+case 563:
 
         this.$ = {
             "node": "struct",
@@ -693,7 +716,7 @@ case 560:
         };
     
 break;
-case 561:
+case 564:
 
         this.$ = {
             "node": "struct",
@@ -702,7 +725,7 @@ case 561:
         };
     
 break;
-case 562: case 572:
+case 565: case 575:
 
         this.$ = {
             "node": "struct",
@@ -711,7 +734,7 @@ case 562: case 572:
         };
     
 break;
-case 563:
+case 566:
 
         this.$ = {
             "node": "struct",
@@ -721,7 +744,7 @@ case 563:
         };
     
 break;
-case 564:
+case 567:
 
         this.$ = {
             "node": "struct",
@@ -732,7 +755,7 @@ case 564:
         };
     
 break;
-case 565:
+case 568:
 
         this.$ = {
             "node": "struct",
@@ -742,7 +765,7 @@ case 565:
         };
     
 break;
-case 566:
+case 569:
 
         this.$ = {
             "node": "struct",
@@ -753,7 +776,7 @@ case 566:
         };
     
 break;
-case 567:
+case 570:
 
         this.$ = {
             "node": "struct",
@@ -763,7 +786,7 @@ case 567:
         };
     
 break;
-case 568:
+case 571:
 
         this.$ = {
             "node": "struct",
@@ -772,7 +795,7 @@ case 568:
         };
     
 break;
-case 569:
+case 572:
 
         this.$ = {
             "node": "struct",
@@ -782,7 +805,7 @@ case 569:
         };
     
 break;
-case 570: case 578:
+case 573: case 581:
 
         this.$ = {
             "node": "struct",
@@ -792,7 +815,7 @@ case 570: case 578:
         };
     
 break;
-case 571:
+case 574:
 
         this.$ = {
             "node": "struct",
@@ -802,7 +825,7 @@ case 571:
         };
     
 break;
-case 573:
+case 576:
 
         this.$ = {
             "node": "struct",
@@ -811,7 +834,7 @@ case 573:
         };
     
 break;
-case 574:
+case 577:
 
         this.$ = {
             "node": "struct",
@@ -821,7 +844,7 @@ case 574:
         };
     
 break;
-case 575:
+case 578:
 
         this.$ = {
             "node": "struct",
@@ -832,7 +855,7 @@ case 575:
         };
     
 break;
-case 576:
+case 579:
 
         this.$ = {
             "node": "struct",
@@ -842,7 +865,7 @@ case 576:
         };
     
 break;
-case 577:
+case 580:
 
         this.$ = {
             "node": "struct",
@@ -853,7 +876,7 @@ case 577:
         };
     
 break;
-case 580:
+case 583:
 
         this.$ = {
             "node": "struct", 
@@ -862,7 +885,7 @@ case 580:
         };
     
 break;
-case 586:
+case 589:
 
         
         prev_modifier = $$[$0-1][$$[$0-1].length-1]["modifiers"];
@@ -885,7 +908,7 @@ case 586:
         this.$ = $$[$0-1];
     
 break;
-case 588:
+case 591:
 
          
         $$[$0]["modifiers"] = [ $$[$0-2] ];
@@ -894,7 +917,7 @@ case 588:
         
     
 break;
-case 589:
+case 592:
 
         this.$ = {
             "modifiers": [ $$[$0-1] ],
@@ -902,12 +925,12 @@ case 589:
         };
     
 break;
-case 590:
+case 593:
 
         this.$ =  $$[$0];
     
 break;
-case 592:
+case 595:
 
         if($$[$0]!=';'){
             $$[$0-1].push($$[$0]);
@@ -916,7 +939,7 @@ case 592:
         
     
 break;
-case 602:
+case 605:
 
         return {
             "node": "CompilationUnit",
@@ -924,20 +947,20 @@ case 602:
         };
     
 break;
-case 603: case 625: case 649: case 722:
+case 606: case 628: case 652: case 725:
 
         $$[$0-1].push($$[$0]);
         this.$ = $$[$0-1];
     
 break;
-case 606: case 607: case 611: case 612: case 735: case 810: case 941: case 942: case 954: case 956: case 958: case 960:
+case 609: case 610: case 614: case 615: case 738: case 946: case 947: case 959: case 961: case 963: case 965:
 
         this.$ = {
             "node": "null"
         };
     
 break;
-case 617: case 619:
+case 620: case 622:
 
         this.$ = {
             "node": "namespace",
@@ -946,7 +969,7 @@ case 617: case 619:
         };
     
 break;
-case 618: case 620:
+case 621: case 623:
 
         this.$ = {
             "node": "namespace",
@@ -954,7 +977,7 @@ case 618: case 620:
         };
     
 break;
-case 621:
+case 624:
 
         this.$ = {
             "node": "namespace", 
@@ -962,14 +985,14 @@ case 621:
         };
     
 break;
-case 622:
+case 625:
 
         this.$ = {
             "node": "namespace" 
         };
     
 break;
-case 628:
+case 631:
 
 		this.$ = {
 			"node" : "using",
@@ -977,7 +1000,7 @@ case 628:
 		};
 	
 break;
-case 629:
+case 632:
 
         this.$ = {
             "node" : "using",
@@ -985,7 +1008,7 @@ case 629:
         };
     
 break;
-case 630: case 631:
+case 633: case 634:
 
         this.$ = {
             "node" : "using",
@@ -993,7 +1016,7 @@ case 630: case 631:
         };
     
 break;
-case 656:
+case 659:
 
         this.$ = {
             "node": "class",
@@ -1001,7 +1024,7 @@ case 656:
         };
     
 break;
-case 657:
+case 660:
 
         this.$ = {
             "node": "class",
@@ -1009,7 +1032,7 @@ case 657:
         };
     
 break;
-case 658: case 660:
+case 661: case 663:
 
         this.$ = {
             "node": "class",
@@ -1017,7 +1040,7 @@ case 658: case 660:
         };
     
 break;
-case 659: case 661:
+case 662: case 664:
 
         this.$ = {
             "node": "class",
@@ -1026,7 +1049,7 @@ case 659: case 661:
         };
     
 break;
-case 662: case 663:
+case 665: case 666:
 
         this.$ = {
             "node": "class",
@@ -1034,7 +1057,7 @@ case 662: case 663:
         };
     
 break;
-case 664:
+case 667:
 
         this.$ = {
             "node": "class",
@@ -1043,7 +1066,7 @@ case 664:
         };
     
 break;
-case 665:
+case 668:
 
         this.$ = {
             "node": "class",
@@ -1052,7 +1075,7 @@ case 665:
         };
     
 break;
-case 666:
+case 669:
 
         this.$ = {
             "node": "class",
@@ -1061,7 +1084,7 @@ case 666:
         };
     
 break;
-case 667:
+case 670:
 
         this.$ = {
             "node": "class",
@@ -1070,7 +1093,7 @@ case 667:
         };
     
 break;
-case 668:
+case 671:
 
         this.$ = {
             "node": "class",
@@ -1080,7 +1103,7 @@ case 668:
         };
     
 break;
-case 669:
+case 672:
 
         this.$ = {
             "node": "class",
@@ -1090,7 +1113,7 @@ case 669:
         };
     
 break;
-case 670:
+case 673:
 
         this.$ = {
             "node": "class", 
@@ -1099,7 +1122,7 @@ case 670:
         };
     
 break;
-case 671:
+case 674:
 
         this.$ = {
             "node": "class",
@@ -1109,7 +1132,7 @@ case 671:
         };
     
 break;
-case 672:
+case 675:
 
         this.$ = {
             "node": "class",
@@ -1119,7 +1142,7 @@ case 672:
         };
     
 break;
-case 673:
+case 676:
 
         this.$ = {
             "node": "class",
@@ -1129,7 +1152,7 @@ case 673:
         };
     
 break;
-case 674:
+case 677:
 
         this.$ = {
             "node": "class",
@@ -1138,7 +1161,7 @@ case 674:
         };
     
 break;
-case 675: case 685:
+case 678: case 688:
 
         this.$ = {
             "node": "class",
@@ -1147,7 +1170,7 @@ case 675: case 685:
         };
     
 break;
-case 676:
+case 679:
 
         this.$ = {
             "node": "class",
@@ -1157,7 +1180,7 @@ case 676:
         };
     
 break;
-case 677:
+case 680:
 
         this.$ = {
             "node": "class",
@@ -1168,7 +1191,7 @@ case 677:
         };
     
 break;
-case 678:
+case 681:
 
         this.$ = {
             "node": "class",
@@ -1178,7 +1201,7 @@ case 678:
         };
     
 break;
-case 679:
+case 682:
 
         this.$ = {
             "node": "class",
@@ -1189,7 +1212,7 @@ case 679:
         };
     
 break;
-case 680:
+case 683:
 
         this.$ = {
             "node": "class",
@@ -1199,7 +1222,7 @@ case 680:
         };
     
 break;
-case 681:
+case 684:
 
         this.$ = {
             "node": "class",
@@ -1208,7 +1231,7 @@ case 681:
         };
     
 break;
-case 682:
+case 685:
 
         this.$ = {
             "node": "class",
@@ -1218,7 +1241,7 @@ case 682:
         };
     
 break;
-case 683: case 691:
+case 686: case 694:
 
         this.$ = {
             "node": "class",
@@ -1228,7 +1251,7 @@ case 683: case 691:
         };
     
 break;
-case 684:
+case 687:
 
         this.$ = {
             "node": "class",
@@ -1238,7 +1261,7 @@ case 684:
         };
     
 break;
-case 686:
+case 689:
 
         this.$ = {
             "node": "class",
@@ -1247,7 +1270,7 @@ case 686:
         };
     
 break;
-case 687:
+case 690:
 
         this.$ = {
             "node": "class",
@@ -1257,7 +1280,7 @@ case 687:
         };
     
 break;
-case 688:
+case 691:
 
         this.$ = {
             "node": "class",
@@ -1268,7 +1291,7 @@ case 688:
         };
     
 break;
-case 689:
+case 692:
 
         this.$ = {
             "node": "class",
@@ -1278,7 +1301,7 @@ case 689:
         };
     
 break;
-case 690:
+case 693:
 
         this.$ = {
             "node": "class",
@@ -1289,7 +1312,7 @@ case 690:
         };
     
 break;
-case 693:
+case 696:
 
         this.$ = {
             "node": "class", 
@@ -1298,23 +1321,23 @@ case 693:
         };
     
 break;
-case 694:
+case 697:
 
         /* 统一只保留名字的字符串表示，避免依赖 typeParameters 对象结构 */
         this.$["name"] =  $$[$0];
     
 break;
-case 695:
+case 698:
  
         this.$["name"] =  $$[$0];
     
 break;
-case 696:
+case 699:
  
         this.$["name"] = $$[$0];
     
 break;
-case 715:
+case 718:
 
         prev_modifier = $$[$0-1][$$[$0-1].length-1]["modifiers"];
         
@@ -1327,8 +1350,9 @@ case 715:
                 $$[$0]["modifiers"] = prev_modifier;
             }
             else{
-                $$[$0-1][$$[$0-1].length-1]["modifiers"] = [ "public" ];
-                $$[$0]["modifiers"] = [ "public" ];
+                /* members of a class are private by default */
+                $$[$0-1][$$[$0-1].length-1]["modifiers"] = [ "private" ];
+                $$[$0]["modifiers"] = [ "private" ];
             } 
             $$[$0-1].push($$[$0]);
         }
@@ -1336,7 +1360,7 @@ case 715:
         this.$ = $$[$0-1];
     
 break;
-case 717:
+case 720:
   
         $$[$0]["modifiers"] = [ $$[$0-3] ];  
         $$[$0]["modifiers"].push($$[$0-2]);
@@ -1344,13 +1368,13 @@ case 717:
         this.$ = $$[$0]; 
     
 break;
-case 718:
+case 721:
   
         $$[$0]["modifiers"]= [ $$[$0-2] ];
         this.$ = $$[$0]; 
     
 break;
-case 719:
+case 722:
 
         this.$ = {
             "modifiers": [ $$[$0-1] ],
@@ -1358,7 +1382,7 @@ case 719:
         }; 
     
 break;
-case 730:
+case 733:
  
         this.$ = {
             "node": "class"
@@ -1367,7 +1391,7 @@ case 730:
         this.$["name"] = $$[$0-1];
     
 break;
-case 736:
+case 739:
 
         this.$ = {
             "node" : "constant",
@@ -1376,7 +1400,7 @@ case 736:
         };
     
 break;
-case 737:
+case 740:
 
         this.$ = {
             "node": "constant",
@@ -1386,7 +1410,7 @@ case 737:
         };
     
 break;
-case 738:
+case 741:
 
         this.$ = {
             "node": "field",
@@ -1394,7 +1418,7 @@ case 738:
         };
     
 break;
-case 739:
+case 742:
 
         this.$ = {
             "node": "field",
@@ -1403,7 +1427,7 @@ case 739:
         };
     
 break;
-case 740: case 742:
+case 743: case 745:
 
         this.$ = {
             "node": "field",
@@ -1411,7 +1435,7 @@ case 740: case 742:
         };
     
 break;
-case 741: case 743:
+case 744: case 746:
 
         this.$ = {
             "node": "field",
@@ -1420,17 +1444,17 @@ case 741: case 743:
         };
     
 break;
-case 744:
+case 747:
 
         this.$ = $$[$0-3] + $$[$0-2] + $$[$0-1] + $$[$0];
     
 break;
-case 745:
+case 748:
 
         this.$ = $$[$0-2] + $$[$0-1] + $$[$0];
     
 break;
-case 750:
+case 753:
 
         this.$ = {
             "node":"variable",
@@ -1439,7 +1463,7 @@ case 750:
         }; 
     
 break;
-case 751:
+case 754:
 
         this.$ = {
             "node":"variable",
@@ -1447,7 +1471,7 @@ case 751:
         };
     
 break;
-case 755:
+case 758:
 
         this.$ = {
             "node": "variable",
@@ -1456,7 +1480,7 @@ case 755:
         };
     
 break;
-case 756:
+case 759:
 
         this.$ = {
             "node": "variable",
@@ -1464,22 +1488,70 @@ case 756:
         };
     
 break;
-case 772: case 774: case 778: case 780: case 812:
+case 775: case 777:
 
         this.$ = $$[$0-3];
+        this.$.specifiers = $$[$0-2];
     
 break;
-case 773:
+case 776:
 
         this.$ = $$[$0-4];
+        this.$.specifiers = $$[$0-3];
     
 break;
-case 784:
+case 778: case 779:
+
+        this.$ = $$[$0-2];
+        this.$.specifiers = $$[$0-1];
+    
+break;
+case 780:
+
+        this.$ = $$[$0-1];
+        this.$.specifiers = $$[$0];
+    
+break;
+case 781:
+
+        this.$ = $$[$0-3];
+        this.$.specifiers = [ $$[$0-2] ];
+    
+break;
+case 783:
+
+        this.$ = $$[$0-3];
+    
+break;
+case 785: case 788:
+
+        this.$ = $$[$0-2];
+        this.$.specifiers = [ $$[$0-1] ];
+    
+break;
+case 787:
 
         this.$ = $$[$0-5];
+        this.$.specifiers = [ $$[$0-4] ];
     
 break;
-case 794:
+case 791:
+
+        this.$ = $$[$0-1].concat($$[$0]);
+    
+break;
+case 793: case 794:
+
+        this.$ = [ $$[$0-1], $$[$0] ];
+    
+break;
+case 798:
+
+        /* a conditional noexcept(...) is not kept */
+        this.$ = [];
+    
+break;
+case 799:
 
         this.$ = {
             "node": "constructor", 
@@ -1488,7 +1560,7 @@ case 794:
         };
     
 break;
-case 795:
+case 800:
 
         this.$ = {
             "node": "constructor", 
@@ -1496,7 +1568,7 @@ case 795:
         };
     
 break;
-case 796:
+case 801:
 
         this.$ = {
             "node": "constructor", 
@@ -1505,7 +1577,7 @@ case 796:
         };
     
 break;
-case 797: case 803:
+case 802: case 808:
 
         this.$ = {
             "node": "constructor", 
@@ -1513,7 +1585,7 @@ case 797: case 803:
         };
     
 break;
-case 798:
+case 803:
 
         this.$ = {
             "node": "method", 
@@ -1523,7 +1595,7 @@ case 798:
         };
     
 break;
-case 799:
+case 804:
 
         this.$ = {
             "node": "method", 
@@ -1532,7 +1604,7 @@ case 799:
         };
     
 break;
-case 800:
+case 805:
 
         this.$ = {
             "node": "constructor", 
@@ -1540,7 +1612,7 @@ case 800:
         };
     
 break;
-case 801:
+case 806:
 
         this.$ = {
             "node": "constructor", 
@@ -1548,7 +1620,7 @@ case 801:
         };
     
 break;
-case 802:
+case 807:
 
         this.$ = {
             "node": "constructor", 
@@ -1557,7 +1629,7 @@ case 802:
         };
     
 break;
-case 804: case 806:
+case 809: case 811:
 
         this.$ = {
             "node": "method",
@@ -1568,7 +1640,7 @@ case 804: case 806:
         };
     
 break;
-case 805:
+case 810:
 
         this.$ = {
             "node": "method",
@@ -1578,7 +1650,7 @@ case 805:
         };
     
 break;
-case 807:
+case 812:
 
         this.$ = {
             "node": "method",
@@ -1588,7 +1660,7 @@ case 807:
         };
     
 break;
-case 808:
+case 813:
 
         this.$ = {
             "node": "constructor",
@@ -1598,7 +1670,7 @@ case 808:
         };
     
 break;
-case 809: case 947:
+case 814: case 952:
 
         this.$ = {
             "node": "constructor",
@@ -1607,37 +1679,63 @@ case 809: case 947:
         };
     
 break;
-case 819:
+case 815:
+
+        /* "Type name;" without initializer, the analyzer splits type and name */
+        this.$ = {
+            "node": "field",
+            "name": [ {
+                "node": "variable",
+                "name": $$[$0]
+            } ]
+        };
+    
+break;
+case 816:
+
+        /* "= 0", "= default" or "= delete" */
+        this.$ = $$[$0-2];
+        this.$.initializer = $$[$0];
+    
+break;
+case 817:
+
+        this.$ = $$[$0-3];
+        this.$.specifiers = $$[$0-2];
+        this.$.initializer = $$[$0];
+    
+break;
+case 824:
 
         this.$ = $$[$0] ;
     
 break;
-case 820:
+case 825:
 
         this.$ = $$[$0-2] + "" + $$[$0-1] + "" + $$[$0] ;
     
 break;
-case 831: case 837:
+case 836: case 842:
 
         this.$ = $$[$0-1] + " " +$$[$0];
     
 break;
-case 832: case 833:
+case 837: case 838:
 
         this.$ = $$[$0-4] + " " +$$[$0-3] + " " + $$[$0-2] + " " + $$[$0-1]+ " " + $$[$0];
     
 break;
-case 834: case 835:
+case 839: case 840:
 
         this.$ = $$[$0-3] + " " +$$[$0-2] + " " + $$[$0-1] + " " + $$[$0];
     
 break;
-case 836:
+case 841:
 
         this.$ = $$[$0-2] + " " +$$[$0-1] + " " + $$[$0];
     
 break;
-case 872:
+case 877:
 
         this.$ = {
             "type": $$[$0-4],
@@ -1645,7 +1743,7 @@ case 872:
         };
     
 break;
-case 873: case 874:
+case 878: case 879:
 
         this.$ = {
             "type": $$[$0-3],
@@ -1653,7 +1751,7 @@ case 873: case 874:
         };
     
 break;
-case 875: case 878:
+case 880: case 883:
 
         this.$ = {
             "type": $$[$0-3] + " " + $$[$0-2] + " " + $$[$0-1],
@@ -1661,7 +1759,7 @@ case 875: case 878:
         };
     
 break;
-case 876: case 879: case 885: case 886:
+case 881: case 884: case 890: case 891:
 
         this.$ = {
             "type": $$[$0-2] + " " + $$[$0-1],
@@ -1669,21 +1767,21 @@ case 876: case 879: case 885: case 886:
         };
     
 break;
-case 877:
+case 882:
 
         this.$ = {
             "type": $$[$0-1]+ " " + $$[$0] 
         };
     
 break;
-case 880:
+case 885:
 
         this.$ = {
             "type": $$[$0-1] + " " + $$[$0]
         };
     
 break;
-case 881:
+case 886:
 
         this.$ = {
             "type": $$[$0-2] + "" + $$[$0-1],
@@ -1691,7 +1789,7 @@ case 881:
         };
     
 break;
-case 882: case 889:
+case 887: case 894:
 
         this.$ = {
             "type": $$[$0-1],
@@ -1699,14 +1797,14 @@ case 882: case 889:
         };
     
 break;
-case 883:
+case 888:
 
         this.$ = {
             "type": $$[$0]
         };
     
 break;
-case 884:
+case 889:
 
         this.$ = {
             "type": $$[$0-4]+ " " + $$[$0-3],
@@ -1714,12 +1812,12 @@ case 884:
         };
     
 break;
-case 887:
+case 892:
 
         this.$ = $$[$0-1]; 
     
 break;
-case 890:
+case 895:
 
         this.$ = {
             "node": "property",
@@ -1728,7 +1826,7 @@ case 890:
         };
     
 break;
-case 891:
+case 896:
 
         this.$ = {
             "node": "property",
@@ -1738,14 +1836,14 @@ case 891:
         };
     
 break;
-case 892:
+case 897:
 
         $$[$0-1]["node"]= "operator";
         $$[$0-1]["modifiers"] = $$[$0-2];
         this.$ =$$[$0-1];
     
 break;
-case 895:
+case 900:
 
         this.$ = {
             "type": $$[$0-6],
@@ -1757,7 +1855,7 @@ case 895:
         };
     
 break;
-case 906:
+case 911:
 
         this.$ = {
             "type": $$[$0-9],
@@ -1772,13 +1870,13 @@ case 906:
         };
     
 break;
-case 938:
+case 943:
 
         $$[$0-1]["modifiers"] = $$[$0-2];
         this.$ = $$[$0-1];
     
 break;
-case 939:
+case 944:
 
         this.$ = {
             "node": "constructor",
@@ -1787,7 +1885,7 @@ case 939:
         };
     
 break;
-case 940:
+case 945:
 
         this.$ = {
             "node": "constructor",
@@ -1796,7 +1894,7 @@ case 940:
         };
     
 break;
-case 943:
+case 948:
 
         this.$ = {
             "node": "constructor",
@@ -1804,7 +1902,7 @@ case 943:
         };
     
 break;
-case 944:
+case 949:
 
         this.$ = {
             "node": "constructor",
@@ -1812,7 +1910,7 @@ case 944:
         };
     
 break;
-case 945:
+case 950:
 
         this.$ = {
             "node": "constructor",
@@ -1821,7 +1919,7 @@ case 945:
         };
     
 break;
-case 946:
+case 951:
 
         this.$ = {
             "node": "constructor",
@@ -1830,44 +1928,71 @@ case 946:
         };
     
 break;
-case 953:
+case 958:
 
-        this.$ = {
+        this.$ = Object.assign({
             "node": "destructor", 
             "modifiers": $$[$0-6],
             "name": $$[$0-5] + "" + $$[$0-4]
-        };
+        }, $$[$0]);
     
 break;
-case 955:
+case 960:
 
-        this.$ = {
+        this.$ = Object.assign({
             "node": "destructor",  
             "name": $$[$0-5] + "" + $$[$0-4]
-        };
+        }, $$[$0]);
     
 break;
-case 957:
+case 962:
 
-        this.$ = {
+        this.$ = Object.assign({
             "node": "destructor", 
             "modifiers": $$[$0-5],
             "name": $$[$0-4] + "" + $$[$0-3]
-        };
+        }, $$[$0]);
     
 break;
-case 959:
+case 964:
 
-        this.$ = {
+        this.$ = Object.assign({
             "node": "destructor",  
             "name": $$[$0-4] + "" + $$[$0-3]
+        }, $$[$0]);
+    
+break;
+case 966:
+
+        this.$ = {};
+    
+break;
+case 967:
+
+        this.$ = {
+            "initializer": $$[$0-1]
+        };
+    
+break;
+case 968:
+
+        this.$ = {
+            "specifiers": $$[$0-1]
+        };
+    
+break;
+case 969:
+
+        this.$ = {
+            "specifiers": $$[$0-3],
+            "initializer": $$[$0-1]
         };
     
 break;
 }
 },
-table: [{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,288:1,289:[1,2],290:3,291:4,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{1:[3]},{1:[2,601]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,289:[1,111],291:112,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,604]),o($V41,[2,605]),o($V41,[2,606]),o($V41,[2,607]),o($V51,[2,608],{192:[1,113]}),o($V41,[2,609]),o($V41,[2,610]),o($V41,[2,611]),o($V41,[2,612]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:116,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:115,120:$Vd1,125:$Ve1,141:$Vf1,235:$VE,313:114,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:137,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:138,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vg1,39:[1,128],40:$Vd,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,45:134,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:139,120:$Vz,141:[1,135],205:$VC,215:$VD,235:$VE,269:130,272:127,296:[1,136],298:$VI,302:131,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,322:133,326:61,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31,360:132,361:141,362:142},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:145,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vz,141:$Vf1,203:146,205:$VC,210:143,235:$VE,272:13,274:144,298:$VI,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{7:$Vi1,39:$Vj1,90:149,125:$Vk1,309:$Vl1,330:147,331:148,337:150},o($V41,[2,723]),o($V41,[2,724]),o($V41,[2,725]),o($V41,[2,726]),o($V41,[2,727]),o($V41,[2,728]),o($V41,[2,729]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:156,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:[1,155],46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V51,[2,734],{324:157,331:158,341:160,90:161,7:$Vi1,107:$Vm1,125:$Vk1,192:$Vn1}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:163,24:84,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,125:[1,165],141:$Vf1,235:$VE,298:[1,164],345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:169,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:168,120:$Vd1,125:$Vp1,141:$Vf1,211:167,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:172,120:$Vd1,125:$Vq1,141:$Vf1,235:$VE,270:171,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:[1,175],14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:180,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:[1,176],39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:179,120:$Vd1,141:[1,178],203:181,205:$VC,235:$VE,284:177,298:$VI,302:35,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,141,204,205,215,235,296,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vt1,{120:$Vu1}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vv1,{44:$Vw1}),o($Vx1,[2,653]),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vy1,{312:$Vz1}),o($Vx1,[2,655]),o($VA1,[2,648]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:189,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:187,120:$Vd1,141:$Vf1,235:$VE,339:188,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,38,44,125,126,192,205,215,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VB1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,104:$VD1,106:$Vy,107:[1,190],120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([35,36,37,38,40,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,126,205,215,265,289,296,297,298,303,304,305,306,307,308,310,311,312],[2,787],{8:85,14:102,9:103,337:150,330:197,24:198,90:199,331:200,7:$Vi1,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,39:[1,203],41:$Vo1,91:$Vx,104:$VE1,106:$Vy,120:$Vd1,125:$Vk1,141:$Vf1,192:[1,201],235:$VE,309:$Vl1,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{67:$VF1,107:$VG1,192:[1,204],323:205},{8:211,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,222:209,223:210,235:$VE,327:194,328:195,340:208,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:212,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:213,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VH1,[2,626]),o($VH1,[2,627]),o([10,11,13,15,16,17,18,26,36,37,39,40,41,42,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,125,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,531],{272:214,35:$VI1,43:$VJ1,44:$Vh,120:$VK1,303:$VL1,312:$VS}),o($VA1,$VM1),o($VA1,[2,634]),o($VA1,[2,635]),o($VA1,[2,636]),o($VA1,[2,637]),o($VA1,[2,638]),o($VN1,$VO1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:219,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VA1,[2,640]),o([7,22,23,25,27,31,33,34,38,44,64,67,89,99,104,107,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VP1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:220,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VN1,$VQ1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:221,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VA1,[2,643]),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,89,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VR1,{27:$VS1,40:$VT1}),o($VA1,[2,646]),o($VA1,[2,647]),o($VU1,[2,818]),o($VV1,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,112:224,61:230,219:231,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,107:$V02,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V12,[2,749]),{8:234,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,19:235,20:236,24:84,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,297:$V22,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V32,$V42,{28:238,23:$V52,31:$V62,33:$V72,34:$V82}),o($V32,$V92,{28:243,23:$V52,31:$Va2,33:$Vb2,34:$Vc2}),o([7,22,23,25,27,31,33,34,38,44,64,66,67,99,104,107,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],[2,41],{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:246,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vd2,48:$Vk,49:$Vl,50:$Ve2,51:$Vn,52:$Vf2,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vg2,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,42],{38:[1,251]}),o($Vh2,$Vi2),o($Vh2,[2,56]),o($Vj2,[2,57],{59:[1,252]}),o($Vh2,[2,58]),o($Vh2,[2,59]),o($Vk2,[2,60],{50:[1,254],54:$Vl2,59:[1,253]}),o($Vh2,[2,61]),o($Vh2,[2,62]),o($Vh2,[2,63]),o($Vh2,[2,64]),o($Vh2,[2,65]),o($Vh2,[2,66]),o($Vh2,[2,67]),o($Vh2,[2,68]),o($Vh2,[2,69]),{26:[1,260],47:[1,259],50:[1,258],52:[1,257],59:[1,256]},o([7,10,11,13,15,16,17,18,23,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,18],{22:$Vm2,25:$Vn2}),o($Vh2,[2,22]),o($Vo2,$Vp2),o($Vo2,[2,852]),o($Vo2,[2,853]),o($Vo2,[2,854]),o($Vo2,$Vq2),o($Vo2,$Vr2),o($Vo2,[2,857]),o($Vo2,[2,858]),o($Vo2,[2,859]),o($Vo2,[2,860]),o($Vo2,[2,861]),o($Vo2,[2,862]),o($Vo2,[2,863]),o($Vo2,$Vs2),o($Vo2,[2,866]),o($Vo2,$Vt2),o([7,13,15,16,17,18,22,25,26,27,33,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,106,109,119,120,125,126,127,130,131,132,133,138,143,157,167,169,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vu2,{358:263,363:264,364:265,10:$Vv2,11:$Vw2,23:$Vx2,31:$Vy2,34:$Vz2,99:$VA2,104:$VB2,107:$VC2,115:$VD2,116:$VE2,137:$VF2,139:$VG2,140:$VH2,141:$VI2,146:$VJ2,147:$VK2,150:$VL2,151:$VM2,153:$VN2,154:$VO2,155:$VP2,156:$VQ2,159:$VR2,160:$VS2,164:$VT2,174:$VU2,175:$VV2,176:$VW2,177:$VX2,178:$VY2,179:$VZ2,180:$V_2,181:$V$2}),o($Vo2,$V03),o($Vo2,[2,11]),o($Vo2,[2,12]),o($Vo2,[2,13]),o($Vo2,$V13),o($Vo2,[2,15]),o($Vo2,[2,16]),o($Vo2,[2,7]),o($Vo2,[2,8]),{1:[2,602]},o($V41,[2,603]),o($V41,[2,623]),o($V23,[2,657],{8:300,26:$V61,192:[1,299]}),{7:$V33,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,301],120:$Vd1,125:$Ve1,141:$Vf1,192:[1,302],235:$VE,313:303,314:304,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V43,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:306,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:316,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vz,126:[1,307],141:$VA,189:22,192:$V53,203:14,205:$VC,210:317,215:$VD,235:$VE,265:$VF,268:319,269:28,272:13,274:318,280:310,283:19,284:18,285:20,286:17,287:25,293:311,296:$V63,298:$V73,300:42,301:43,302:35,303:$V83,304:$VK,305:$V93,306:$Va3,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,317:308,318:309,320:21,321:23,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vh2,$Vb3),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:219,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,22,23,25,27,31,33,34,38,44,64,66,67,89,99,104,107,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vc3,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:220,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:221,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:156,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:[1,323],46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:213,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vo2,$Vv1),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VR1,{27:$VS1}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:326,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:325,120:$Vd1,125:$Ve1,141:$Vf1,235:$VE,313:324,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:[1,329],36:$V9,37:$Va,38:$Vd3,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vz,141:$Vf1,235:$VE,272:327,303:$VL1,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:332,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:331,120:$Vd1,125:$Vp1,141:$Vf1,211:330,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:334,120:$Vd1,125:$Vq1,141:$Vf1,235:$VE,270:333,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VA1,[2,649]),{90:161,125:$Vk1,192:$Vn1,341:335},{67:$VF1,107:$VG1,192:[1,336],323:337},{8:211,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,222:339,223:210,235:$VE,327:194,328:195,340:338,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$Ve3},{8:341,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:213,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{141:[1,342]},o($Vf3,$Vp2,{107:[1,343]}),o($Vg3,$Vh3,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,323:344,112:345,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,107:$VG1,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,104:$VD1,106:$Vy,107:$Vi3,120:$Vd1,141:$Vf1,192:$Vj3,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:156,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:[1,347],46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vk3,[2,893]),o($Vk3,[2,894]),o($VH1,[2,692]),o($V41,[2,579]),o($Vl3,[2,46],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),{26:$Vn3,35:$Vo3,38:$Vg1,39:[1,349],40:$Vp3,41:$Vq3,42:$Vr3,43:$VJ1,44:$Vh,120:$VK1,205:$VC,272:127,298:$VI,302:131,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS},{7:$Vi1,39:$Vj1,90:356,125:$Vk1,309:$Vl1,331:355,337:357},{90:358,125:$Vk1},o($V41,[2,760]),o($Vs3,[2,789]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:361,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,332:359,333:360,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vt3,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,206:363,186:364,187:365,5:366,188:367,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,126:[1,362],127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vb4,$Vc4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:483,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,309:$Vd4,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vs3,[2,793]),o([7,10,11,13,15,16,17,18,22,23,27,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,107,120,125,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Ve4,{8:485,26:$V61}),o($Vl3,[2,53],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vf4,[2,948]),{90:161,125:$Vk1,192:$Vn1,341:486},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:487,109:[1,488],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vf4,[2,952]),o([7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,107,120,125,126,141,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,841],{192:[1,500]}),o($Vf4,[2,842]),{22:$Vm2,25:$Vn2,125:[1,501]},{125:[1,502]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,504],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,290:503,291:4,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vo2,$Vc3),o($Vl4,[2,544],{8:506,26:$V61,192:[1,505]}),{7:$Vm4,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,507],120:$Vd1,125:$Vp1,141:$Vf1,192:[1,508],211:509,235:$VE,276:510,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V43,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:512,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:316,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vb,39:$Vn4,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,45:529,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vd1,126:[1,514],141:$Vf1,192:$Vo4,203:528,205:$VC,214:513,215:$VD,235:$VE,268:524,269:28,274:523,279:515,280:516,281:517,283:519,284:520,285:521,286:522,287:525,298:$V73,302:35,303:$Vp4,304:$VK,305:$V93,306:$Va3,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vq4,[2,517],{8:85,14:102,9:103,24:531,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,530],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{7:$Vr4,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,125:$Vq1,141:$Vf1,192:[1,532],235:$VE,270:533,271:534,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:539,26:$V61,126:[1,536],216:537,273:538},o([7,38,44,67,104,107,109,125,126,192,205,215,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:540,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,107,120,126,141,192,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V13,{125:[1,541]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:180,30:63,32:64,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:179,120:$Vd1,141:$Vf1,203:181,205:$VC,235:$VE,284:542,298:$VI,302:35,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,616]),{8:543,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:213,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vs4,$VB1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:$Vt4,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV1,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,112:224,61:230,219:231,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,107:$V02,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:545,30:63,32:64,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:546,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,302:131,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,10,11,13,15,16,17,18,22,23,25,26,27,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,120,125,126,141,192,204,205,215,235,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vb3),o([10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,204,205,215,235,298,303,304,305,306,307,308,309,310,311,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vt1),{44:[1,547]},o($Vx1,[2,652]),o($Vx1,[2,654]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,548],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VU1,[2,817]),o([67,107],$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:540,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:549,109:[1,550],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vu4,[2,837],{22:[1,551]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,552],24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:553,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([25,31,33,67,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,114:554,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,10,11,13,15,16,17,18,22,23,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,104,106,107,109,120,125,126,141,192,205,215,235,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,839],{67:[1,573]}),o($Vz4,[2,754]),o([7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,106,107,109,120,125,126,141,192,205,215,235,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,756],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1,104:[1,574]}),o([10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,205,215,235,265,289,296,297,298,303,304,305,306,307,308,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,777],{337:357,90:575,331:576,7:$Vi1,39:$Vj1,125:$Vk1,192:[1,577],309:$Vl1}),{90:578,107:[1,579],125:$Vk1,192:[1,580]},o($V51,[2,783],{192:[1,581]}),{90:582,125:$Vk1},o($V41,[2,786]),o($VA4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:583,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vb4,$Vc4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:483,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,104:$VB4,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,309:$Vd4,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V41,[2,738]),{90:161,107:$Vm1,125:$Vk1,192:[1,585],324:586,341:160},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,587],24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:589,120:$Vd1,141:$Vf1,235:$VE,326:588,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,590],24:84,26:$V61,29:593,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,109:[1,592],120:$Vd1,141:$Vf1,235:$VE,325:591,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{125:[1,594]},{67:$VC4,192:[1,595]},o($VD4,[2,418]),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VE4,{104:$VF4}),o($VG4,$Vp2,{107:[1,598]}),o($Vo2,$VH4),o($Vx1,[2,530]),{44:[1,599]},{120:$Vu1},{44:$Vw1},{312:$Vz1},o($Vl3,[2,47],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vl3,[2,48],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vl3,$VI4,{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($VA1,[2,644]),o($Vo2,[2,23]),o($Vs4,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,600],120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:601,109:[1,602],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vh2,[2,27]),{31:$VK4},o([7,22,25,27,31,33,34,38,44,64,66,67,99,104,107,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VL4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:145,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$VM4,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,605],24:84,26:$V61,29:606,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,90],{219:607,64:$V$1}),o($Vh2,[2,402]),o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,101:608,65:609,69:612,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VO4,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:[1,610],67:$VP4,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:614,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,19:615,20:236,24:84,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VQ4,$Vp2,{104:[1,616]}),{192:[1,617]},{22:$Vm2,25:$Vn2,192:[2,17]},o($Vh2,[2,28]),o($VR4,[2,30],{23:$VS4}),o($Vh2,[2,32]),o($Vh2,[2,34]),o($Vh2,$VT4),o($Vh2,[2,29]),o($VR4,[2,31],{23:$VS4}),o($Vh2,[2,33]),o($Vh2,[2,35]),o($Vl3,[2,40],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vh2,$VU4),o($Vh2,$VV4),o($Vk2,$VW4,{50:[1,620],54:$Vl2,59:[1,619]}),o($Vj2,$VX4,{59:[1,621]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:622,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vh2,[2,70]),o($Vh2,[2,71]),o($Vh2,[2,72]),o($Vh2,[2,73]),o($Vh2,[2,74]),o($Vh2,[2,75]),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,51,52,53,54,55,56,57,58,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,76],{50:[1,624],59:[1,623]}),o($Vj2,[2,77],{59:[1,625]}),o($Vh2,[2,81]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,23:[1,626],24:627,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:628,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vo2,$VY4),o($Vo2,[2,896]),o($Vo2,[2,897]),o($Vo2,[2,898]),o($Vo2,[2,899]),o($Vo2,[2,900]),o($Vo2,[2,901]),o($Vo2,[2,902]),o($Vo2,[2,903]),o($Vo2,[2,904]),o($Vo2,[2,905]),o($Vo2,[2,909]),o($Vo2,[2,910]),o($Vo2,[2,911]),o($Vo2,[2,912]),o($Vo2,[2,913]),o($Vo2,[2,914]),o($Vo2,[2,915]),o($Vo2,[2,916]),o($Vo2,[2,917]),o($Vo2,[2,918]),o($Vo2,[2,919]),o($Vo2,[2,920]),o($Vo2,[2,921]),o($Vo2,[2,924]),o($Vo2,[2,925]),o($Vo2,[2,926]),o($Vo2,[2,927]),o($Vo2,[2,928]),o($Vo2,[2,929]),o($Vo2,[2,930]),o($Vo2,[2,931]),o($Vo2,[2,932]),o($Vo2,[2,933]),o($Vo2,[2,934]),{109:[1,629]},o($VH1,[2,656]),{192:[1,630]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:632,109:[1,631],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VH1,[2,662]),o($V23,[2,664],{8:634,26:$V61,192:[1,633]}),{125:$Ve1,313:635},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:641,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$VZ4,43:$Vc1,45:638,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,278:636,280:640,298:$V_4,303:$V$4,305:$V05,306:$V15,316:637,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V25,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,646],120:$Vd1,141:$Vf1,192:[1,647],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VH1,[2,713]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:316,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vz,126:[1,648],141:$VA,189:22,192:$V53,203:14,205:$VC,210:317,215:$VD,235:$VE,265:$VF,268:319,269:28,272:13,274:318,280:310,283:19,284:18,285:20,286:17,287:25,293:311,296:$V63,298:$V73,300:42,301:43,302:35,303:$V83,304:$VK,305:$V93,306:$Va3,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,318:649,320:21,321:23,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V35,[2,716]),{7:[1,651],8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:652,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,280:650,298:$V_4,303:$V$4,305:$V05,306:$V15,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V35,[2,720]),o($V45,$V55),o([7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,205,215,235,296,298,303,304,305,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V65,{306:$V75}),o([7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,141,205,215,235,296,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$V85,{120:$Vu1}),o($V45,$V95),o($Va5,$Vb5,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,112:224,61:230,219:231,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,107:$V02,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V35,[2,731]),o($V35,[2,732]),o($V35,[2,733]),o($V35,[2,735]),{141:[1,654]},o([7,38,44,125,126,192,205,215,265,296,298,303,304,305,306,307,308,309,310,311,312],$VB1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,104:$VD1,106:$Vy,107:$Vt4,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh2,[2,52]),o($Vc5,[2,670],{8:655,26:$V61}),{7:$V33,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,125:$Ve1,141:$Vf1,192:[1,657],235:$VE,313:656,314:658,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vd5,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:659,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:662,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:661,120:$Vd1,125:$Ve1,141:$Vf1,235:$VE,313:660,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:665,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:664,120:$Vd1,125:$Vp1,141:$Vf1,211:663,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([10,11,13,15,16,17,18,22,23,26,27,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,107,120,141,192,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vb3,{312:$Vz1}),o($Ve5,[2,557],{8:666,26:$V61}),{7:$Vm4,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,125:$Vp1,141:$Vf1,211:667,235:$VE,276:669,277:[1,668],327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vf5,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:670,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vq4,[2,519],{8:85,14:102,9:103,24:531,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,671],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{7:$Vr4,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,125:$Vq1,141:$Vf1,235:$VE,270:672,271:673,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,892]),o($V41,[2,739]),{90:161,107:$Vm1,125:$Vk1,192:[1,674],324:675,341:160},{125:[1,676]},{67:$VC4,192:[1,677]},o([22,25,27,33,39,64,67,125],$Vu2,{363:264,364:265,358:678,10:$Vv2,11:$Vw2,23:$Vx2,31:$Vy2,34:$Vz2,99:$VA2,104:$VB2,107:$VC2,115:$VD2,116:$VE2,137:$VF2,139:$VG2,140:$VH2,141:$VI2,146:$VJ2,147:$VK2,150:$VL2,151:$VM2,153:$VN2,154:$VO2,155:$VP2,156:$VQ2,159:$VR2,160:$VS2,164:$VT2,174:$VU2,175:$VV2,176:$VW2,177:$VX2,178:$VY2,179:$VZ2,180:$V_2,181:$V$2}),o($Vf3,$Vp2,{107:[1,679]}),{8:680,26:$V61},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,681],24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,109:[1,683],112:682,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{107:[1,684]},o([104,192],$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,685],120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:686,109:[1,687],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Ve4),o($VR4,$VL4,{23:$VM4}),{35:$VI1,38:$Vd3,43:$VJ1,44:$Vh,120:$VK1,272:327,303:$VL1,312:$VS},o([26,35,38,39,40,41,42,43,44,120,204,205,298,303,304,305,306,307,308,309,310,311],$Vy1,{312:$Vz1}),o($Vg5,$VO1),o($Vg5,$VP1),o($Vg5,$VQ1),{40:$VT1},{90:688,125:$Vk1},o($V41,[2,759]),o($Vs3,[2,788]),o($V41,[2,758]),o($Vk3,[2,761]),o($Vk3,[2,763],{67:[1,689]}),{22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,61:230,64:$V$1,107:[1,690],219:231},o($Vh5,[2,372]),o($Vt3,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,188:367,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:692,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,126:[1,691],127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,374]),o($VD4,[2,344]),o($VD4,[2,345]),o($VD4,[2,346]),o($VD4,[2,347]),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vi5,{7:[1,693],89:$Vj5}),o($Vk5,[2,383],{90:696,125:$Vk1,192:[1,695]}),o($Vk5,[2,384],{90:698,125:$Vk1,192:[1,697]}),o($VD4,[2,385]),o($VD4,[2,348]),o($VD4,[2,349]),{23:[1,701],61:702,64:$V$1,90:699,125:$Vk1,192:[1,700],219:231},o($VD4,[2,358]),o($VD4,[2,359]),o($VD4,[2,360]),o($VD4,[2,361]),o($VD4,[2,362]),o($VD4,[2,363]),o($VD4,[2,364]),o($VD4,[2,365]),o($VD4,[2,366]),o([31,33,34,138,153,154,155,156,157,159,160,164,167,169],$Vl5,{150:$Vm5,151:$Vn5,192:[1,703]}),{192:[1,706]},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,29:568,24:707,134:708,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,10,11,13,15,16,17,18,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vp2,{22:[1,709]}),o($Vo2,$Vs2),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,99,104,106,109,115,116,119,120,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vt2,{90:710,107:[1,711],125:$Vk1}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,89,91,99,104,106,107,115,116,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vv1,{44:$Vw1,119:$Vp5}),o($Vo2,$V03),o([44,204,205,298,303,304,305,306,307,308,309,310,311,312],$VO1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:219,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,38:$Vq5,39:$Vr5,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:716,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,125:[1,715],141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:145,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vs5,39:$Vt5,40:$Vd,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vz,141:$Vf1,203:718,205:$VC,210:143,235:$VE,272:13,298:$VI,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:721,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,125:[1,720],141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:722,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([38,44,104,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],$Vu5,{30:63,32:64,21:67,20:83,14:102,9:103,223:210,8:211,61:230,219:231,112:540,193:723,222:724,76:726,110:728,218:729,29:731,220:733,28:734,24:738,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,25:$Vw5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,67:$VW1,91:$Vx,99:$VA5,106:$Vy,107:$VB5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,35,36,37,38,39,40,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,119,125,126,127,130,131,132,133,140,143,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],$Vu5,{8:85,14:102,9:103,218:729,220:733,28:734,193:739,110:745,24:746,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VC5,23:$V52,25:$VD5,26:$V61,31:$Vx5,33:$Vy5,34:$Vz5,41:$Vo1,91:$Vx,99:$VA5,104:$VE5,109:$VE5,137:$VE5,138:$VE5,139:$VE5,146:$VE5,147:$VE5,150:$VE5,151:$VE5,153:$VE5,154:$VE5,155:$VE5,156:$VE5,157:$VE5,159:$VE5,160:$VE5,164:$VE5,167:$VE5,169:$VE5,174:$VE5,175:$VE5,176:$VE5,177:$VE5,178:$VE5,179:$VE5,180:$VE5,181:$VE5,182:$VE5,183:$VE5,192:$VE5,106:$Vy,107:$VF5,115:$VG5,116:$VH5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{26:$Vn3,35:$Vo3,39:$VI5,40:$Vp3,41:$Vq3,42:$Vr3,43:$VJ1,44:$Vh,120:$VK1,204:$VJ5,205:$VC,272:127,298:$VI,302:131,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS},o($VD4,[2,376]),o($VK5,[2,426]),o($VK5,[2,427]),o($VK5,[2,428]),o($VL5,[2,429]),o($VL5,[2,430]),o([7,23,64,67,109,125,192],[2,431]),o([7,10,11,13,15,16,17,18,22,23,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,432],{110:750,25:$VM5,99:$VA5}),o($VD4,[2,433]),o($VD4,[2,434]),o($VD4,[2,448]),o($VD4,[2,449]),o($VD4,[2,450]),o($VD4,[2,471]),o($VD4,[2,472]),o($VD4,[2,473]),o($VD4,[2,474]),o($VD4,[2,475]),{90:751,125:$Vk1},{90:752,107:$VN5,125:$Vk1},{90:754,107:$VO5,125:$Vk1},{8:234,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,19:235,20:236,24:84,26:$V61,41:$Vo1,91:$Vx,106:$Vy,107:$VP5,120:$Vd1,141:$Vf1,235:$VE,297:$V22,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([26,35,39,40,41,42,43,44,120,204,205,298,303,304,305,306,307,308,309,310,311,312],$VM1,{90:757,125:$Vk1}),{107:[1,758]},o($VQ5,[2,290],{99:$VR5,137:$VS5,138:$VT5,139:$VU5}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,313],{167:[1,764],169:[1,763]}),o([7,22,23,25,27,31,33,34,38,44,64,67,99,104,107,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],[2,888],{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:246,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vd2,48:$Vk,49:$Vl,50:$Ve2,51:$Vn,52:$Vf2,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vg2,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,107],{64:[1,765]}),o($VV5,[2,108]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,768],24:84,26:$VW5,30:767,36:$VX5,41:$Vo1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,62:769,63:774,64:$VY5,91:$Vx,106:$Vy,107:$VZ5,117:766,120:$Vd1,122:770,125:$V_5,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:777,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:778,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V$5,$V06,{113:779,104:$V16,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6}),o($V$5,[2,240],{113:791,104:$V16,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6}),{107:[1,792]},{224:793,226:$VZ3,228:$V_3},{107:[1,794]},{107:[1,795]},o($Vt3,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,227:796,186:797,188:798,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{107:[1,799]},{252:[1,800],255:[1,801]},{192:[1,802]},{192:[1,803]},{8:804,26:$V61,234:[1,805],235:[1,806]},o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,122:807,69:809,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$V_5,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:[1,808],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:811,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:[1,810],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vc6,[2,285],{23:$Vd6,146:$Ve6,147:$Vf6}),o($Vg6,[2,311],{33:$Vh6}),o($VV5,[2,109]),o($VV5,[2,110]),o($VV5,[2,111]),o($VV5,[2,112]),o($VV5,[2,113]),o($VV5,[2,115]),o($VV5,[2,119]),o($VV5,[2,120]),o($VV5,[2,121]),o($VV5,[2,122]),o($VV5,[2,126]),o($VV5,[2,127]),o($Vi6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,80:563,82:564,83:565,84:566,29:568,24:817,111:818,72:820,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:[1,816],26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:[1,819],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,132]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:823,30:821,32:822,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([10,11,13,15,16,17,18,23,26,41,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,91,106,107,120,125,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,205],{36:[1,824],38:[1,825]}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:826,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:827,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:828,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:829,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:830,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:831,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,832],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vj6,[2,309],{164:$Vk6}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,109,115,116,119,120,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,141],{98:834,90:835,107:[1,836],125:$Vk1}),o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,69:838,45:839,101:840,29:841,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$Vm6,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{107:[1,842]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:844,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,107:[1,843],120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,142:845,134:847,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:[1,846],91:$VD3,106:$VE3,107:$Vn6,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo6,[2,307],{34:$Vp6}),o($Vq6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,29:568,149:572,69:612,100:850,101:851,65:852,102:854,103:855,105:858,24:860,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,31:$Vr6,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VO4,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:[1,853],67:$VP4,91:$VD3,104:$Vs6,106:$Vt6,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vu6,[2,305],{31:$Vv6}),o($Vw6,[2,303],{159:$Vx6,160:$Vy6}),o($Vz6,[2,300],{138:$VA6,153:$VB6,154:$VC6,155:$VD6,156:$VE6,157:$VF6}),o($VG6,[2,790],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vs3,[2,791]),{192:[1,870]},o($Vf4,[2,949]),{109:[1,871]},{90:161,125:$Vk1,192:$Vn1,341:872},{67:[1,873],109:[2,843]},{109:[2,846]},o($VH6,[2,849],{219:231,61:874,64:$V$1}),o($VI6,$Vq2,{30:63,21:67,20:83,24:84,8:85,14:102,9:103,29:823,32:875,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VJ6,[2,883],{8:85,14:102,9:103,323:876,24:877,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,31:[1,878],41:$Vo1,91:$Vx,106:$Vy,107:$VG1,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:$V71,36:$V9,37:$Va,38:[1,879],39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,215:[1,880],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:881,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:882,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:883,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VI6,$Vs2,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:499,45:884,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vl3,$Vh3,{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vf4,[2,840]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,886],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,290:885,291:4,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,888],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,290:887,291:4,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,889],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,291:112,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,622]),o($V41,[2,543]),{192:[1,890]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:892,109:[1,891],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,549]),o($Vl4,[2,551],{8:894,26:$V61,192:[1,893]}),{125:$Vp1,211:895},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:641,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$VZ4,43:$Vc1,45:638,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,278:896,280:640,298:$V_4,303:$V$4,305:$V05,306:$V15,316:637,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V25,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:[1,897],120:$Vd1,141:$Vf1,192:[1,898],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:316,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vb,39:$Vn4,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,45:529,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vd1,126:[1,899],141:$Vf1,192:$Vo4,203:528,205:$VC,215:$VD,235:$VE,268:524,269:28,274:523,279:900,280:516,281:517,283:519,284:520,285:521,286:522,287:525,298:$V73,302:35,303:$Vp4,304:$VK,305:$V93,306:$Va3,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,585]),o($VK6,[2,587]),{7:[1,901]},o($VK6,[2,590]),o([7,10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,205,215,235,298,303,304,305,306,307,308,309,310,311,345,346,347,348,349,350,351,352,353,354,355,356,357],$V85),o($VK6,[2,593]),o($VK6,[2,594]),o($VK6,[2,595]),o($VK6,[2,596]),o($VK6,[2,597]),o($VK6,[2,598]),o([10,11,13,15,16,17,18,26,35,36,37,38,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,126,141,205,215,235,298,303,304,305,306,307,308,309,310,311,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,599],{324:157,331:158,341:160,90:161,7:$Vi1,107:$Vm1,125:$Vk1,192:$Vn1}),o($VK6,[2,600]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:145,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vb,39:$Vn4,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,203:902,205:$VC,235:$VE,274:144,298:$VI,302:35,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:137,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:138,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vg1,39:[1,904],40:$Vd,41:$Ve,42:$Vf,43:$Vc1,45:903,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:139,120:$Vd1,141:$Vf1,205:$VC,215:$VD,235:$VE,269:130,298:$VI,302:131,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,322:133,326:61,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31,360:132,361:141,362:142},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:208,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,518]),o($V41,[2,536]),o($V41,[2,521]),o($Vq4,[2,522],{8:85,14:102,9:103,24:531,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,905],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{125:$Vq1,270:906},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:907,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,533]),{67:[1,909],126:[1,908]},o($VL6,[2,537]),o($VL6,[2,539],{104:[1,910]}),o([7,38,44,104,107,109,125,126,192,205,215,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,912],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,290:911,291:4,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,615]),o($VG4,$Vp2,{107:$VM6}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:914,109:[1,915],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,22:$VX1,23:$VY1,24:84,26:$V61,27:$VZ1,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,61:230,64:$V$1,67:$VW1,91:$Vx,106:$Vy,107:$VG1,112:345,120:$Vd1,141:$Vf1,219:231,235:$VE,323:344,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,107:$Vi3,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vx1,[2,651]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:916,109:[1,917],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[1,918]},o($VN6,[2,816],{302:35,30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,112:179,29:180,203:181,336:919,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,920],24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:[1,921],235:$VE,327:194,328:195,340:922,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:923,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vu4,[2,836]),o($V12,[2,750]),o($VV5,[2,513]),o($VV5,[2,514]),o($VV5,[2,339]),o($VV5,[2,340]),o($Vt3,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,267:925,114:926,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,126:[1,924],127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,261]),o($VV5,[2,262]),o($VO6,$VE5,{110:745,22:$VC5,25:$VD5,99:$VA5,107:$VF5,115:$VG5,116:$VH5}),o([7,10,11,13,15,16,17,18,22,23,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VP6,{110:750,25:$VM5,99:$VA5}),o($VV5,[2,116]),o($VV5,[2,117]),o($VV5,[2,118]),o($Vh2,$Vi5,{89:$Vj5}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,22:$VX1,23:$VY1,24:84,25:$Vw5,26:$V61,27:$VZ1,29:731,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,61:230,64:$V$1,67:$VW1,76:726,91:$Vx,99:$VA5,106:$Vy,107:$VB5,110:728,112:540,120:$Vd1,141:$Vf1,219:231,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{107:$VN5},{107:$VO5},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,99,104,106,107,109,115,116,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vv1,{119:$Vp5}),o($VQ6,$Vl5,{150:$Vm5,151:$Vn5}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,927],24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,328:928,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,25,31,33,38,44,67,99,104,109,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,205,215,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:929,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V51,[2,775],{192:[1,930]}),{90:931,125:$Vk1},o($V41,[2,776]),o($V51,[2,782],{192:[1,932]}),o($VR6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,70:933,71:934,69:937,29:938,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V41,[2,785]),o($V41,[2,779]),o($V51,[2,781],{192:[1,939]}),o($VU6,[2,811]),o($VA4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:940,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V41,[2,740]),o($V41,[2,742]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:589,120:$Vd1,141:$Vf1,235:$VE,326:941,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V12,[2,748]),o([107,192],$Vj3,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,104:$VD1,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:593,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,325:942,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:$VV6,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VW6,91:$Vx,106:$Vy,109:[1,943],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:944,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VX6,[2,746]),o($VH6,[2,830],{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,61:230,219:231,29:593,325:948,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:[1,947],26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{359:[1,949]},o($V41,[2,736]),{8:952,23:[1,951],26:$V61,223:950},o([25,31,33,38,44,67,99,104,125,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,184:953,69:954,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:955,109:[1,956],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vx1,$Ve4),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:957,109:[1,958],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[1,959]},o($VN6,[2,803],{302:35,30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,112:179,29:180,203:181,336:960,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh2,[2,38]),o($Vh2,[2,44]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:961,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vl3,[2,51],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vh2,[2,401]),{66:[1,962],67:$VY6},{66:[1,964],67:$VZ6},o($Vh2,[2,405]),o([25,31,33,66,67,99,104,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:966,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V_6,$V$6),o($V_6,[2,96]),o($VQ4,$Vp2,{104:[1,967]}),{192:[1,968]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:969,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VH1,[2,631]),o($Vh2,[2,25]),o($Vh2,$V07),o($Vh2,$V17),o($Vh2,$V27),o($Vl3,[2,43],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vh2,[2,79]),o($Vh2,[2,80]),o($Vh2,[2,78]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:970,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vh2,[2,20]),o($Vh2,[2,21]),o($Vo2,[2,935]),o($VH1,[2,693]),{39:$V37,90:973,125:$Vk1,275:971},{109:[1,974]},o($VH1,[2,665]),{61:977,64:$V$1,192:[1,976],213:975,219:231},o($V47,[2,668],{192:[1,978]}),{67:$V57,125:[2,699]},o($V67,[2,701]),o($V67,[2,702]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:982,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:981,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,280:980,298:$V_4,303:$V$4,305:$V05,306:$V15,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:[1,983],43:$Vc1,45:984,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V77,$Vh3,{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($V87,$V55),o($V87,$V65,{306:$V75}),o($V87,$V85),o($V87,$V95),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:986,109:[1,985],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VH1,[2,663]),o($VH1,[2,714]),o($V35,[2,715]),{7:[1,987]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:989,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vz,126:[2,719],141:$VA,189:22,192:$V53,203:14,205:$VC,210:317,215:$VD,235:$VE,265:$VF,268:319,269:28,272:13,274:318,283:19,284:18,285:20,286:17,287:25,293:988,296:$V63,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{7:$Vb5,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,61:230,64:$V$1,219:231},o([7,10,11,13,15,16,17,18,26,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,91,106,120,141,235,298,303,305,306,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,711]),{8:990,26:$V61},{61:977,64:$V$1,192:[1,992],213:991,219:231},o($V23,[2,676],{8:993,26:$V61,192:[1,994]}),o($VH1,[2,674]),{125:$Ve1,313:995},o($V25,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,996],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vc5,[2,681],{212:997,8:998,26:$V61}),{7:$V33,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,125:$Ve1,141:$Vf1,192:[1,1000],235:$VE,313:999,314:1001,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vd5,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:1002,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Ve5,[2,568],{212:1003,8:1004,26:$V61}),{7:$Vm4,8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,125:$Vp1,141:$Vf1,211:1005,235:$VE,276:1007,277:[1,1006],327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vf5,$VW1,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,61:230,219:231,112:1008,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{61:977,64:$V$1,192:[1,1010],213:1009,219:231},o($Vl4,[2,563],{8:1011,26:$V61,192:[1,1012]}),o($V41,[2,561]),{125:$Vp1,211:1013},o($V97,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,1014],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V41,[2,520]),o($Vq4,[2,523],{8:85,14:102,9:103,24:531,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,1015],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{125:$Vq1,270:1016},o($V41,[2,741]),o($V41,[2,743]),{359:[1,1017]},o($V41,[2,737]),o([22,23,25,27,31,33,34,39,64,67,104,125],$VY4,{107:[1,1018]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1019,109:[1,1020],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{107:[1,1021]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:1022,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,109:[1,1023],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vf4,[2,947]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1024,109:[1,1025],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1026,109:[1,1027],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[1,1028]},o($VU6,[2,809]),o($V41,[2,757]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:361,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,332:1029,333:360,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Va7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,29:938,334:1030,70:1031,335:1033,69:1035,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:[1,1034],39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1032],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh5,[2,373]),o($VD4,[2,375]),o($Vb7,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,188:367,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,207:1036,186:1037,233:1038,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,234:$Vc7,235:$Vd7,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Ve7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1041,90:1042,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,379]),o($VD4,[2,381]),o($VD4,[2,380]),o($VD4,[2,382]),o($VD4,[2,350]),o($VD4,[2,351]),{61:1043,64:$V$1,219:231},{64:$V$1,67:[1,1046],104:[1,1044],192:[1,1045],219:607},o($VD4,[2,367]),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,148:1047,134:1048,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,148:1049,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,368]),o($Vh2,$VH4,{89:$Vj5}),o($VV5,[2,267]),o($Vf7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,80:563,82:564,83:565,84:566,24:567,29:568,72:1050,79:1051,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,125]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1052,109:[1,1053],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vg7,[2,204]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:$V71,36:$V9,37:$Va,38:[1,1054],39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1055,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:316,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vb,39:$Vn4,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,45:529,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vd1,126:[1,1057],141:$Vf1,192:$Vo4,203:528,205:$VC,214:1056,215:$VD,235:$VE,268:524,269:28,274:523,279:515,280:516,281:517,283:519,284:520,285:521,286:522,287:525,298:$V73,302:35,303:$Vp4,304:$VK,305:$V93,306:$Va3,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vh7,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1058,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1059,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{26:$Vn3,35:$Vo3,39:$VI5,40:$Vp3,41:$Vq3,42:$Vr3,43:$VJ1,44:$Vh,120:$VK1,205:$VC,272:127,298:$VI,302:131,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:145,30:63,32:64,35:$V8,36:$V9,37:$Va,39:$Vt5,40:$Vd,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vz,141:$Vf1,203:718,205:$VC,210:143,235:$VE,272:13,298:$VI,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:539,26:$V61,216:1060,273:538},o($Vh7,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1061,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh7,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1062,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vi7,[2,396],{67:$Vj7}),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,417],{67:$VC4}),o([10,11,13,15,16,17,18,23,26,41,91,106,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$VT4,{31:$VK4}),o($VV5,[2,166]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1064,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1065,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VK5,[2,400]),o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,45:839,101:840,29:841,69:1066,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$Vm6,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,22:$VX1,23:$VY1,24:84,26:$V61,27:$VZ1,29:731,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,61:230,64:$V$1,67:$VW1,76:726,91:$Vx,106:$Vy,107:$VB5,112:540,120:$Vd1,141:$Vf1,219:231,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vk7,[2,177],{23:[1,1067]}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,414],{104:[1,1068]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,23:$VS4,24:1069,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1070,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1071,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1072,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vl7,{219:231,61:1073,64:$V$1}),o($Vi7,[2,397],{67:$Vj7}),o($VV5,[2,196]),o($VV5,[2,197]),o($Vi6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,80:563,82:564,83:565,84:566,24:567,29:568,72:820,111:1074,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Va7,$Vu3,{30:63,32:64,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,21:1075,29:1076,70:1077,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1078],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1079,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1080,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vm7,$Vl7,{219:231,61:1073,64:$V$1}),{35:$VI1,43:$VJ1,44:$Vh,120:$VK1,272:327,303:$VL1,312:$VS},{107:[1,1081]},o($Vi6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,80:563,82:564,83:565,84:566,29:568,72:820,111:1082,24:1083,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1084,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{258:1085,259:1086,260:1087,261:1088,262:1090,263:$Vn7,264:$Vo7},o($VD4,[2,502]),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1092,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,503]),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1093,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,217:397,72:399,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,80:563,82:564,83:565,84:566,24:567,149:572,266:1094,208:1095,69:1096,29:1099,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$Vy3,37:$Va,38:$Vz3,39:$Vq7,40:$Vr7,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,215:$VY3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,371]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1100,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,145:1101,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,145:1102,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,145:1103,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,145:1104,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1105,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:[1,1106],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,165:1107,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:612,101:1108,65:1109,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VO4,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:[1,1110],67:$VP4,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,10,11,13,15,16,17,18,22,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,99,104,106,109,115,116,119,120,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,226],{63:774,122:1112,62:1114,23:[1,1113],64:[1,1115],107:[1,1111],125:$V_5}),o([7,10,11,13,15,16,17,18,22,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vs7,{63:774,62:1117,23:[1,1116],64:[1,1118]}),{62:1119,63:774,64:$VY5},o($Vt7,[2,230],{122:1120,63:1121,64:$VY5,125:$V_5}),o($VV5,[2,231]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$VW5,30:1123,36:$VX5,41:$Vo1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,107:$VZ5,117:1122,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VV5,$VR1,{27:[1,1124]}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,48,49,51,53,54,55,56,57,58,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,82],{47:[1,1128],50:[1,1127],52:[1,1126],59:[1,1125]}),o($VV5,[2,92]),o($Vb7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,173:1129,172:1130,122:1131,69:1132,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$V_5,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{65:1133,66:$Vu7,67:$VP4},o($VV5,[2,277]),o($VV5,[2,278]),o($Ve7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1135,122:1136,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$V_5,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,328]),o($VV5,[2,329]),o($VV5,[2,330]),o($VV5,[2,331]),o($VV5,[2,332]),o($VV5,[2,333]),o($VV5,[2,334]),o($VV5,[2,335]),o($VV5,[2,336]),o($VV5,[2,337]),o($VV5,[2,338]),o($Ve7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1137,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,185:1138,69:1139,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,437]),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1140,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1139,185:1141,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{239:[1,1142]},o($VD4,[2,451]),o($VD4,[2,452]),o([7,25,31,33,67,99,104,174,175,176,177,178,179,180,181,182,183],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,217:397,72:399,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,24:567,29:1099,242:1144,208:1145,245:1146,191:1147,134:1148,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$Vy3,37:$Va,38:$Vz3,39:$Vq7,40:$Vr7,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:[1,1143],215:$VY3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1149]},o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,122:1150,69:1151,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$V_5,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:[1,1152],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,477]),o($VD4,[2,478]),{192:[1,1153]},o($Vv7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:954,184:1154,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1155]},{192:[1,1156]},o($VD4,[2,486]),{192:[1,1157]},o($VD4,[2,488]),{192:[1,1158]},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1159,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1160,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1161,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,162:478,161:480,158:481,152:482,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,163:1162,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1163,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VV5,[2,131],{27:$Vi5,89:$Vj5}),o($V$5,[2,178],{113:791,104:$V16,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:847,142:1164,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:[1,1165],91:$VD3,106:$VE3,107:$Vn6,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{22:$VC5,25:$VD5,99:$VA5,107:$VF5,110:745,115:$VG5,116:$VH5},o([22,27,39],$V42,{28:238,23:$V52,31:$V62,33:$V72,34:$V82,64:[1,1166]}),o($Vw7,$V92,{28:243,128:1167,23:$V52,31:$Va2,33:$Vb2,34:$Vc2,125:$Vw4}),{22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,61:230,64:$V$1,219:231},o($Vg7,[2,202]),o($Vg7,[2,203]),o($VV5,[2,263]),o($VV5,[2,264]),o($VV5,[2,265]),o($VV5,[2,266]),o($VV5,$Vx7),o($VV5,[2,269]),o($Va7,$Vu3,{30:63,32:64,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,21:1168,29:1169,70:1170,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1171],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,161:480,158:481,152:482,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,162:1172,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{90:1174,99:[1,1173],125:$Vk1},o($VV5,[2,140]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1175,109:[1,1176],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,29:841,69:1177,45:1178,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{67:$V$6,109:[1,1179]},{109:[1,1180]},{67:$VY6,109:[1,1181]},o($VH6,$Vh3,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,61:230,219:231,112:540,76:726,110:728,29:731,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,25:$Vw5,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,99:$VA5,106:$Vy,107:$VB5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1182,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:$V52,24:84,26:$V61,28:1183,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,38:[1,1184],39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1185,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VV5,[2,258]),o($VV5,[2,274]),o($Vq6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,29:568,149:572,69:612,100:850,101:851,65:852,102:854,103:855,105:858,24:860,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,31:$Vr6,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VO4,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:[1,1186],67:$VP4,91:$VD3,104:$Vs6,106:$Vt6,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,271]),o($Vl6,$Vu3,{30:63,32:64,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,69:838,45:839,101:840,29:841,21:1187,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$Vm6,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,158:481,152:482,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,161:1188,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{66:[1,1189]},{66:[1,1190],67:$VY6},{66:[1,1191],67:$VZ6},o($VV5,$Vy7),{66:[2,146],67:[1,1192]},{66:[2,147],67:$Vz7},o($V_6,[2,149],{8:85,14:102,9:103,24:1194,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V_6,[2,150]),o($V_6,[2,152]),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,89,91,99,104,106,107,115,116,120,137,138,139,141,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$VA7),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,115,116,120,137,138,139,141,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$VB7,{89:$Vj5}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,152:482,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,158:1195,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,152:1196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,134:1048,152:1197,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,149:1198,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,149:1199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,149:1200,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,149:1201,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,73:428,74:429,118:430,111:434,145:447,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:1048,149:1202,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1203,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,730]),{90:161,125:$Vk1,192:$Vn1,341:1204},o($Vf4,[2,951]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,1205],24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,343:1206,344:1207,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VH6,[2,887],{219:607,64:$V$1}),o($Vw7,$V92,{28:243,8:1208,23:$V52,26:$V61,31:$Va2,33:$Vb2,34:$Vc2}),{107:[1,1209]},o($VJ6,[2,882],{104:[1,1210]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1211,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1212,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1213,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VJ6,[2,877],{8:85,14:102,9:103,24:1214,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VJ6,[2,880],{8:85,14:102,9:103,24:1215,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1216,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1217,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,1218],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,291:112,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,618]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,1219],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,291:112,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,620]),o($V41,[2,621]),o($V41,[2,580]),{39:$V37,90:973,125:$Vk1,275:1220},{109:[1,1221]},o($V41,[2,552]),{61:977,64:$V$1,192:[1,1223],213:1222,219:231},o($V51,[2,555],{192:[1,1224]}),{67:$V57,125:[2,583]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1226,109:[1,1225],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,550]),o($V41,[2,584]),o($VK6,[2,586]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:989,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vb,39:$Vn4,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,45:529,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vd1,126:[2,589],141:$Vf1,192:$Vo4,203:528,205:$VC,215:$VD,235:$VE,268:524,269:28,274:523,281:1227,283:519,284:520,285:521,286:522,287:525,298:$VI,302:35,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{26:$Vn3,35:$VC7,38:$Vg1,39:[1,1228],40:$Vp3,41:$Vq3,42:$Vr3,205:$VC,298:$VI,302:131,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:338,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$Ve3},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:$V71,36:$V9,37:$Va,38:$Vd3,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,525]),o($Vq4,[2,524],{8:85,14:102,9:103,24:531,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,1230],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{125:[2,532]},o($V41,[2,534]),{8:539,26:$V61,126:[1,1231],273:1232},o($Vb7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:954,184:1233,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:37,120:$Vz,126:[1,1234],141:$VA,189:22,192:$VB,203:14,205:$VC,210:5,215:$VD,235:$VE,265:$VF,268:10,269:28,272:13,274:9,283:19,284:18,285:20,286:17,287:25,291:112,292:6,293:7,294:8,295:11,296:$VG,297:$VH,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,329:16,336:38,338:36,339:59,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,614]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1235,109:[1,1236],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[1,1237]},o($VN6,[2,797],{302:35,30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,112:179,29:180,203:181,336:919,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{109:[1,1238]},o($VD7,[2,814]),o($VN6,[2,815],{302:35,30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,112:179,29:180,203:181,336:1239,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VG6,[2,795],{39:$VE7,104:$VE1}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1241,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:1243,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1242,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vu4,[2,834]),o($Vu4,[2,835]),o($VV5,[2,507]),{67:[1,1245],126:[1,1244]},o($VL6,[2,510]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,328:1246,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vz4,[2,753]),o($Vz4,[2,755]),o($V41,[2,772]),o($V51,[2,774],{192:[1,1247]}),o($V41,[2,778]),{7:$VF7,67:$VG7,109:[1,1248]},o($VH7,[2,101],{219:231,61:1251,64:$V$1}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:$V71,36:$V9,37:$Va,38:[1,1252],39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VI7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1253,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VJ7,[2,104]),o($VH7,$VK7,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,61:230,219:231,112:540,76:726,110:728,29:731,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,25:$Vw5,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,99:$VA5,106:$Vy,107:$VB5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V41,[2,780]),o($VU6,[2,812]),o($V12,[2,747]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:$VV6,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VW6,91:$Vx,106:$Vy,109:[1,1254],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:944,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VX6,[2,745]),o($VL7,[2,828],{22:[1,1255]}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,1256],24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1257,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1258,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([23,67,109],[2,829],{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:593,325:1259,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,31:$VK4,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:$VV6,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VW6,91:$Vx,106:$Vy,109:[2,821],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:944,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{126:[1,1260]},o($VD4,[2,419]),{8:952,26:$V61,223:1261},o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VE4,{104:$VF4}),o($VD4,[2,423]),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,341]),{109:[1,1262]},{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1263},{109:[1,1266]},o($VU6,[2,799]),o($VN6,[2,802],{302:35,30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,112:179,29:180,203:181,336:1267,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VG6,[2,801],{39:$VE7,104:$VE1}),o($Vl3,[2,50],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vh2,[2,403]),o([25,31,33,66,67,99,104,109,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1268,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh2,[2,404]),o($V_6,[2,95]),o($V_6,$VN7),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1269,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VH1,[2,630]),{22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,61:230,64:$V$1,192:[1,1270],219:231},o($Vh2,[2,19]),o($VH1,[2,658]),{90:1271,125:$Vk1},o($VH1,[2,582]),{39:$V37,90:973,125:$Vk1,275:1272},{192:[1,1273]},o($VH1,[2,667]),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,67,91,99,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,542],{219:607,64:$V$1,104:[1,1274]}),o($VH1,[2,669]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:641,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$VZ4,43:$Vc1,45:638,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,280:640,298:$V_4,303:$V$4,305:$V05,306:$V15,316:1275,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1276,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V67,[2,704]),o($V77,$VI4,{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1278,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1277,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V67,[2,706]),{39:$V37,90:973,125:$Vk1,275:1279},{109:[1,1280]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:989,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:$Vc,40:$Vd,41:$Ve,42:$Vf,43:$Vg,44:$Vh,45:40,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vz,141:$VA,189:22,192:$V53,203:14,205:$VC,210:317,215:$VD,235:$VE,265:$VF,268:319,269:28,272:13,274:318,283:19,284:18,285:20,286:17,287:25,293:1281,296:$V63,298:$VI,300:42,301:43,302:35,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,320:21,321:23,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V35,[2,718]),o($Va5,$Vh3,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,29:174,112:224,61:230,219:231,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,106:$Vy,107:$V02,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{107:$VM6},{192:[1,1282]},o($VH1,[2,672]),{192:[1,1283]},o($VH1,[2,678]),o($V47,[2,677],{192:[1,1284]}),o($VH1,[2,675]),{8:1288,22:$VO7,26:$V61,61:977,64:$V$1,192:[1,1286],213:1285,219:231},o($VP7,$VQ7,{192:[1,1289]}),o($V23,[2,687],{8:1290,26:$V61,192:[1,1291]}),o($VH1,[2,685]),{125:$Ve1,313:1292},o($V25,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,1293],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:1288,22:$VO7,26:$V61,61:977,64:$V$1,192:[1,1295],213:1294,219:231},o($VP7,$VQ7,{192:[1,1296]}),o($Vl4,[2,574],{8:1297,26:$V61,192:[1,1298]}),o($V41,[2,572]),{125:$Vp1,211:1299},o($V97,$VJ4,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,340:191,327:194,328:195,29:196,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,1300],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1301]},o($V41,[2,559]),{192:[1,1302]},o($V41,[2,565]),o($V51,[2,564],{192:[1,1303]}),o($V41,[2,562]),o($V41,[2,527]),o($Vq4,[2,526],{8:85,14:102,9:103,24:531,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,192:[1,1304],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{126:[1,1305]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1306,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[1,1307]},{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1308},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1309,109:[1,1310],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,109:[1,1311],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vf4,[2,946]),{109:[1,1312]},o($VU6,[2,805]),{109:[1,1313]},o($VU6,[2,807]),o($VU6,[2,808]),o($Vk3,[2,762]),{67:[1,1315],109:[1,1314]},{7:$VF7,67:$VG7,109:[1,1316]},o($VR7,[2,766]),o($VH6,[2,768],{219:231,61:1317,64:$V$1}),o($VR6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1318,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VS7,[2,770]),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,377],{233:1319,234:$Vc7,235:$VT7}),o($VD4,[2,378]),o($VD4,[2,445]),o($VU7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:954,184:1321,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,89,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vr2,{7:$VV7}),o($VV5,[2,123]),o($VV5,[2,124]),{64:$V$1,67:[1,1325],104:[1,1323],192:[1,1324],219:607},o($Vv7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1326,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,356]),o($Vg3,$Vu5,{8:85,14:102,9:103,218:729,220:733,28:734,24:746,193:1327,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$V52,26:$V61,31:$Vx5,33:$Vy5,34:$Vz5,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VQ5,[2,291],{99:$VR5,137:$VS5,138:$VT5,139:$VU5}),o($VV5,$V06),o($VQ5,[2,292],{99:$VR5,137:$VS5,138:$VT5,139:$VU5}),o($VO6,[2,168],{110:745,22:$VC5,25:$VD5,99:$VA5,107:$VF5,115:$VG5,116:$VH5}),o($VV5,[2,169]),{109:[1,1328]},{90:1329,125:$Vk1},{125:$Vp1,211:1330},o($Vh7,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1331,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V7,29:316,30:63,32:64,35:$Vr1,36:$V9,37:$Va,38:$Vb,39:$Vn4,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,45:529,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:322,120:$Vd1,126:[1,1332],141:$Vf1,192:$Vo4,203:528,205:$VC,215:$VD,235:$VE,268:524,269:28,274:523,279:900,280:516,281:517,283:519,284:520,285:521,286:522,287:525,298:$V73,302:35,303:$Vp4,304:$VK,305:$V93,306:$Va3,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,322:39,326:61,336:38,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:1334,26:$V61,212:1333},o($Vi7,[2,390],{67:$Vj7}),o($Vh7,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1335,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{67:[1,1336],126:[1,1337]},o($Vi7,[2,394],{67:$Vj7}),o($Vi7,[2,395],{67:$Vj7}),o($VW7,$Vu5,{8:85,14:102,9:103,220:733,28:734,24:746,218:1339,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:[1,1338],26:$V61,31:$Vx5,33:$Vy5,34:$Vz5,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,172]),o($VV5,[2,175]),{67:$V$6,109:[1,1340]},o($Vk7,[2,176]),o($VX7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,221:1341,69:1342,128:1343,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VK5,[2,406]),o($VK5,[2,407]),o($VK5,[2,408]),o($VK5,[2,409]),o($Vm7,[2,410],{219:607,64:$V$1}),o($V$5,[2,179],{113:791,104:$V16,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6}),o($VY7,$Vi2,{109:[1,1344]}),o($VZ7,$VK7,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,61:230,219:231,112:540,76:726,110:728,29:731,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,25:$Vw5,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,99:$VA5,106:$Vy,107:$VB5,109:[1,1345],120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{7:$VF7,67:$VG7,109:[1,1346]},o($VV5,[2,183]),o($VV5,[2,171]),o($VV5,[2,174]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1347,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V$5,[2,239],{113:791,104:$V16,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6}),o($VV5,$V_7,{27:$Vi5,89:$Vj5}),o($VV5,[2,173]),o($VD4,[2,490],{259:1348,264:$Vo7}),o($VD4,[2,491]),o($V$7,[2,493],{261:1349,262:1350,263:$Vn7}),o($V$7,[2,494]),{90:1351,125:$Vk1},o($V08,[2,496]),{90:1352,107:[1,1353],125:$Vk1},{109:[1,1354]},{109:[1,1355]},{109:[1,1356]},{109:[2,505]},{109:[2,506]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:219,30:63,32:64,35:$V71,36:$V9,37:$Va,38:$Vq5,39:$Vr5,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:145,30:63,32:64,35:$V71,36:$V9,37:$Va,38:$Vs5,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o([7,104,109,192],$Vu5,{30:63,32:64,21:67,20:83,8:85,14:102,9:103,61:230,219:231,112:540,193:723,76:726,110:728,218:729,29:731,220:733,28:734,24:738,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,25:$Vw5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,67:$VW1,91:$Vx,99:$VA5,106:$Vy,107:$VB5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V18,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1357,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vc6,[2,286],{23:$Vd6,146:$Ve6,147:$Vf6}),o($Vc6,[2,287],{23:$Vd6,146:$Ve6,147:$Vf6}),o($Vc6,[2,288],{23:$Vd6,146:$Ve6,147:$Vf6}),o($Vc6,[2,289],{23:$Vd6,146:$Ve6,147:$Vf6}),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,314],{7:[1,1358]}),o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,45:839,101:840,29:841,69:1359,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$Vm6,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vg6,[2,312],{33:$Vh6}),{66:[1,1360],67:$VY6},{66:[1,1361],67:$VZ6},o($VV5,[2,191]),o($Va7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,29:938,70:1362,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1363],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,211]),{62:1364,63:774,64:[1,1365]},{63:1121,64:$VY5,122:1366,125:$V_5},o($VU7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,29:938,65:1133,70:1367,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:$Vu7,67:$VP4,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{62:1368,63:774,64:[1,1369]},o($Vt7,[2,214],{63:1121,122:1370,64:$VY5,125:$V_5}),o($VU7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,29:938,65:1133,70:1371,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:$Vu7,67:$VP4,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vt7,[2,228],{63:1121,122:1372,64:$VY5,125:$V_5}),o($VV5,[2,229]),o($VV5,[2,91]),{109:[1,1373]},o($VV5,$Vs7),o($VV5,[2,200]),o($VV5,$VU4),o($VV5,$VV4),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,51,52,53,54,55,56,57,58,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VW4,{50:[1,1375],59:[1,1374]}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,60,64,66,67,91,99,104,106,107,109,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,235,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VX4,{59:[1,1376]}),{67:[1,1378],126:[1,1377]},o($VL6,[2,326]),o($VL6,[2,323]),o($VL6,[2,324]),{66:[1,1379],67:$VZ6},o($VV5,[2,94]),o($VV5,[2,319]),o($VV5,[2,320]),o($VV5,[2,188]),{109:[1,1380]},o([109,192],[2,342]),{109:[1,1381]},{109:[1,1382]},{107:[1,1383]},o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1139,243:1385,185:1386,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:[1,1384],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{7:[1,1388],192:[1,1387]},o($V28,[2,464]),o($V28,[2,465],{67:$V38}),o($V48,[2,468]),{104:$V16,113:779,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6},o($VD4,[2,476]),{192:[1,1390]},{192:[1,1391]},o($VD4,[2,484]),o($VD4,[2,479]),{192:[1,1392]},o($VD4,[2,481]),o($VD4,[2,485]),o($VD4,[2,487]),o($VD4,[2,489]),o($VV5,[2,282]),o($VV5,[2,283]),o($VV5,[2,284]),o($Vj6,[2,310],{164:$Vk6}),o($VV5,[2,130]),o($VV5,[2,273]),o($Vq6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,29:568,149:572,69:612,100:850,101:851,65:852,102:854,103:855,105:858,24:860,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,31:$Vr6,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VO4,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:[1,1393],67:$VP4,91:$VD3,104:$Vs6,106:$Vt6,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vt3,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:612,101:1395,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VO4,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:[1,1394],91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,247]),o($VY7,$Vi2,{109:[1,1396]}),o($VZ7,$VK7,{30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,61:230,219:231,112:540,76:726,110:728,29:731,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$VY1,25:$Vw5,26:$V61,27:$VZ1,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$V$1,91:$Vx,99:$VA5,106:$Vy,107:$VB5,109:[1,1397],120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{7:$VF7,67:$VG7,109:[1,1398]},o($VV5,[2,187]),o($Vo6,[2,308],{34:$Vp6}),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1399,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,90:1400,91:$Vx,106:$Vy,120:$Vd1,125:$Vk1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VV5,[2,139]),{109:[1,1401]},o($V58,[2,157]),{67:$VN7,109:[1,1402]},{109:[1,1403]},o($Vo5,[2,167],{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1404,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1405,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,[2,165],{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1406,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{109:[1,1407]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:$VS4,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1408,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1409,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[1,1410]},o($Vo5,$Vy7,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:847,142:1411,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$Vn6,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,39,40,41,42,43,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,106,107,120,141,235,345,346,347,348,349,350,351,352,353,354,355,356,357],$Vi2,{109:[1,1412]}),o($Vu6,[2,306],{31:$Vv6}),o($VV5,[2,142]),o($VV5,[2,143]),o($VV5,[2,144]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1416,26:$V61,31:$V68,41:$Vo1,91:$Vx,103:1413,105:858,106:$V78,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1416,26:$V61,31:$V68,41:$Vo1,91:$Vx,105:1417,106:$V78,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V_6,[2,154]),o($Vw6,[2,304],{159:$Vx6,160:$Vy6}),o($Vz6,[2,301],{138:$VA6,153:$VB6,154:$VC6,155:$VD6,156:$VE6,157:$VF6}),o($Vz6,[2,302],{138:$VA6,153:$VB6,154:$VC6,155:$VD6,156:$VE6,157:$VF6}),o($VQ6,[2,294],{150:$Vm5,151:$Vn5}),o($VQ6,[2,295],{150:$Vm5,151:$Vn5}),o($VQ6,[2,296],{150:$Vm5,151:$Vn5}),o($VQ6,[2,297],{150:$Vm5,151:$Vn5}),o($VQ6,[2,298],{150:$Vm5,151:$Vn5}),o($Vl3,[2,299],{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($Vf4,[2,950]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,343:1418,344:1419,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{109:[2,845]},o($VH6,[2,848],{219:231,61:874,64:$V$1}),{109:[2,889]},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$Vy3,37:$Va,38:$Vg4,39:$Vh4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:493,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vi4,108:1420,109:[1,1421],120:$Vd1,141:$Vf1,215:$Vj4,217:497,235:$VE,342:489,343:490,344:491,345:$VT,346:$VU,347:$VV,348:$Vk4,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1422,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VJ6,[2,881]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1423,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1424,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VJ6,[2,876]),o($VJ6,[2,879]),o($VJ6,[2,885],{104:[1,1425]}),o($VJ6,[2,886]),o($V41,[2,617]),o($V41,[2,619]),o($V41,[2,545]),{39:$V37,90:973,125:$Vk1,275:1426},{192:[1,1427]},o($V41,[2,554]),o($V41,[2,556]),{39:$V37,90:973,125:$Vk1,275:1428},{109:[1,1429]},o($VK6,[2,588]),{38:$Vd3},o([26,35,38,39,40,41,42,204,205,298,303,304,305,306,307,308,309,310,311],$Vy1),o($V41,[2,528]),o($V41,[2,535]),o($VL6,[2,538]),o($VL6,[2,540]),o($V41,[2,613]),{109:[1,1430]},{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1431},o($VN6,[2,796],{302:35,30:63,32:64,21:67,20:83,24:84,8:85,14:102,9:103,112:179,29:180,203:181,336:1239,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,205:$VC,235:$VE,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD7,[2,813]),o($VG6,[2,794],{39:$VE7,104:$VE1}),{104:$VB4},o($Vu4,[2,832]),o($Vu4,[2,833]),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,104,106,107,109,120,125,126,141,192,205,215,235,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],$VH4),o($VV5,[2,508]),o($Vt3,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1434,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:[1,1433],26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,126:[1,1432],127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vz4,[2,752]),o($V41,[2,773]),{192:[1,1435]},o($VI7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,69:937,29:938,71:1436,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o([7,25,31,33,66,67,99,104,109,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,69:937,29:938,71:1438,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$V88,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VH7,[2,105],{219:607,64:$V$1}),o($VI7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1439,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VJ7,[2,103]),o($VX6,[2,744]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:[1,1440],24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:[1,1441],235:$VE,327:194,328:195,340:1442,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1443,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VL7,[2,826]),o($VL7,[2,827]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,23:$VV6,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VW6,91:$Vx,106:$Vy,109:[2,820],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:944,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,890]),o($VD4,[2,421]),{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1444},o($V41,[2,959]),o($V41,[2,961]),o($Vv7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1445,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VU6,[2,798]),o($VG6,[2,800],{39:$VE7,104:$VE1}),o([66,67,109],[2,194]),{22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,61:230,64:$V$1,192:[1,1446],219:231},o($VH1,[2,629]),o($VH1,[2,581]),o($VH1,[2,659]),o($VH1,[2,666]),o($VX7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1447,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V67,[2,700]),o($V67,[2,703]),o($V67,[2,705]),o($V67,$VI4,{61:230,219:231,22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,64:$V$1}),o($VH1,[2,660]),{39:$V37,90:973,125:$Vk1,275:1448},o($V35,[2,717]),o($VH1,[2,671]),o($VH1,[2,673]),o($VH1,[2,679]),{192:[1,1449]},o($VH1,[2,683]),{8:1450,26:$V61},o($V98,[2,695]),o($VH1,[2,691]),{192:[1,1451]},o($VH1,[2,689]),o($V47,[2,688],{192:[1,1452]}),o($VH1,[2,686]),{192:[1,1453]},o($V41,[2,570]),o($V41,[2,578]),{192:[1,1454]},o($V41,[2,576]),o($V51,[2,575],{192:[1,1455]}),o($V41,[2,573]),o($V41,[2,558]),o($V41,[2,560]),o($V41,[2,566]),o($V41,[2,529]),o($V41,[2,891]),{8:1456,26:$V61},{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1457},o($V41,[2,957]),{109:[1,1458]},{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1459},o($Vf4,[2,945]),o($VU6,[2,804]),o($VU6,[2,806]),o($VR7,[2,764]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:174,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,112:1460,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VR7,[2,765]),o($VH6,[2,771],{219:607,64:$V$1}),o($VS7,[2,769]),o($VD4,[2,444]),{7:$VV7},{7:[1,1461]},o($VD4,[2,447]),o($Vv7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1462,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,353]),o($Vg3,$Vu5,{8:85,14:102,9:103,218:729,220:733,28:734,24:746,193:1463,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$V52,26:$V61,31:$Vx5,33:$Vy5,34:$Vz5,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1464]},{67:$Vj7,192:[1,1465]},{90:1466,125:$Vk1},o($VV5,[2,159]),{8:1334,26:$V61,212:1467},o($Vi7,[2,387],{67:$Vj7}),{8:1334,26:$V61,212:1468},{8:1288,22:$VO7,26:$V61,61:977,64:$V$1,213:1469,219:231},o($VP7,$VQ7),o($Vi7,[2,391],{67:$Vj7}),{8:539,26:$V61,126:[1,1470],273:1232},o($VK5,[2,393]),o($VW7,$Vu5,{8:85,14:102,9:103,220:733,28:734,24:746,218:1471,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$V52,26:$V61,31:$Vx5,33:$Vy5,34:$Vz5,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VK5,[2,399]),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1404,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VK5,[2,413]),o($VK5,[2,415]),o($VK5,[2,416]),o($VV5,[2,180]),o($VV5,[2,181]),o($VV5,[2,182]),o($V18,$Vu5,{8:85,14:102,9:103,61:230,219:231,218:729,220:733,28:734,24:746,193:1472,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VX1,23:$Vv5,26:$V61,27:$VZ1,31:$Vx5,33:$Vy5,34:$Vz5,39:$Vm3,41:$Vo1,64:$V$1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,492]),o($V$7,[2,495]),o($V08,[2,497]),o($VD4,[2,501]),o($V$7,[2,500]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1473,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VV5,[2,259]),o($VV5,[2,260]),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1474,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{67:$Vj7,109:[1,1475]},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1476,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{67:$V$6,109:[1,1477]},o($VV5,[2,189]),o($VV5,[2,190]),{7:$VF7,67:$VG7,109:[1,1478]},o([7,23,25,31,33,34,38,44,66,67,99,104,109,115,116,126,137,138,139,140,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,82:564,83:565,84:566,24:567,29:568,72:820,80:1479,122:1480,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,125:$V_5,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{63:1121,64:$VY5,122:1481,125:$V_5},o($VU7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,29:938,65:1133,70:1482,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:$Vu7,67:$VP4,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,223]),{7:$VF7,66:[1,1483],67:$VG7},o($Vt7,[2,212],{63:1121,122:1484,64:$VY5,125:$V_5}),o($VU7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,29:938,65:1133,70:1485,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,66:$Vu7,67:$VP4,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,215]),{7:$VF7,66:[1,1486],67:$VG7},o($VV5,[2,227]),o([7,22,23,25,31,33,34,35,37,38,39,40,42,43,44,64,66,67,99,104,109,115,116,119,125,126,127,130,131,132,133,137,138,139,140,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],[2,199],{21:67,20:83,24:84,8:85,14:102,9:103,30:1123,117:1487,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$VW5,36:$VX5,41:$Vo1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,107:$VZ5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,$V07),o($VV5,$V17),o($VV5,$V27),o($VV5,[2,327]),o($Vb7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,122:1131,69:1132,172:1488,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$V_5,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,93]),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1489,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{125:[1,1491],230:1490},o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1492,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1139,185:1493,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vb8,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,72:562,24:567,29:568,191:1147,134:1148,244:1495,245:1496,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1494],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1497]},{192:[2,466]},o($VN4,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1139,185:1386,243:1499,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:[1,1498],235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vp7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1500,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vc8,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,72:562,24:567,29:568,134:1148,191:1502,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:[1,1501],26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,482]),o($VD4,[2,483]),o($VD4,[2,480]),o($Vo5,$Vy7,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,134:847,142:1503,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$Vn6,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{124:1504,125:[1,1505]},{66:[1,1506],67:$VY6},o($VV5,[2,184]),o($VV5,[2,185]),o($VV5,[2,186]),{22:$VX1,23:$VY1,27:$VZ1,39:$Vm3,61:230,64:$V$1,90:1507,125:$Vk1,219:231},o($VV5,[2,138]),o($V58,[2,156]),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1508,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1509,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,162]),o($VV5,[2,163]),o($VV5,[2,164]),o($VV5,[2,254]),{109:[1,1510]},{109:[1,1511]},o($VV5,[2,257]),o($VV5,[2,276]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:1513,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,76:1512,91:$Vx,106:$Vy,107:$VB5,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{66:[2,148],67:$Vz7},o($V_6,$VA7),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,24:1194,26:$V61,41:$Vo1,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V_6,$VB7),o($V_6,[2,151]),{109:[2,844]},o($VH6,[2,847],{219:231,61:874,64:$V$1}),{109:[1,1514]},o($VJ6,[2,873]),o($VJ6,[2,874]),o($VJ6,[2,875]),o($VJ6,[2,878]),o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1515,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V41,[2,546]),o($V41,[2,553]),o($V41,[2,547]),{39:$V37,90:973,125:$Vk1,275:1516},{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1517},o($V41,[2,960]),o($VV5,[2,509]),o($Vb7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,69:555,128:556,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,114:1518,134:1519,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vw4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VL6,[2,512]),o($V41,[2,784]),o($VH7,[2,98],{219:231,61:1251,64:$V$1}),o($VI7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,69:937,29:938,134:1519,71:1520,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VH7,[2,100],{219:231,61:1251,64:$V$1}),o($VJ7,[2,102]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1521,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:1243,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:1522,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VL7,[2,824]),o($VL7,[2,825]),o($V41,[2,955]),{192:[1,1523]},o($VH1,[2,628]),o($VK5,[2,541]),o($VH1,[2,661]),o($VH1,[2,682]),o($V98,[2,694]),o($VH1,[2,684]),o($VH1,[2,690]),o($V41,[2,569]),o($V41,[2,571]),o($V41,[2,577]),{67:[1,1525],109:[1,1524]},o($V41,[2,953]),{90:161,104:$VM7,125:$Vk1,192:$Vn1,341:1264,367:1526},o($V41,[2,958]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:196,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,67:$VC1,91:$Vx,106:$Vy,109:[2,767],120:$Vd1,141:$Vf1,235:$VE,327:194,328:195,340:191,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VD4,[2,446]),{192:[1,1527]},{67:$Vj7,192:[1,1528]},o($VD4,[2,355]),o($VD4,[2,357]),o($VV5,[2,158]),{8:1288,22:$VO7,26:$V61,61:977,64:$V$1,213:1529,219:231},{8:1288,22:$VO7,26:$V61,61:977,64:$V$1,213:1530,219:231},o($VK5,[2,389]),o($VK5,[2,392]),o($VK5,[2,398]),{67:$Vj7,109:[1,1531]},{8:1533,22:$VX1,23:$VY1,26:$V61,27:$VZ1,39:$Vm3,61:230,64:$V$1,109:[1,1532],219:231},o($VD4,[2,504]),o($VN4,$Vu3,{302:35,30:63,32:64,21:67,20:83,9:103,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,72:562,24:567,29:568,188:1534,203:1536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Vd8,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,315]),o([25,31,33,38,44,66,67,99,104,109,125,126,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,228,229,234,239,240,241,251,252,253,254,255,256,257,265,277,289,296,297,298,303,304,305,306,307,308,309,310,311,312],[2,316],{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1404,7:[1,1537],10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vf7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,82:564,83:565,84:566,24:567,29:568,72:820,80:1538,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Ve8,$Vf8,{110:750,121:1539,22:$VP6,64:$VP6,107:$VP6,115:$VP6,116:$VP6,25:$Vg8,99:$VA5}),o($VV5,[2,210]),o($VV5,[2,220]),{7:$VF7,66:[1,1541],67:$VG7},o($Vh8,[2,225],{122:1542,125:$V_5}),o($VV5,[2,213]),{7:$VF7,66:[1,1543],67:$VG7},o($Vh8,[2,219],{122:1544,125:$V_5}),o($VV5,[2,198]),o($VL6,[2,325]),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,39,40,41,42,43,44,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,64,67,91,99,104,106,107,115,116,119,120,125,126,127,130,131,132,133,137,138,139,140,141,143,146,147,150,151,153,154,155,156,157,159,160,164,167,169,174,175,176,177,178,179,180,181,182,183,192,204,205,215,226,229,234,235,239,240,241,251,252,253,254,255,256,257,265,298,303,304,305,306,307,308,309,310,311,312,345,346,347,348,349,350,351,352,353,354,355,356,357],[2,435],{228:[1,1545]}),o($VD4,[2,438]),{126:[1,1546],207:1549,231:1547,232:1548,233:1038,234:$Vc7,235:$VT7},o($VD4,[2,453]),{109:[1,1550]},o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1551,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{109:[1,1552]},{67:$V38,109:[2,467]},o($Vb8,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,72:562,24:567,29:568,191:1147,134:1148,245:1496,244:1554,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1553],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vb8,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,72:562,24:567,29:568,191:1147,134:1148,245:1496,244:1556,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1555],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1557]},{109:[1,1558]},o($Vc8,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,72:562,24:567,29:568,191:1559,134:1560,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V48,[2,470]),o($VV5,[2,275]),o($VV5,[2,242]),o($Va7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,71:934,69:937,29:938,70:1561,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,126:[1,1562],127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vt7,[2,243],{63:774,62:1563,128:1564,64:$VY5,125:$Vw4}),o($VV5,[2,137]),o($VV5,[2,160]),o($VV5,[2,161]),o($VV5,[2,255]),o($VV5,[2,256]),o($VV5,[2,272]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,22:$VX1,23:$VY1,24:84,26:$V61,27:$VZ1,29:1513,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V_1,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,61:230,64:$V$1,76:726,91:$Vx,106:$Vy,107:$VB5,120:$Vd1,141:$Vf1,219:231,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($VJ6,[2,872]),o($VJ6,[2,884]),o($V41,[2,548]),o($V41,[2,956]),o($VL6,[2,511]),o([7,23,31,33,34,64,66,67,99,109,126,137,138,139,146,147,150,151,153,154,155,156,157,159,160,164,167,169],$Vx7,{113:779,104:$V16,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6}),o($VH7,[2,99],{219:231,61:1251,64:$V$1}),o($VL7,[2,822]),o($VL7,[2,823]),o($V41,[2,962]),o($Vk3,[2,895]),{8:85,9:103,10:$V0,11:$V1,13:$V2,14:102,15:$V3,16:$V4,17:$V5,18:$V6,20:83,21:67,24:84,26:$V61,29:499,30:63,32:64,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,45:1565,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,91:$Vx,106:$Vy,120:$Vd1,141:$Vf1,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31},o($V41,[2,954]),o($VD4,[2,352]),o($VD4,[2,354]),o($VK5,[2,386]),o($VK5,[2,388]),o($VN4,$Vu3,{302:35,30:63,32:64,21:67,20:83,9:103,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,72:562,24:567,29:568,203:1536,188:1566,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Vd8,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{90:1567,125:$Vk1},{109:[1,1568]},o($VD4,[2,370]),{107:$VP5},{26:$Vn3,35:$VC7,40:$Vp3,41:$Vq3,42:$Vr3,204:$VJ5,205:$VC,298:$VI,302:131,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR},o($Vo5,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1569,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:[1,1570],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Ve8,$Vf8,{110:750,121:1571,22:$VP6,64:$VP6,107:$VP6,115:$VP6,116:$VP6,25:$Vg8,99:$VA5}),o($Vh8,[2,209],{122:1572,125:$V_5}),o($Vi6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,73:428,74:429,118:430,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,80:563,82:564,83:565,84:566,29:568,72:820,111:1082,24:1573,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,26:$V61,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,141:$Vf1,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh8,[2,222],{122:1574,125:$V_5}),o($VV5,[2,224]),o($Vh8,[2,217],{122:1575,125:$V_5}),o($VV5,[2,218]),o($VN4,$Vu3,{302:35,30:63,32:64,21:67,20:83,9:103,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,72:562,24:567,29:568,203:1536,188:1576,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$Vr1,36:$V9,37:$Va,39:$V81,40:$Vd,41:$Ve,42:$Vf,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Vd8,298:$VI,303:$Vs1,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,439]),{126:[1,1577],207:1549,232:1578,233:1038,234:$Vc7,235:$VT7},o($Vi8,[2,442]),o($Vb7,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,186:364,187:365,5:366,188:367,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,233:1319,206:1579,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,234:$Vc7,235:$Vd7,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{192:[1,1580]},o($VD4,[2,455]),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1581,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1582,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{109:[1,1583]},o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1584,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{109:[1,1585]},o($Vb8,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,84:402,82:403,83:404,135:405,136:406,170:407,80:408,73:428,74:429,118:430,111:434,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,97:473,72:562,24:567,29:568,191:1147,134:1148,245:1496,244:1587,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,109:[1,1586],115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1588,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($V48,[2,469]),{104:$V16,113:779,174:$V26,175:$V36,176:$V46,177:$V56,178:$V66,179:$V76,180:$V86,181:$V96,182:$Va6,183:$Vb6},{7:$VF7,67:[1,1589],126:[1,1590]},o($VV5,[2,238]),o($Vt7,[2,244],{63:1121,128:1591,64:$VY5,125:$Vw4}),o($VV5,[2,245]),{8:1592,26:$V61},o($VD4,[2,369]),o($V08,[2,498]),{90:1593,125:$Vk1},o($VV5,[2,317]),o($Vl6,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,45:839,101:840,29:841,69:1594,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$Vm6,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Vh8,[2,207],{122:1595,125:$V_5}),o($VV5,[2,208]),o($Ve8,[2,232],{22:$V_7,25:$V_7,64:$V_7,99:$V_7,107:$V_7,115:$V_7,116:$V_7,27:$Vi5,89:$Vj5}),o($VV5,[2,221]),o($VV5,[2,216]),o($VD4,[2,436]),o($VD4,[2,440]),o($Vi8,[2,441]),o($Vt3,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,188:367,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:692,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,126:$Vj8,234:$Vj8,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,454]),o($VD4,[2,458]),o($VD4,[2,457]),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1596,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,456]),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1597,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1598,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),{109:[1,1599]},o($VD4,[2,463]),o($Va7,$Vu3,{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,149:572,69:937,29:938,71:1438,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$V88,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,38:$VS6,39:$VT6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,126:[1,1600],127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,237]),o($VV5,[2,246]),{109:[1,1601]},o($V08,[2,499]),{67:$V$6,109:[1,1602]},o($VV5,[2,206]),o($VD4,[2,461]),o($VD4,[2,460]),o($VD4,[2,459]),o($Va8,$Vu3,{272:13,302:35,300:42,301:43,30:63,32:64,21:67,20:83,9:103,187:365,5:366,189:368,24:369,208:370,209:371,210:372,90:373,190:374,191:375,194:376,195:377,196:378,197:379,198:380,199:381,200:382,201:383,202:384,149:385,168:386,8:388,14:392,217:397,29:398,72:399,203:400,84:402,82:403,83:404,135:405,136:406,170:407,80:408,224:409,225:410,236:411,237:412,238:413,246:414,247:415,248:416,249:417,250:418,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,186:797,188:798,227:1603,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V7,34:$Vx3,35:$V8,36:$Vy3,37:$Va,38:$Vz3,39:$VA3,40:$VB3,41:$Ve,42:$Vf,43:$Vh1,44:$Vh,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$VJ3,125:$Vk1,127:$VK3,130:$VL3,131:$VM3,132:$VN3,133:$VO3,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,192:$VV3,204:$VW3,205:$VX3,215:$VY3,226:$VZ3,228:$V_3,229:$V$3,235:$VE,239:$V04,240:$V14,241:$V24,251:$V34,252:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,265:$Va4,298:$VI,303:$VJ,304:$VK,305:$VL,306:$VM,307:$VN,308:$VO,309:$VP,310:$VQ,311:$VR,312:$VS,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VV5,[2,236]),o($Vk3,[2,906]),o($Vo5,[2,318],{30:63,32:64,21:67,20:83,9:103,8:388,14:392,148:425,166:426,73:428,74:429,118:430,134:433,111:434,145:447,165:448,75:449,76:450,77:451,78:452,79:453,81:454,85:455,86:456,87:457,88:458,92:459,93:460,94:462,112:471,163:472,97:473,162:478,161:480,158:481,152:482,168:557,170:558,135:560,136:561,72:562,80:563,82:564,83:565,84:566,24:567,29:568,149:572,69:1404,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vv3,23:$Vw3,26:$V61,34:$Vx3,35:$V71,36:$V9,37:$Va,39:$V81,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,46:$Vi,47:$Vj,48:$Vk,49:$Vl,50:$Vm,51:$Vn,52:$Vo,53:$Vp,54:$Vq,55:$Vr,56:$Vs,57:$Vt,58:$Vu,59:$Vv,60:$Vw,64:$VC3,91:$VD3,106:$VE3,107:$VF3,115:$VG3,116:$VH3,119:$VI3,120:$Vv4,127:$VK3,130:$VL3,131:$VM3,132:$Vx4,133:$Vy4,137:$VP3,138:$VQ3,139:$VR3,140:$VS3,141:$VT3,143:$VU3,235:$VE,345:$VT,346:$VU,347:$VV,348:$VW,349:$VX,350:$VY,351:$VZ,352:$V_,353:$V$,354:$V01,355:$V11,356:$V21,357:$V31}),o($VD4,[2,462])],
-defaultActions: {2:[2,601],111:[2,602],490:[2,846],907:[2,532],1095:[2,505],1096:[2,506],1206:[2,845],1208:[2,889],1386:[2,466],1418:[2,844]},
+table: [{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,290:1,291:[1,2],292:3,293:4,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{1:[3]},{1:[2,604]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,291:[1,113],293:114,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,607]),o($V51,[2,608]),o($V51,[2,609]),o($V51,[2,610]),o($V61,[2,611],{194:[1,115]}),o($V51,[2,612]),o($V51,[2,613]),o($V51,[2,614]),o($V51,[2,615]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:118,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:117,122:$Ve1,127:$Vf1,143:$Vg1,237:$VF,315:116,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:139,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:140,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vh1,39:67,40:[1,130],41:$Vd,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,46:136,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:141,122:$VA,143:[1,137],207:$VD,217:$VE,237:$VF,271:132,274:129,298:[1,138],300:$VJ,304:133,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,324:135,328:61,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41,363:134,364:143,365:144},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:147,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$VA,143:$Vg1,205:148,207:$VD,212:145,237:$VF,274:13,276:146,300:$VJ,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{7:$Vj1,40:$Vk1,92:151,127:$Vl1,311:$Vm1,332:149,333:150,339:152,340:$Vn1},o($V51,[2,726]),o($V51,[2,727]),o($V51,[2,728]),o($V51,[2,729]),o($V51,[2,730]),o($V51,[2,731]),o($V51,[2,732]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:159,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,45:[1,158],47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V61,[2,737],{326:160,333:161,344:163,92:164,7:$Vj1,109:$Vo1,127:$Vl1,194:$Vp1}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:166,24:86,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,127:[1,168],143:$Vg1,237:$VF,300:[1,167],348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:172,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:171,122:$Ve1,127:$Vr1,143:$Vg1,213:170,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:175,122:$Ve1,127:$Vs1,143:$Vg1,237:$VF,272:174,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:[1,178],14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:183,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:[1,179],39:67,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:182,122:$Ve1,143:[1,181],205:184,207:$VD,237:$VF,286:180,300:$VJ,304:35,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,143,206,207,217,237,298,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vv1,{122:$Vw1}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vx1,{45:$Vy1}),o($Vz1,[2,656]),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VA1,{314:$VB1}),o($Vz1,[2,658]),o($VC1,[2,651]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:192,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:190,122:$Ve1,143:$Vg1,237:$VF,342:191,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,38,45,127,128,194,207,217,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VD1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,106:$VF1,108:$Vz,109:[1,193],122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([35,36,37,38,41,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,128,207,217,267,291,298,299,300,305,306,307,308,309,310,312,313,314],[2,790],{8:87,14:104,9:105,339:152,332:200,24:201,92:202,333:203,7:$Vj1,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,40:$Vk1,42:$Vq1,93:$Vy,106:$VG1,108:$Vz,122:$Ve1,127:$Vl1,143:$Vg1,194:[1,204],237:$VF,311:$Vm1,340:$Vn1,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{69:$VH1,109:$VI1,194:[1,206],325:207},{8:213,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,224:211,225:212,237:$VF,329:197,330:198,343:210,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:214,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:215,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ1,[2,629]),o($VJ1,[2,630]),o([10,11,13,15,16,17,18,26,36,37,40,41,42,43,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,127,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,534],{274:216,35:$VK1,38:[1,217],44:$VL1,45:$Vh,122:$VM1,305:$VN1,314:$VT}),o($VC1,$VO1),o($VC1,[2,637]),o($VC1,[2,638]),o($VC1,[2,639]),o($VC1,[2,640]),o($VC1,[2,641]),o($VP1,$VQ1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:222,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC1,[2,643]),o([7,22,23,25,27,31,33,34,38,45,66,69,91,101,106,109,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VR1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:223,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VP1,$VS1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:224,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC1,[2,646]),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,91,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VT1,{27:$VU1,41:$VV1}),o($VC1,[2,649]),o($VC1,[2,650]),o($VW1,[2,823]),o($VX1,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,114:227,63:233,221:234,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,109:$V22,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V32,[2,752]),{8:237,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,19:238,20:239,24:86,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,299:$V42,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V52,$V62,{28:241,23:$V72,31:$V82,33:$V92,34:$Va2}),o($V52,$Vb2,{28:246,23:$V72,31:$Vc2,33:$Vd2,34:$Ve2}),o([7,22,23,25,27,31,33,34,38,45,66,68,69,101,106,109,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],[2,41],{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:249,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vf2,50:$Vl,51:$Vm,52:$Vg2,53:$Vo,54:$Vh2,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vi2,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,42],{38:[1,254]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:255,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vj2,$Vk2),o($Vj2,[2,58]),o($Vl2,[2,59],{61:[1,256]}),o($Vj2,[2,60]),o($Vj2,[2,61]),o($Vm2,[2,62],{52:[1,258],56:$Vn2,61:[1,257]}),o($Vj2,[2,63]),o($Vj2,[2,64]),o($Vj2,[2,65]),o($Vj2,[2,66]),o($Vj2,[2,67]),o($Vj2,[2,68]),o($Vj2,[2,69]),o($Vj2,[2,70]),o($Vj2,[2,71]),{26:[1,264],49:[1,263],52:[1,262],54:[1,261],61:[1,260]},o($VW1,[2,56]),o([7,10,11,13,15,16,17,18,23,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,18],{22:$Vo2,25:$Vp2}),o($Vj2,[2,22]),o($Vq2,$Vr2),o($Vq2,[2,857]),o($Vq2,[2,858]),o($Vq2,[2,859]),o($Vq2,$Vs2),o($Vq2,$Vt2),o($Vq2,[2,862]),o($Vq2,[2,863]),o($Vq2,[2,864]),o($Vq2,[2,865]),o($Vq2,[2,866]),o($Vq2,[2,867]),o($Vq2,[2,868]),o($Vq2,$Vu2),o($Vq2,[2,871]),o($Vq2,$Vv2),o([7,13,15,16,17,18,22,25,26,27,33,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,108,111,121,122,127,128,129,132,133,134,135,140,145,159,169,171,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vw2,{361:267,366:268,367:269,10:$Vx2,11:$Vy2,23:$Vz2,31:$VA2,34:$VB2,101:$VC2,106:$VD2,109:$VE2,117:$VF2,118:$VG2,139:$VH2,141:$VI2,142:$VJ2,143:$VK2,148:$VL2,149:$VM2,152:$VN2,153:$VO2,155:$VP2,156:$VQ2,157:$VR2,158:$VS2,161:$VT2,162:$VU2,166:$VV2,176:$VW2,177:$VX2,178:$VY2,179:$VZ2,180:$V_2,181:$V$2,182:$V03,183:$V13}),o($Vq2,$V23),o($Vq2,[2,11]),o($Vq2,[2,12]),o($Vq2,[2,13]),o($Vq2,$V33),o($Vq2,[2,15]),o($Vq2,[2,16]),o($Vq2,[2,7]),o($Vq2,[2,8]),{1:[2,605]},o($V51,[2,606]),o($V51,[2,626]),o($V43,[2,660],{8:304,26:$V71,194:[1,303]}),{7:$V53,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,305],122:$Ve1,127:$Vf1,143:$Vg1,194:[1,306],237:$VF,315:307,316:308,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V63,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:310,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:320,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$VA,128:[1,311],143:$VB,191:22,194:$V73,205:14,207:$VD,212:321,217:$VE,237:$VF,267:$VG,270:323,271:28,274:13,276:322,282:314,285:19,286:18,287:20,288:17,289:25,295:315,298:$V83,300:$V93,302:42,303:43,304:35,305:$Va3,306:$VL,307:$Vb3,308:$Vc3,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,319:312,320:313,322:21,323:23,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vj2,$Vd3),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:222,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,22,23,25,27,31,33,34,38,45,66,68,69,91,101,106,109,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Ve3,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:223,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:224,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:159,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,45:[1,327],47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:215,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vq2,$Vx1),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VT1,{27:$VU1}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:330,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:329,122:$Ve1,127:$Vf1,143:$Vg1,237:$VF,315:328,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:[1,333],36:$V9,37:$Va,38:$Vf3,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$VA,143:$Vg1,237:$VF,274:331,305:$VN1,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:336,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:335,122:$Ve1,127:$Vr1,143:$Vg1,213:334,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:338,122:$Ve1,127:$Vs1,143:$Vg1,237:$VF,272:337,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VC1,[2,652]),{92:164,127:$Vl1,194:$Vp1,344:339},{69:$VH1,109:$VI1,194:[1,340],325:341},{8:213,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,224:343,225:212,237:$VF,329:197,330:198,343:342,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$Vg3},{8:345,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:215,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{143:[1,346]},o($Vh3,$Vr2,{109:[1,347]}),o($Vi3,$Vj3,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,325:348,114:349,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,109:$VI1,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,106:$VF1,108:$Vz,109:$Vk3,122:$Ve1,143:$Vg1,194:$Vl3,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:159,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,45:[1,351],47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vm3,[2,898]),o($Vm3,[2,899]),o($VJ1,[2,695]),o($V51,[2,582]),o($Vn3,[2,47],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),{26:$Vp3,35:$Vq3,38:$Vh1,40:[1,353],41:$Vr3,42:$Vs3,43:$Vt3,44:$VL1,45:$Vh,122:$VM1,207:$VD,274:129,300:$VJ,304:133,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT},{7:$Vj1,40:$Vk1,92:360,127:$Vl1,311:$Vm1,333:359,339:361,340:$Vn1},{92:362,127:$Vl1},o($V51,[2,763]),o($Vu3,[2,792]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:365,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,334:363,335:364,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vv3,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,208:367,188:368,189:369,5:370,190:371,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,128:[1,366],129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,38,45,106,127,128,194,207,217,267,291,298,299,300,305,306,307,308,309,310,312,313,314,340],[2,795],{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:487,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,311:[1,488],348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vu3,[2,796]),o($Vu3,[2,797],{109:[1,489]}),o([7,10,11,13,15,16,17,18,22,23,27,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,109,122,127,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vd4,{8:490,26:$V71}),o($Vn3,[2,54],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Ve4,[2,953]),{92:164,127:$Vl1,194:$Vp1,344:491},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:492,111:[1,493],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Ve4,[2,957]),o([7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,109,122,127,128,143,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,846],{194:[1,505]}),o($Ve4,[2,847]),{22:$Vo2,25:$Vp2,127:[1,506]},{127:[1,507]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,509],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,292:508,293:4,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vq2,$Ve3),o($Vk4,[2,547],{8:511,26:$V71,194:[1,510]}),{7:$Vl4,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,512],122:$Ve1,127:$Vr1,143:$Vg1,194:[1,513],213:514,237:$VF,278:515,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V63,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:517,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:320,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vb,39:67,40:$Vm4,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,46:534,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$Ve1,128:[1,519],143:$Vg1,194:$Vn4,205:533,207:$VD,216:518,217:$VE,237:$VF,270:529,271:28,276:528,281:520,282:521,283:522,285:524,286:525,287:526,288:527,289:530,300:$V93,304:35,305:$Vo4,306:$VL,307:$Vb3,308:$Vc3,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vp4,[2,519],{8:87,14:104,9:105,24:536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,535],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{7:$Vq4,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,127:$Vs1,143:$Vg1,194:[1,537],237:$VF,272:538,273:539,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:544,26:$V71,128:[1,541],218:542,275:543},o([7,38,45,69,106,109,111,127,128,194,207,217,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:545,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,109,122,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$V33,{127:[1,546]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:183,30:63,32:64,35:$Vt1,36:$V9,37:$Va,39:67,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:182,122:$Ve1,143:$Vg1,205:184,207:$VD,237:$VF,286:547,300:$VJ,304:35,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,619]),{8:548,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:215,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vr4,$VD1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:$Vs4,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VX1,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,114:227,63:233,221:234,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,109:$V22,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:550,30:63,32:64,35:$Vt1,36:$V9,37:$Va,39:67,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:551,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,304:133,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,10,11,13,15,16,17,18,22,23,25,26,27,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,122,127,128,143,194,206,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vd3),o([10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,206,207,217,237,300,305,306,307,308,309,310,311,312,313,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vv1),{45:[1,552]},o($Vz1,[2,655]),o($Vz1,[2,657]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,553],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VW1,[2,822]),o([69,109],$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:545,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:554,111:[1,555],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vt4,[2,842],{22:[1,556]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,557],24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:558,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([25,31,33,69,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,116:559,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,10,11,13,15,16,17,18,22,23,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,106,108,109,111,122,127,128,143,194,207,217,237,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,844],{69:[1,578]}),o($Vy4,[2,757]),o([7,10,11,13,15,16,17,18,26,35,36,37,38,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,108,109,111,122,127,128,143,194,207,217,237,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,759],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12,106:[1,579]}),o([10,11,13,15,16,17,18,26,35,36,37,38,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,207,217,237,267,291,298,299,300,305,306,307,308,309,310,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,780],{339:361,92:580,333:581,7:$Vj1,40:$Vk1,106:$Vz4,127:$Vl1,194:[1,582],311:$Vm1,340:$Vn1}),{92:584,109:[1,585],127:$Vl1,194:[1,586]},o($V61,[2,786],{194:[1,587]}),{92:588,127:$Vl1},o($V51,[2,789]),o($VA4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:589,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V51,[2,741]),{92:164,109:$Vo1,127:$Vl1,194:[1,590],326:591,344:163},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,592],24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:594,122:$Ve1,143:$Vg1,237:$VF,328:593,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,595],24:86,26:$V71,29:598,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,111:[1,597],122:$Ve1,143:$Vg1,237:$VF,327:596,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{127:[1,599]},{69:$VB4,194:[1,600]},o($VC4,[2,420]),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VD4,{106:$VE4}),o($VF4,$Vr2,{109:[1,603]}),o($Vq2,$VG4),o($Vz1,[2,532]),o($Vz1,[2,533]),{45:[1,604]},{122:$Vw1},{45:$Vy1},{314:$VB1},o($Vn3,[2,48],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vn3,[2,49],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vn3,$VH4,{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($VC1,[2,647]),o($Vq2,[2,23]),o($Vr4,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,605],122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:606,111:[1,607],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vj2,[2,27]),{31:$VJ4},o([7,22,25,27,31,33,34,38,45,66,68,69,101,106,109,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VK4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:147,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$VL4,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,610],24:86,26:$V71,29:611,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,92],{221:612,66:$V12}),o($Vj2,[2,404]),o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,103:613,67:614,71:617,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VN4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:[1,615],69:$VO4,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:619,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,19:620,20:239,24:86,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VP4,$Vr2,{106:[1,621]}),{194:[1,622]},{22:$Vo2,25:$Vp2,194:[2,17]},o($Vj2,[2,28]),o($VQ4,[2,30],{23:$VR4}),o($Vj2,[2,32]),o($Vj2,[2,34]),o($Vj2,$VS4),o($Vj2,[2,29]),o($VQ4,[2,31],{23:$VR4}),o($Vj2,[2,33]),o($Vj2,[2,35]),o($Vn3,[2,40],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vj2,$VT4),o($Vj2,$VU4),o($Vm2,$VV4,{52:[1,625],56:$Vn2,61:[1,624]}),o($Vl2,$VW4,{61:[1,626]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:627,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vn3,[2,44],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vj2,[2,72]),o($Vj2,[2,73]),o($Vj2,[2,74]),o($Vj2,[2,75]),o($Vj2,[2,76]),o($Vj2,[2,77]),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,53,54,55,56,57,58,59,60,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,78],{52:[1,629],61:[1,628]}),o($Vl2,[2,79],{61:[1,630]}),o($Vj2,[2,83]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,23:[1,631],24:632,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:633,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vq2,$VX4),o($Vq2,[2,901]),o($Vq2,[2,902]),o($Vq2,[2,903]),o($Vq2,[2,904]),o($Vq2,[2,905]),o($Vq2,[2,906]),o($Vq2,[2,907]),o($Vq2,[2,908]),o($Vq2,[2,909]),o($Vq2,[2,910]),o($Vq2,[2,914]),o($Vq2,[2,915]),o($Vq2,[2,916]),o($Vq2,[2,917]),o($Vq2,[2,918]),o($Vq2,[2,919]),o($Vq2,[2,920]),o($Vq2,[2,921]),o($Vq2,[2,922]),o($Vq2,[2,923]),o($Vq2,[2,924]),o($Vq2,[2,925]),o($Vq2,[2,926]),o($Vq2,[2,929]),o($Vq2,[2,930]),o($Vq2,[2,931]),o($Vq2,[2,932]),o($Vq2,[2,933]),o($Vq2,[2,934]),o($Vq2,[2,935]),o($Vq2,[2,936]),o($Vq2,[2,937]),o($Vq2,[2,938]),o($Vq2,[2,939]),{111:[1,634]},o($VJ1,[2,659]),{194:[1,635]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:637,111:[1,636],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ1,[2,665]),o($V43,[2,667],{8:639,26:$V71,194:[1,638]}),{127:$Vf1,315:640},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:646,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$VY4,44:$Vd1,46:643,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,280:641,282:645,300:$VZ4,305:$V_4,307:$V$4,308:$V05,318:642,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V15,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,651],122:$Ve1,143:$Vg1,194:[1,652],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VJ1,[2,716]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:320,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$VA,128:[1,653],143:$VB,191:22,194:$V73,205:14,207:$VD,212:321,217:$VE,237:$VF,267:$VG,270:323,271:28,274:13,276:322,282:314,285:19,286:18,287:20,288:17,289:25,295:315,298:$V83,300:$V93,302:42,303:43,304:35,305:$Va3,306:$VL,307:$Vb3,308:$Vc3,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,320:654,322:21,323:23,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V25,[2,719]),{7:[1,656],8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:657,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,282:655,300:$VZ4,305:$V_4,307:$V$4,308:$V05,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V25,[2,723]),o($V35,$V45),o([7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,207,217,237,298,300,305,306,307,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V55,{308:$V65}),o([7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,143,207,217,237,298,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$V75,{122:$Vw1}),o($V35,$V85),o($V95,$Va5,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,114:227,63:233,221:234,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,109:$V22,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V25,[2,734]),o($V25,[2,735]),o($V25,[2,736]),o($V25,[2,738]),{143:[1,659]},o([7,38,45,127,128,194,207,217,267,298,300,305,306,307,308,309,310,311,312,313,314,340],$VD1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,106:$VF1,108:$Vz,109:$Vs4,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vj2,[2,53]),o($Vb5,[2,673],{8:660,26:$V71}),{7:$V53,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,127:$Vf1,143:$Vg1,194:[1,662],237:$VF,315:661,316:663,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vc5,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:664,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:667,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:666,122:$Ve1,127:$Vf1,143:$Vg1,237:$VF,315:665,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:670,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:669,122:$Ve1,127:$Vr1,143:$Vg1,213:668,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([10,11,13,15,16,17,18,22,23,26,27,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,109,122,143,194,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vd3,{314:$VB1}),o($Vd5,[2,560],{8:671,26:$V71}),{7:$Vl4,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,127:$Vr1,143:$Vg1,213:672,237:$VF,278:674,279:[1,673],329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Ve5,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:675,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vp4,[2,521],{8:87,14:104,9:105,24:536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,676],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{7:$Vq4,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,127:$Vs1,143:$Vg1,237:$VF,272:677,273:678,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,897]),o($V51,[2,742]),{92:164,109:$Vo1,127:$Vl1,194:[1,679],326:680,344:163},{127:[1,681]},{69:$VB4,194:[1,682]},o([22,25,27,33,40,66,69,127],$Vw2,{366:268,367:269,361:683,10:$Vx2,11:$Vy2,23:$Vz2,31:$VA2,34:$VB2,101:$VC2,106:$VD2,109:$VE2,117:$VF2,118:$VG2,139:$VH2,141:$VI2,142:$VJ2,143:$VK2,148:$VL2,149:$VM2,152:$VN2,153:$VO2,155:$VP2,156:$VQ2,157:$VR2,158:$VS2,161:$VT2,162:$VU2,166:$VV2,176:$VW2,177:$VX2,178:$VY2,179:$VZ2,180:$V_2,181:$V$2,182:$V03,183:$V13}),o($Vh3,$Vr2,{109:[1,684]}),{8:685,26:$V71},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,686],24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,111:[1,688],114:687,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{109:[1,689]},o([106,194],$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,690],122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:691,111:[1,692],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vd4),o($VQ4,$VK4,{23:$VL4}),{35:$VK1,38:$Vf3,44:$VL1,45:$Vh,122:$VM1,274:331,305:$VN1,314:$VT},o([26,35,38,40,41,42,43,44,45,122,206,207,300,305,306,307,308,309,310,311,312,313],$VA1,{314:$VB1}),o($Vf5,$VQ1),o($Vf5,$VR1),o($Vf5,$VS1),{41:$VV1},{92:693,127:$Vl1},o($V51,[2,762]),o($Vu3,[2,791]),o($V51,[2,761]),o($Vm3,[2,764]),o($Vm3,[2,766],{69:[1,694]}),{22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,63:233,66:$V12,109:[1,695],221:234},o($Vg5,[2,374]),o($Vv3,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,190:371,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:697,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,128:[1,696],129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,376]),o($VC4,[2,346]),o($VC4,[2,347]),o($VC4,[2,348]),o($VC4,[2,349]),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vh5,{7:[1,698],91:$Vi5}),o($Vj5,[2,385],{92:701,127:$Vl1,194:[1,700]}),o($Vj5,[2,386],{92:703,127:$Vl1,194:[1,702]}),o($VC4,[2,387]),o($VC4,[2,350]),o($VC4,[2,351]),{23:[1,706],63:707,66:$V12,92:704,127:$Vl1,194:[1,705],221:234},o($VC4,[2,360]),o($VC4,[2,361]),o($VC4,[2,362]),o($VC4,[2,363]),o($VC4,[2,364]),o($VC4,[2,365]),o($VC4,[2,366]),o($VC4,[2,367]),o($VC4,[2,368]),o([31,33,34,140,155,156,157,158,159,161,162,166,169,171],$Vk5,{152:$Vl5,153:$Vm5,194:[1,708]}),{194:[1,711]},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,29:573,24:712,136:713,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,10,11,13,15,16,17,18,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vr2,{22:[1,714]}),o($Vq2,$Vu2),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,101,106,108,111,117,118,121,122,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vv2,{92:715,109:[1,716],127:$Vl1}),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,91,93,101,106,108,109,117,118,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vx1,{45:$Vy1,121:$Vo5}),o($Vq2,$V23),o([45,206,207,300,305,306,307,308,309,310,311,312,313,314],$VQ1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:222,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,38:$Vp5,40:$Vq5,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:721,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,127:[1,720],143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:147,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vr5,39:67,40:$Vs5,41:$Vd,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$VA,143:$Vg1,205:723,207:$VD,212:145,237:$VF,274:13,300:$VJ,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:726,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,127:[1,725],143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:727,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([38,45,106,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],$Vt5,{30:63,32:64,39:67,21:68,20:85,14:104,9:105,225:212,8:213,63:233,221:234,114:545,195:728,224:729,78:731,112:733,220:734,29:736,222:738,28:739,24:743,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,25:$Vv5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,69:$VY1,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,35,36,37,38,40,41,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,121,127,128,129,132,133,134,135,142,145,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],$Vt5,{8:87,14:104,9:105,220:734,222:738,28:739,195:744,112:750,24:751,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VB5,23:$V72,25:$VC5,26:$V71,31:$Vw5,33:$Vx5,34:$Vy5,42:$Vq1,93:$Vy,101:$Vz5,106:$VD5,111:$VD5,139:$VD5,140:$VD5,141:$VD5,148:$VD5,149:$VD5,152:$VD5,153:$VD5,155:$VD5,156:$VD5,157:$VD5,158:$VD5,159:$VD5,161:$VD5,162:$VD5,166:$VD5,169:$VD5,171:$VD5,176:$VD5,177:$VD5,178:$VD5,179:$VD5,180:$VD5,181:$VD5,182:$VD5,183:$VD5,184:$VD5,185:$VD5,194:$VD5,108:$Vz,109:$VE5,117:$VF5,118:$VG5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{26:$Vp3,35:$Vq3,40:$VH5,41:$Vr3,42:$Vs3,43:$Vt3,44:$VL1,45:$Vh,122:$VM1,206:$VI5,207:$VD,274:129,300:$VJ,304:133,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT},o($VC4,[2,378]),o($VJ5,[2,428]),o($VJ5,[2,429]),o($VJ5,[2,430]),o($VK5,[2,431]),o($VK5,[2,432]),o([7,23,66,69,111,127,194],[2,433]),o([7,10,11,13,15,16,17,18,22,23,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,434],{112:755,25:$VL5,101:$Vz5}),o($VC4,[2,435]),o($VC4,[2,436]),o($VC4,[2,450]),o($VC4,[2,451]),o($VC4,[2,452]),o($VC4,[2,473]),o($VC4,[2,474]),o($VC4,[2,475]),o($VC4,[2,476]),o($VC4,[2,477]),{92:756,127:$Vl1},{92:757,109:$VM5,127:$Vl1},{92:759,109:$VN5,127:$Vl1},{8:237,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,19:238,20:239,24:86,26:$V71,42:$Vq1,93:$Vy,108:$Vz,109:$VO5,122:$Ve1,143:$Vg1,237:$VF,299:$V42,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([26,35,40,41,42,43,44,45,122,206,207,300,305,306,307,308,309,310,311,312,313,314],$VO1,{92:762,127:$Vl1}),{109:[1,763]},o($VP5,[2,292],{101:$VQ5,139:$VR5,140:$VS5,141:$VT5}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,315],{169:[1,769],171:[1,768]}),o([7,22,23,25,27,31,33,34,38,45,66,69,101,106,109,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],[2,893],{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:249,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vf2,50:$Vl,51:$Vm,52:$Vg2,53:$Vo,54:$Vh2,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vi2,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,109],{66:[1,770]}),o($VU5,[2,110]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,773],24:86,26:$VV5,30:772,36:$VW5,42:$Vq1,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,64:774,65:779,66:$VX5,93:$Vy,108:$Vz,109:$VY5,119:771,122:$Ve1,124:775,127:$VZ5,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:782,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:783,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V_5,$V$5,{115:784,106:$V06,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6}),o($V_5,[2,242],{115:796,106:$V06,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6}),{109:[1,797]},{226:798,228:$V$3,230:$V04},{109:[1,799]},{109:[1,800]},o($Vv3,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,229:801,188:802,190:803,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{109:[1,804]},{254:[1,805],257:[1,806]},{194:[1,807]},{194:[1,808]},{8:809,26:$V71,236:[1,810],237:[1,811]},o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,124:812,71:814,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$VZ5,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:[1,813],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:816,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:[1,815],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vb6,[2,287],{23:$Vc6,148:$Vd6,149:$Ve6}),o($Vf6,[2,313],{33:$Vg6}),o($VU5,[2,111]),o($VU5,[2,112]),o($VU5,[2,113]),o($VU5,[2,114]),o($VU5,[2,115]),o($VU5,[2,117]),o($VU5,[2,121]),o($VU5,[2,122]),o($VU5,[2,123]),o($VU5,[2,124]),o($VU5,[2,128]),o($VU5,[2,129]),o($Vh6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,82:568,84:569,85:570,86:571,29:573,24:822,113:823,74:825,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:[1,821],26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:[1,824],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,134]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:828,30:826,32:827,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([10,11,13,15,16,17,18,23,26,42,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,93,108,109,122,127,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,207],{36:[1,829],38:[1,830]}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:831,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:832,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:833,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:834,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:835,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:836,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,837],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vi6,[2,311],{166:$Vj6}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,111,117,118,121,122,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,143],{100:839,92:840,109:[1,841],127:$Vl1}),o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,71:843,46:844,103:845,29:846,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$Vl6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{109:[1,847]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:849,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,109:[1,848],122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,144:850,136:852,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:[1,851],93:$VF3,108:$VG3,109:$Vm6,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn6,[2,309],{34:$Vo6}),o($Vp6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,29:573,151:577,71:617,102:855,103:856,67:857,104:859,105:860,107:863,24:865,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,31:$Vq6,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VN4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:[1,858],69:$VO4,93:$VF3,106:$Vr6,108:$Vs6,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vt6,[2,307],{31:$Vu6}),o($Vv6,[2,305],{161:$Vw6,162:$Vx6}),o($Vy6,[2,302],{140:$Vz6,155:$VA6,156:$VB6,157:$VC6,158:$VD6,159:$VE6}),o([7,10,11,13,15,16,17,18,26,35,36,37,38,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,106,108,122,127,128,143,194,207,217,237,267,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,793],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vu3,[2,794]),o($VF6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,72:875,73:876,71:879,29:880,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,881]},o($Ve4,[2,954]),{111:[1,882]},{92:164,127:$Vl1,194:$Vp1,344:883},{69:[1,884],111:[2,848]},{111:[2,851]},o($VI6,[2,854],{221:234,63:885,66:$V12}),o($VJ6,$Vs2,{30:63,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:828,32:886,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VK6,[2,888],{8:87,14:104,9:105,325:887,24:888,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,31:[1,889],42:$Vq1,93:$Vy,108:$Vz,109:$VI1,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:$V81,36:$V9,37:$Va,38:[1,890],39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,217:[1,891],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:892,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:893,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:894,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ6,$Vu2,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:504,46:895,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn3,$Vj3,{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Ve4,[2,845]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,897],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,292:896,293:4,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,899],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,292:898,293:4,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,900],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,293:114,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,625]),o($V51,[2,546]),{194:[1,901]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:903,111:[1,902],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,552]),o($Vk4,[2,554],{8:905,26:$V71,194:[1,904]}),{127:$Vr1,213:906},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:646,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$VY4,44:$Vd1,46:643,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,280:907,282:645,300:$VZ4,305:$V_4,307:$V$4,308:$V05,318:642,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V15,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:[1,908],122:$Ve1,143:$Vg1,194:[1,909],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:320,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vb,39:67,40:$Vm4,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,46:534,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$Ve1,128:[1,910],143:$Vg1,194:$Vn4,205:533,207:$VD,217:$VE,237:$VF,270:529,271:28,276:528,281:911,282:521,283:522,285:524,286:525,287:526,288:527,289:530,300:$V93,304:35,305:$Vo4,306:$VL,307:$Vb3,308:$Vc3,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,588]),o($VL6,[2,590]),{7:[1,912]},o($VL6,[2,593]),o([7,10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,207,217,237,300,305,306,307,308,309,310,311,312,313,348,349,350,351,352,353,354,355,356,357,358,359,360],$V75),o($VL6,[2,596]),o($VL6,[2,597]),o($VL6,[2,598]),o($VL6,[2,599]),o($VL6,[2,600]),o($VL6,[2,601]),o([10,11,13,15,16,17,18,26,35,36,37,38,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,128,143,207,217,237,300,305,306,307,308,309,310,311,312,313,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,602],{326:160,333:161,344:163,92:164,7:$Vj1,109:$Vo1,127:$Vl1,194:$Vp1}),o($VL6,[2,603]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:147,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vb,39:67,40:$Vm4,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,205:913,207:$VD,237:$VF,276:146,300:$VJ,304:35,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:139,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:140,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vh1,39:67,40:[1,915],41:$Vd,42:$Ve,43:$Vf,44:$Vd1,46:914,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:141,122:$Ve1,143:$Vg1,207:$VD,217:$VE,237:$VF,271:132,300:$VJ,304:133,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,324:135,328:61,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41,363:134,364:143,365:144},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:210,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,520]),o($V51,[2,539]),o($V51,[2,523]),o($Vp4,[2,524],{8:87,14:104,9:105,24:536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,916],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{127:$Vs1,272:917},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:918,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,536]),{69:[1,920],128:[1,919]},o($VM6,[2,540]),o($VM6,[2,542],{106:[1,921]}),o([7,38,45,106,109,111,127,128,194,207,217,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,923],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,292:922,293:4,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,618]),o($VF4,$Vr2,{109:$VN6}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:925,111:[1,926],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,22:$VZ1,23:$V_1,24:86,26:$V71,27:$V$1,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,63:233,66:$V12,69:$VY1,93:$Vy,108:$Vz,109:$VI1,114:349,122:$Ve1,143:$Vg1,221:234,237:$VF,325:348,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,109:$Vk3,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vz1,[2,654]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:927,111:[1,928],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[1,929]},o($VO6,[2,821],{304:35,30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,114:182,29:183,205:184,338:930,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,931],24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:[1,932],237:$VF,329:197,330:198,343:933,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:934,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vt4,[2,841]),o($V32,[2,753]),o($VU5,[2,515]),o($VU5,[2,516]),o($VU5,[2,341]),o($VU5,[2,342]),o($Vv3,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,269:936,116:937,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,128:[1,935],129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,263]),o($VU5,[2,264]),o($VP6,$VD5,{112:750,22:$VB5,25:$VC5,101:$Vz5,109:$VE5,117:$VF5,118:$VG5}),o([7,10,11,13,15,16,17,18,22,23,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VQ6,{112:755,25:$VL5,101:$Vz5}),o($VU5,[2,118]),o($VU5,[2,119]),o($VU5,[2,120]),o($Vj2,$Vh5,{91:$Vi5}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,22:$VZ1,23:$V_1,24:86,25:$Vv5,26:$V71,27:$V$1,29:736,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,63:233,66:$V12,69:$VY1,78:731,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,112:733,114:545,122:$Ve1,143:$Vg1,221:234,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{109:$VM5},{109:$VN5},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,101,106,108,109,111,117,118,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vx1,{121:$Vo5}),o($VR6,$Vk5,{152:$Vl5,153:$Vm5}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,938],24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,330:939,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,25,31,33,38,45,69,101,106,111,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,207,217,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:940,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V61,[2,778],{194:[1,941]}),{92:942,127:$Vl1},o($V51,[2,779]),o($VA4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:943,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V61,[2,785],{194:[1,944]}),o($VF6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,72:945,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V51,[2,788]),o($V51,[2,782]),o($V61,[2,784],{194:[1,946]}),o($Vu3,[2,816]),o($V51,[2,743]),o($V51,[2,745]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:594,122:$Ve1,143:$Vg1,237:$VF,328:947,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V32,[2,751]),o([109,194],$Vl3,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,106:$VF1,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:598,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,327:948,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:$VS6,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VT6,93:$Vy,108:$Vz,111:[1,949],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:950,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU6,[2,749]),o($VI6,[2,835],{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,63:233,221:234,29:598,327:954,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:[1,953],26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{362:[1,955]},o($V51,[2,739]),{8:958,23:[1,957],26:$V71,225:956},o([25,31,33,38,45,69,101,106,127,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,186:959,71:960,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:961,111:[1,962],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vz1,$Vd4),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:963,111:[1,964],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[1,965]},o($VO6,[2,808],{304:35,30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,114:182,29:183,205:184,338:966,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vj2,[2,38]),o($Vj2,[2,45]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:967,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vn3,[2,52],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vj2,[2,403]),{68:[1,968],69:$VV6},{68:[1,970],69:$VW6},o($Vj2,[2,407]),o([25,31,33,68,69,101,106,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:972,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VX6,$VY6),o($VX6,[2,98]),o($VP4,$Vr2,{106:[1,973]}),{194:[1,974]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:975,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ1,[2,634]),o($Vj2,[2,25]),o($Vj2,$VZ6),o($Vj2,$V_6),o($Vj2,$V$6),o($Vn3,[2,43],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vj2,[2,81]),o($Vj2,[2,82]),o($Vj2,[2,80]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:976,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vj2,[2,20]),o($Vj2,[2,21]),o($Vq2,[2,940]),o($VJ1,[2,696]),{40:$V07,92:979,127:$Vl1,277:977},{111:[1,980]},o($VJ1,[2,668]),{63:983,66:$V12,194:[1,982],215:981,221:234},o($V17,[2,671],{194:[1,984]}),{69:$V27,127:[2,702]},o($V37,[2,704]),o($V37,[2,705]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:988,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:987,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,282:986,300:$VZ4,305:$V_4,307:$V$4,308:$V05,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:[1,989],44:$Vd1,46:990,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V47,$Vj3,{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($V57,$V45),o($V57,$V55,{308:$V65}),o($V57,$V75),o($V57,$V85),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:992,111:[1,991],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ1,[2,666]),o($VJ1,[2,717]),o($V25,[2,718]),{7:[1,993]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:995,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$VA,128:[2,722],143:$VB,191:22,194:$V73,205:14,207:$VD,212:321,217:$VE,237:$VF,267:$VG,270:323,271:28,274:13,276:322,285:19,286:18,287:20,288:17,289:25,295:994,298:$V83,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{7:$Va5,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,63:233,66:$V12,221:234},o([7,10,11,13,15,16,17,18,26,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,93,108,122,143,237,300,305,307,308,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,714]),{8:996,26:$V71},{63:983,66:$V12,194:[1,998],215:997,221:234},o($V43,[2,679],{8:999,26:$V71,194:[1,1000]}),o($VJ1,[2,677]),{127:$Vf1,315:1001},o($V15,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1002],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vb5,[2,684],{214:1003,8:1004,26:$V71}),{7:$V53,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,127:$Vf1,143:$Vg1,194:[1,1006],237:$VF,315:1005,316:1007,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vc5,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:1008,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vd5,[2,571],{214:1009,8:1010,26:$V71}),{7:$Vl4,8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,127:$Vr1,143:$Vg1,213:1011,237:$VF,278:1013,279:[1,1012],329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Ve5,$VY1,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,63:233,221:234,114:1014,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{63:983,66:$V12,194:[1,1016],215:1015,221:234},o($Vk4,[2,566],{8:1017,26:$V71,194:[1,1018]}),o($V51,[2,564]),{127:$Vr1,213:1019},o($V67,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1020],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V51,[2,522]),o($Vp4,[2,525],{8:87,14:104,9:105,24:536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1021],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{127:$Vs1,272:1022},o($V51,[2,744]),o($V51,[2,746]),{362:[1,1023]},o($V51,[2,740]),o([22,23,25,27,31,33,34,40,66,69,106,127],$VX4,{109:[1,1024]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1025,111:[1,1026],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{109:[1,1027]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:1028,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,111:[1,1029],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Ve4,[2,952]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1030,111:[1,1031],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1032,111:[1,1033],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[1,1034]},o($Vu3,[2,814]),o($V51,[2,760]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:365,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,334:1035,335:364,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V77,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,29:880,336:1036,72:1037,337:1039,71:1041,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:[1,1040],40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1038],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vg5,[2,375]),o($VC4,[2,377]),o($V87,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,190:371,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,209:1042,188:1043,235:1044,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,236:$V97,237:$Va7,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vb7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1047,92:1048,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,381]),o($VC4,[2,383]),o($VC4,[2,382]),o($VC4,[2,384]),o($VC4,[2,352]),o($VC4,[2,353]),{63:1049,66:$V12,221:234},{66:$V12,69:[1,1052],106:[1,1050],194:[1,1051],221:612},o($VC4,[2,369]),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,150:1053,136:1054,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,150:1055,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,370]),o($Vj2,$VG4,{91:$Vi5}),o($VU5,[2,269]),o($Vc7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,82:568,84:569,85:570,86:571,24:572,29:573,74:1056,81:1057,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,127]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1058,111:[1,1059],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vd7,[2,206]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:$V81,36:$V9,37:$Va,38:[1,1060],39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1061,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:320,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vb,39:67,40:$Vm4,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,46:534,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$Ve1,128:[1,1063],143:$Vg1,194:$Vn4,205:533,207:$VD,216:1062,217:$VE,237:$VF,270:529,271:28,276:528,281:520,282:521,283:522,285:524,286:525,287:526,288:527,289:530,300:$V93,304:35,305:$Vo4,306:$VL,307:$Vb3,308:$Vc3,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Ve7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1064,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1065,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{26:$Vp3,35:$Vq3,40:$VH5,41:$Vr3,42:$Vs3,43:$Vt3,44:$VL1,45:$Vh,122:$VM1,207:$VD,274:129,300:$VJ,304:133,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:147,30:63,32:64,35:$V8,36:$V9,37:$Va,39:67,40:$Vs5,41:$Vd,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$VA,143:$Vg1,205:723,207:$VD,212:145,237:$VF,274:13,300:$VJ,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:544,26:$V71,218:1066,275:543},o($Ve7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1067,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Ve7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1068,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vf7,[2,398],{69:$Vg7}),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,419],{69:$VB4}),o([10,11,13,15,16,17,18,23,26,42,93,108,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$VS4,{31:$VJ4}),o($VU5,[2,168]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1070,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1071,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ5,[2,402]),o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,46:844,103:845,29:846,71:1072,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$Vl6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,22:$VZ1,23:$V_1,24:86,26:$V71,27:$V$1,29:736,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,63:233,66:$V12,69:$VY1,78:731,93:$Vy,108:$Vz,109:$VA5,114:545,122:$Ve1,143:$Vg1,221:234,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vh7,[2,179],{23:[1,1073]}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,416],{106:[1,1074]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,23:$VR4,24:1075,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1076,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1077,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1078,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vi7,{221:234,63:1079,66:$V12}),o($Vf7,[2,399],{69:$Vg7}),o($VU5,[2,198]),o($VU5,[2,199]),o($Vh6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,82:568,84:569,85:570,86:571,24:572,29:573,74:825,113:1080,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V77,$Vw3,{30:63,32:64,39:67,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,21:1081,29:1082,72:1083,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1084],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1085,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1086,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vj7,$Vi7,{221:234,63:1079,66:$V12}),{35:$VK1,44:$VL1,45:$Vh,122:$VM1,274:331,305:$VN1,314:$VT},{109:[1,1087]},o($Vh6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,82:568,84:569,85:570,86:571,29:573,74:825,113:1088,24:1089,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1090,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{260:1091,261:1092,262:1093,263:1094,264:1096,265:$Vk7,266:$Vl7},o($VC4,[2,504]),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1098,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,505]),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1099,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,219:401,74:403,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,82:568,84:569,85:570,86:571,24:572,151:577,268:1100,210:1101,71:1102,29:1105,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$VA3,37:$Va,38:$VB3,40:$Vn7,41:$Vo7,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,217:$V_3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,373]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1106,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,147:1107,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,147:1108,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,147:1109,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,147:1110,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1111,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:[1,1112],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,167:1113,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:617,103:1114,67:1115,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VN4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:[1,1116],69:$VO4,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,10,11,13,15,16,17,18,22,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,101,106,108,111,117,118,121,122,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,228],{65:779,124:1118,64:1120,23:[1,1119],66:[1,1121],109:[1,1117],127:$VZ5}),o([7,10,11,13,15,16,17,18,22,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vp7,{65:779,64:1123,23:[1,1122],66:[1,1124]}),{64:1125,65:779,66:$VX5},o($Vq7,[2,232],{124:1126,65:1127,66:$VX5,127:$VZ5}),o($VU5,[2,233]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$VV5,30:1129,36:$VW5,42:$Vq1,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,109:$VY5,119:1128,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU5,$VT1,{27:[1,1130]}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,50,51,53,55,56,57,58,59,60,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,84],{49:[1,1134],52:[1,1133],54:[1,1132],61:[1,1131]}),o($VU5,[2,94]),o($V87,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,175:1135,174:1136,124:1137,71:1138,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$VZ5,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{67:1139,68:$Vr7,69:$VO4},o($VU5,[2,279]),o($VU5,[2,280]),o($Vb7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1141,124:1142,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$VZ5,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,330]),o($VU5,[2,331]),o($VU5,[2,332]),o($VU5,[2,333]),o($VU5,[2,334]),o($VU5,[2,335]),o($VU5,[2,336]),o($VU5,[2,337]),o($VU5,[2,338]),o($VU5,[2,339]),o($VU5,[2,340]),o($Vb7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1143,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,187:1144,71:1145,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,439]),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1146,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1145,187:1147,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{241:[1,1148]},o($VC4,[2,453]),o($VC4,[2,454]),o([7,25,31,33,69,101,106,176,177,178,179,180,181,182,183,184,185],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,219:401,74:403,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,24:572,29:1105,244:1150,210:1151,247:1152,193:1153,136:1154,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$VA3,37:$Va,38:$VB3,40:$Vn7,41:$Vo7,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:[1,1149],217:$V_3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1155]},o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,124:1156,71:1157,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$VZ5,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:[1,1158],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,479]),o($VC4,[2,480]),{194:[1,1159]},o($Vs7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:960,186:1160,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1161]},{194:[1,1162]},o($VC4,[2,488]),{194:[1,1163]},o($VC4,[2,490]),{194:[1,1164]},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1165,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1166,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1167,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,164:482,163:484,160:485,154:486,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,165:1168,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1169,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU5,[2,133],{27:$Vh5,91:$Vi5}),o($V_5,[2,180],{115:796,106:$V06,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:852,144:1170,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:[1,1171],93:$VF3,108:$VG3,109:$Vm6,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{22:$VB5,25:$VC5,101:$Vz5,109:$VE5,112:750,117:$VF5,118:$VG5},o([22,27,40],$V62,{28:241,23:$V72,31:$V82,33:$V92,34:$Va2,66:[1,1172]}),o($Vt7,$Vb2,{28:246,130:1173,23:$V72,31:$Vc2,33:$Vd2,34:$Ve2,127:$Vv4}),{22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,63:233,66:$V12,221:234},o($Vd7,[2,204]),o($Vd7,[2,205]),o($VU5,[2,265]),o($VU5,[2,266]),o($VU5,[2,267]),o($VU5,[2,268]),o($VU5,$Vu7),o($VU5,[2,271]),o($V77,$Vw3,{30:63,32:64,39:67,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,21:1174,29:1175,72:1176,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1177],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,163:484,160:485,154:486,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,164:1178,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{92:1180,101:[1,1179],127:$Vl1},o($VU5,[2,142]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1181,111:[1,1182],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,29:846,71:1183,46:1184,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{69:$VY6,111:[1,1185]},{111:[1,1186]},{69:$VV6,111:[1,1187]},o($VI6,$Vj3,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,63:233,221:234,114:545,78:731,112:733,29:736,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,25:$Vv5,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1188,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:$V72,24:86,26:$V71,28:1189,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,38:[1,1190],39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1191,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU5,[2,260]),o($VU5,[2,276]),o($Vp6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,29:573,151:577,71:617,102:855,103:856,67:857,104:859,105:860,107:863,24:865,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,31:$Vq6,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VN4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:[1,1192],69:$VO4,93:$VF3,106:$Vr6,108:$Vs6,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,273]),o($Vk6,$Vw3,{30:63,32:64,39:67,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,71:843,46:844,103:845,29:846,21:1193,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$Vl6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,160:485,154:486,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,163:1194,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{68:[1,1195]},{68:[1,1196],69:$VV6},{68:[1,1197],69:$VW6},o($VU5,$Vv7),{68:[2,148],69:[1,1198]},{68:[2,149],69:$Vw7},o($VX6,[2,151],{8:87,14:104,9:105,24:1200,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VX6,[2,152]),o($VX6,[2,154]),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,91,93,101,106,108,109,117,118,122,139,140,141,143,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vx7),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,117,118,122,139,140,141,143,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vy7,{91:$Vi5}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,154:486,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,160:1201,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,154:1202,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1054,154:1203,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,151:1204,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,151:1205,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,151:1206,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,151:1207,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,75:432,76:433,120:434,113:438,147:451,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:1054,151:1208,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1209,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{7:$Vz7,69:$VA7,111:[1,1210]},o($VB7,[2,103],{221:234,63:1213,66:$V12}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:$V81,36:$V9,37:$Va,38:[1,1214],39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VC7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1215,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VD7,[2,106]),o($VB7,$VE7,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,63:233,221:234,114:545,78:731,112:733,29:736,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,25:$Vv5,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V51,[2,733]),{92:164,127:$Vl1,194:$Vp1,344:1216},o($Ve4,[2,956]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,1217],24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,346:1218,347:1219,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VI6,[2,892],{221:612,66:$V12}),o($Vt7,$Vb2,{28:246,8:1220,23:$V72,26:$V71,31:$Vc2,33:$Vd2,34:$Ve2}),{109:[1,1221]},o($VK6,[2,887],{106:[1,1222]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1223,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1224,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1225,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VK6,[2,882],{8:87,14:104,9:105,24:1226,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VK6,[2,885],{8:87,14:104,9:105,24:1227,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1228,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1229,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,1230],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,293:114,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,621]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,1231],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,293:114,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,623]),o($V51,[2,624]),o($V51,[2,583]),{40:$V07,92:979,127:$Vl1,277:1232},{111:[1,1233]},o($V51,[2,555]),{63:983,66:$V12,194:[1,1235],215:1234,221:234},o($V61,[2,558],{194:[1,1236]}),{69:$V27,127:[2,586]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1238,111:[1,1237],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,553]),o($V51,[2,587]),o($VL6,[2,589]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:995,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vb,39:67,40:$Vm4,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,46:534,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$Ve1,128:[2,592],143:$Vg1,194:$Vn4,205:533,207:$VD,217:$VE,237:$VF,270:529,271:28,276:528,283:1239,285:524,286:525,287:526,288:527,289:530,300:$VJ,304:35,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{26:$Vp3,35:$VF7,38:$Vh1,40:[1,1240],41:$Vr3,42:$Vs3,43:$Vt3,207:$VD,300:$VJ,304:133,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:342,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$Vg3},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:$V81,36:$V9,37:$Va,38:$Vf3,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,527]),o($Vp4,[2,526],{8:87,14:104,9:105,24:536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1242],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{127:[2,535]},o($V51,[2,537]),{8:544,26:$V71,128:[1,1243],275:1244},o($V87,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:960,186:1245,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:60,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:37,122:$VA,128:[1,1246],143:$VB,191:22,194:$VC,205:14,207:$VD,212:5,217:$VE,237:$VF,267:$VG,270:10,271:28,274:13,276:9,285:19,286:18,287:20,288:17,289:25,293:114,294:6,295:7,296:8,297:11,298:$VH,299:$VI,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,331:16,338:38,341:36,342:59,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,617]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1247,111:[1,1248],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[1,1249]},o($VO6,[2,802],{304:35,30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,114:182,29:183,205:184,338:930,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{111:[1,1250]},o($VG7,[2,819]),o($VO6,[2,820],{304:35,30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,114:182,29:183,205:184,338:1251,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VH7,[2,800],{339:152,332:1252,40:$Vk1,106:$VG1,311:$Vm1,340:$Vn1}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1253,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:1255,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1254,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vt4,[2,839]),o($Vt4,[2,840]),o($VU5,[2,509]),{69:[1,1257],128:[1,1256]},o($VM6,[2,512]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,330:1258,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vy4,[2,756]),o($Vy4,[2,758]),o($V51,[2,775]),o($V61,[2,777],{194:[1,1259]}),o($Vu3,[2,817]),o($V51,[2,781]),{7:$Vz7,69:$VA7,111:[1,1260]},o($V51,[2,783]),o($V32,[2,750]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:$VS6,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VT6,93:$Vy,108:$Vz,111:[1,1261],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:950,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU6,[2,748]),o($VI7,[2,833],{22:[1,1262]}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,1263],24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1264,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1265,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([23,69,111],[2,834],{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:598,327:1266,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,31:$VJ4,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:$VS6,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VT6,93:$Vy,108:$Vz,111:[2,826],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:950,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{128:[1,1267]},o($VC4,[2,421]),{8:958,26:$V71,225:1268},o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$VD4,{106:$VE4}),o($VC4,[2,425]),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,343]),{111:[1,1269]},{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1270},{111:[1,1274]},o($Vu3,[2,804]),o($VO6,[2,807],{304:35,30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,114:182,29:183,205:184,338:1275,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VH7,[2,806],{339:152,332:1252,40:$Vk1,106:$VG1,311:$Vm1,340:$Vn1}),o($Vn3,[2,51],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vj2,[2,405]),o([25,31,33,68,69,101,106,111,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1276,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vj2,[2,406]),o($VX6,[2,97]),o($VX6,$VK7),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1277,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VJ1,[2,633]),{22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,63:233,66:$V12,194:[1,1278],221:234},o($Vj2,[2,19]),o($VJ1,[2,661]),{92:1279,127:$Vl1},o($VJ1,[2,585]),{40:$V07,92:979,127:$Vl1,277:1280},{194:[1,1281]},o($VJ1,[2,670]),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,69,93,101,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,545],{221:612,66:$V12,106:[1,1282]}),o($VJ1,[2,672]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:646,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$VY4,44:$Vd1,46:643,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,282:645,300:$VZ4,305:$V_4,307:$V$4,308:$V05,318:1283,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1284,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V37,[2,707]),o($V47,$VH4,{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1286,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1285,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V37,[2,709]),{40:$V07,92:979,127:$Vl1,277:1287},{111:[1,1288]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:995,30:63,32:64,35:$V8,36:$V9,37:$Va,38:$Vb,39:67,40:$Vc,41:$Vd,42:$Ve,43:$Vf,44:$Vg,45:$Vh,46:40,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$VA,143:$VB,191:22,194:$V73,205:14,207:$VD,212:321,217:$VE,237:$VF,267:$VG,270:323,271:28,274:13,276:322,285:19,286:18,287:20,288:17,289:25,295:1289,298:$V83,300:$VJ,302:42,303:43,304:35,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,322:21,323:23,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V25,[2,721]),o($V95,$Vj3,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,29:177,114:227,63:233,221:234,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,108:$Vz,109:$V22,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{109:$VN6},{194:[1,1290]},o($VJ1,[2,675]),{194:[1,1291]},o($VJ1,[2,681]),o($V17,[2,680],{194:[1,1292]}),o($VJ1,[2,678]),{8:1296,22:$VL7,26:$V71,63:983,66:$V12,194:[1,1294],215:1293,221:234},o($VM7,$VN7,{194:[1,1297]}),o($V43,[2,690],{8:1298,26:$V71,194:[1,1299]}),o($VJ1,[2,688]),{127:$Vf1,315:1300},o($V15,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1301],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:1296,22:$VL7,26:$V71,63:983,66:$V12,194:[1,1303],215:1302,221:234},o($VM7,$VN7,{194:[1,1304]}),o($Vk4,[2,577],{8:1305,26:$V71,194:[1,1306]}),o($V51,[2,575]),{127:$Vr1,213:1307},o($V67,$VI4,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,343:194,329:197,330:198,29:199,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1308],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1309]},o($V51,[2,562]),{194:[1,1310]},o($V51,[2,568]),o($V61,[2,567],{194:[1,1311]}),o($V51,[2,565]),o($V51,[2,529]),o($Vp4,[2,528],{8:87,14:104,9:105,24:536,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,194:[1,1312],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{128:[1,1313]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1314,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[1,1315]},{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1316},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1317,111:[1,1318],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,111:[1,1319],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Ve4,[2,951]),{111:[1,1320]},o($Vu3,[2,810]),{111:[1,1321]},o($Vu3,[2,812]),o($Vu3,[2,813]),o($Vm3,[2,765]),{69:[1,1323],111:[1,1322]},{7:$Vz7,69:$VA7,111:[1,1324]},o($VO7,[2,769]),o($VI6,[2,771],{221:234,63:1325,66:$V12}),o($VF6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1326,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VP7,[2,773]),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,379],{235:1327,236:$V97,237:$VQ7}),o($VC4,[2,380]),o($VC4,[2,447]),o($VR7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:960,186:1329,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,91,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vt2,{7:$VS7}),o($VU5,[2,125]),o($VU5,[2,126]),{66:$V12,69:[1,1333],106:[1,1331],194:[1,1332],221:612},o($Vs7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1334,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,358]),o($Vi3,$Vt5,{8:87,14:104,9:105,220:734,222:738,28:739,24:751,195:1335,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$V72,26:$V71,31:$Vw5,33:$Vx5,34:$Vy5,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VP5,[2,293],{101:$VQ5,139:$VR5,140:$VS5,141:$VT5}),o($VU5,$V$5),o($VP5,[2,294],{101:$VQ5,139:$VR5,140:$VS5,141:$VT5}),o($VP6,[2,170],{112:750,22:$VB5,25:$VC5,101:$Vz5,109:$VE5,117:$VF5,118:$VG5}),o($VU5,[2,171]),{111:[1,1336]},{92:1337,127:$Vl1},{127:$Vr1,213:1338},o($Ve7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1339,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V7,29:320,30:63,32:64,35:$Vt1,36:$V9,37:$Va,38:$Vb,39:67,40:$Vm4,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,46:534,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:326,122:$Ve1,128:[1,1340],143:$Vg1,194:$Vn4,205:533,207:$VD,217:$VE,237:$VF,270:529,271:28,276:528,281:911,282:521,283:522,285:524,286:525,287:526,288:527,289:530,300:$V93,304:35,305:$Vo4,306:$VL,307:$Vb3,308:$Vc3,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,324:39,328:61,338:38,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:1342,26:$V71,214:1341},o($Vf7,[2,392],{69:$Vg7}),o($Ve7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1343,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{69:[1,1344],128:[1,1345]},o($Vf7,[2,396],{69:$Vg7}),o($Vf7,[2,397],{69:$Vg7}),o($VT7,$Vt5,{8:87,14:104,9:105,222:738,28:739,24:751,220:1347,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:[1,1346],26:$V71,31:$Vw5,33:$Vx5,34:$Vy5,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,174]),o($VU5,[2,177]),{69:$VY6,111:[1,1348]},o($Vh7,[2,178]),o($VU7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,223:1349,71:1350,130:1351,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VJ5,[2,408]),o($VJ5,[2,409]),o($VJ5,[2,410]),o($VJ5,[2,411]),o($Vj7,[2,412],{221:612,66:$V12}),o($V_5,[2,181],{115:796,106:$V06,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6}),o($VV7,$Vk2,{111:[1,1352]}),o($VW7,$VE7,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,63:233,221:234,114:545,78:731,112:733,29:736,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,25:$Vv5,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,111:[1,1353],122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{7:$Vz7,69:$VA7,111:[1,1354]},o($VU5,[2,185]),o($VU5,[2,173]),o($VU5,[2,176]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1355,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V_5,[2,241],{115:796,106:$V06,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6}),o($VU5,$VX7,{27:$Vh5,91:$Vi5}),o($VU5,[2,175]),o($VC4,[2,492],{261:1356,266:$Vl7}),o($VC4,[2,493]),o($VY7,[2,495],{263:1357,264:1358,265:$Vk7}),o($VY7,[2,496]),{92:1359,127:$Vl1},o($VZ7,[2,498]),{92:1360,109:[1,1361],127:$Vl1},{111:[1,1362]},{111:[1,1363]},{111:[1,1364]},{111:[2,507]},{111:[2,508]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:222,30:63,32:64,35:$V81,36:$V9,37:$Va,38:$Vp5,39:67,40:$Vq5,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:147,30:63,32:64,35:$V81,36:$V9,37:$Va,38:$Vr5,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o([7,106,111,194],$Vt5,{30:63,32:64,39:67,21:68,20:85,8:87,14:104,9:105,63:233,221:234,114:545,195:728,78:731,112:733,220:734,29:736,222:738,28:739,24:743,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,25:$Vv5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,69:$VY1,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V_7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1365,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vb6,[2,288],{23:$Vc6,148:$Vd6,149:$Ve6}),o($Vb6,[2,289],{23:$Vc6,148:$Vd6,149:$Ve6}),o($Vb6,[2,290],{23:$Vc6,148:$Vd6,149:$Ve6}),o($Vb6,[2,291],{23:$Vc6,148:$Vd6,149:$Ve6}),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,316],{7:[1,1366]}),o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,46:844,103:845,29:846,71:1367,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$Vl6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vf6,[2,314],{33:$Vg6}),{68:[1,1368],69:$VV6},{68:[1,1369],69:$VW6},o($VU5,[2,193]),o($V77,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,72:1370,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1371],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,213]),{64:1372,65:779,66:[1,1373]},{65:1127,66:$VX5,124:1374,127:$VZ5},o($VR7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,67:1139,72:1375,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:$Vr7,69:$VO4,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{64:1376,65:779,66:[1,1377]},o($Vq7,[2,216],{65:1127,124:1378,66:$VX5,127:$VZ5}),o($VR7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,67:1139,72:1379,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:$Vr7,69:$VO4,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vq7,[2,230],{65:1127,124:1380,66:$VX5,127:$VZ5}),o($VU5,[2,231]),o($VU5,[2,93]),{111:[1,1381]},o($VU5,$Vp7),o($VU5,[2,202]),o($VU5,$VT4),o($VU5,$VU4),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,53,54,55,56,57,58,59,60,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VV4,{52:[1,1383],61:[1,1382]}),o([7,10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,62,66,68,69,93,101,106,108,109,111,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,237,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VW4,{61:[1,1384]}),{69:[1,1386],128:[1,1385]},o($VM6,[2,328]),o($VM6,[2,325]),o($VM6,[2,326]),{68:[1,1387],69:$VW6},o($VU5,[2,96]),o($VU5,[2,321]),o($VU5,[2,322]),o($VU5,[2,190]),{111:[1,1388]},o([111,194],[2,344]),{111:[1,1389]},{111:[1,1390]},{109:[1,1391]},o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1145,245:1393,187:1394,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:[1,1392],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{7:[1,1396],194:[1,1395]},o($V$7,[2,466]),o($V$7,[2,467],{69:$V08}),o($V18,[2,470]),{106:$V06,115:784,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6},o($VC4,[2,478]),{194:[1,1398]},{194:[1,1399]},o($VC4,[2,486]),o($VC4,[2,481]),{194:[1,1400]},o($VC4,[2,483]),o($VC4,[2,487]),o($VC4,[2,489]),o($VC4,[2,491]),o($VU5,[2,284]),o($VU5,[2,285]),o($VU5,[2,286]),o($Vi6,[2,312],{166:$Vj6}),o($VU5,[2,132]),o($VU5,[2,275]),o($Vp6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,29:573,151:577,71:617,102:855,103:856,67:857,104:859,105:860,107:863,24:865,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,31:$Vq6,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VN4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:[1,1401],69:$VO4,93:$VF3,106:$Vr6,108:$Vs6,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vv3,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:617,103:1403,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VN4,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:[1,1402],93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,249]),o($VV7,$Vk2,{111:[1,1404]}),o($VW7,$VE7,{30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,63:233,221:234,114:545,78:731,112:733,29:736,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$V_1,25:$Vv5,26:$V71,27:$V$1,35:$V81,36:$V9,37:$Va,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$V12,93:$Vy,101:$Vz5,108:$Vz,109:$VA5,111:[1,1405],122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{7:$Vz7,69:$VA7,111:[1,1406]},o($VU5,[2,189]),o($Vn6,[2,310],{34:$Vo6}),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1407,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,92:1408,93:$Vy,108:$Vz,122:$Ve1,127:$Vl1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU5,[2,141]),{111:[1,1409]},o($V28,[2,159]),{69:$VK7,111:[1,1410]},{111:[1,1411]},o($Vn5,[2,169],{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1412,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1413,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,[2,167],{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1414,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{111:[1,1415]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:$VR4,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1416,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1417,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[1,1418]},o($Vn5,$Vv7,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:852,144:1419,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$Vm6,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,40,41,42,43,44,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,108,109,122,143,237,348,349,350,351,352,353,354,355,356,357,358,359,360],$Vk2,{111:[1,1420]}),o($Vt6,[2,308],{31:$Vu6}),o($VU5,[2,144]),o($VU5,[2,145]),o($VU5,[2,146]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1424,26:$V71,31:$V38,42:$Vq1,93:$Vy,105:1421,107:863,108:$V48,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1424,26:$V71,31:$V38,42:$Vq1,93:$Vy,107:1425,108:$V48,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VX6,[2,156]),o($Vv6,[2,306],{161:$Vw6,162:$Vx6}),o($Vy6,[2,303],{140:$Vz6,155:$VA6,156:$VB6,157:$VC6,158:$VD6,159:$VE6}),o($Vy6,[2,304],{140:$Vz6,155:$VA6,156:$VB6,157:$VC6,158:$VD6,159:$VE6}),o($VR6,[2,296],{152:$Vl5,153:$Vm5}),o($VR6,[2,297],{152:$Vl5,153:$Vm5}),o($VR6,[2,298],{152:$Vl5,153:$Vm5}),o($VR6,[2,299],{152:$Vl5,153:$Vm5}),o($VR6,[2,300],{152:$Vl5,153:$Vm5}),o($Vn3,[2,301],{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($Vu3,[2,798]),o($VC7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,71:879,29:880,73:1426,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o([7,25,31,33,68,69,101,106,111,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,71:879,29:880,73:1428,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$V58,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VB7,[2,107],{221:612,66:$V12}),o($VC7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1429,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VD7,[2,105]),o($Ve4,[2,955]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,346:1430,347:1431,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{111:[2,850]},o($VI6,[2,853],{221:234,63:885,66:$V12}),{111:[2,894]},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$VA3,37:$Va,38:$Vf4,39:67,40:$Vg4,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:498,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vh4,110:1432,111:[1,1433],122:$Ve1,143:$Vg1,217:$Vi4,219:502,237:$VF,345:494,346:495,347:496,348:$VU,349:$VV,350:$VW,351:$Vj4,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1434,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VK6,[2,886]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1435,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1436,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VK6,[2,881]),o($VK6,[2,884]),o($VK6,[2,890],{106:[1,1437]}),o($VK6,[2,891]),o($V51,[2,620]),o($V51,[2,622]),o($V51,[2,548]),{40:$V07,92:979,127:$Vl1,277:1438},{194:[1,1439]},o($V51,[2,557]),o($V51,[2,559]),{40:$V07,92:979,127:$Vl1,277:1440},{111:[1,1441]},o($VL6,[2,591]),{38:$Vf3},o([26,35,38,40,41,42,43,206,207,300,305,306,307,308,309,310,311,312,313],$VA1),o($V51,[2,530]),o($V51,[2,538]),o($VM6,[2,541]),o($VM6,[2,543]),o($V51,[2,616]),{111:[1,1442]},{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1443},o($VO6,[2,801],{304:35,30:63,32:64,39:67,21:68,20:85,24:86,8:87,14:104,9:105,114:182,29:183,205:184,338:1251,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$V7,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,207:$VD,237:$VF,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VG7,[2,818]),o($VH7,[2,799],{339:152,332:1252,40:$Vk1,106:$VG1,311:$Vm1,340:$Vn1}),{40:$Vk1,106:$Vz4,311:$Vm1,339:361,340:$Vn1},o($Vt4,[2,837]),o($Vt4,[2,838]),o([7,10,11,13,15,16,17,18,22,23,25,26,27,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,106,108,109,111,122,127,128,143,194,207,217,237,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340,348,349,350,351,352,353,354,355,356,357,358,359,360],$VG4),o($VU5,[2,510]),o($Vv3,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1446,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:[1,1445],26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,128:[1,1444],129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vy4,[2,755]),o($V51,[2,776]),{194:[1,1447]},o($VU6,[2,747]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:[1,1448],24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:[1,1449],237:$VF,329:197,330:198,343:1450,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1451,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VI7,[2,831]),o($VI7,[2,832]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,23:$VS6,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VT6,93:$Vy,108:$Vz,111:[2,825],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:950,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,895]),o($VC4,[2,423]),{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1452},o($V51,[2,964]),o($V51,[2,966]),o($Vs7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1453,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{40:$Vk1,92:164,106:[1,1455],127:$Vl1,194:$Vp1,311:$Vm1,339:361,340:$Vn1,344:1454},o($Vu3,[2,803]),o($VH7,[2,805],{339:152,332:1252,40:$Vk1,106:$VG1,311:$Vm1,340:$Vn1}),o([68,69,111],[2,196]),{22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,63:233,66:$V12,194:[1,1456],221:234},o($VJ1,[2,632]),o($VJ1,[2,584]),o($VJ1,[2,662]),o($VJ1,[2,669]),o($VU7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1457,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V37,[2,703]),o($V37,[2,706]),o($V37,[2,708]),o($V37,$VH4,{63:233,221:234,22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,66:$V12}),o($VJ1,[2,663]),{40:$V07,92:979,127:$Vl1,277:1458},o($V25,[2,720]),o($VJ1,[2,674]),o($VJ1,[2,676]),o($VJ1,[2,682]),{194:[1,1459]},o($VJ1,[2,686]),{8:1460,26:$V71},o($V68,[2,698]),o($VJ1,[2,694]),{194:[1,1461]},o($VJ1,[2,692]),o($V17,[2,691],{194:[1,1462]}),o($VJ1,[2,689]),{194:[1,1463]},o($V51,[2,573]),o($V51,[2,581]),{194:[1,1464]},o($V51,[2,579]),o($V61,[2,578],{194:[1,1465]}),o($V51,[2,576]),o($V51,[2,561]),o($V51,[2,563]),o($V51,[2,569]),o($V51,[2,531]),o($V51,[2,896]),{8:1466,26:$V71},{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1467},o($V51,[2,962]),{111:[1,1468]},{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1469},o($Ve4,[2,950]),o($Vu3,[2,809]),o($Vu3,[2,811]),o($VO7,[2,767]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:177,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,114:1470,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VO7,[2,768]),o($VI6,[2,774],{221:612,66:$V12}),o($VP7,[2,772]),o($VC4,[2,446]),{7:$VS7},{7:[1,1471]},o($VC4,[2,449]),o($Vs7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1472,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,355]),o($Vi3,$Vt5,{8:87,14:104,9:105,220:734,222:738,28:739,24:751,195:1473,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$V72,26:$V71,31:$Vw5,33:$Vx5,34:$Vy5,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1474]},{69:$Vg7,194:[1,1475]},{92:1476,127:$Vl1},o($VU5,[2,161]),{8:1342,26:$V71,214:1477},o($Vf7,[2,389],{69:$Vg7}),{8:1342,26:$V71,214:1478},{8:1296,22:$VL7,26:$V71,63:983,66:$V12,215:1479,221:234},o($VM7,$VN7),o($Vf7,[2,393],{69:$Vg7}),{8:544,26:$V71,128:[1,1480],275:1244},o($VJ5,[2,395]),o($VT7,$Vt5,{8:87,14:104,9:105,222:738,28:739,24:751,220:1481,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,23:$V72,26:$V71,31:$Vw5,33:$Vx5,34:$Vy5,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VJ5,[2,401]),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1412,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VJ5,[2,415]),o($VJ5,[2,417]),o($VJ5,[2,418]),o($VU5,[2,182]),o($VU5,[2,183]),o($VU5,[2,184]),o($V_7,$Vt5,{8:87,14:104,9:105,63:233,221:234,220:734,222:738,28:739,24:751,195:1482,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$VZ1,23:$Vu5,26:$V71,27:$V$1,31:$Vw5,33:$Vx5,34:$Vy5,40:$Vo3,42:$Vq1,66:$V12,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,494]),o($VY7,[2,497]),o($VZ7,[2,499]),o($VC4,[2,503]),o($VY7,[2,502]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1483,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VU5,[2,261]),o($VU5,[2,262]),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1484,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{69:$Vg7,111:[1,1485]},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1486,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{69:$VY6,111:[1,1487]},o($VU5,[2,191]),o($VU5,[2,192]),{7:$Vz7,69:$VA7,111:[1,1488]},o([7,23,25,31,33,34,38,45,68,69,101,106,111,117,118,128,139,140,141,142,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,84:569,85:570,86:571,24:572,29:573,74:825,82:1489,124:1490,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,127:$VZ5,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{65:1127,66:$VX5,124:1491,127:$VZ5},o($VR7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,67:1139,72:1492,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:$Vr7,69:$VO4,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,225]),{7:$Vz7,68:[1,1493],69:$VA7},o($Vq7,[2,214],{65:1127,124:1494,66:$VX5,127:$VZ5}),o($VR7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,67:1139,72:1495,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,68:$Vr7,69:$VO4,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,217]),{7:$Vz7,68:[1,1496],69:$VA7},o($VU5,[2,229]),o([7,22,23,25,31,33,34,35,37,38,40,41,43,44,45,47,66,68,69,101,106,111,117,118,121,127,128,129,132,133,134,135,139,140,141,142,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],[2,201],{21:68,20:85,24:86,8:87,14:104,9:105,30:1129,119:1497,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,26:$VV5,36:$VW5,42:$Vq1,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,109:$VY5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,$VZ6),o($VU5,$V_6),o($VU5,$V$6),o($VU5,[2,329]),o($V87,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,124:1137,71:1138,174:1498,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$VZ5,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,95]),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1499,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{127:[1,1501],232:1500},o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1502,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1145,187:1503,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V88,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,74:567,24:572,29:573,193:1153,136:1154,246:1505,247:1506,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1504],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1507]},{194:[2,468]},o($VM4,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1145,187:1394,245:1509,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:[1,1508],237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vm7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1510,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V98,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,74:567,24:572,29:573,136:1154,193:1512,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:[1,1511],26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,484]),o($VC4,[2,485]),o($VC4,[2,482]),o($Vn5,$Vv7,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,136:852,144:1513,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$Vm6,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{126:1514,127:[1,1515]},{68:[1,1516],69:$VV6},o($VU5,[2,186]),o($VU5,[2,187]),o($VU5,[2,188]),{22:$VZ1,23:$V_1,27:$V$1,40:$Vo3,63:233,66:$V12,92:1517,127:$Vl1,221:234},o($VU5,[2,140]),o($V28,[2,158]),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1518,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1519,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,164]),o($VU5,[2,165]),o($VU5,[2,166]),o($VU5,[2,256]),{111:[1,1520]},{111:[1,1521]},o($VU5,[2,259]),o($VU5,[2,278]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:1523,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,78:1522,93:$Vy,108:$Vz,109:$VA5,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{68:[2,150],69:$Vw7},o($VX6,$Vx7),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,24:1200,26:$V71,42:$Vq1,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VX6,$Vy7),o($VX6,[2,153]),o($VB7,[2,100],{221:234,63:1213,66:$V12}),o($VC7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,71:879,29:880,73:1524,136:1525,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VB7,[2,102],{221:234,63:1213,66:$V12}),o($VD7,[2,104]),{111:[2,849]},o($VI6,[2,852],{221:234,63:885,66:$V12}),{111:[1,1526]},o($VK6,[2,878]),o($VK6,[2,879]),o($VK6,[2,880]),o($VK6,[2,883]),o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1527,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V51,[2,549]),o($V51,[2,556]),o($V51,[2,550]),{40:$V07,92:979,127:$Vl1,277:1528},{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1529},o($V51,[2,965]),o($VU5,[2,511]),o($V87,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,136:1525,116:1530,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VM6,[2,514]),o($V51,[2,787]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1531,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:1255,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:1532,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VI7,[2,829]),o($VI7,[2,830]),o($V51,[2,960]),{194:[1,1533]},o($V51,[2,968]),o($Vs7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,71:560,130:561,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,116:1534,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vv4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VJ1,[2,631]),o($VJ5,[2,544]),o($VJ1,[2,664]),o($VJ1,[2,685]),o($V68,[2,697]),o($VJ1,[2,687]),o($VJ1,[2,693]),o($V51,[2,572]),o($V51,[2,574]),o($V51,[2,580]),{69:[1,1536],111:[1,1535]},o($V51,[2,958]),{40:$Vk1,92:164,106:$VJ7,127:$Vl1,194:$Vp1,311:$Vm1,332:1273,339:152,340:$Vn1,344:1271,370:1537},o($V51,[2,963]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:199,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,69:$VE1,93:$Vy,108:$Vz,111:[2,770],122:$Ve1,143:$Vg1,237:$VF,329:197,330:198,343:194,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VC4,[2,448]),{194:[1,1538]},{69:$Vg7,194:[1,1539]},o($VC4,[2,357]),o($VC4,[2,359]),o($VU5,[2,160]),{8:1296,22:$VL7,26:$V71,63:983,66:$V12,215:1540,221:234},{8:1296,22:$VL7,26:$V71,63:983,66:$V12,215:1541,221:234},o($VJ5,[2,391]),o($VJ5,[2,394]),o($VJ5,[2,400]),{69:$Vg7,111:[1,1542]},{8:1544,22:$VZ1,23:$V_1,26:$V71,27:$V$1,40:$Vo3,63:233,66:$V12,111:[1,1543],221:234},o($VC4,[2,506]),o($VM4,$Vw3,{304:35,30:63,32:64,39:67,21:68,20:85,9:105,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,74:567,24:572,29:573,190:1545,205:1547,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Va8,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,317]),o([25,31,33,38,45,68,69,101,106,111,127,128,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,230,231,236,241,242,243,253,254,255,256,257,258,259,267,279,291,298,299,300,305,306,307,308,309,310,311,312,313,314,340],[2,318],{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1412,7:[1,1548],10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vc7,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,84:569,85:570,86:571,24:572,29:573,74:825,82:1549,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vb8,$Vc8,{112:755,123:1550,22:$VQ6,66:$VQ6,109:$VQ6,117:$VQ6,118:$VQ6,25:$Vd8,101:$Vz5}),o($VU5,[2,212]),o($VU5,[2,222]),{7:$Vz7,68:[1,1552],69:$VA7},o($Ve8,[2,227],{124:1553,127:$VZ5}),o($VU5,[2,215]),{7:$Vz7,68:[1,1554],69:$VA7},o($Ve8,[2,221],{124:1555,127:$VZ5}),o($VU5,[2,200]),o($VM6,[2,327]),o([10,11,13,15,16,17,18,22,23,25,26,31,33,34,35,36,37,38,40,41,42,43,44,45,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,66,69,93,101,106,108,109,117,118,121,122,127,128,129,132,133,134,135,139,140,141,142,143,145,148,149,152,153,155,156,157,158,159,161,162,166,169,171,176,177,178,179,180,181,182,183,184,185,194,206,207,217,228,231,236,237,241,242,243,253,254,255,256,257,258,259,267,300,305,306,307,308,309,310,311,312,313,314,348,349,350,351,352,353,354,355,356,357,358,359,360],[2,437],{230:[1,1556]}),o($VC4,[2,440]),{128:[1,1557],209:1560,233:1558,234:1559,235:1044,236:$V97,237:$VQ7},o($VC4,[2,455]),{111:[1,1561]},o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1562,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{111:[1,1563]},{69:$V08,111:[2,469]},o($V88,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,74:567,24:572,29:573,193:1153,136:1154,247:1506,246:1565,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1564],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V88,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,74:567,24:572,29:573,193:1153,136:1154,247:1506,246:1567,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1566],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1568]},{111:[1,1569]},o($V98,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,74:567,24:572,29:573,193:1570,136:1571,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V18,[2,472]),o($VU5,[2,277]),o($VU5,[2,244]),o($V77,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,73:876,71:879,29:880,72:1572,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,128:[1,1573],129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vq7,[2,245],{65:779,64:1574,130:1575,66:$VX5,127:$Vv4}),o($VU5,[2,139]),o($VU5,[2,162]),o($VU5,[2,163]),o($VU5,[2,257]),o($VU5,[2,258]),o($VU5,[2,274]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,22:$VZ1,23:$V_1,24:86,26:$V71,27:$V$1,29:1523,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V02,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,63:233,66:$V12,78:731,93:$Vy,108:$Vz,109:$VA5,122:$Ve1,143:$Vg1,221:234,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($VB7,[2,101],{221:234,63:1213,66:$V12}),o([7,23,31,33,34,66,68,69,101,111,128,139,140,141,148,149,152,153,155,156,157,158,159,161,162,166,169,171],$Vu7,{115:784,106:$V06,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6}),o($VK6,[2,877]),o($VK6,[2,889]),o($V51,[2,551]),o($V51,[2,961]),o($VM6,[2,513]),o($VI7,[2,827]),o($VI7,[2,828]),o($V51,[2,967]),{194:[1,1576]},o($Vm3,[2,900]),{8:87,9:105,10:$V0,11:$V1,13:$V2,14:104,15:$V3,16:$V4,17:$V5,18:$V6,20:85,21:68,24:86,26:$V71,29:504,30:63,32:64,35:$V81,36:$V9,37:$Va,39:67,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,46:1577,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,93:$Vy,108:$Vz,122:$Ve1,143:$Vg1,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41},o($V51,[2,959]),o($VC4,[2,354]),o($VC4,[2,356]),o($VJ5,[2,388]),o($VJ5,[2,390]),o($VM4,$Vw3,{304:35,30:63,32:64,39:67,21:68,20:85,9:105,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,74:567,24:572,29:573,205:1547,190:1578,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Va8,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{92:1579,127:$Vl1},{111:[1,1580]},o($VC4,[2,372]),{109:$VO5},{26:$Vp3,35:$VF7,41:$Vr3,42:$Vs3,43:$Vt3,206:$VI5,207:$VD,300:$VJ,304:133,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS},o($Vn5,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1581,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:[1,1582],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Vb8,$Vc8,{112:755,123:1583,22:$VQ6,66:$VQ6,109:$VQ6,117:$VQ6,118:$VQ6,25:$Vd8,101:$Vz5}),o($Ve8,[2,211],{124:1584,127:$VZ5}),o($Vh6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,75:432,76:433,120:434,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,82:568,84:569,85:570,86:571,29:573,74:825,113:1088,24:1585,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,26:$V71,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,143:$Vg1,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Ve8,[2,224],{124:1586,127:$VZ5}),o($VU5,[2,226]),o($Ve8,[2,219],{124:1587,127:$VZ5}),o($VU5,[2,220]),o($VM4,$Vw3,{304:35,30:63,32:64,39:67,21:68,20:85,9:105,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,74:567,24:572,29:573,205:1547,190:1588,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$Vt1,36:$V9,37:$Va,40:$V91,41:$Vd,42:$Ve,43:$Vf,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Va8,300:$VJ,305:$Vu1,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,441]),{128:[1,1589],209:1560,234:1590,235:1044,236:$V97,237:$VQ7},o($Vf8,[2,444]),o($V87,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,188:368,189:369,5:370,190:371,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,235:1327,208:1591,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,236:$V97,237:$Va7,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{194:[1,1592]},o($VC4,[2,457]),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1593,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1594,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{111:[1,1595]},o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1596,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{111:[1,1597]},o($V88,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,86:406,84:407,85:408,137:409,138:410,172:411,82:412,75:432,76:433,120:434,113:438,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,99:477,74:567,24:572,29:573,193:1153,136:1154,247:1506,246:1599,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,111:[1,1598],117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1600,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V18,[2,471]),{106:$V06,115:784,176:$V16,177:$V26,178:$V36,179:$V46,180:$V56,181:$V66,182:$V76,183:$V86,184:$V96,185:$Va6},{7:$Vz7,69:[1,1601],128:[1,1602]},o($VU5,[2,240]),o($Vq7,[2,246],{65:1127,130:1603,66:$VX5,127:$Vv4}),o($VU5,[2,247]),o($V51,[2,969]),{8:1604,26:$V71},o($VC4,[2,371]),o($VZ7,[2,500]),{92:1605,127:$Vl1},o($VU5,[2,319]),o($Vk6,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,46:844,103:845,29:846,71:1606,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$Vl6,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($Ve8,[2,209],{124:1607,127:$VZ5}),o($VU5,[2,210]),o($Vb8,[2,234],{22:$VX7,25:$VX7,66:$VX7,101:$VX7,109:$VX7,117:$VX7,118:$VX7,27:$Vh5,91:$Vi5}),o($VU5,[2,223]),o($VU5,[2,218]),o($VC4,[2,438]),o($VC4,[2,442]),o($Vf8,[2,443]),o($Vv3,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,190:371,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:697,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,128:$Vg8,236:$Vg8,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,456]),o($VC4,[2,460]),o($VC4,[2,459]),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1608,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,458]),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1609,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1610,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),{111:[1,1611]},o($VC4,[2,465]),o($V77,$Vw3,{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,151:577,71:879,29:880,73:1428,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$V58,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,38:$VG6,40:$VH6,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,128:[1,1612],129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,239]),o($VU5,[2,248]),{111:[1,1613]},o($VZ7,[2,501]),{69:$VY6,111:[1,1614]},o($VU5,[2,208]),o($VC4,[2,463]),o($VC4,[2,462]),o($VC4,[2,461]),o($V78,$Vw3,{274:13,304:35,302:42,303:43,30:63,32:64,39:67,21:68,20:85,9:105,189:369,5:370,191:372,24:373,210:374,211:375,212:376,92:377,192:378,193:379,196:380,197:381,198:382,199:383,200:384,201:385,202:386,203:387,204:388,151:389,170:390,8:392,14:396,219:401,29:402,74:403,205:404,86:406,84:407,85:408,137:409,138:410,172:411,82:412,226:413,227:414,238:415,239:416,240:417,248:418,249:419,250:420,251:421,252:422,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,188:802,190:803,229:1615,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V7,34:$Vz3,35:$V8,36:$VA3,37:$Va,38:$VB3,40:$VC3,41:$VD3,42:$Ve,43:$Vf,44:$Vi1,45:$Vh,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$VL3,127:$Vl1,129:$VM3,132:$VN3,133:$VO3,134:$VP3,135:$VQ3,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,194:$VX3,206:$VY3,207:$VZ3,217:$V_3,228:$V$3,230:$V04,231:$V14,237:$VF,241:$V24,242:$V34,243:$V44,253:$V54,254:$V64,255:$V74,256:$V84,257:$V94,258:$Va4,259:$Vb4,267:$Vc4,300:$VJ,305:$VK,306:$VL,307:$VM,308:$VN,309:$VO,310:$VP,311:$VQ,312:$VR,313:$VS,314:$VT,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VU5,[2,238]),o($Vm3,[2,911]),o($Vn5,[2,320],{30:63,32:64,39:67,21:68,20:85,9:105,8:392,14:396,150:429,168:430,75:432,76:433,120:434,136:437,113:438,147:451,167:452,77:453,78:454,79:455,80:456,81:457,83:458,87:459,88:460,89:461,90:462,94:463,95:464,96:466,114:475,165:476,99:477,164:482,163:484,160:485,154:486,170:562,172:563,137:565,138:566,74:567,82:568,84:569,85:570,86:571,24:572,29:573,151:577,71:1412,10:$V0,11:$V1,13:$V2,15:$V3,16:$V4,17:$V5,18:$V6,22:$Vx3,23:$Vy3,26:$V71,34:$Vz3,35:$V81,36:$V9,37:$Va,40:$V91,41:$Va1,42:$Vb1,43:$Vc1,44:$Vd1,47:$Vi,48:$Vj,49:$Vk,50:$Vl,51:$Vm,52:$Vn,53:$Vo,54:$Vp,55:$Vq,56:$Vr,57:$Vs,58:$Vt,59:$Vu,60:$Vv,61:$Vw,62:$Vx,66:$VE3,93:$VF3,108:$VG3,109:$VH3,117:$VI3,118:$VJ3,121:$VK3,122:$Vu4,129:$VM3,132:$VN3,133:$VO3,134:$Vw4,135:$Vx4,139:$VR3,140:$VS3,141:$VT3,142:$VU3,143:$VV3,145:$VW3,237:$VF,348:$VU,349:$VV,350:$VW,351:$VX,352:$VY,353:$VZ,354:$V_,355:$V$,356:$V01,357:$V11,358:$V21,359:$V31,360:$V41}),o($VC4,[2,464])],
+defaultActions: {2:[2,604],113:[2,605],495:[2,851],918:[2,535],1101:[2,507],1102:[2,508],1218:[2,850],1220:[2,894],1394:[2,468],1430:[2,849]},
 parseError: function parseError (str, hash) {
     if (hash.recoverable) {
         this.trace(str);
@@ -2390,267 +2515,267 @@ case 8:/* skip */
 break;
 case 9:/* skip */
 break;
-case 10:return 307;
+case 10:return 309;
 break;
-case 11:return 157; 
+case 11:return 159; 
 break;
-case 12:return 56;
+case 12:return 58;
 break;
-case 13:return 252; 
+case 13:return 254; 
 break;
-case 14:return 234;
+case 14:return 236;
 break;
-case 15:return 263;
+case 15:return 265;
 break;
-case 16:return 52;
+case 16:return 54;
 break;
-case 17:return 132;
+case 17:return 134;
 break;
-case 18:return 44;
+case 18:return 45;
 break;
-case 19:return 39;
+case 19:return 40;
 break;
-case 20:return 253;
+case 20:return 255;
 break;
-case 21:return 55;
+case 21:return 57;
 break;
-case 22:return 235;
+case 22:return 237;
 break;
-case 23:return 91;
+case 23:return 93;
 break;
-case 24:return 240;
+case 24:return 242;
 break;
-case 25:return 54;
+case 25:return 56;
 break;
-case 26:return 228;
+case 26:return 230;
 break;
-case 27:return 215; 
+case 27:return 217; 
 break;
-case 28:return 310;
+case 28:return 312;
 break;
-case 29:return 296;
+case 29:return 298;
 break;
 case 30:return 11;
 break;
-case 31:return 264;
+case 31:return 266;
 break;
-case 32:return 204;
+case 32:return 206;
 break;
-case 33:return 53;
+case 33:return 55;
 break;
-case 34:return 241;
+case 34:return 243;
 break;
 case 35:return 'FOREACH';
 break;
-case 36:return 254;
+case 36:return 256;
 break;
-case 37:return 226;
+case 37:return 228;
 break;
-case 38:return 311;  
+case 38:return 313;  
 break;
-case 39:return 59;
+case 39:return 61;
 break;
 case 40:return 'INTERFACE';
 break;
-case 41:return 298; 
+case 41:return 300; 
 break;
-case 42:return 50;
+case 42:return 52;
 break;
-case 43:return 297;
+case 43:return 299;
 break;
-case 44:return 119;
+case 44:return 121;
 break;
-case 45:return 18; 
+case 45:return 340;
 break;
-case 46:return 357; 
+case 46:return 18; 
 break;
-case 47:return 309;
+case 47:return 360; 
 break;
-case 48:return 348;
+case 48:return 311;
 break;
-case 49:return 306;
+case 49:return 351;
 break;
-case 50:return 305;
+case 50:return 308;
 break;
-case 51:return 303;
+case 51:return 307;
 break;
-case 52:return 308; 
+case 52:return 305;
 break;
-case 53:return 255;
+case 53:return 310; 
 break;
-case 54:return 46; 
+case 54:return 257;
 break;
-case 55:return 47;
+case 55:return 48; 
 break;
-case 56:return 131;
+case 56:return 49;
 break;
-case 57:return 127;
+case 57:return 133;
 break;
-case 58:return 40; 
+case 58:return 129;
 break;
-case 59:return 38;
+case 59:return 41; 
 break;
-case 60:return 229;
+case 60:return 38;
 break;
-case 61:return 106;
+case 61:return 231;
 break;
-case 62:return 256;
+case 62:return 108;
 break;
-case 63:return 10;
+case 63:return 258;
 break;
-case 64:return 257;
+case 64:return 10;
 break;
-case 65:return 130;
+case 65:return 259;
 break;
-case 66:return 49;
+case 66:return 132;
 break;
 case 67:return 51;
 break;
-case 68:return 133;
+case 68:return 53;
 break;
-case 69:return 205;
+case 69:return 135;
 break;
-case 70:return 48;
+case 70:return 207;
 break;
-case 71:return 265;
+case 71:return 50;
 break;
-case 72:return 42;
+case 72:return 267;
 break;
-case 73:return 57;
+case 73:return 43;
 break;
-case 74:return 41;
+case 74:return 59;
 break;
-case 75:return 239;
+case 75:return 42;
 break;
-case 76:return 351;
+case 76:return 241;
 break;
-case 77:return 353;
+case 77:return 354;
 break;
-case 78:return 354;
+case 78:return 356;
 break;
-case 79:return 349;
+case 79:return 357;
 break;
-case 80:return 350;
+case 80:return 352;
 break;
-case 81:return 352; 
+case 81:return 353;
 break;
-case 82:return 345;
+case 82:return 355; 
 break;
-case 83:return 346;
+case 83:return 348;
 break;
-case 84:return 304;
+case 84:return 349;
 break;
-case 85:return 251;
+case 85:return 306;
 break;
-case 86:return 'AWAIT';
+case 86:return 253;
 break;
-case 87:return 'WHERE';
+case 87:return 'AWAIT';
 break;
-case 88:return 143;
+case 88:return 'WHERE';
 break;
-case 89:return 43;
+case 89:return 145;
 break;
-case 90:return 35;
+case 90:return 44;
 break;
-case 91:return 58;
+case 91:return 35;
 break;
-case 92:return 'REGISTER';
+case 92:return 60;
 break;
-case 93:return 37;
+case 93:return 'REGISTER';
 break;
-case 94:return 60;
+case 94:return 37;
 break;
-case 95:return 36;
+case 95:return 62;
 break;
-case 96:return 312;
+case 96:return 36;
 break;
-case 97:return 'ASM';
+case 97:return 314;
 break;
-case 98:return 120;
+case 98:return 'ASM';
 break;
-case 99:return 'Unicode_escape_sequence';
+case 99:return 122;
 break;
-case 100:return 15;
+case 100:return 'Unicode_escape_sequence';
 break;
-case 101:return 16; 
+case 101:return 15;
 break;
-case 102:return 13;
+case 102:return 16; 
 break;
-case 103:return 17;
+case 103:return 13;
 break;
-case 104:return 125;
+case 104:return 17;
 break;
-case 105:return 126;
+case 105:return 47;
 break;
-case 106:return 64;
+case 106:return 127;
 break;
-case 107:return 66;
+case 107:return 128;
 break;
-case 108:return 107;
+case 108:return 66;
 break;
-case 109:return 109;
+case 109:return 68;
 break;
-case 110:return 67;
+case 110:return 109;
 break;
-case 111:return 7;
+case 111:return 111;
 break;
-case 112:return 192;
+case 112:return 69;
 break;
-case 113:return 137;
+case 113:return 7;
 break;
-case 114:return 139;
+case 114:return 194;
 break;
-case 115:return 23;
+case 115:return 139;
 break;
-case 116:return 146;
+case 116:return 141;
 break;
-case 117:return 147;
+case 117:return 23;
 break;
-case 118:return 31;
+case 118:return 148;
 break;
-case 119:return 164;
+case 119:return 149;
 break;
-case 120:return 34;
+case 120:return 31;
 break;
-case 121:return 140;
+case 121:return 166;
 break;
-case 122:return 141;
+case 122:return 34;
 break;
-case 123:return 104;
+case 123:return 142;
 break;
-case 124:return 153;
+case 124:return 143;
 break;
-case 125:return 154;
+case 125:return 106;
 break;
-case 126:return 169;
+case 126:return 155;
 break;
-case 127:return 22;
+case 127:return 156;
 break;
-case 128:return 138;
+case 128:return 171;
 break;
-case 129:return 115;
+case 129:return 22;
 break;
-case 130:return 116;
+case 130:return 140;
 break;
-case 131:return 33;
+case 131:return 117;
 break;
-case 132:return 167;
+case 132:return 118;
 break;
-case 133:return 99;
+case 133:return 33;
 break;
-case 134:return 89;
+case 134:return 169;
 break;
-case 135:return 159;
+case 135:return 101;
 break;
-case 136:return 160;
+case 136:return 91;
 break;
-case 137:return 155;
+case 137:return 161;
 break;
-case 138:return 156;
+case 138:return 162;
 break;
-case 139:return 174;
+case 139:return 157;
 break;
-case 140:return 175;
+case 140:return 158;
 break;
 case 141:return 176;
 break;
@@ -2664,19 +2789,23 @@ case 145:return 180;
 break;
 case 146:return 181;
 break;
-case 147:return 150;
+case 147:return 182;
+break;
+case 148:return 183;
+break;
+case 149:return 152;
 break;
-case 148:return 182;
+case 150:return 184;
 break;
-case 149:return 151;
+case 151:return 153;
 break;
-case 150:return 183;
+case 152:return 185;
 break;
-case 151:return 25
+case 153:return 25
 break;
-case 152:return 356
+case 154:return 359
 break;
-case 153:
+case 155:
                                     var r = yy_.yytext;
                                     //console.log('#1: '+r);
                                     while(r[r.length-1]=='\\'){
@@ -2699,7 +2828,7 @@ case 153:
                                         
                                 
 break;
-case 154:
+case 156:
                                         //console.log(this.showPosition());
                                     var r = yy_.yytext;
                                     var forTest3 = "";
@@ -2719,7 +2848,7 @@ case 154:
                                                 //this.parseError("Invalid bitshift/template expression. Try grouping with parantheses",{text:yy_.yytext,token:'',line:yy_.yylineno})
                                                 test1 = false;
                                                 this.unput(r.substring(2,r.length));
-                                                return 150;
+                                                return 152;
                                                 break;
                                             } else {
                                                 test1 = true;
@@ -2751,7 +2880,7 @@ case 154:
                                                 /* test case /openjdk/hotspot/test/compiler/6711117/Test.java:76 */
                                                 test2 = false;
                                                 this.unput(r.substring(1,r.length));
-                                                return 153;
+                                                return 155;
                                             } else {
                                                 forTest3 = r.substring(0,splitPos+1);
                                                 //console.log("inside test2: "+yy_.yytext);
@@ -2764,7 +2893,7 @@ case 154:
                                     else {
                                         test2 = false;
                                         this.unput(r.substring(1,r.length));
-                                        return 153;
+                                        return 155;
                                     }
                                     /* Start Test 3 */
                                     //console.log("test3 start"+forTest3);
@@ -2776,7 +2905,7 @@ case 154:
                                         test3 = false;
                                         //console.log("inside test3: "+forTest3);
                                         this.unput(forTest3.substring(1,forTest3.length));
-                                        return 153;
+                                        return 155;
                                     }
                                     if(test1 && test2 && test3) {
                                         yy_.yytext = forTest3;
@@ -2784,16 +2913,16 @@ case 154:
                                     }
                                 
 break;
-case 155:return 26;
+case 157:return 26;
 break;
-case 156:return 289;
+case 158:return 291;
 break;
-case 157:console.log(yy_.yytext);
+case 159:console.log(yy_.yytext);
 break;
 }
 },
-rules: [/^(?:(((\/\*))))/,/^(?:[^\*]+)/,/^(?:[\"])/,/^(?:[=])/,/^(?:[\*][=\"']*)/,/^(?:(((([\u0020]|[\u00A0]|[\u1680]|[\u180E]|[\u2000]|[\u2001]|[\u2002]|[\u2003]|[\u2004]|[\u2005]|[\u2006]|[\u2008]|[\u2009]|[\u200A]|[\u202F]|[\u3000]|[\u205F])|[\u0009]|[\u000B]|[\u000C]|[\s])+)))/,/^(?:([\u000D]|[\u000A]|[\u0085]|[\u2028]|[\u2029]|\\n))/,/^(?:([/]{2}(([^\u000D\u000A\u0085\u2028\u2029\n])+)?))/,/^(?:(\/\/\/(([^\u000D\u000A\u0085\u2028\u2029\n])+)?))/,/^(?:([\u000D]|[\u000A]|([\u000D][\u000A])|[\u0085]|[\u2029]))/,/^(?:abstract)/,/^(?:as)/,/^(?:bool)/,/^(?:break)/,/^(?:case)/,/^(?:catch)/,/^(?:char)/,/^(?:checked)/,/^(?:class)/,/^(?:const)/,/^(?:continue)/,/^(?:decimal)/,/^(?:default)/,/^(?:delegate)/,/^(?:do)/,/^(?:double)/,/^(?:else)/,/^(?:enum)/,/^(?:explicit)/,/^(?:extern)/,/^(?:(false))/,/^(?:finally)/,/^(?:fixed)/,/^(?:float)/,/^(?:for)/,/^(?:foreach)/,/^(?:goto)/,/^(?:if)/,/^(?:implicit)/,/^(?:int)/,/^(?:interface)/,/^(?:internal)/,/^(?:long)/,/^(?:namespace)/,/^(?:new)/,/^(?:null)/,/^(?:operator)/,/^(?:override)/,/^(?:params)/,/^(?:private)/,/^(?:protected)/,/^(?:public)/,/^(?:readonly)/,/^(?:return)/,/^(?:sbyte)/,/^(?:short)/,/^(?:sizeof)/,/^(?:stackalloc)/,/^(?:static)/,/^(?:struct)/,/^(?:switch)/,/^(?:this)/,/^(?:throw)/,/^(?:(true))/,/^(?:try)/,/^(?:typeof)/,/^(?:uint)/,/^(?:ulong)/,/^(?:unchecked)/,/^(?:unsafe)/,/^(?:ushort)/,/^(?:using)/,/^(?:virtual)/,/^(?:void)/,/^(?:volatile)/,/^(?:while)/,/^(?:assembly)/,/^(?:module)/,/^(?:field)/,/^(?:method)/,/^(?:param)/,/^(?:property)/,/^(?:add)/,/^(?:remove)/,/^(?:partial)/,/^(?:yield)/,/^(?:await)/,/^(?:where)/,/^(?:delete)/,/^(?:friend)/,/^(?:typedef)/,/^(?:auto)/,/^(?:register)/,/^(?:inline)/,/^(?:signed)/,/^(?:unsigned)/,/^(?:union)/,/^(?:asm)/,/^(?:ref)/,/^(?:(\\u([0-9a-fA-F]){4}|\\U([0-9a-fA-F]){8}))/,/^(?:((([0-9])+)(\.)(([0-9])+)?(e(\+|-)?(([0-9])+)|E(\+|-)?(([0-9])+))?(F|f|L|l)?|(\.)(([0-9])+)(e(\+|-)?(([0-9])+)|E(\+|-)?(([0-9])+))?(F|f|L|l)?|(([0-9])+)(e(\+|-)?(([0-9])+)|E(\+|-)?(([0-9])+))(F|f|L|l)?|(([0-9])+)(F|f|L|l)))/,/^(?:(((0x(([0-9a-fA-F])+)(ULL|UL|Ul|uL|ul|LU|Lu|LL|lU|lu|ll|U|u|L|l|i64)?)|(0X(([0-9a-fA-F])+)(ULL|UL|Ul|uL|ul|LU|Lu|LL|lU|lu|ll|U|u|L|l|i64)?))|((([0-9])+)(ULL|UL|Ul|uL|ul|LU|Lu|LL|lU|lu|ll|U|u|L|l|i64)?)))/,/^(?:([L]?((")((([^"\\])|(\\'|\\"|(\\\\)|\\0|\\a|\\b|\\f|\\n|\\r|\\t|\\v)|(\\x([0-9a-fA-F]){4}|\\x([0-9a-fA-F]){3}|\\x([0-9a-fA-F]){2}|\\x([0-9a-fA-F]))|(\\u([0-9a-fA-F]){4}|\\U([0-9a-fA-F]){8})|\\"|\\)+)?("))|(@(")((([^"])|("")|\\"|\\)+)?("))))/,/^(?:([L]?(')(([^'])|(\\'|\\"|(\\\\)|\\0|\\a|\\b|\\f|\\n|\\r|\\t|\\v)|(\\x([0-9a-fA-F]){4}|\\x([0-9a-fA-F]){3}|\\x([0-9a-fA-F]){2}|\\x([0-9a-fA-F]))|(\\u([0-9a-fA-F]){4}|\\U([0-9a-fA-F]){8}))(')))/,/^(?:\{)/,/^(?:\})/,/^(?:\[)/,/^(?:\])/,/^(?:\()/,/^(?:\))/,/^(?:,)/,/^(?::)/,/^(?:;)/,/^(?:\+)/,/^(?:-)/,/^(?:(\*))/,/^(?:\/)/,/^(?:%)/,/^(?:&)/,/^(?:\|)/,/^(?:\^)/,/^(?:!)/,/^(?:~)/,/^(?:=)/,/^(?:<)/,/^(?:>)/,/^(?:\?)/,/^(?:::)/,/^(?:\?\?)/,/^(?:\+\+)/,/^(?:--)/,/^(?:&&)/,/^(?:(\|\|))/,/^(?:->)/,/^(?:=>)/,/^(?:==)/,/^(?:!=)/,/^(?:<=)/,/^(?:>=)/,/^(?:\+=)/,/^(?:-=)/,/^(?:\*=)/,/^(?:\/=)/,/^(?:%=)/,/^(?:&=)/,/^(?:\|=)/,/^(?:\^=)/,/^(?:<<)/,/^(?:<<=)/,/^(?:>>)/,/^(?:>>=)/,/^(?:(\.))/,/^(?:\.\.\.)/,/^(?:([#](([^\u000D\u000A\u0085\u2028\u2029\n])+)?))/,/^(?:([<][^=;\|\+\-\"\'\{\\}]*[>]+))/,/^(?:((((((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|_)(((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|(([\u0030]|[\u0031]|[\u0032]|[\u0033]|[\u0034]|[\u0035]|[\u0036]|[\u0037]|[\u0038]|[\u0039]))|(([\u005F]|[\u203F]|[\u2040]|[\u2054]|[\uFE33]|[\uFE34]|[\uFE4D]|[\uFE4E]|[\uFE4F]|[\uFF3F]))|(([\u0300]|[\u0301]|[\u0302]|[\u0303]|[\u0304]|[\u0305]|[\u0306]|[\u0307]|[\u0308]|[\u0309]|[\u030A]|[\u030B]|[\u030C]|[\u030D]|[\u030E]|[\u030F]|[\u0310])|([\u0903]|[\u093E]|[\u093F]|[\u0940]|[\u0949]|[\u094A]|[\u094B]|[\u094C]))|(([\u00AD]|[\u0600]|[\u0601]|[\u0602]|[\u0603]|[\u06DD])))+)?))|@(((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|_)(((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|(([\u0030]|[\u0031]|[\u0032]|[\u0033]|[\u0034]|[\u0035]|[\u0036]|[\u0037]|[\u0038]|[\u0039]))|(([\u005F]|[\u203F]|[\u2040]|[\u2054]|[\uFE33]|[\uFE34]|[\uFE4D]|[\uFE4E]|[\uFE4F]|[\uFF3F]))|(([\u0300]|[\u0301]|[\u0302]|[\u0303]|[\u0304]|[\u0305]|[\u0306]|[\u0307]|[\u0308]|[\u0309]|[\u030A]|[\u030B]|[\u030C]|[\u030D]|[\u030E]|[\u030F]|[\u0310])|([\u0903]|[\u093E]|[\u093F]|[\u0940]|[\u0949]|[\u094A]|[\u094B]|[\u094C]))|(([\u00AD]|[\u0600]|[\u0601]|[\u0602]|[\u0603]|[\u06DD])))+)?))))/,/^(?:$)/,/^(?:.)/],
-conditions: {"comment":{"rules":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157],"inclusive":true},"INITIAL":{"rules":[0,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157],"inclusive":true}}
+rules: [/^(?:(((\/\*))))/,/^(?:[^\*]+)/,/^(?:[\"])/,/^(?:[=])/,/^(?:[\*][=\"']*)/,/^(?:(((([\u0020]|[\u00A0]|[\u1680]|[\u180E]|[\u2000]|[\u2001]|[\u2002]|[\u2003]|[\u2004]|[\u2005]|[\u2006]|[\u2008]|[\u2009]|[\u200A]|[\u202F]|[\u3000]|[\u205F])|[\u0009]|[\u000B]|[\u000C]|[\s])+)))/,/^(?:([\u000D]|[\u000A]|[\u0085]|[\u2028]|[\u2029]|\\n))/,/^(?:([/]{2}(([^\u000D\u000A\u0085\u2028\u2029\n])+)?))/,/^(?:(\/\/\/(([^\u000D\u000A\u0085\u2028\u2029\n])+)?))/,/^(?:([\u000D]|[\u000A]|([\u000D][\u000A])|[\u0085]|[\u2029]))/,/^(?:abstract)/,/^(?:as)/,/^(?:bool)/,/^(?:break)/,/^(?:case)/,/^(?:catch)/,/^(?:char)/,/^(?:checked)/,/^(?:class)/,/^(?:const)/,/^(?:continue)/,/^(?:decimal)/,/^(?:default)/,/^(?:delegate)/,/^(?:do)/,/^(?:double)/,/^(?:else)/,/^(?:enum)/,/^(?:explicit)/,/^(?:extern)/,/^(?:(false))/,/^(?:finally)/,/^(?:fixed)/,/^(?:float)/,/^(?:for)/,/^(?:foreach)/,/^(?:goto)/,/^(?:if)/,/^(?:implicit)/,/^(?:int)/,/^(?:interface)/,/^(?:internal)/,/^(?:long)/,/^(?:namespace)/,/^(?:new)/,/^(?:noexcept)/,/^(?:null)/,/^(?:operator)/,/^(?:override)/,/^(?:params)/,/^(?:private)/,/^(?:protected)/,/^(?:public)/,/^(?:readonly)/,/^(?:return)/,/^(?:sbyte)/,/^(?:short)/,/^(?:sizeof)/,/^(?:stackalloc)/,/^(?:static)/,/^(?:struct)/,/^(?:switch)/,/^(?:this)/,/^(?:throw)/,/^(?:(true))/,/^(?:try)/,/^(?:typeof)/,/^(?:uint)/,/^(?:ulong)/,/^(?:unchecked)/,/^(?:unsafe)/,/^(?:ushort)/,/^(?:using)/,/^(?:virtual)/,/^(?:void)/,/^(?:volatile)/,/^(?:while)/,/^(?:assembly)/,/^(?:module)/,/^(?:field)/,/^(?:method)/,/^(?:param)/,/^(?:property)/,/^(?:add)/,/^(?:remove)/,/^(?:partial)/,/^(?:yield)/,/^(?:await)/,/^(?:where)/,/^(?:delete)/,/^(?:friend)/,/^(?:typedef)/,/^(?:auto)/,/^(?:register)/,/^(?:inline)/,/^(?:signed)/,/^(?:unsigned)/,/^(?:union)/,/^(?:asm)/,/^(?:ref)/,/^(?:(\\u([0-9a-fA-F]){4}|\\U([0-9a-fA-F]){8}))/,/^(?:((([0-9])+)(\.)(([0-9])+)?(e(\+|-)?(([0-9])+)|E(\+|-)?(([0-9])+))?(F|f|L|l)?|(\.)(([0-9])+)(e(\+|-)?(([0-9])+)|E(\+|-)?(([0-9])+))?(F|f|L|l)?|(([0-9])+)(e(\+|-)?(([0-9])+)|E(\+|-)?(([0-9])+))(F|f|L|l)?|(([0-9])+)(F|f|L|l)))/,/^(?:(((0x(([0-9a-fA-F])+)(ULL|UL|Ul|uL|ul|LU|Lu|LL|lU|lu|ll|U|u|L|l|i64)?)|(0X(([0-9a-fA-F])+)(ULL|UL|Ul|uL|ul|LU|Lu|LL|lU|lu|ll|U|u|L|l|i64)?))|((([0-9])+)(ULL|UL|Ul|uL|ul|LU|Lu|LL|lU|lu|ll|U|u|L|l|i64)?)))/,/^(?:([L]?((")((([^"\\])|(\\'|\\"|(\\\\)|\\0|\\a|\\b|\\f|\\n|\\r|\\t|\\v)|(\\x([0-9a-fA-F]){4}|\\x([0-9a-fA-F]){3}|\\x([0-9a-fA-F]){2}|\\x([0-9a-fA-F]))|(\\u([0-9a-fA-F]){4}|\\U([0-9a-fA-F]){8})|\\"|\\)+)?("))|(@(")((([^"])|("")|\\"|\\)+)?("))))/,/^(?:([L]?(')(([^'])|(\\'|\\"|(\\\\)|\\0|\\a|\\b|\\f|\\n|\\r|\\t|\\v)|(\\x([0-9a-fA-F]){4}|\\x([0-9a-fA-F]){3}|\\x([0-9a-fA-F]){2}|\\x([0-9a-fA-F]))|(\\u([0-9a-fA-F]){4}|\\U([0-9a-fA-F]){8}))(')))/,/^(?:\[\[\s*[A-Za-z_][^\]]*\]\])/,/^(?:\{)/,/^(?:\})/,/^(?:\[)/,/^(?:\])/,/^(?:\()/,/^(?:\))/,/^(?:,)/,/^(?::)/,/^(?:;)/,/^(?:\+)/,/^(?:-)/,/^(?:(\*))/,/^(?:\/)/,/^(?:%)/,/^(?:&)/,/^(?:\|)/,/^(?:\^)/,/^(?:!)/,/^(?:~)/,/^(?:=)/,/^(?:<)/,/^(?:>)/,/^(?:\?)/,/^(?:::)/,/^(?:\?\?)/,/^(?:\+\+)/,/^(?:--)/,/^(?:&&)/,/^(?:(\|\|))/,/^(?:->)/,/^(?:=>)/,/^(?:==)/,/^(?:!=)/,/^(?:<=)/,/^(?:>=)/,/^(?:\+=)/,/^(?:-=)/,/^(?:\*=)/,/^(?:\/=)/,/^(?:%=)/,/^(?:&=)/,/^(?:\|=)/,/^(?:\^=)/,/^(?:<<)/,/^(?:<<=)/,/^(?:>>)/,/^(?:>>=)/,/^(?:(\.))/,/^(?:\.\.\.)/,/^(?:([#](([^\u000D\u000A\u0085\u2028\u2029\n])+)?))/,/^(?:([<][^=;\|\+\-\"\'\{\\}]*[>]+))/,/^(?:((((((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|_)(((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|(([\u0030]|[\u0031]|[\u0032]|[\u0033]|[\u0034]|[\u0035]|[\u0036]|[\u0037]|[\u0038]|[\u0039]))|(([\u005F]|[\u203F]|[\u2040]|[\u2054]|[\uFE33]|[\uFE34]|[\uFE4D]|[\uFE4E]|[\uFE4F]|[\uFF3F]))|(([\u0300]|[\u0301]|[\u0302]|[\u0303]|[\u0304]|[\u0305]|[\u0306]|[\u0307]|[\u0308]|[\u0309]|[\u030A]|[\u030B]|[\u030C]|[\u030D]|[\u030E]|[\u030F]|[\u0310])|([\u0903]|[\u093E]|[\u093F]|[\u0940]|[\u0949]|[\u094A]|[\u094B]|[\u094C]))|(([\u00AD]|[\u0600]|[\u0601]|[\u0602]|[\u0603]|[\u06DD])))+)?))|@(((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|_)(((([\u0041-\u005A]|[\u00C0-\u00DE])|([\u0061-\u007A])|([\u01C5]|[\u01C8]|[\u01CB]|[\u01F2])|([\u02B0-\u02EE])|([\u01BB]|[\u01C0]|[\u01C1]|[\u01C2]|[\u01C3]|[\u0294])|([\u16EE]|[\u16EF]|[\u16F0]|[\u2160]|[\u2161]|[\u2162]|[\u2163]|[\u2164]|[\u2165]|[\u2166]|[\u2167]|[\u2168]|[\u2169]|[\u216A]|[\u216B]|[\u216C]|[\u216D]|[\u216E]|[\u216F]))|(([\u0030]|[\u0031]|[\u0032]|[\u0033]|[\u0034]|[\u0035]|[\u0036]|[\u0037]|[\u0038]|[\u0039]))|(([\u005F]|[\u203F]|[\u2040]|[\u2054]|[\uFE33]|[\uFE34]|[\uFE4D]|[\uFE4E]|[\uFE4F]|[\uFF3F]))|(([\u0300]|[\u0301]|[\u0302]|[\u0303]|[\u0304]|[\u0305]|[\u0306]|[\u0307]|[\u0308]|[\u0309]|[\u030A]|[\u030B]|[\u030C]|[\u030D]|[\u030E]|[\u030F]|[\u0310])|([\u0903]|[\u093E]|[\u093F]|[\u0940]|[\u0949]|[\u094A]|[\u094B]|[\u094C]))|(([\u00AD]|[\u0600]|[\u0601]|[\u0602]|[\u0603]|[\u06DD])))+)?))))/,/^(?:$)/,/^(?:.)/],
+conditions: {"comment":{"rules":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157,158,159],"inclusive":true},"INITIAL":{"rules":[0,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,127,128,129,130,131,132,133,134,135,136,137,138,139,140,141,142,143,144,145,146,147,148,149,150,151,152,153,154,155,156,157,158,159],"inclusive":true}}
 });
 return lexer;
 })();
@@ -29,8 +29,51 @@ function getGenOptions() {
     useTab: app.preferences.get("cpp.gen.useTab"),
     indentSpaces: app.preferences.get("cpp.gen.indentSpaces"),
     useVector: app.preferences.get("cpp.gen.useVector"),
+    orderedUniqueContainer: app.preferences.get(
+      "cpp.gen.orderedUniqueContainer",
+    ),
+    orderedContainer: app.preferences.get("cpp.gen.orderedContainer"),
+    uniqueContainer: app.preferences.get("cpp.gen.uniqueContainer"),
+    bagContainer: app.preferences.get("cpp.gen.bagContainer"),
+    qualifiedMap: app.preferences.get("cpp.gen.qualifiedMap"),
     includeHeader: app.preferences.get("cpp.gen.includeHeader"),
+    typeHeaders: app.preferences.get("cpp.gen.typeHeaders"),
     genCpp: app.preferences.get("cpp.gen.genCpp"),
+    constRefParameters: app.preferences.get("cpp.gen.constRefParameters"),
+    outParameterAs: app.preferences.get("cpp.gen.outParameterAs"),
+    multipleReturns: app.preferences.get("cpp.gen.multipleReturns"),
+    accessors: app.preferences.get("cpp.gen.accessors"),
+    accessorNaming: app.preferences.get("cpp.gen.accessorNaming"),
+    accessorConstRef: app.preferences.get("cpp.gen.accessorConstRef"),
+    accessorInline: app.preferences.get("cpp.gen.accessorInline"),
+    templateDefinitions: app.preferences.get("cpp.gen.templateDefinitions"),
+    staticMembers: app.preferences.get("cpp.gen.staticMembers"),
+    memberInitializers: app.preferences.get("cpp.gen.memberInitializers"),
+    methodStubs: app.preferences.get("cpp.gen.methodStubs"),
+    returnValues: app.preferences.get("cpp.gen.returnValues"),
+    headerTemplate: app.preferences.get("cpp.gen.headerTemplate"),
+    sourceTemplate: app.preferences.get("cpp.gen.sourceTemplate"),
+    license: app.preferences.get("cpp.gen.license"),
+    templateFolder: app.preferences.get("cpp.gen.templateFolder"),
+    cmake: app.preferences.get("cpp.gen.cmake"),
+    cppStandard: app.preferences.get("cpp.gen.cppStandard"),
+    testSkeletons: app.preferences.get("cpp.gen.testSkeletons"),
+    testFramework: app.preferences.get("cpp.gen.testFramework"),
+    gmock: app.preferences.get("cpp.gen.gmock"),
+    stateMachine: app.preferences.get("cpp.gen.stateMachine"),
+    packageMode: app.preferences.get("cpp.gen.packageMode"),
+    nestedNamespace: app.preferences.get("cpp.gen.nestedNamespace"),
+    headerExtension: app.preferences.get("cpp.gen.headerExtension"),
+    sourceExtension: app.preferences.get("cpp.gen.sourceExtension"),
+    fileNameCase: app.preferences.get("cpp.gen.fileNameCase"),
+    includeGuard: app.preferences.get("cpp.gen.includeGuard"),
+    includeGuardPrefix: app.preferences.get("cpp.gen.includeGuardPrefix"),
+    compositeAs: app.preferences.get("cpp.gen.compositeAs"),
+    sharedAs: app.preferences.get("cpp.gen.sharedAs"),
+    associationAs: app.preferences.get("cpp.gen.associationAs"),
+    optionalAs: app.preferences.get("cpp.gen.optionalAs"),
+    forwardDeclaration: app.preferences.get("cpp.gen.forwardDeclaration"),
+    mergeUserCode: app.preferences.get("cpp.gen.mergeUserCode"),
   };
 }
 
@@ -41,27 +84,46 @@ function getRevOptions() {
     typeHierarchy: app.preferences.get("cpp.rev.typeHierarchy"),
     packageOverview: app.preferences.get("cpp.rev.packageOverview"),
     packageStructure: app.preferences.get("cpp.rev.packageStructure"),
-    uniquePtrAsComposition: app.preferences.get("cpp.rev.uniquePtrAsComposition"),
-    pointerAsAggregation: app.preferences.get("cpp.rev.pointerAsAggregation"),
-    referenceAsAssociation: app.preferences.get("cpp.rev.referenceAsAssociation"),
+    // inverse of the member types of generation
+    compositeAs: app.preferences.get("cpp.gen.compositeAs"),
+    sharedAs: app.preferences.get("cpp.gen.sharedAs"),
+    associationAs: app.preferences.get("cpp.gen.associationAs"),
     packageOverviewSimple: app.preferences.get("cpp.rev.packageOverviewSimple"),
     packageOverviewDetailed: app.preferences.get("cpp.rev.packageOverviewDetailed"),
   };
 }
 
 /**
- * Command Handler for C++ Generate
+ * Generate codes, or return generated files and diff if options.dryRun is set
  *
  * @param {Element} base
  * @param {string} path
  * @param {Object} options
+ * @return {{files: Object.<string, string>, diff: string}} only for dry run
+ */
+function _generate(base, path, options) {
+  if (options.dryRun) {
+    var files = codeGenerator.dryRun(base, path, options);
+    var diff = codeGenerator.getDiff(files, path);
+    return { files: files, diff: diff };
+  }
+  codeGenerator.generate(base, path, options);
+}
+
+/**
+ * Command Handler for C++ Generate
+ *
+ * @param {Element} base
+ * @param {string} path
+ * @param {Object} options `{dryRun: true}` to get files and diff without writing
+ * @return {Promise} resolved with the result of dry run
  */
 async function _handleGenerate(base, path, options) {
-  // If options is not passed, get from preference
-  options = options || getGenOptions();
+  // Options not passed are taken from preference
+  options = Object.assign(getGenOptions(), options);
   // If base is not assigned, popup ElementPicker
   if (!base) {
-    app.elementPickerDialog
+    return app.elementPickerDialog
       .showDialog(
         "Select a base model to generate codes",
         null,
@@ -80,10 +142,10 @@ async function _handleGenerate(base, path, options) {
             );
             if (files && files.length > 0) {
               path = files[0];
-              codeGenerator.generate(base, path, options);
+              return _generate(base, path, options);
             }
           } else {
-            codeGenerator.generate(base, path, options);
+            return _generate(base, path, options);
           }
         }
       });
@@ -98,10 +160,10 @@ async function _handleGenerate(base, path, options) {
       );
       if (files && files.length > 0) {
         path = files[0];
-        codeGenerator.generate(base, path, options);
+        return _generate(base, path, options);
       }
     } else {
-      codeGenerator.generate(base, path, options);
+      return _generate(base, path, options);
     }
   }
 }
@@ -0,0 +1,123 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createCircle() {
+  var model = staruml.createModel();
+  var circle = staruml.addClass(model, "Circle");
+  var point = staruml.addClass(model, "Point");
+  staruml.addAttribute(circle, "m_radius", "double");
+  staruml.addAttribute(circle, "id", "int", { isReadOnly: true });
+  staruml.addAttribute(circle, "count", "int", { isStatic: true });
+  staruml.addAttribute(circle, "center", point);
+  var cache = staruml.addAttribute(circle, "cache", "int");
+  staruml.tag(cache, "accessors", false);
+  staruml.addAssociation(circle, point, {}, { name: "origin" });
+  return model;
+}
+
+/**
+ * Return non-empty lines of text which are no comments
+ * @param {string} text
+ * @return {Array.<string>}
+ */
+function getCode(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !/^\/?\*/.test(line));
+}
+
+test("getters and setters are declared for members", async () => {
+  var { files } = await staruml.generate(createCircle(), { accessors: true });
+  var header = getCode(files["Model/Circle.h"]);
+  var accessors = header.slice(header.indexOf("Point* origin;") + 1, -2);
+  assert.deepStrictEqual(accessors, [
+    "double getRadius() const;",
+    "void setRadius(double value);",
+    "int getId() const;",
+    "static int getCount();",
+    "static void setCount(int value);",
+    "const Point& getCenter() const;",
+    "void setCenter(const Point& value);",
+    "Point* getOrigin() const;",
+    "void setOrigin(Point* value);",
+  ]);
+  var source = files["Model/Circle.cpp"];
+  assert.match(
+    source,
+    /^double Circle::getRadius\(\) const \{\n\s*return this->m_radius;\n\}$/m,
+  );
+  assert.match(
+    source,
+    /^void Circle::setRadius\(double value\) \{\n\s*this->m_radius = value;\n\}$/m,
+  );
+  assert.match(source, /^int Circle::getCount\(\) \{\n\s*return count;\n\}$/m);
+  assert.doesNotMatch(source, /Cache|setId/);
+});
+
+test("accessors are not generated unless enabled", async () => {
+  var { files } = await staruml.generate(createCircle(), { accessors: false });
+  assert.doesNotMatch(files["Model/Circle.h"], /getRadius|setRadius/);
+});
+
+test("accessor naming, inline accessors and returning by value", async () => {
+  var { files } = await staruml.generate(createCircle(), {
+    accessors: true,
+    accessorNaming: "snake",
+    accessorConstRef: false,
+    accessorInline: true,
+  });
+  var header = getCode(files["Model/Circle.h"]);
+  assert.ok(
+    header.includes("double get_radius() const { return this->m_radius; }"),
+  );
+  assert.ok(
+    header.includes(
+      "void set_radius(double value) { this->m_radius = value; }",
+    ),
+  );
+  assert.ok(
+    header.includes("Point get_center() const { return this->center; }"),
+  );
+  assert.ok(
+    header.includes("void set_center(Point value) { this->center = value; }"),
+  );
+  assert.doesNotMatch(files["Model/Circle.cpp"], /get_radius/);
+});
+
+test("plain getters need an affix to differ from the member", async () => {
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(createCircle(), {
+    accessors: true,
+    accessorNaming: "plain",
+  });
+  var header = getCode(files["Model/Circle.h"]);
+  assert.ok(header.includes("double radius() const;"));
+  assert.ok(header.includes("void setRadius(double value);"));
+  assert.ok(header.includes("int getId() const;"));
+  assert.ok(
+    staruml.warnings.includes(
+      "[C++] Getter of id would clash with the member, add an affix (e.g. m_id) for plain accessor naming; getId() is generated",
+    ),
+  );
+});
+
+test("modelled accessors and reference members", async () => {
+  var model = staruml.createModel();
+  var circle = staruml.addClass(model, "Circle");
+  staruml.addAttribute(circle, "name", "std::string");
+  staruml.addAttribute(circle, "owner", "Canvas&");
+  staruml.addOperation(circle, "getName", [
+    { type: "std::string", direction: "return" },
+  ]);
+  var { files } = await staruml.generate(model, { accessors: true });
+  var header = getCode(files["Model/Circle.h"]);
+  assert.strictEqual(
+    header.filter((line) => line.includes("getName")).length,
+    1,
+  );
+  assert.ok(header.includes("void setName(const std::string& value);"));
+  assert.ok(header.includes("Canvas& getOwner() const;"));
+  assert.doesNotMatch(files["Model/Circle.h"], /setOwner/);
+});
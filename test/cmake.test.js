@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createModel() {
+  var model = staruml.createModel("My Model");
+  var geo = staruml.add(model, staruml.make(type.UMLPackage, { name: "geo" }));
+  var ui = staruml.add(model, staruml.make(type.UMLPackage, { name: "ui" }));
+  var util = staruml.add(
+    model,
+    staruml.make(type.UMLPackage, { name: "util" }),
+  );
+  var circle = staruml.addClass(geo, "Circle");
+  var view = staruml.addClass(ui, "View");
+  var shape = staruml.add(
+    util,
+    staruml.make(type.UMLInterface, { name: "Shape" }),
+  );
+  staruml.add(
+    circle,
+    staruml.make(type.UMLInterfaceRealization, {
+      source: circle,
+      target: shape,
+    }),
+  );
+  staruml.addAssociation(view, circle, {}, { name: "circle" });
+  return { model, circle, view };
+}
+
+test("CMake files of packages link the libraries they depend on", async () => {
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(createModel().model, {
+    cmake: true,
+    cppStandard: "20",
+  });
+  assert.match(files["CMakeLists.txt"], /^set\(CMAKE_CXX_STANDARD 20\)$/m);
+  assert.match(files["CMakeLists.txt"], /^add_subdirectory\("My Model"\)$/m);
+  assert.strictEqual(
+    files["My Model/CMakeLists.txt"],
+    [
+      'add_subdirectory("geo")',
+      'add_subdirectory("ui")',
+      'add_subdirectory("util")',
+      "",
+    ].join("\n"),
+  );
+  assert.strictEqual(
+    files["My Model/geo/CMakeLists.txt"],
+    [
+      "add_library(My_Model_geo",
+      "    Circle.cpp",
+      "    Circle.h",
+      ")",
+      "target_include_directories(My_Model_geo PUBLIC ${CMAKE_CURRENT_SOURCE_DIR})",
+      "target_compile_features(My_Model_geo PUBLIC cxx_std_20)",
+      "target_link_libraries(My_Model_geo PUBLIC My_Model_util)",
+      "",
+    ].join("\n"),
+  );
+  assert.match(
+    files["My Model/ui/CMakeLists.txt"],
+    /^target_link_libraries\(My_Model_ui PUBLIC My_Model_geo\)$/m,
+  );
+  assert.strictEqual(
+    files["My Model/util/CMakeLists.txt"],
+    [
+      "add_library(My_Model_util INTERFACE)",
+      "target_include_directories(My_Model_util INTERFACE ${CMAKE_CURRENT_SOURCE_DIR})",
+      "target_compile_features(My_Model_util INTERFACE cxx_std_20)",
+      "",
+    ].join("\n"),
+  );
+  assert.deepStrictEqual(staruml.warnings, []);
+});
+
+test("libraries depending on each other are reported", async () => {
+  var { model, circle, view } = createModel();
+  staruml.addAssociation(circle, view, {}, { name: "view" });
+  staruml.warnings.length = 0;
+  await staruml.generate(model, { cmake: true });
+  assert.deepStrictEqual(staruml.warnings, [
+    "[C++] Library dependency cycle between packages: My_Model_geo -> My_Model_ui -> My_Model_geo",
+  ]);
+});
+
+test("one library in the top-level CMake file without folders", async () => {
+  var { files } = await staruml.generate(createModel().model, {
+    cmake: true,
+    packageMode: "namespace",
+  });
+  assert.deepStrictEqual(
+    Object.keys(files).filter((file) => file.endsWith("CMakeLists.txt")),
+    ["CMakeLists.txt"],
+  );
+  assert.match(
+    files["CMakeLists.txt"],
+    /^add_library\(My_Model\n {4}Circle\.cpp\n {4}Circle\.h\n {4}Shape\.h\n {4}View\.cpp\n {4}View\.h\n\)$/m,
+  );
+});
@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const codegen = require("../codegen-utils");
+const staruml = require("./staruml");
+
+var render = codegen.renderTemplate;
+
+test("renderTemplate replaces variables", () => {
+  assert.strictEqual(
+    render("${name}: ${ point.x }, ${unknown}", { name: "p", point: { x: 1 } }),
+    "p: 1, ${unknown}",
+  );
+  assert.strictEqual(render("[${value}]", { value: null }), "[]");
+});
+
+test("renderTemplate renders sections for arrays and values", () => {
+  var view = { items: ["a", "b"], flag: true, none: [], name: "x" };
+  assert.strictEqual(render("${#items}<${.}>${/items}", view), "<a><b>");
+  assert.strictEqual(render("${#flag}${name}${/flag}", view), "x");
+  assert.strictEqual(
+    render("${#none}-${/none}${^none}empty${/none}", view),
+    "empty",
+  );
+  assert.strictEqual(
+    render("${#items}${name}${/items}", view),
+    "xx",
+    "names are looked up in enclosing contexts",
+  );
+});
+
+test("renderTemplate drops lines holding only a section tag", () => {
+  assert.strictEqual(
+    render("begin\n  ${#items}\n${.}\n  ${/items}\nend", { items: [1, 2] }),
+    "begin\n1\n2\nend",
+  );
+});
+
+test("renderTemplate reports unclosed and unmatched sections", () => {
+  assert.throws(() => render("${#a}", {}), {
+    message: "Unclosed ${#a} in template",
+  });
+  assert.throws(() => render("${#a}${/b}", {}), {
+    message: "Unmatched ${/b} in template",
+  });
+});
+
+/**
+ * Generate enumeration Color with templates of folder
+ * @param {Object.<string, string>} templates contents of template files
+ * @return {Promise.<Object.<string, string>>} files
+ */
+async function generateColor(templates) {
+  var model = staruml.createModel();
+  var color = staruml.add(
+    model,
+    staruml.make(type.UMLEnumeration, { name: "Color" }),
+  );
+  ["Red", "Green"].forEach((name) => {
+    staruml.add(
+      color,
+      staruml.make(type.UMLEnumerationLiteral, { name }),
+      "literals",
+    );
+  });
+  var folder = fs.mkdtempSync(path.join(os.tmpdir(), "staruml-cpp-test-"));
+  try {
+    Object.keys(templates).forEach((name) => {
+      fs.writeFileSync(path.join(folder, name), templates[name]);
+    });
+    var { files } = await staruml.generate(model, { templateFolder: folder });
+    return files;
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+}
+
+test("templates of the template folder replace built-in ones", async () => {
+  var files = await generateColor({
+    "enum.tpl":
+      "enum ${name} { ${#literals}${name}${^last}, ${/last}${/literals} };\n",
+  });
+  assert.match(files["Model/Color.h"], /^enum Color \{ Red, Green \};$/m);
+});
+
+test("malformed templates are reported and nothing is generated", async () => {
+  var errors = [];
+  var consoleError = console.error;
+  console.error = (message) => errors.push(message);
+  staruml.toasts.length = 0;
+  try {
+    var files = await generateColor({ "enum.tpl": "enum ${#name}" });
+  } finally {
+    console.error = consoleError;
+  }
+  assert.deepStrictEqual(files, {});
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /enum\.tpl: Unclosed \$\{#name\} in template$/);
+  assert.strictEqual(staruml.toasts.length, 1);
+  assert.match(
+    staruml.toasts[0],
+    /^error: C\+\+ code generation failed: .*enum\.tpl: Unclosed/,
+  );
+});
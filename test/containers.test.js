@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Generate class Polygon with an int attribute `values`
+ * @param {Object} props of the attribute
+ * @param {Object} options
+ * @param {string} container tag of the attribute
+ * @return {Promise.<string>} member declaration
+ */
+async function generateMember(props, options, container) {
+  var model = staruml.createModel();
+  var polygon = staruml.addClass(model, "Polygon");
+  var attr = staruml.addAttribute(polygon, "values", "int", props);
+  if (container) {
+    staruml.tag(attr, "container", container);
+  }
+  var { files } = await staruml.generate(model, options);
+  return files["Model/Polygon.h"].match(/^\s*(.*\bvalues\b.*)$/m)[1];
+}
+
+test("multiplicities select optional, array or containers", async () => {
+  assert.strictEqual(await generateMember({}), "int values;");
+  assert.strictEqual(
+    await generateMember({ multiplicity: "0..1" }),
+    "std::optional<int> values;",
+  );
+  assert.strictEqual(
+    await generateMember({ multiplicity: "4" }),
+    "std::array<int, 4> values;",
+  );
+  for (var multiplicity of ["*", "0..*", "1..*", "2..5"]) {
+    assert.strictEqual(
+      await generateMember({ multiplicity }),
+      "std::vector<int> values;",
+    );
+  }
+});
+
+test("isOrdered and isUnique select the container", async () => {
+  var cases = [
+    [true, true, "std::set<int> values;"],
+    [true, false, "std::vector<int> values;"],
+    [false, true, "std::unordered_set<int> values;"],
+    [false, false, "std::vector<int> values;"],
+  ];
+  for (var [isOrdered, isUnique, expected] of cases) {
+    assert.strictEqual(
+      await generateMember({ multiplicity: "*", isOrdered, isUnique }),
+      expected,
+    );
+  }
+});
+
+test("preferences and the container tag override containers", async () => {
+  assert.strictEqual(
+    await generateMember(
+      { multiplicity: "*", isOrdered: false, isUnique: false },
+      { bagContainer: "multiset" },
+    ),
+    "std::multiset<int> values;",
+  );
+  assert.strictEqual(
+    await generateMember({ multiplicity: "*" }, {}, "std::list"),
+    "std::list<int> values;",
+  );
+});
+
+test("pointers are used unless vectors are enabled", async () => {
+  assert.strictEqual(
+    await generateMember({ multiplicity: "*" }, { useVector: false }),
+    "int* values;",
+  );
+});
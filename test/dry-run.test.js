@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const codegen = require("../codegen-utils");
+const staruml = require("./staruml");
+
+test("unifiedDiff is empty for equal texts", () => {
+  assert.strictEqual(codegen.unifiedDiff("a\nb", "a\r\nb", "f.h"), "");
+});
+
+test("unifiedDiff of a new file adds all lines", () => {
+  assert.strictEqual(
+    codegen.unifiedDiff(null, "a\nb", "f.h"),
+    ["--- /dev/null", "+++ b/f.h", "@@ -0,0 +1,2 @@", "+a", "+b"].join("\n"),
+  );
+});
+
+test("unifiedDiff of a removed file removes all lines", () => {
+  assert.strictEqual(
+    codegen.unifiedDiff("a", null, "f.h"),
+    ["--- a/f.h", "+++ /dev/null", "@@ -1,1 +0,0 @@", "-a"].join("\n"),
+  );
+});
+
+test("unifiedDiff writes changes with context lines", () => {
+  var oldText = ["1", "2", "3", "4", "5", "6", "7", "8"].join("\n");
+  var newText = ["1", "2", "3", "4", "five", "6", "7", "8"].join("\n");
+  assert.strictEqual(
+    codegen.unifiedDiff(oldText, newText, "f.h", 1),
+    [
+      "--- a/f.h",
+      "+++ b/f.h",
+      "@@ -4,3 +4,3 @@",
+      " 4",
+      "-5",
+      "+five",
+      " 6",
+    ].join("\n"),
+  );
+});
+
+test("unifiedDiff splits distant changes into hunks", () => {
+  var oldText = ["a", "b", "c", "d", "e", "f", "g"].join("\n");
+  var newText = ["A", "b", "c", "d", "e", "f", "G"].join("\n");
+  var hunks = codegen
+    .unifiedDiff(oldText, newText, "f.h", 1)
+    .split("\n")
+    .filter((line) => line.startsWith("@@"));
+  assert.deepStrictEqual(hunks, ["@@ -1,2 +1,2 @@", "@@ -6,2 +6,2 @@"]);
+});
+
+test("MemoryFileSystem keeps written files in memory", () => {
+  var folder = fs.mkdtempSync(path.join(os.tmpdir(), "staruml-cpp-test-"));
+  try {
+    fs.writeFileSync(path.join(folder, "old.h"), "old");
+    var memoryFs = new codegen.MemoryFileSystem(folder);
+    memoryFs.mkdirSync(path.join(folder, "geo"));
+    memoryFs.writeFileSync(path.join(folder, "geo", "Point.h"), "point");
+    assert.deepStrictEqual(memoryFs.files, { "geo/Point.h": "point" });
+    assert.ok(memoryFs.existsSync(path.join(folder, "geo")));
+    assert.ok(memoryFs.existsSync(path.join(folder, "geo", "Point.h")));
+    assert.strictEqual(
+      memoryFs.readFileSync(path.join(folder, "geo", "Point.h"), "utf8"),
+      "point",
+    );
+    assert.ok(!fs.existsSync(path.join(folder, "geo")));
+    // files not written are read from disk
+    assert.ok(memoryFs.existsSync(path.join(folder, "old.h")));
+    assert.strictEqual(
+      memoryFs.readFileSync(path.join(folder, "old.h"), "utf8"),
+      "old",
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test("dry run returns files and their diff without writing", async () => {
+  var model = staruml.createModel();
+  staruml.addClass(model, "Circle");
+  var folder = fs.mkdtempSync(path.join(os.tmpdir(), "staruml-cpp-test-"));
+  try {
+    fs.mkdirSync(path.join(folder, "Model"));
+    fs.writeFileSync(path.join(folder, "Model", "Circle.h"), "old\n");
+    var { files, diff } = await staruml.generate(model, {}, folder);
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+      "Model/Circle.cpp",
+      "Model/Circle.h",
+    ]);
+    assert.match(
+      diff,
+      /^--- a\/Model\/Circle\.h\n\+\+\+ b\/Model\/Circle\.h$/m,
+    );
+    assert.match(diff, /^-old$/m);
+    assert.match(diff, /^--- \/dev\/null\n\+\+\+ b\/Model\/Circle\.cpp$/m);
+    assert.deepStrictEqual(fs.readdirSync(path.join(folder, "Model")), [
+      "Circle.h",
+    ]);
+    assert.strictEqual(
+      fs.readFileSync(path.join(folder, "Model", "Circle.h"), "utf8"),
+      "old\n",
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
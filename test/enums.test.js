@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Add literal to enumeration
+ * @param {type.UMLEnumeration} elem
+ * @param {string} name
+ * @param {Object} props
+ * @return {type.UMLEnumerationLiteral}
+ */
+function addLiteral(elem, name, props) {
+  return staruml.add(
+    elem,
+    staruml.make(type.UMLEnumerationLiteral, Object.assign({ name }, props)),
+    "literals",
+  );
+}
+
+test("scoped enums with underlying type, values and documentation", async () => {
+  var model = staruml.createModel();
+  var weekdays = staruml.add(
+    model,
+    staruml.make(type.UMLEnumeration, { name: "Weekdays" }),
+  );
+  staruml.tag(weekdays, "scoped", true);
+  staruml.tag(weekdays, "underlyingType", "uint8_t");
+  addLiteral(weekdays, "Monday", {
+    defaultValue: "1",
+    documentation: "Start of the week",
+  });
+  staruml.tag(addLiteral(weekdays, "Tuesday"), "value", "4");
+  addLiteral(weekdays, "Saturday");
+  var color = staruml.add(
+    model,
+    staruml.make(type.UMLEnumeration, {
+      name: "Color",
+      stereotype: "enum class",
+    }),
+  );
+  addLiteral(color, "Red");
+  var plain = staruml.add(
+    model,
+    staruml.make(type.UMLEnumeration, { name: "Plain" }),
+  );
+  addLiteral(plain, "A");
+  addLiteral(plain, "B");
+
+  var { files } = await staruml.generate(model, {});
+  assert.match(files["Model/Weekdays.h"], /#include <cstdint>/);
+  assert.match(
+    files["Model/Weekdays.h"],
+    /^enum class Weekdays : uint8_t \{\n {4}\/\*\*\n {5}\* Start of the week\n {5}\*\/\n {4}Monday = 1,\n {4}Tuesday = 4,\n {4}Saturday\n\};$/m,
+  );
+  assert.match(files["Model/Color.h"], /^enum class Color \{\n {4}Red\n\};$/m);
+  assert.match(files["Model/Plain.h"], /^enum Plain \{\n {4}A,\n {4}B\n\};$/m);
+});
+
+test("reverse scoped enums, underlying types and values", () => {
+  var root = staruml.reverse({
+    "Enums.h": [
+      "enum class Weekdays : uint8_t { Monday = 1, Tuesday, Saturday = 6 };",
+      "enum struct Color { Red, Green };",
+      "enum Plain { A, B };",
+    ].join("\n"),
+  });
+  var enums = root.ownedElements.map((elem) => [
+    elem.name,
+    staruml.getTag(elem, "scoped"),
+    staruml.getTag(elem, "underlyingType"),
+    elem.literals.map((literal) => [
+      literal.name,
+      staruml.getTag(literal, "value"),
+    ]),
+  ]);
+  assert.deepStrictEqual(enums, [
+    [
+      "Weekdays",
+      true,
+      "uint8_t",
+      [
+        ["Monday", "1"],
+        ["Tuesday", undefined],
+        ["Saturday", "6"],
+      ],
+    ],
+    [
+      "Color",
+      true,
+      undefined,
+      [
+        ["Red", undefined],
+        ["Green", undefined],
+      ],
+    ],
+    [
+      "Plain",
+      undefined,
+      undefined,
+      [
+        ["A", undefined],
+        ["B", undefined],
+      ],
+    ],
+  ]);
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Generate class Circle and return the beginning of its files
+ * @param {Object} options
+ * @return {Promise.<{header: string, source: string}>}
+ */
+async function generateCircle(options) {
+  var model = staruml.createModel();
+  staruml.addClass(model, "Circle");
+  var { files } = await staruml.generate(model, options);
+  var begin = (text) => text.slice(0, text.indexOf("#"));
+  return {
+    header: begin(files["Model/Circle.h"]),
+    source: begin(files["Model/Circle.cpp"]),
+  };
+}
+
+test("files start with a doc comment and the license", async () => {
+  var { header, source } = await generateCircle({});
+  assert.strictEqual(header, "/**\n * Project Demo\n */\n\n\n");
+  assert.strictEqual(source, header);
+  ({ header } = await generateCircle({ license: "MIT" }));
+  assert.match(header, /^\/\/ SPDX-License-Identifier: MIT\n\/\*\*\n/);
+});
+
+test("header template with placeholders", async () => {
+  var project = app.project.getProject();
+  Object.assign(project, { author: "Jane", version: "1.2" });
+  try {
+    var { header, source } = await generateCircle({
+      headerTemplate:
+        "// SPDX-License-Identifier: ${license}\\n// ${file} of ${element}\\n// ${project} ${version}, Copyright ${year} ${author}",
+      license: "MIT",
+    });
+    var year = new Date().getFullYear();
+    assert.strictEqual(
+      header,
+      "// SPDX-License-Identifier: MIT\n// Circle.h of Circle\n// Demo 1.2, Copyright " +
+        year +
+        " Jane\n\n",
+    );
+    assert.strictEqual(source, header.replace("Circle.h", "Circle.cpp"));
+  } finally {
+    delete project.author;
+    delete project.version;
+  }
+});
+
+test("source template replaces the header template for sources", async () => {
+  var { header, source } = await generateCircle({
+    headerTemplate: "// H ${file}",
+    sourceTemplate: "// S ${file}",
+  });
+  assert.strictEqual(header, "// H Circle.h\n\n");
+  assert.strictEqual(source, "// S Circle.cpp\n\n");
+});
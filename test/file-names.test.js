@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createModel() {
+  var model = staruml.createModel();
+  var geo = staruml.add(model, staruml.make(type.UMLPackage, { name: "geo" }));
+  var client = staruml.addClass(geo, "HttpClient");
+  staruml.addClass(geo, "XMLParser");
+  return { model, client };
+}
+
+test("file names follow the file name case", async () => {
+  var cases = {
+    asis: ["HttpClient", "XMLParser"],
+    snake: ["http_client", "xml_parser"],
+    kebab: ["http-client", "xml-parser"],
+    lower: ["httpclient", "xmlparser"],
+  };
+  for (var fileNameCase in cases) {
+    var { files } = await staruml.generate(createModel().model, {
+      fileNameCase,
+    });
+    var expected = [];
+    cases[fileNameCase].forEach((name) =>
+      expected.push("Model/geo/" + name + ".cpp", "Model/geo/" + name + ".h"),
+    );
+    assert.deepStrictEqual(Object.keys(files).sort(), expected.sort());
+  }
+});
+
+test("header and source extensions come from the options", async () => {
+  var { files } = await staruml.generate(createModel().model, {
+    headerExtension: "hpp",
+    sourceExtension: ".cc",
+  });
+  assert.ok("Model/geo/HttpClient.hpp" in files);
+  assert.ok("Model/geo/HttpClient.cc" in files);
+  assert.match(files["Model/geo/HttpClient.cc"], /#include "HttpClient\.hpp"/);
+});
+
+test("tags override file name, extension and include guard", async () => {
+  var { model, client } = createModel();
+  staruml.tag(client, "fileName", "client");
+  staruml.tag(client, "headerExtension", "hxx");
+  staruml.tag(client, "includeGuard", "pragma");
+  var { files } = await staruml.generate(model, { fileNameCase: "snake" });
+  assert.ok("Model/geo/client.hxx" in files);
+  assert.ok("Model/geo/client.cpp" in files);
+  assert.match(files["Model/geo/client.hxx"], /^#pragma once$/m);
+  assert.doesNotMatch(files["Model/geo/client.hxx"], /#ifndef/);
+  assert.match(files["Model/geo/xml_parser.h"], /^#ifndef _XML_PARSER_H$/m);
+});
+
+test("include guard by name or by path", async () => {
+  var { files } = await staruml.generate(createModel().model, {});
+  var header = files["Model/geo/HttpClient.h"];
+  assert.match(header, /^#ifndef _HTTPCLIENT_H\n#define _HTTPCLIENT_H$/m);
+  assert.match(header, /^#endif \/\/_HTTPCLIENT_H$/m);
+
+  ({ files } = await staruml.generate(createModel().model, {
+    fileNameCase: "snake",
+    headerExtension: "hpp",
+    includeGuard: "path",
+    includeGuardPrefix: "DEMO",
+  }));
+  header = files["Model/geo/http_client.hpp"];
+  assert.match(
+    header,
+    /^#ifndef DEMO_MODEL_GEO_HTTP_CLIENT_HPP_\n#define DEMO_MODEL_GEO_HTTP_CLIENT_HPP_$/m,
+  );
+  assert.match(header, /^#endif \/\/DEMO_MODEL_GEO_HTTP_CLIENT_HPP_$/m);
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createGraph() {
+  var model = staruml.createModel();
+  var node = staruml.addClass(model, "Node");
+  var edge = staruml.addClass(model, "Edge");
+  staruml.addAssociation(
+    node,
+    edge,
+    { name: "node" },
+    { name: "edges", multiplicity: "*" },
+  );
+  return model;
+}
+
+test("pointer ends are forward declared and included by the source", async () => {
+  var { files } = await staruml.generate(createGraph(), {});
+  assert.match(files["Model/Node.h"], /^class Edge;$/m);
+  assert.match(files["Model/Node.h"], /std::vector<Edge\*> edges;/);
+  assert.doesNotMatch(files["Model/Node.h"], /#include "Edge\.h"/);
+  assert.match(
+    files["Model/Node.cpp"],
+    /#include "Node\.h"\n#include "Edge\.h"\n/,
+  );
+});
+
+test("headers are included without forward declarations", async () => {
+  var { files } = await staruml.generate(createGraph(), {
+    forwardDeclaration: false,
+  });
+  assert.match(files["Model/Node.h"], /#include "Edge\.h"/);
+  assert.doesNotMatch(files["Model/Node.h"], /^class Edge;$/m);
+  assert.doesNotMatch(files["Model/Node.cpp"], /#include "Edge\.h"/);
+});
+
+test("include cycles of members by value are reported", async () => {
+  var model = staruml.createModel();
+  var car = staruml.addClass(model, "Car");
+  var wheel = staruml.addClass(model, "Wheel");
+  staruml.addAssociation(
+    car,
+    wheel,
+    { name: "car", aggregation: "composite", navigable: "navigable" },
+    { name: "wheel", aggregation: "composite" },
+  );
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(model, { compositeAs: "value" });
+  assert.match(files["Model/Car.h"], /#include "Wheel\.h"/);
+  assert.match(files["Model/Wheel.h"], /#include "Car\.h"/);
+  assert.deepStrictEqual(staruml.warnings, [
+    "[C++] Include cycle cannot be broken: Car -> Wheel -> Car",
+  ]);
+
+  staruml.warnings.length = 0;
+  await staruml.generate(model, {});
+  assert.deepStrictEqual(staruml.warnings, []);
+});
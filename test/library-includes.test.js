@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createShape() {
+  var model = staruml.createModel();
+  var base = staruml.addClass(model, "Base");
+  var shape = staruml.addClass(model, "Shape");
+  staruml.add(
+    shape,
+    staruml.make(type.UMLGeneralization, { source: shape, target: base }),
+  );
+  staruml.addAttribute(shape, "name", "std::string");
+  staruml.addAttribute(shape, "ids", "vector<int>");
+  staruml.addAttribute(shape, "title", "QString");
+  staruml.addOperation(shape, "lookup", [
+    { name: "table", type: "map::Table" },
+    { type: "std::map<int, std::string>", direction: "return" },
+  ]);
+  return model;
+}
+
+/**
+ * Return include lines of text
+ * @param {string} text
+ * @return {Array.<string>}
+ */
+function getIncludes(text) {
+  return text.split("\n").filter((line) => line.startsWith("#include"));
+}
+
+test("library headers of member, parameter and return types", async () => {
+  var { files } = await staruml.generate(createShape(), {
+    typeHeaders: "QString=QString, json=nlohmann/json.hpp",
+  });
+  assert.match(
+    files["Model/Shape.h"],
+    /#include <QString>\n#include <map>\n#include <string>\n#include <vector>\n\n#include "Base\.h"\n/,
+  );
+});
+
+test("library headers are not included if disabled", async () => {
+  var { files } = await staruml.generate(createShape(), {
+    includeHeader: false,
+  });
+  assert.deepStrictEqual(getIncludes(files["Model/Shape.h"]), [
+    '#include "Base.h"',
+  ]);
+});
+
+test("names of model classifiers are not looked up", async () => {
+  var model = staruml.createModel();
+  var list = staruml.addClass(model, "list");
+  var queue = staruml.addClass(model, "Queue");
+  staruml.addAttribute(queue, "items", list);
+  staruml.addAttribute(queue, "table", "map::Table");
+  var { files } = await staruml.generate(model, {});
+  assert.deepStrictEqual(getIncludes(files["Model/Queue.h"]), []);
+});
@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createShapes() {
+  var model = staruml.createModel();
+  var drawable = staruml.add(
+    model,
+    staruml.make(type.UMLInterface, { name: "Drawable" }),
+  );
+  staruml.addOperation(drawable, "draw", []);
+  staruml.addOperation(
+    drawable,
+    "area",
+    [{ type: "double", direction: "return" }],
+    { isQuery: true },
+  );
+  var shape = staruml.addClass(model, "Shape");
+  staruml.add(
+    shape,
+    staruml.make(type.UMLInterfaceRealization, {
+      source: shape,
+      target: drawable,
+    }),
+  );
+  staruml.addOperation(shape, "Shape", [{ name: "id", type: "int" }], {
+    stereotype: "constructor",
+  });
+  var name = staruml.addOperation(
+    shape,
+    "name",
+    [{ type: "std::string", direction: "return" }],
+    { isAbstract: true, isQuery: true },
+  );
+  staruml.tag(name, "noexcept", true);
+  // final overrider of Drawable::draw
+  staruml.addOperation(shape, "draw", [], { isLeaf: true });
+  staruml.addOperation(
+    shape,
+    "resize",
+    [
+      { name: "width", type: "int" },
+      { name: "height", type: "int" },
+    ],
+    { isAbstract: true },
+  );
+  var locked = staruml.addClass(model, "Locked", { isLeaf: true });
+  staruml.addOperation(locked, "open", [], { isAbstract: true });
+  // no pure virtual operations
+  staruml.addClass(model, "Plain");
+  return model;
+}
+
+/**
+ * Return class definition in text
+ * @param {string} text
+ * @return {string}
+ */
+function getClass(text) {
+  return text.slice(text.indexOf("class "), text.indexOf("};") + 2);
+}
+
+test("mocks of interfaces and abstract classes", async () => {
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(createShapes(), {
+    gmock: true,
+    fileNameCase: "snake",
+  });
+  assert.deepStrictEqual(
+    Object.keys(files).filter((file) => file.includes("mock")),
+    ["Model/mock_drawable.h", "Model/mock_shape.h"],
+  );
+  assert.match(
+    files["Model/mock_drawable.h"],
+    /#include <gmock\/gmock\.h>\n\n#include "drawable\.h"\n/,
+  );
+  assert.strictEqual(
+    getClass(files["Model/mock_drawable.h"]),
+    [
+      "class MockDrawable : public Drawable {",
+      "public:",
+      "    MOCK_METHOD(void, draw, (), (override));",
+      "    MOCK_METHOD(double, area, (), (const, override));",
+      "};",
+    ].join("\n"),
+  );
+  assert.strictEqual(
+    getClass(files["Model/mock_shape.h"]),
+    [
+      "class MockShape : public Shape {",
+      "public:",
+      "    using Shape::Shape;",
+      "",
+      "    MOCK_METHOD(std::string, name, (), (const, noexcept, override));",
+      "    MOCK_METHOD(void, resize, (int, int), (override));",
+      "    MOCK_METHOD(double, area, (), (const, override));",
+      "};",
+    ].join("\n"),
+  );
+  assert.deepStrictEqual(staruml.warnings, [
+    "[C++] No mock is generated for Locked, it is final",
+  ]);
+});
+
+test("mocks are not generated unless enabled", async () => {
+  var { files } = await staruml.generate(createShapes(), {});
+  assert.deepStrictEqual(
+    Object.keys(files).filter((file) => /mock/i.test(file)),
+    [],
+  );
+});
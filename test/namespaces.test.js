@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createShapes() {
+  var model = staruml.createModel();
+  var geo = staruml.add(model, staruml.make(type.UMLPackage, { name: "geo" }));
+  var shapes = staruml.add(
+    geo,
+    staruml.make(type.UMLPackage, { name: "shapes" }),
+  );
+  var circle = staruml.addClass(shapes, "Circle");
+  var canvas = staruml.addClass(geo, "Canvas");
+  staruml.addAttribute(canvas, "circle", circle);
+  return model;
+}
+
+test("folder mode writes no namespaces", async () => {
+  var { files } = await staruml.generate(createShapes(), {
+    packageMode: "folder",
+  });
+  assert.ok("Model/geo/shapes/Circle.h" in files);
+  assert.doesNotMatch(files["Model/geo/shapes/Circle.h"], /namespace/);
+});
+
+test("namespace mode opens the namespaces of enclosing packages", async () => {
+  var { files } = await staruml.generate(createShapes(), {
+    packageMode: "namespace",
+  });
+  assert.deepStrictEqual(Object.keys(files).sort(), [
+    "Canvas.cpp",
+    "Canvas.h",
+    "Circle.cpp",
+    "Circle.h",
+  ]);
+  assert.match(
+    files["Circle.h"],
+    /namespace geo \{\nnamespace shapes \{\n\nclass Circle \{[\s\S]*\};\n\n\} \/\/ namespace shapes\n\} \/\/ namespace geo\n/,
+  );
+});
+
+test("nested namespace definition", async () => {
+  var { files } = await staruml.generate(createShapes(), {
+    packageMode: "both",
+    nestedNamespace: true,
+  });
+  assert.match(
+    files["Model/geo/shapes/Circle.h"],
+    /^namespace geo::shapes \{$/m,
+  );
+  assert.match(
+    files["Model/geo/shapes/Circle.h"],
+    /^\} \/\/ namespace geo::shapes$/m,
+  );
+});
+
+test("types of other namespaces are qualified relative to the element", async () => {
+  var { files } = await staruml.generate(createShapes(), {
+    packageMode: "both",
+  });
+  assert.match(files["Model/geo/Canvas.h"], /shapes::Circle circle;/);
+});
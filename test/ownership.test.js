@@ -0,0 +1,142 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Generate Car with a member `wheel` whose whole end has aggregation
+ * @param {string} aggregation of the end of Car
+ * @param {Object} options
+ * @param {Object} props of the end of Wheel
+ * @param {string} ownership tag of the end of Wheel
+ * @return {Promise.<string>} header of Car
+ */
+async function generateCar(aggregation, options, props, ownership) {
+  var model = staruml.createModel();
+  var car = staruml.addClass(model, "Car");
+  var wheel = staruml.addClass(model, "Wheel");
+  var association = staruml.addAssociation(
+    car,
+    wheel,
+    { aggregation: aggregation },
+    Object.assign({ name: "wheel" }, props),
+  );
+  if (ownership) {
+    staruml.tag(association.end2, "ownership", ownership);
+  }
+  var { files } = await staruml.generate(model, options);
+  return files["Model/Car.h"];
+}
+
+test("members follow aggregation of the opposite end", async () => {
+  assert.match(
+    await generateCar("composite", {}),
+    /std::unique_ptr<Wheel> wheel;/,
+  );
+  assert.match(
+    await generateCar("shared", {}),
+    /std::shared_ptr<Wheel> wheel;/,
+  );
+  assert.match(await generateCar("none", {}), /Wheel\* wheel;/);
+});
+
+test("members follow the ownership preferences", async () => {
+  assert.match(
+    await generateCar("composite", { compositeAs: "value" }),
+    /^\s*Wheel wheel;$/m,
+  );
+  assert.match(
+    await generateCar("shared", { sharedAs: "pointer" }),
+    /Wheel\* wheel;/,
+  );
+  assert.match(
+    await generateCar("shared", { sharedAs: "weak_ptr" }),
+    /std::weak_ptr<Wheel> wheel;/,
+  );
+  assert.match(
+    await generateCar("none", { associationAs: "reference" }),
+    /Wheel& wheel;/,
+  );
+});
+
+test("optional ends are nullable", async () => {
+  assert.match(
+    await generateCar(
+      "composite",
+      { compositeAs: "value" },
+      { multiplicity: "0..1" },
+    ),
+    /std::unique_ptr<Wheel> wheel;/,
+  );
+  assert.match(
+    await generateCar(
+      "composite",
+      { compositeAs: "value", optionalAs: "optional" },
+      { multiplicity: "0..1" },
+    ),
+    /std::optional<Wheel> wheel;/,
+  );
+  assert.match(
+    await generateCar(
+      "none",
+      { associationAs: "reference" },
+      { multiplicity: "0..1" },
+    ),
+    /Wheel\* wheel;/,
+  );
+});
+
+test("ownership tag overrides the preferences", async () => {
+  assert.match(
+    await generateCar("composite", {}, {}, "shared_ptr"),
+    /std::shared_ptr<Wheel> wheel;/,
+  );
+  assert.match(
+    await generateCar("none", {}, {}, "value"),
+    /^\s*Wheel wheel;$/m,
+  );
+});
+
+test("reverse maps member types to aggregation", () => {
+  var root = staruml.reverse({
+    "Car.h": [
+      "class Wheel {};",
+      "class Car {",
+      "  std::unique_ptr<Wheel> spare;",
+      "  std::shared_ptr<Wheel> shared;",
+      "  Wheel* front;",
+      "  Wheel back;",
+      "  std::weak_ptr<Wheel> weak;",
+      "  Wheel& ref;",
+      "};",
+    ].join("\n"),
+  });
+  var car = root.ownedElements.find((elem) => elem.name === "Car");
+  var ends = car.ownedElements.map((association) => [
+    association.end2.name,
+    association.end1.aggregation,
+    staruml.getTag(association.end2, "ownership"),
+  ]);
+  assert.deepStrictEqual(ends, [
+    ["spare", "composite", undefined],
+    ["shared", "shared", undefined],
+    ["front", "none", undefined],
+    ["back", "composite", "value"],
+    ["weak", "shared", "weak_ptr"],
+    ["ref", "none", "reference"],
+  ]);
+});
+
+test("reverse follows the ownership preferences", () => {
+  var root = staruml.reverse(
+    {
+      "Car.h": ["class Wheel {};", "class Car {", "  Wheel back;", "};"].join(
+        "\n",
+      ),
+    },
+    { compositeAs: "value" },
+  );
+  var car = root.ownedElements.find((elem) => elem.name === "Car");
+  var association = car.ownedElements[0];
+  assert.strictEqual(association.end1.aggregation, "composite");
+  assert.strictEqual(staruml.getTag(association.end2, "ownership"), undefined);
+});
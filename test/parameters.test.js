@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createSolver() {
+  var model = staruml.createModel();
+  var solver = staruml.addClass(model, "Solver");
+  var point = staruml.addClass(model, "Point");
+  staruml.addOperation(solver, "solve", [
+    { name: "origin", type: point },
+    { name: "name", type: "std::string" },
+    { name: "target", type: "Point*" },
+    { name: "count", type: "int", isReadOnly: true },
+    { name: "result", type: "double", direction: "out" },
+    { name: "state", type: point, direction: "inout" },
+    { name: "scale", type: "double", defaultValue: "1.0" },
+  ]);
+  staruml.addOperation(solver, "minmax", [
+    { type: "int", direction: "return" },
+    { type: "double", direction: "return" },
+  ]);
+  return model;
+}
+
+/**
+ * Return lines of text declaring or defining functions
+ * @param {string} text
+ * @return {Array.<string>}
+ */
+function getSignatures(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => /^[\w:<>, ]+ [\w:]+\(.*\)/.test(line));
+}
+
+test("parameters are passed by direction and type", async () => {
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(createSolver(), {});
+  assert.deepStrictEqual(getSignatures(files["Model/Solver.h"]), [
+    "void solve(const Point& origin, const std::string& name, Point* target, const int count, double& result, Point& state, double scale = 1.0);",
+    "std::tuple<int, double> minmax();",
+  ]);
+  assert.deepStrictEqual(getSignatures(files["Model/Solver.cpp"]), [
+    "void Solver::solve(const Point& origin, const std::string& name, Point* target, const int count, double& result, Point& state, double scale) {",
+    "std::tuple<int, double> Solver::minmax() {",
+  ]);
+  assert.match(files["Model/Solver.h"], /#include <tuple>/);
+  assert.deepStrictEqual(staruml.warnings, []);
+});
+
+test("out parameters as pointers, by value and a single return", async () => {
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(createSolver(), {
+    outParameterAs: "pointer",
+    constRefParameters: false,
+    multipleReturns: "warn",
+  });
+  assert.deepStrictEqual(getSignatures(files["Model/Solver.h"]), [
+    "void solve(Point origin, std::string name, Point* target, const int count, double* result, Point* state, double scale = 1.0);",
+    "int minmax();",
+  ]);
+  assert.deepStrictEqual(staruml.warnings, [
+    "[C++] Operation Solver::minmax has 2 return parameters, only the first one is used",
+  ]);
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Generate Bank with accounts qualified by qualifiers of the Bank end
+ * @param {Array.<Object>} qualifiers `{name, type}` of each qualifier
+ * @param {Object} options
+ * @param {Object} props of the end of Account
+ * @return {Promise.<string>} member declaration
+ */
+async function generateAccounts(qualifiers, options, props) {
+  var model = staruml.createModel();
+  var bank = staruml.addClass(model, "Bank");
+  var account = staruml.addClass(model, "Account");
+  var association = staruml.addAssociation(
+    bank,
+    account,
+    {},
+    Object.assign({ name: "accounts" }, props),
+  );
+  qualifiers.forEach((qualifier) => {
+    staruml.add(
+      association.end1,
+      staruml.make(type.UMLAttribute, qualifier),
+      "qualifiers",
+    );
+  });
+  var { files } = await staruml.generate(model, options);
+  return files["Model/Bank.h"].match(/^\s*(.*\baccounts\b.*)$/m)[1];
+}
+
+test("qualified ends are maps keyed by the qualifier type", async () => {
+  var number = { name: "number", type: "std::string" };
+  assert.strictEqual(
+    await generateAccounts([number]),
+    "std::map<std::string, Account*> accounts;",
+  );
+  assert.strictEqual(
+    await generateAccounts([number], { qualifiedMap: "unordered_map" }),
+    "std::unordered_map<std::string, Account*> accounts;",
+  );
+  assert.strictEqual(
+    await generateAccounts([number], {}, { multiplicity: "*" }),
+    "std::multimap<std::string, Account*> accounts;",
+  );
+});
+
+test("several qualifiers make a tuple key", async () => {
+  assert.strictEqual(
+    await generateAccounts([
+      { name: "branch", type: "int" },
+      { name: "number", type: "std::string" },
+    ]),
+    "std::map<std::tuple<int, std::string>, Account*> accounts;",
+  );
+});
+
+test("reverse turns maps of model classes into qualified associations", () => {
+  var root = staruml.reverse({
+    "Bank.h": [
+      "class Account {};",
+      "class Bank {",
+      "  std::map<std::string, Account*> accounts;",
+      "  std::unordered_multimap<int, Account*> byBranch;",
+      "};",
+    ].join("\n"),
+  });
+  var bank = root.ownedElements.find((elem) => elem.name === "Bank");
+  var [accounts, byBranch] = bank.ownedElements;
+  assert.strictEqual(accounts.end2.name, "accounts");
+  assert.strictEqual(accounts.end2.reference.name, "Account");
+  assert.deepStrictEqual(
+    accounts.end1.qualifiers.map((qualifier) => qualifier.type),
+    ["string"],
+  );
+  assert.strictEqual(byBranch.end2.multiplicity, "*");
+  assert.deepStrictEqual(
+    byBranch.end1.qualifiers.map((qualifier) => qualifier.type),
+    ["int"],
+  );
+  assert.strictEqual(
+    staruml.getTag(byBranch.end2, "container"),
+    "unordered_map",
+  );
+});
@@ -0,0 +1,129 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createVec() {
+  var model = staruml.createModel();
+  var vec = staruml.addClass(model, "Vec");
+  var color = staruml.add(
+    model,
+    staruml.make(type.UMLEnumeration, { name: "Color" }),
+  );
+  [
+    ["none", null],
+    ["flag", "bool"],
+    ["count", "int"],
+    ["length", "double"],
+    ["letter", "char"],
+    ["name", "std::string"],
+    ["next", "Vec*"],
+    ["self", "Vec&"],
+    ["items", "std::vector<int>&"],
+    ["color", color],
+  ].forEach(([name, _type]) => {
+    staruml.addOperation(
+      vec,
+      name,
+      _type ? [{ type: _type, direction: "return" }] : [],
+    );
+  });
+  staruml.addOperation(vec, "operator+=", [
+    { name: "other", type: "const Vec&" },
+    { type: "Vec&", direction: "return" },
+  ]);
+  var size = staruml.addOperation(vec, "size", [
+    { type: "int", direction: "return" },
+  ]);
+  staruml.tag(size, "constexpr", true);
+  var answer = staruml.addOperation(vec, "answer", [
+    { type: "int", direction: "return" },
+  ]);
+  staruml.tag(answer, "returnValue", "42");
+  return model;
+}
+
+/**
+ * Return body of function in text, without braces and indentation
+ * @param {string} text
+ * @param {string} signature e.g. "int Vec::count()"
+ * @return {Array.<string>}
+ */
+function getBody(text, signature) {
+  var start = text.indexOf(signature + " {\n");
+  assert.ok(start >= 0, signature);
+  var body = text.slice(start + signature.length + 3);
+  return body
+    .slice(0, body.indexOf("\n}"))
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+test("method stubs return default values", async () => {
+  var { files } = await staruml.generate(createVec(), {});
+  var source = files["Model/Vec.cpp"];
+  var bodies = {
+    "void Vec::none()": [],
+    "bool Vec::flag()": ["return false;"],
+    "int Vec::count()": ["return 0;"],
+    "double Vec::length()": ["return 0.0;"],
+    "char Vec::letter()": ["return '\\0';"],
+    "std::string Vec::name()": ["return {};"],
+    "Vec* Vec::next()": ["return nullptr;"],
+    "Vec& Vec::self()": ["return *this;"],
+    "std::vector<int>& Vec::items()": [
+      "static std::vector<int> value{};",
+      "return value;",
+    ],
+    "Color Vec::color()": ["return {};"],
+    "Vec& Vec::operator+=(const Vec& other)": ["return *this;"],
+    "int Vec::answer()": ["return 42;"],
+  };
+  for (var signature in bodies) {
+    assert.deepStrictEqual(getBody(source, signature), bodies[signature]);
+  }
+  assert.deepStrictEqual(
+    getBody(files["Model/Vec.h"], "constexpr int size()"),
+    ["return 0;"],
+  );
+});
+
+test("TODO comments and return values from preferences", async () => {
+  var { files } = await staruml.generate(createVec(), {
+    methodStubs: "todo",
+    returnValues: "Color=Color::Red, int=-1",
+  });
+  var source = files["Model/Vec.cpp"];
+  assert.deepStrictEqual(getBody(source, "void Vec::none()"), [
+    "// TODO: implement none",
+  ]);
+  assert.deepStrictEqual(getBody(source, "int Vec::count()"), [
+    "// TODO: implement count",
+    "return -1;",
+  ]);
+  assert.deepStrictEqual(getBody(source, "Color Vec::color()"), [
+    "// TODO: implement color",
+    "return Color::Red;",
+  ]);
+  assert.deepStrictEqual(getBody(source, "int Vec::answer()"), [
+    "// TODO: implement answer",
+    "return 42;",
+  ]);
+});
+
+test("method stubs throw, except constexpr ones", async () => {
+  var { files } = await staruml.generate(createVec(), {
+    methodStubs: "throw",
+  });
+  var source = files["Model/Vec.cpp"];
+  assert.match(source, /^#include <stdexcept>$/m);
+  for (var signature of ["void Vec::none()", "Vec& Vec::self()"]) {
+    assert.deepStrictEqual(getBody(source, signature), [
+      'throw std::logic_error("not implemented");',
+    ]);
+  }
+  assert.deepStrictEqual(
+    getBody(files["Model/Vec.h"], "constexpr int size()"),
+    ["return 0;"],
+  );
+});
@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Return member declarations in the class body of header
+ * @param {string} header
+ * @return {Array.<string>}
+ */
+function getMembers(header) {
+  var body = header.match(/^(?:class|struct) [^{]*\{\n([\s\S]*?)^\};/m)[1];
+  return body
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.endsWith(";"));
+}
+
+test("default constructor and virtual destructor", async () => {
+  var model = staruml.createModel();
+  var shape = staruml.addClass(model, "Shape");
+  staruml.addOperation(
+    shape,
+    "area",
+    [{ type: "double", direction: "return" }],
+    { isAbstract: true },
+  );
+  var circle = staruml.addClass(model, "Circle");
+  staruml.add(
+    circle,
+    staruml.make(type.UMLGeneralization, { source: circle, target: shape }),
+  );
+  var { files } = await staruml.generate(model, {});
+  assert.deepStrictEqual(getMembers(files["Model/Shape.h"]), [
+    "Shape() = default;",
+    "virtual ~Shape() = default;",
+    "virtual double area() = 0;",
+  ]);
+  assert.deepStrictEqual(getMembers(files["Model/Circle.h"]), [
+    "Circle() = default;",
+  ]);
+});
+
+test("copy and move tags default or delete special members", async () => {
+  var model = staruml.createModel();
+  var buffer = staruml.addClass(model, "Buffer");
+  staruml.tag(buffer, "copy", "delete");
+  staruml.tag(buffer, "move", "default");
+  var { files } = await staruml.generate(model, {});
+  assert.deepStrictEqual(getMembers(files["Model/Buffer.h"]), [
+    "Buffer() = default;",
+    "Buffer(const Buffer& other) = delete;",
+    "Buffer& operator=(const Buffer& other) = delete;",
+    "Buffer(Buffer&& other) noexcept = default;",
+    "Buffer& operator=(Buffer&& other) noexcept = default;",
+  ]);
+});
+
+test("modelled constructors, destructors and operator= are kept", async () => {
+  var model = staruml.createModel();
+  var circle = staruml.addClass(model, "Circle");
+  staruml.addOperation(circle, "Circle", [{ name: "radius", type: "double" }], {
+    stereotype: "constructor",
+  });
+  staruml.addOperation(circle, "~Circle", [], { stereotype: "destructor" });
+  staruml.addOperation(circle, "operator=", [
+    { name: "other", type: circle },
+    { type: circle, direction: "return" },
+  ]);
+  staruml.tag(circle, "copy", "delete");
+  var { files } = await staruml.generate(model, {});
+  assert.deepStrictEqual(getMembers(files["Model/Circle.h"]), [
+    "Circle(const Circle& other) = delete;",
+    "Circle(double radius);",
+    "~Circle();",
+    "Circle operator=(const Circle& other);",
+  ]);
+  assert.match(
+    files["Model/Circle.cpp"],
+    /^Circle::Circle\(double radius\) \{$/m,
+  );
+  assert.match(files["Model/Circle.cpp"], /^Circle::~Circle\(\) \{$/m);
+});
+
+test("structs stay aggregates unless a default constructor is modelled", async () => {
+  var model = staruml.createModel();
+  var point = staruml.addClass(model, "Point", { stereotype: "struct" });
+  staruml.addAttribute(point, "x", "int");
+  var { files } = await staruml.generate(model, {});
+  assert.deepStrictEqual(getMembers(files["Model/Point.h"]), ["int x;"]);
+
+  var constructor = staruml.addOperation(point, "Point", [], {
+    stereotype: "constructor",
+  });
+  staruml.tag(constructor, "default", true);
+  ({ files } = await staruml.generate(model, {}));
+  assert.deepStrictEqual(getMembers(files["Model/Point.h"]), [
+    "int x;",
+    "Point() = default;",
+  ]);
+});
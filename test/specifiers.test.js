@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Return names of boolean tags of elem which are checked
+ * @param {Element} elem
+ * @return {Array.<string>}
+ */
+function getCheckedTags(elem) {
+  return elem.tags.filter((tag) => tag.checked).map((tag) => tag.name);
+}
+
+test("isQuery and specifier tags of operations", async () => {
+  var model = staruml.createModel();
+  var foo = staruml.addClass(model, "Foo");
+  var addOperation = (name, tags, props) => {
+    var op = staruml.addOperation(
+      foo,
+      name,
+      [{ type: "int", direction: "return" }],
+      props,
+    );
+    tags.forEach((tag) => staruml.tag(op, tag, true));
+  };
+  addOperation("size", [], { isQuery: true });
+  addOperation("hash", ["noexcept", "nodiscard"], { isQuery: true });
+  addOperation("max", ["constexpr"]);
+  addOperation("min", ["inline"]);
+  addOperation("legacy", ["delete"]);
+  var { files } = await staruml.generate(model, {});
+  var header = files["Model/Foo.h"];
+  assert.match(header, /^\s*int size\(\) const;$/m);
+  assert.match(header, /^\s*\[\[nodiscard\]\] int hash\(\) const noexcept;$/m);
+  assert.match(header, /^\s*constexpr int max\(\) \{$/m);
+  assert.match(header, /^\s*inline int min\(\) \{$/m);
+  assert.match(header, /^\s*int legacy\(\) = delete;$/m);
+  var source = files["Model/Foo.cpp"];
+  assert.match(source, /^int Foo::size\(\) const \{$/m);
+  assert.match(source, /^int Foo::hash\(\) const noexcept \{$/m);
+  assert.doesNotMatch(source, /max|min|legacy/);
+});
+
+test("reverse specifiers of methods, constructors and destructors", () => {
+  var root = staruml.reverse({
+    "Foo.h": [
+      "class Foo {",
+      "public:",
+      "  Foo() = default;",
+      "  Foo(const Foo& other) = delete;",
+      "  Foo(Foo&& other) noexcept = default;",
+      "  virtual ~Foo() noexcept;",
+      "  double area() const noexcept;",
+      "  [[nodiscard]] int size() const;",
+      '  [[nodiscard("use it")]] constexpr int count();',
+      '  [[deprecated("old")]] inline void old();',
+      "  [[maybe_unused]] virtual void draw() final;",
+      "  virtual void pure() const noexcept = 0;",
+      "  void check() noexcept(false);",
+      "};",
+    ].join("\n"),
+  });
+  var foo = root.ownedElements.find((elem) => elem.name === "Foo");
+  assert.deepStrictEqual(
+    foo.operations.map((op) => [op.name, op.stereotype, getCheckedTags(op)]),
+    [
+      ["Foo", "constructor", ["default"]],
+      ["Foo", "constructor", ["delete"]],
+      ["Foo", "constructor", ["noexcept", "default"]],
+      ["~Foo", "destructor", ["virtual", "noexcept"]],
+      ["area", null, ["noexcept"]],
+      ["size", null, ["nodiscard"]],
+      ["count", null, ["constexpr", "nodiscard"]],
+      ["old", null, ["inline"]],
+      ["draw", null, ["virtual"]],
+      ["pure", null, ["noexcept"]],
+      ["check", null, []],
+    ],
+  );
+  var [area, size, , , draw, pure] = foo.operations.slice(4);
+  assert.ok(area.isQuery && size.isQuery && pure.isQuery);
+  assert.ok(draw.isLeaf);
+  assert.ok(pure.isAbstract);
+});
@@ -0,0 +1,500 @@
+/*
+ * Minimal StarUML globals (`type` and `app`) to run the generator and the
+ * analyzer outside StarUML. Preferences have the defaults of
+ * preferences/preference.json.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+var uid = 0;
+var relationships = [];
+var commands = {};
+var imported = null;
+
+class Element {
+  constructor() {
+    this._id = "id" + uid++;
+    this._parent = null;
+    this.name = "";
+    this.ownedElements = [];
+    this.tags = [];
+    this.documentation = "";
+    this.stereotype = null;
+  }
+}
+class Project extends Element {}
+class Tag extends Element {
+  constructor() {
+    super();
+    this.kind = "string";
+    this.value = "";
+    this.checked = false;
+    this.number = 0;
+    this.reference = null;
+  }
+}
+Tag.TK_STRING = "string";
+Tag.TK_BOOLEAN = "boolean";
+Tag.TK_NUMBER = "number";
+Tag.TK_REFERENCE = "reference";
+Tag.TK_HIDDEN = "hidden";
+
+class UMLModelElement extends Element {
+  constructor() {
+    super();
+    this.visibility = "public";
+  }
+}
+UMLModelElement.VK_PUBLIC = "public";
+UMLModelElement.VK_PROTECTED = "protected";
+UMLModelElement.VK_PRIVATE = "private";
+UMLModelElement.VK_PACKAGE = "package";
+class UMLPackage extends UMLModelElement {}
+class UMLModel extends UMLPackage {}
+class UMLClassifier extends UMLModelElement {
+  constructor() {
+    super();
+    this.attributes = [];
+    this.operations = [];
+    this.templateParameters = [];
+    this.isAbstract = false;
+    this.isLeaf = false;
+    this.isFinalSpecialization = false;
+  }
+}
+class UMLClass extends UMLClassifier {}
+class UMLInterface extends UMLClassifier {}
+class UMLEnumeration extends UMLClassifier {
+  constructor() {
+    super();
+    this.literals = [];
+  }
+}
+class UMLEnumerationLiteral extends UMLModelElement {}
+class UMLStructuralFeature extends UMLModelElement {
+  constructor() {
+    super();
+    this.type = "";
+    this.multiplicity = "";
+    this.isStatic = false;
+    this.isReadOnly = false;
+    this.isOrdered = false;
+    this.isUnique = false;
+    this.isLeaf = false;
+    this.defaultValue = "";
+    this.aggregation = "none";
+  }
+}
+class UMLAttribute extends UMLStructuralFeature {}
+UMLAttribute.AK_NONE = "none";
+UMLAttribute.AK_SHARED = "shared";
+UMLAttribute.AK_COMPOSITE = "composite";
+class UMLAssociationEnd extends UMLStructuralFeature {
+  constructor() {
+    super();
+    this.reference = null;
+    this.navigable = "unspecified";
+    this.qualifiers = [];
+  }
+}
+class UMLParameter extends UMLModelElement {
+  constructor() {
+    super();
+    this.type = "";
+    this.direction = "in";
+    this.multiplicity = "";
+    this.defaultValue = "";
+    this.isReadOnly = false;
+  }
+}
+UMLParameter.DK_IN = "in";
+UMLParameter.DK_INOUT = "inout";
+UMLParameter.DK_OUT = "out";
+UMLParameter.DK_RETURN = "return";
+class UMLBehavioralFeature extends UMLModelElement {
+  constructor() {
+    super();
+    this.parameters = [];
+    this.isStatic = false;
+    this.isLeaf = false;
+    this.isAbstract = false;
+    this.isQuery = false;
+  }
+}
+class UMLOperation extends UMLBehavioralFeature {}
+class UMLTemplateParameter extends UMLModelElement {
+  constructor() {
+    super();
+    this.parameterType = "typename";
+    this.defaultValue = "";
+  }
+}
+class UMLRelationship extends UMLModelElement {}
+class UMLDirectedRelationship extends UMLRelationship {
+  constructor() {
+    super();
+    this.source = null;
+    this.target = null;
+  }
+}
+class UMLGeneralization extends UMLDirectedRelationship {}
+class UMLDependency extends UMLDirectedRelationship {}
+class UMLInterfaceRealization extends UMLDirectedRelationship {}
+class UMLAssociation extends UMLRelationship {
+  constructor() {
+    super();
+    this.end1 = new UMLAssociationEnd();
+    this.end2 = new UMLAssociationEnd();
+    this.end1._parent = this;
+    this.end2._parent = this;
+  }
+}
+class UMLStateMachine extends UMLModelElement {
+  constructor() {
+    super();
+    this.regions = [];
+  }
+}
+class UMLRegion extends UMLModelElement {
+  constructor() {
+    super();
+    this.vertices = [];
+    this.transitions = [];
+  }
+}
+class UMLVertex extends UMLModelElement {}
+class UMLState extends UMLVertex {
+  constructor() {
+    super();
+    this.regions = [];
+    this.entryActivities = [];
+    this.exitActivities = [];
+    this.doActivities = [];
+  }
+}
+class UMLFinalState extends UMLState {}
+class UMLPseudostate extends UMLVertex {
+  constructor() {
+    super();
+    this.kind = "initial";
+  }
+}
+class UMLTransition extends UMLModelElement {
+  constructor() {
+    super();
+    this.source = null;
+    this.target = null;
+    this.guard = "";
+    this.triggers = [];
+    this.effects = [];
+    this.kind = "external";
+  }
+}
+class UMLEvent extends UMLModelElement {}
+class UMLActivity extends UMLModelElement {}
+class UMLOpaqueBehavior extends UMLModelElement {}
+
+global.type = {
+  Element,
+  Project,
+  Tag,
+  UMLModelElement,
+  UMLPackage,
+  UMLModel,
+  UMLClassifier,
+  UMLClass,
+  UMLInterface,
+  UMLEnumeration,
+  UMLEnumerationLiteral,
+  UMLStructuralFeature,
+  UMLAttribute,
+  UMLAssociationEnd,
+  UMLParameter,
+  UMLBehavioralFeature,
+  UMLOperation,
+  UMLTemplateParameter,
+  UMLRelationship,
+  UMLDirectedRelationship,
+  UMLGeneralization,
+  UMLDependency,
+  UMLInterfaceRealization,
+  UMLAssociation,
+  UMLStateMachine,
+  UMLRegion,
+  UMLVertex,
+  UMLState,
+  UMLFinalState,
+  UMLPseudostate,
+  UMLTransition,
+  UMLEvent,
+  UMLActivity,
+  UMLOpaqueBehavior,
+};
+
+var project = new Project();
+project.name = "Demo";
+
+var preferences = {};
+var schema = require("../preferences/preference.json").schema;
+Object.keys(schema).forEach((key) => {
+  if (schema[key].default !== undefined) {
+    preferences[key] = schema[key].default;
+  }
+});
+
+/** @member {Array.<string>} messages of toasts shown, e.g. "error: ..." */
+var toasts = [];
+
+/** @member {Array.<string>} messages logged by console.warn */
+var warnings = [];
+console.warn = (message) => warnings.push(String(message));
+
+global.app = {
+  project: {
+    getProject: () => project,
+    importFromJson: (parent, json) => {
+      imported = json;
+    },
+  },
+  preferences: { get: (key) => preferences[key] },
+  toast: {
+    info: (message) => toasts.push("info: " + message),
+    warning: (message) => toasts.push("warning: " + message),
+    error: (message) => toasts.push("error: " + message),
+  },
+  repository: {
+    getRelationshipsOf: (elem, filter) =>
+      relationships.filter(
+        (rel) =>
+          (rel.source === elem ||
+            rel.target === elem ||
+            (rel.end1 &&
+              (rel.end1.reference === elem || rel.end2.reference === elem))) &&
+          (!filter || filter(rel)),
+      ),
+    get: () => imported,
+    Writer: function () {
+      this.current = {};
+      this.writeObj = (key, value) => {
+        this.current[key] = value;
+      };
+    },
+  },
+  commands: {
+    register: (id, handler) => {
+      commands[id] = handler;
+    },
+    execute: () => {},
+  },
+};
+
+// the analyzer looks up types by name
+Element.prototype.findByName = function (name) {
+  return this.ownedElements.find((elem) => elem.name === name) || null;
+};
+Element.prototype.lookup = function (name, filter, top) {
+  var elem = this;
+  while (elem) {
+    var found = elem.findByName(name);
+    if (found) {
+      return found;
+    }
+    if (elem === top) {
+      break;
+    }
+    elem = elem._parent;
+  }
+  return null;
+};
+
+require("../main").init();
+
+/**
+ * Create element of type with properties
+ * @param {Function} Type e.g. type.UMLClass
+ * @param {Object} props
+ * @return {Element}
+ */
+function make(Type, props) {
+  return Object.assign(new Type(), props || {});
+}
+
+/**
+ * Add child to field of parent
+ * @param {Element} parent
+ * @param {Element} child
+ * @param {string} field defaults to "ownedElements"
+ * @return {Element} child
+ */
+function add(parent, child, field) {
+  child._parent = parent;
+  parent[field || "ownedElements"].push(child);
+  if (child instanceof UMLRelationship) {
+    relationships.push(child);
+  }
+  return child;
+}
+
+/**
+ * Add tag to elem, boolean or string by value
+ * @param {Element} elem
+ * @param {string} name
+ * @param {boolean|string} value
+ * @return {Tag}
+ */
+function tag(elem, name, value) {
+  var props = { name: name };
+  if (typeof value === "boolean") {
+    Object.assign(props, { kind: Tag.TK_BOOLEAN, checked: value });
+  } else {
+    props.value = value;
+  }
+  return add(elem, make(Tag, props), "tags");
+}
+
+/**
+ * Add class to parent
+ * @param {Element} parent
+ * @param {string} name
+ * @param {Object} props
+ * @return {type.UMLClass}
+ */
+function addClass(parent, name, props) {
+  return add(parent, make(UMLClass, Object.assign({ name: name }, props)));
+}
+
+/**
+ * Add attribute to classifier
+ * @param {type.UMLClassifier} elem
+ * @param {string} name
+ * @param {string|type.UMLClassifier} _type
+ * @param {Object} props
+ * @return {type.UMLAttribute}
+ */
+function addAttribute(elem, name, _type, props) {
+  return add(
+    elem,
+    make(UMLAttribute, Object.assign({ name: name, type: _type }, props)),
+    "attributes",
+  );
+}
+
+/**
+ * Add operation to classifier, with parameters given as
+ * `{name, type, direction}` (direction "return" for the return value)
+ * @param {type.UMLClassifier} elem
+ * @param {string} name
+ * @param {Array.<Object>} parameters
+ * @param {Object} props
+ * @return {type.UMLOperation}
+ */
+function addOperation(elem, name, parameters, props) {
+  var op = add(
+    elem,
+    make(UMLOperation, Object.assign({ name: name }, props)),
+    "operations",
+  );
+  (parameters || []).forEach((param) => {
+    add(op, make(UMLParameter, param), "parameters");
+  });
+  return op;
+}
+
+/**
+ * Add association from end1 to end2, navigable to end2 only
+ * @param {type.UMLClassifier} from
+ * @param {type.UMLClassifier} to
+ * @param {Object} props1 properties of end1, e.g. aggregation
+ * @param {Object} props2 properties of end2, e.g. name and multiplicity
+ * @return {type.UMLAssociation}
+ */
+function addAssociation(from, to, props1, props2) {
+  var association = add(from, make(UMLAssociation));
+  Object.assign(
+    association.end1,
+    { reference: from, navigable: "notNavigable" },
+    props1,
+  );
+  Object.assign(association.end2, { reference: to }, props2);
+  return association;
+}
+
+/**
+ * Create model in the project
+ * @param {string} name
+ * @return {type.UMLModel}
+ */
+function createModel(name) {
+  var model = make(UMLModel, { name: name || "Model" });
+  model._parent = project;
+  project.ownedElements.push(model);
+  return model;
+}
+
+/**
+ * Generate base model by the `cpp:generate` command without writing
+ * @param {type.UMLPackage} base
+ * @param {Object} options overriding preferences
+ * @param {string} basePath folder compared with, defaults to an empty one
+ * @return {Promise.<{files: Object.<string, string>, diff: string}>}
+ */
+function generate(base, options, basePath) {
+  return commands["cpp:generate"](
+    base,
+    basePath || path.join(os.tmpdir(), "staruml-cpp-test-" + process.pid),
+    Object.assign({ dryRun: true }, options),
+  );
+}
+
+/**
+ * Reverse engineer C++ source files
+ * @param {Object.<string, string>} sources file contents by file name
+ * @param {Object} options
+ * @return {Object} root model of imported elements
+ */
+function reverse(sources, options) {
+  var folder = fs.mkdtempSync(path.join(os.tmpdir(), "staruml-cpp-test-"));
+  try {
+    Object.keys(sources).forEach((file) => {
+      fs.writeFileSync(path.join(folder, file), sources[file]);
+    });
+    require("../code-analyzer").analyze(
+      folder,
+      Object.assign({ association: true, publicOnly: false }, options),
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+  return imported;
+}
+
+/**
+ * Return value of tag of elem, or undefined if there is no such tag
+ * @param {Element} elem
+ * @param {string} name
+ * @return {?}
+ */
+function getTag(elem, name) {
+  var found = elem.tags.find((t) => t.name === name);
+  if (!found) {
+    return undefined;
+  }
+  return found.kind === Tag.TK_BOOLEAN ? found.checked : found.value;
+}
+
+exports.make = make;
+exports.add = add;
+exports.tag = tag;
+exports.addClass = addClass;
+exports.addAttribute = addAttribute;
+exports.addOperation = addOperation;
+exports.addAssociation = addAssociation;
+exports.createModel = createModel;
+exports.generate = generate;
+exports.reverse = reverse;
+exports.getTag = getTag;
+exports.preferences = preferences;
+exports.toasts = toasts;
+exports.warnings = warnings;
@@ -0,0 +1,278 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Add vertex to region
+ * @param {type.UMLRegion} region
+ * @param {Function} Type e.g. type.UMLState
+ * @param {Object} props
+ * @return {type.UMLVertex}
+ */
+function addVertex(region, Type, props) {
+  return staruml.add(region, staruml.make(Type, props), "vertices");
+}
+
+/**
+ * Add transition to region, with triggers and effects given by name
+ * @param {type.UMLRegion} region
+ * @param {type.UMLVertex} source
+ * @param {type.UMLVertex} target
+ * @param {Object} props e.g. guard and kind
+ * @param {Array.<string>} triggers
+ * @param {Array.<string>} effects
+ * @return {type.UMLTransition}
+ */
+function addTransition(region, source, target, props, triggers, effects) {
+  var transition = staruml.add(
+    region,
+    staruml.make(type.UMLTransition, Object.assign({ source, target }, props)),
+    "transitions",
+  );
+  (triggers || []).forEach((name) => {
+    staruml.add(transition, staruml.make(type.UMLEvent, { name }), "triggers");
+  });
+  (effects || []).forEach((name) => {
+    staruml.add(
+      transition,
+      staruml.make(type.UMLOpaqueBehavior, { name }),
+      "effects",
+    );
+  });
+  return transition;
+}
+
+/**
+ * Create class Player having a state machine: Idle and Running, Running
+ * being composite of Slow and Fast
+ * @return {{model: type.UMLModel, running: type.UMLState}}
+ */
+function createPlayer() {
+  var model = staruml.createModel();
+  var player = staruml.addClass(model, "Player");
+  var machine = staruml.add(
+    player,
+    staruml.make(type.UMLStateMachine, { name: "Lifecycle" }),
+  );
+  var region = staruml.add(machine, staruml.make(type.UMLRegion), "regions");
+  var initial = addVertex(region, type.UMLPseudostate, { kind: "initial" });
+  var idle = addVertex(region, type.UMLState, { name: "Idle" });
+  staruml.add(
+    idle,
+    staruml.make(type.UMLOpaqueBehavior, { name: "reset" }),
+    "entryActivities",
+  );
+  var running = addVertex(region, type.UMLState, { name: "Running" });
+  staruml.add(
+    running,
+    staruml.make(type.UMLOpaqueBehavior, { name: "stopMotor" }),
+    "exitActivities",
+  );
+  var inner = staruml.add(running, staruml.make(type.UMLRegion), "regions");
+  var innerInitial = addVertex(inner, type.UMLPseudostate, {
+    kind: "initial",
+  });
+  var slow = addVertex(inner, type.UMLState, { name: "Slow" });
+  var fast = addVertex(inner, type.UMLState, { name: "Fast" });
+  addTransition(region, initial, idle, {}, [], ["load"]);
+  addTransition(
+    region,
+    idle,
+    running,
+    { guard: "ready" },
+    ["start"],
+    ["startMotor"],
+  );
+  addTransition(region, running, idle, {}, ["stop"]);
+  addTransition(inner, innerInitial, slow, {}, [], ["warmUp"]);
+  addTransition(inner, slow, fast, {}, ["faster"]);
+  addTransition(inner, fast, fast, { kind: "internal" }, ["tick"], ["count"]);
+  return { model, running };
+}
+
+/**
+ * Return definition of function in text
+ * @param {string} text
+ * @param {string} head e.g. "void Player::start()"
+ * @return {string}
+ */
+function getDefinition(text, head) {
+  var begin = text.indexOf(head + " {\n");
+  assert.ok(begin >= 0, head + " is not defined");
+  return text.slice(begin, text.indexOf("\n}\n", begin) + 2);
+}
+
+test("state machine members and hooks", async () => {
+  staruml.warnings.length = 0;
+  var { files } = await staruml.generate(createPlayer().model, {});
+  var header = files["Model/Player.h"];
+  assert.match(
+    header,
+    /^ {4}enum class State \{ Idle, Running, Slow, Fast \};\n {4}enum class Event \{ Faster, Tick, Start, Stop \};$/m,
+  );
+  assert.match(header, /^ {4}bool dispatch\(Event event\);$/m);
+  assert.match(header, /^ {4}State getState\(\) const;$/m);
+  [
+    "void effectInitial",
+    "void effectInitialRunning",
+    "void effectFastTickFast",
+    "bool guardIdleStartRunning",
+    "void effectIdleStartRunning",
+    "void onEnterIdle",
+    "void onExitRunning",
+  ].forEach((hook) => {
+    assert.match(header, new RegExp("^ {4}virtual " + hook + "\\(\\);$", "m"));
+  });
+  assert.match(
+    header,
+    /^protected: \n(.*\n)*? {4}virtual void effectInitial\(\);$/m,
+  );
+  assert.match(header, /^ {4}State currentState = State::Idle;$/m);
+  assert.deepStrictEqual(staruml.warnings, []);
+});
+
+test("switch dispatching to enclosing states", async () => {
+  var { files } = await staruml.generate(createPlayer().model, {});
+  var source = files["Model/Player.cpp"];
+  assert.strictEqual(
+    getDefinition(source, "void Player::start()"),
+    [
+      "void Player::start() {",
+      "    effectInitial();",
+      "    enterState(State::Idle);",
+      "}",
+    ].join("\n"),
+  );
+  var dispatch = getDefinition(source, "bool Player::dispatch(Event event)");
+  assert.ok(
+    dispatch.includes(
+      [
+        "    case State::Idle:",
+        "        if (event == Event::Start && guardIdleStartRunning()) {",
+        "            effectIdleStartRunning();",
+        "            enterState(State::Running);",
+        "            return true;",
+        "        }",
+        "        break;",
+      ].join("\n"),
+    ),
+  );
+  assert.ok(
+    dispatch.includes(
+      [
+        "    case State::Fast:",
+        "        if (event == Event::Tick) {",
+        "            effectFastTickFast();",
+        "            return true;",
+        "        }",
+        "        if (event == Event::Stop) {",
+        "            onExitRunning();",
+        "            enterState(State::Idle);",
+        "            return true;",
+        "        }",
+        "        break;",
+      ].join("\n"),
+    ),
+    "internal transition calls the effect only, Stop is handled by Running",
+  );
+  assert.strictEqual(
+    getDefinition(source, "void Player::enterState(State state)"),
+    [
+      "void Player::enterState(State state) {",
+      "    currentState = state;",
+      "    switch (state) {",
+      "    case State::Idle:",
+      "        onEnterIdle();",
+      "        break;",
+      "    case State::Running:",
+      "        effectInitialRunning();",
+      "        enterState(State::Slow);",
+      "        break;",
+      "    default:",
+      "        break;",
+      "    }",
+      "}",
+    ].join("\n"),
+  );
+  assert.match(
+    getDefinition(source, "bool Player::guardIdleStartRunning()"),
+    /^ {4}return true;$/m,
+  );
+});
+
+test("state pattern dispatching to a class per state", async () => {
+  var { files } = await staruml.generate(createPlayer().model, {
+    stateMachine: "state",
+  });
+  var header = files["Model/Player.h"];
+  assert.match(
+    header,
+    /^ {4}class StateBase \{\n {4}public:\n {8}virtual ~StateBase\(\) = default;\n {8}virtual bool dispatch\(Player& machine, Event event\) = 0;\n {4}\};$/m,
+  );
+  assert.match(
+    header,
+    /^ {4}class IdleState : public StateBase \{\n {4}public:\n {8}bool dispatch\(Player& machine, Event event\) override;\n {4}\};$/m,
+  );
+  assert.match(header, /^ {4}IdleState idleState;$/m);
+  var source = files["Model/Player.cpp"];
+  assert.match(
+    getDefinition(source, "bool Player::dispatch(Event event)"),
+    /^ {4}return getStateObject\(currentState\)\.dispatch\(\*this, event\);$/m,
+  );
+  assert.match(
+    getDefinition(
+      source,
+      "auto Player::getStateObject(State state) -> StateBase&",
+    ),
+    /^ {4}case State::Fast:\n {8}return fastState;$/m,
+  );
+  assert.strictEqual(
+    getDefinition(
+      source,
+      "bool Player::SlowState::dispatch(Player& machine, Event event)",
+    ),
+    [
+      "bool Player::SlowState::dispatch(Player& machine, Event event) {",
+      "    if (event == Event::Faster) {",
+      "        machine.enterState(State::Fast);",
+      "        return true;",
+      "    }",
+      "    if (event == Event::Stop) {",
+      "        machine.onExitRunning();",
+      "        machine.enterState(State::Idle);",
+      "        return true;",
+      "    }",
+      "    return false;",
+      "}",
+    ].join("\n"),
+  );
+});
+
+test("definitions are inline in the header without source file", async () => {
+  var { files } = await staruml.generate(createPlayer().model, {
+    genCpp: false,
+  });
+  assert.ok(!("Model/Player.cpp" in files));
+  var header = files["Model/Player.h"];
+  assert.match(header, /^inline void Player::start\(\) \{$/m);
+  assert.match(header, /^inline bool Player::dispatch\(Event event\) \{$/m);
+  assert.match(header, /^inline void Player::onExitRunning\(\) \{$/m);
+  assert.ok(
+    header.indexOf("inline void Player::start()") > header.indexOf("};"),
+    "definitions follow the class",
+  );
+});
+
+test("orthogonal regions and transitions without trigger are reported", async () => {
+  var { model, running } = createPlayer();
+  staruml.add(running, staruml.make(type.UMLRegion), "regions");
+  var region = running._parent;
+  var idle = region.vertices[1];
+  addTransition(region, idle, running, {});
+  staruml.warnings.length = 0;
+  await staruml.generate(model, {});
+  assert.deepStrictEqual(staruml.warnings, [
+    "[C++] State Running has orthogonal regions, only its first region is generated",
+    "[C++] Transition Idle -> Running of state machine Lifecycle has no trigger and is ignored",
+  ]);
+});
@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createCircle() {
+  var model = staruml.createModel();
+  var circle = staruml.addClass(model, "Circle");
+  staruml.addAttribute(circle, "count", "int", {
+    isStatic: true,
+    defaultValue: "0",
+  });
+  staruml.addAttribute(circle, "pi", "double", {
+    isStatic: true,
+    isReadOnly: true,
+    defaultValue: "3.14",
+  });
+  staruml.addAttribute(circle, "names", "std::vector<std::string>", {
+    isStatic: true,
+  });
+  staruml.addAttribute(circle, "radius", "double", { defaultValue: "1.0" });
+  var shape = staruml.add(
+    model,
+    staruml.make(type.UMLInterface, { name: "Shape" }),
+  );
+  staruml.addAttribute(shape, "sides", "int", {
+    isStatic: true,
+    defaultValue: "3",
+  });
+  return { model, circle };
+}
+
+/**
+ * Return lines of text which are no comments, preprocessor directives or
+ * empty
+ * @param {string} text
+ * @return {Array.<string>}
+ */
+function getCode(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !/^(\/?\*|#)/.test(line));
+}
+
+test("static members are defined in the .cpp file", async () => {
+  var { files } = await staruml.generate(createCircle().model, {});
+  assert.deepStrictEqual(getCode(files["Model/Circle.h"]).slice(3, -1), [
+    "static int count;",
+    "static const double pi;",
+    "static std::vector<std::string> names;",
+    "double radius = 1.0;",
+  ]);
+  assert.deepStrictEqual(getCode(files["Model/Circle.cpp"]), [
+    "int Circle::count = 0;",
+    "const double Circle::pi = 3.14;",
+    "std::vector<std::string> Circle::names;",
+  ]);
+  // interfaces have no .cpp file
+  assert.ok(
+    getCode(files["Model/Shape.h"]).includes("inline static int sides = 3;"),
+  );
+});
+
+test("static members are inline static or constexpr", async () => {
+  var { files } = await staruml.generate(createCircle().model, {
+    staticMembers: "inline",
+  });
+  assert.deepStrictEqual(getCode(files["Model/Circle.h"]).slice(3, 6), [
+    "inline static int count = 0;",
+    "inline static const double pi = 3.14;",
+    "inline static std::vector<std::string> names;",
+  ]);
+  assert.deepStrictEqual(getCode(files["Model/Circle.cpp"]), []);
+
+  ({ files } = await staruml.generate(createCircle().model, {
+    staticMembers: "constexpr",
+  }));
+  assert.deepStrictEqual(getCode(files["Model/Circle.h"]).slice(3, 6), [
+    "inline static int count = 0;",
+    "static constexpr double pi = 3.14;",
+    "inline static std::vector<std::string> names;",
+  ]);
+
+  ({ files } = await staruml.generate(createCircle().model, {
+    genCpp: false,
+  }));
+  assert.ok(
+    getCode(files["Model/Circle.h"]).includes("inline static int count = 0;"),
+  );
+});
+
+test("initial values are given in the member initializer list", async () => {
+  var { files } = await staruml.generate(createCircle().model, {
+    memberInitializers: true,
+  });
+  var header = getCode(files["Model/Circle.h"]);
+  assert.ok(header.includes("Circle();"));
+  assert.ok(header.includes("double radius;"));
+  assert.match(
+    files["Model/Circle.cpp"],
+    /^Circle::Circle\(\) : radius\(1\.0\) \{\n\}$/m,
+  );
+});
+
+test("defaulted constructors keep default member initializers", async () => {
+  var { model, circle } = createCircle();
+  var constructor = staruml.addOperation(circle, "Circle", [], {
+    stereotype: "constructor",
+  });
+  staruml.tag(constructor, "default", true);
+  var { files } = await staruml.generate(model, { memberInitializers: true });
+  var header = getCode(files["Model/Circle.h"]);
+  assert.ok(header.includes("Circle() = default;"));
+  assert.ok(header.includes("double radius = 1.0;"));
+  assert.doesNotMatch(files["Model/Circle.cpp"], /radius\(1\.0\)/);
+});
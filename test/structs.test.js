@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+test("structs and default access of classes and structs", async () => {
+  var model = staruml.createModel();
+  var point = staruml.addClass(model, "Point", { stereotype: "struct" });
+  staruml.addAttribute(point, "x", "int", { visibility: "package" });
+  staruml.addAttribute(point, "secret", "int", { visibility: "private" });
+  var shape = staruml.addClass(model, "Shape");
+  staruml.addAttribute(shape, "id", "int", { visibility: "package" });
+  staruml.addAttribute(shape, "name", "int");
+  staruml.addAttribute(shape, "z", "int", { visibility: "protected" });
+  var canvas = staruml.addClass(model, "Canvas");
+  staruml.addAssociation(canvas, point, {}, { name: "origin" });
+  var { files } = await staruml.generate(model, {});
+  assert.match(
+    files["Model/Point.h"],
+    /^struct Point \{\n {4}int x;\nprivate: \n {4}int secret;\n\};$/m,
+  );
+  assert.match(
+    files["Model/Shape.h"],
+    /^class Shape \{\npublic: \n {4}Shape\(\) = default;\n {4}int name;\nprotected: \n {4}int z;\nprivate: \n {4}int id;\n\};$/m,
+  );
+  assert.match(files["Model/Canvas.h"], /^struct Point;$/m);
+});
+
+test("reverse structs and default access", () => {
+  var root = staruml.reverse({
+    "Shapes.h": [
+      "struct Point { int x; private: int y; };",
+      "class Shape { int id; public: int name; };",
+    ].join("\n"),
+  });
+  var classes = root.ownedElements.map((elem) => [
+    elem.name,
+    elem.stereotype,
+    elem.attributes.map((attr) => attr.name + ":" + attr.visibility),
+  ]);
+  assert.deepStrictEqual(classes, [
+    ["Point", "struct", ["x:public", "y:private"]],
+    ["Shape", null, ["id:private", "name:public"]],
+  ]);
+});
@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+/**
+ * Create class template Point<T> holding a pointer to Canvas
+ * @param {string} explicitInstantiations tag of Point, if any
+ * @return {type.UMLModel}
+ */
+function createPoint(explicitInstantiations) {
+  var model = staruml.createModel();
+  var point = staruml.addClass(model, "Point");
+  staruml.add(
+    point,
+    staruml.make(type.UMLTemplateParameter, { name: "T", defaultValue: "int" }),
+    "templateParameters",
+  );
+  staruml.addAttribute(point, "x", "T");
+  staruml.addOperation(point, "length", [{ type: "T", direction: "return" }], {
+    isQuery: true,
+  });
+  var canvas = staruml.addClass(model, "Canvas");
+  staruml.addAssociation(point, canvas, {}, { name: "canvas" });
+  if (explicitInstantiations) {
+    staruml.tag(point, "explicitInstantiations", explicitInstantiations);
+  }
+  return model;
+}
+
+// the header of Canvas is included before the definitions
+var definition =
+  /#include "Canvas\.h"\n[^#]*\ntemplate<typename T>\nT Point<T>::length\(\) const \{\n/;
+
+test("members of class templates are defined in the header", async () => {
+  var { files } = await staruml.generate(createPoint(), {});
+  assert.deepStrictEqual(Object.keys(files).sort(), [
+    "Model/Canvas.cpp",
+    "Model/Canvas.h",
+    "Model/Point.h",
+  ]);
+  var header = files["Model/Point.h"];
+  assert.match(
+    header,
+    /^class Canvas;\n\ntemplate<typename T = int>\nclass Point \{$/m,
+  );
+  assert.match(header.split("};")[1], definition);
+});
+
+test("members of class templates are defined in a .tpp file", async () => {
+  var { files } = await staruml.generate(createPoint(), {
+    templateDefinitions: "tpp",
+  });
+  assert.match(files["Model/Point.h"], /^#include "Point\.tpp"$/m);
+  assert.doesNotMatch(files["Model/Point.h"], /Point<T>::length/);
+  assert.match(files["Model/Point.tpp"], /^#include "Point\.h"$/m);
+  assert.match(files["Model/Point.tpp"], definition);
+});
+
+test("explicit instantiations define members in the .cpp file", async () => {
+  var { files } = await staruml.generate(createPoint("int; double"), {});
+  assert.doesNotMatch(files["Model/Point.h"], /Point<T>::length/);
+  assert.match(files["Model/Point.cpp"], definition);
+  assert.match(
+    files["Model/Point.cpp"],
+    /^template class Point<int>;\ntemplate class Point<double>;$/m,
+  );
+});
+
+test("class templates are defined in the header without .cpp files", async () => {
+  for (var explicitInstantiations of [undefined, "int"]) {
+    var { files } = await staruml.generate(
+      createPoint(explicitInstantiations),
+      { genCpp: false },
+    );
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+      "Model/Canvas.h",
+      "Model/Point.h",
+    ]);
+    assert.match(files["Model/Point.h"], definition);
+    assert.doesNotMatch(files["Model/Point.h"], /template class/);
+  }
+});
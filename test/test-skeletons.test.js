@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const staruml = require("./staruml");
+
+function createModel() {
+  var model = staruml.createModel();
+  var geo = staruml.add(model, staruml.make(type.UMLPackage, { name: "geo" }));
+  var circle = staruml.addClass(geo, "Circle");
+  staruml.addOperation(circle, "area", [
+    { type: "double", direction: "return" },
+  ]);
+  staruml.addOperation(circle, "scale", [{ name: "factor", type: "double" }]);
+  staruml.addOperation(circle, "update", [], { visibility: "private" });
+  staruml.addOperation(circle, "Circle", [], { stereotype: "constructor" });
+  staruml.add(model, staruml.make(type.UMLInterface, { name: "Shape" }));
+  return model;
+}
+
+test("GoogleTest skeletons of public operations", async () => {
+  var { files } = await staruml.generate(createModel(), {
+    testSkeletons: true,
+  });
+  assert.deepStrictEqual(
+    Object.keys(files).filter((file) => file.startsWith("tests/")),
+    ["tests/Model/geo/CircleTest.cpp"],
+  );
+  var text = files["tests/Model/geo/CircleTest.cpp"];
+  assert.ok(
+    text.includes(
+      [
+        "#include <gtest/gtest.h>",
+        "",
+        '#include "../../../Model/geo/Circle.h"',
+        "",
+        "class CircleTest : public ::testing::Test {",
+        "protected:",
+        "    void SetUp() override {",
+        "    }",
+        "",
+        "    void TearDown() override {",
+        "    }",
+        "};",
+        "",
+        "TEST_F(CircleTest, Area) {",
+        "    // TODO: test geo::Circle::area",
+        '    GTEST_SKIP() << "Not implemented";',
+        "}",
+        "",
+        "TEST_F(CircleTest, Scale) {",
+        "    // TODO: test geo::Circle::scale",
+        '    GTEST_SKIP() << "Not implemented";',
+        "}",
+        "",
+      ].join("\n"),
+    ),
+  );
+  assert.doesNotMatch(text, /Update|TEST_F\(CircleTest, Circle\)/);
+});
+
+test("Catch2 skeletons named by the file name case", async () => {
+  var { files } = await staruml.generate(createModel(), {
+    testSkeletons: true,
+    testFramework: "catch2",
+    fileNameCase: "snake",
+  });
+  var text = files["tests/Model/geo/circle_test.cpp"];
+  assert.match(text, /^#include <catch2\/catch_test_macros\.hpp>$/m);
+  assert.match(text, /^#include "\.\.\/\.\.\/\.\.\/Model\/geo\/circle\.h"$/m);
+  assert.match(text, /^class CircleTest \{\npublic:\n {4}CircleTest\(\) \{$/m);
+  assert.match(
+    text,
+    /^TEST_CASE_METHOD\(CircleTest, "Circle::area", "\[Circle\]"\) \{\n {4}\/\/ TODO: test geo::Circle::area\n {4}SKIP\("Not implemented"\);\n\}$/m,
+  );
+});
+
+test("test files are not overwritten nor shared", async () => {
+  var folder = fs.mkdtempSync(path.join(os.tmpdir(), "staruml-cpp-test-"));
+  try {
+    fs.mkdirSync(path.join(folder, "tests"));
+    fs.writeFileSync(path.join(folder, "tests", "CircleTest.cpp"), "mine\n");
+    var { files } = await staruml.generate(
+      createModel(),
+      { testSkeletons: true, packageMode: "namespace" },
+      folder,
+    );
+    assert.ok(!("tests/CircleTest.cpp" in files));
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+
+  var model = createModel();
+  staruml.addClass(model, "Circle");
+  staruml.warnings.length = 0;
+  ({ files } = await staruml.generate(model, {
+    testSkeletons: true,
+    packageMode: "namespace",
+  }));
+  assert.match(files["tests/CircleTest.cpp"], /geo::Circle::area/);
+  assert.deepStrictEqual(staruml.warnings, [
+    "[C++] Test of Circle is not generated, tests/CircleTest.cpp is the test of another class",
+  ]);
+});
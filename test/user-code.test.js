@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const codegen = require("../codegen-utils");
+const staruml = require("./staruml");
+
+var begin = codegen.getUserCodeBegin;
+var end = codegen.getUserCodeEnd;
+
+test("markers hold the key and the label", () => {
+  assert.strictEqual(
+    begin("id1", "Circle::area()"),
+    "// @user-code-begin id1 Circle::area()",
+  );
+  assert.strictEqual(end("id1"), "// @user-code-end id1");
+});
+
+test("extractUserCode returns the lines of each region", () => {
+  var text = [
+    "double Circle::area() {",
+    "    " + begin("id1", "Circle::area()"),
+    "    return 3.14 * r * r;",
+    "    " + end("id1"),
+    "}",
+    begin("id2"),
+    end("id2"),
+  ].join("\r\n");
+  assert.deepStrictEqual(codegen.extractUserCode(text), [
+    {
+      key: "id1",
+      label: "Circle::area()",
+      lines: ["    return 3.14 * r * r;"],
+    },
+    { key: "id2", label: "", lines: [] },
+  ]);
+});
+
+test("extractUserCode ignores an end marker of another region", () => {
+  var text = [begin("id1"), "a", end("id2"), "b", end("id1")].join("\n");
+  assert.deepStrictEqual(codegen.extractUserCode(text)[0].lines, [
+    "a",
+    end("id2"),
+    "b",
+  ]);
+});
+
+test("mergeUserCode carries regions over by key", () => {
+  var generated = ["f() {", begin("id1", "f()"), "stub", end("id1"), "}"];
+  var existing = ["f() {", begin("id1", "f()"), "user", end("id1"), "}"];
+  assert.strictEqual(
+    codegen.mergeUserCode(generated.join("\n"), existing.join("\n")),
+    existing.join("\n"),
+  );
+});
+
+test("mergeUserCode matches a region by its label if the key changed", () => {
+  var generated = [begin("new", "f()"), "stub", end("new")].join("\n");
+  var existing = [begin("old", "f()"), "user", end("old")].join("\n");
+  assert.strictEqual(
+    codegen.mergeUserCode(generated, existing),
+    [begin("new", "f()"), "user", end("new")].join("\n"),
+  );
+});
+
+test("mergeUserCode does not match ambiguous labels", () => {
+  var generated = [begin("new", "f()"), "stub", end("new")].join("\n");
+  var existing = [
+    begin("a", "f()"),
+    "one",
+    end("a"),
+    begin("b", "f()"),
+    "two",
+    end("b"),
+  ].join("\n");
+  var merged = codegen.mergeUserCode(generated, existing);
+  assert.match(merged, /^\/\/ @user-code-begin new f\(\)\nstub\n/);
+});
+
+test("mergeUserCode keeps orphaned user code in a disabled block", () => {
+  var merged = codegen.mergeUserCode(
+    "int x;",
+    [
+      begin("gone", "g()"),
+      "keep me",
+      end("gone"),
+      begin("empty"),
+      end("empty"),
+    ].join("\n"),
+  );
+  assert.strictEqual(
+    merged,
+    [
+      "int x;",
+      "",
+      "// @user-code-orphaned (user code of elements removed from the model)",
+      "#if 0",
+      begin("gone", "g()"),
+      "keep me",
+      end("gone"),
+      "#endif",
+    ].join("\n"),
+  );
+});
+
+test("regeneration keeps user code of method bodies", async () => {
+  var model = staruml.createModel();
+  var circle = staruml.addClass(model, "Circle");
+  staruml.addOperation(circle, "area", [
+    { type: "double", direction: "return" },
+  ]);
+  var folder = fs.mkdtempSync(path.join(os.tmpdir(), "staruml-cpp-test-"));
+  try {
+    var first = await staruml.generate(
+      model,
+      { mergeUserCode: true, packageMode: "namespace" },
+      folder,
+    );
+    var source = first.files["Circle.cpp"].replace(
+      /return 0\.0;/,
+      "return 3.14;",
+    );
+    fs.writeFileSync(path.join(folder, "Circle.cpp"), source);
+    var second = await staruml.generate(
+      model,
+      { mergeUserCode: true, packageMode: "namespace" },
+      folder,
+    );
+    assert.match(second.files["Circle.cpp"], /return 3\.14;/);
+    assert.doesNotMatch(second.files["Circle.cpp"], /return 0\.0;/);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
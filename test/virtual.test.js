@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const staruml = require("./staruml");
+
+function createShapes() {
+  var model = staruml.createModel();
+  var shape = staruml.addClass(model, "Shape");
+  staruml.addOperation(
+    shape,
+    "area",
+    [{ type: "double", direction: "return" }],
+    { isAbstract: true },
+  );
+  var draw = staruml.addOperation(shape, "draw", [
+    { name: "scale", type: "double" },
+  ]);
+  staruml.tag(draw, "virtual", true);
+  staruml.addOperation(shape, "move", [], { stereotype: "virtual" });
+  staruml.addOperation(shape, "name", [
+    { type: "std::string", direction: "return" },
+  ]);
+
+  var circle = staruml.addClass(model, "Circle");
+  staruml.add(
+    circle,
+    staruml.make(type.UMLGeneralization, { source: circle, target: shape }),
+  );
+  staruml.addOperation(circle, "area", [
+    { type: "double", direction: "return" },
+  ]);
+  staruml.addOperation(circle, "draw", [{ name: "scale", type: "double" }], {
+    isLeaf: true,
+  });
+  // other parameter types, so no override
+  staruml.addOperation(circle, "draw", [{ name: "scale", type: "int" }]);
+  staruml.addOperation(circle, "name", [
+    { type: "std::string", direction: "return" },
+  ]);
+  return model;
+}
+
+test("pure virtual, virtual tag and virtual stereotype", async () => {
+  var { files } = await staruml.generate(createShapes(), {});
+  var header = files["Model/Shape.h"];
+  assert.match(header, /^\s*virtual double area\(\) = 0;$/m);
+  assert.match(header, /^\s*virtual void draw\(double scale\);$/m);
+  assert.match(header, /^\s*virtual void move\(\);$/m);
+  assert.match(header, /^\s*std::string name\(\);$/m);
+  var source = files["Model/Shape.cpp"];
+  assert.doesNotMatch(source, /Shape::area/);
+  assert.match(source, /^void Shape::draw\(double scale\) \{$/m);
+});
+
+test("operations of superclasses are overridden", async () => {
+  var { files } = await staruml.generate(createShapes(), {});
+  var header = files["Model/Circle.h"];
+  assert.match(header, /^\s*double area\(\) override;$/m);
+  assert.match(header, /^\s*void draw\(double scale\) final;$/m);
+  assert.match(header, /^\s*void draw\(int scale\);$/m);
+  assert.match(header, /^\s*std::string name\(\);$/m);
+  assert.match(files["Model/Circle.cpp"], /^double Circle::area\(\) \{$/m);
+});